@@ -0,0 +1,52 @@
+/**
+ * Notification Service Worker
+ * Owns the desktop notifications the app shows for reminders, so they can
+ * carry action buttons and outlive the tab that created them. Clicks are
+ * handed back to an open window of the app, which does the actual work;
+ * when none is open, one is opened and picks the click up once it is ready.
+ */
+
+// Clicks waiting for a window of the app to ask for them
+let pendingMessages = []
+
+self.addEventListener('install', () => {
+  self.skipWaiting()
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim())
+})
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'ready' && event.source) {
+    pendingMessages.forEach(message => event.source.postMessage(message))
+    pendingMessages = []
+  }
+})
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close()
+  event.waitUntil(deliver({
+    type: 'notificationAction',
+    action: event.action || 'open',
+    data: event.notification.data || {}
+  }))
+})
+
+// One window handles each click, so a task is never completed twice
+async function deliver(message) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+  const target = windows.find(client => client.focused) || windows[0]
+
+  if (target) {
+    // Snoozing needs no attention; anything else may ask the user something
+    if (message.action !== 'snooze') {
+      await target.focus()
+    }
+    target.postMessage(message)
+    return
+  }
+
+  pendingMessages.push(message)
+  await self.clients.openWindow(self.registration.scope)
+}
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React from 'react';
 import { HashRouter as Router, Routes, Route } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
@@ -8,22 +8,30 @@ import TaskList from './pages/TaskList';
 import Archive from './pages/Archive';
 import CategoryOverview from './pages/CategoryOverview';
 import ProjectsCooperations from './pages/ProjectsCooperations';
+import ProjectTimeline from './pages/ProjectTimeline';
+import ContactsPage from './pages/ContactsPage';
 import EventsPage from './pages/EventsPage';
+import CalendarPage from './pages/CalendarPage';
 import Settings from './pages/Settings';
-import NotificationBanner from './components/NotificationBanner';
+import NotificationsPage from './pages/NotificationsPage';
 import AuthGuard from './components/auth/AuthGuard';
 import SyncStatusIndicator from './components/SyncStatusIndicator';
 import SyncConflictHandler from './components/SyncConflictHandler';
+import DesktopNotifier from './components/notifications/DesktopNotifier';
+import { WorkspaceProvider } from './contexts/WorkspaceContext';
 import { TaskProvider } from './contexts/TaskContext';
 import { CategoryProvider } from './contexts/CategoryContext';
+import { ContactProvider } from './contexts/ContactContext';
 import { ProjectProvider } from './contexts/ProjectContext';
 import { ActivityLogCategoryProvider } from './contexts/ActivityLogCategoryContext';
+import { ChecklistTemplateProvider } from './contexts/ChecklistTemplateContext';
 import { EventProvider } from './contexts/EventContext';
+import { CommentProvider } from './contexts/CommentContext';
+import { NotificationProvider } from './contexts/NotificationContext';
 import './App.css';
 
 function AppContent() {
   const { user, session, loading } = useAuth();
-  const [showNotification, setShowNotification] = useState(true);
 
   if (loading) {
     return (
@@ -48,41 +56,52 @@ function AppContent() {
 
   return (
     <Router>
-      <TaskProvider>
-        <CategoryProvider>
-          <ProjectProvider>
-            <ActivityLogCategoryProvider>
-              <EventProvider>
-                <div className="min-h-screen bg-gray-50">
-                  <Header />
-                  <NotificationBanner
-                    show={showNotification}
-                    onClose={() => setShowNotification(false)}
-                  />
-                  <motion.main
-                    className="container mx-auto px-4 py-6"
-                    initial={{ opacity: 0, y: 20 }}
-                    animate={{ opacity: 1, y: 0 }}
-                    transition={{ duration: 0.5 }}
-                  >
-                    <Routes>
-                      <Route path="/" element={<Dashboard />} />
-                      <Route path="/overview" element={<CategoryOverview />} />
-                      <Route path="/tasks" element={<TaskList />} />
-                      <Route path="/projects" element={<ProjectsCooperations />} />
-                      <Route path="/events" element={<EventsPage />} />
-                      <Route path="/archive" element={<Archive />} />
-                      <Route path="/settings" element={<Settings />} />
-                    </Routes>
-                  </motion.main>
-                  <SyncStatusIndicator />
-                  <SyncConflictHandler />
-                </div>
-              </EventProvider>
-            </ActivityLogCategoryProvider>
-          </ProjectProvider>
-        </CategoryProvider>
-      </TaskProvider>
+      <WorkspaceProvider>
+        <TaskProvider>
+          <CategoryProvider>
+            <ContactProvider>
+              <ProjectProvider>
+                <ActivityLogCategoryProvider>
+                  <ChecklistTemplateProvider>
+                    <EventProvider>
+                      <CommentProvider>
+                        <NotificationProvider>
+                          <div className="min-h-screen bg-gray-50">
+                            <Header />
+                            <motion.main
+                              className="container mx-auto px-4 py-6"
+                              initial={{ opacity: 0, y: 20 }}
+                              animate={{ opacity: 1, y: 0 }}
+                              transition={{ duration: 0.5 }}
+                            >
+                              <Routes>
+                                <Route path="/" element={<Dashboard />} />
+                                <Route path="/overview" element={<CategoryOverview />} />
+                                <Route path="/tasks" element={<TaskList />} />
+                                <Route path="/projects" element={<ProjectsCooperations />} />
+                                <Route path="/projects/timeline" element={<ProjectTimeline />} />
+                                <Route path="/events" element={<EventsPage />} />
+                                <Route path="/contacts" element={<ContactsPage />} />
+                                <Route path="/calendar" element={<CalendarPage />} />
+                                <Route path="/archive" element={<Archive />} />
+                                <Route path="/notifications" element={<NotificationsPage />} />
+                                <Route path="/settings" element={<Settings />} />
+                              </Routes>
+                            </motion.main>
+                            <SyncStatusIndicator />
+                            <SyncConflictHandler />
+                            <DesktopNotifier />
+                          </div>
+                        </NotificationProvider>
+                      </CommentProvider>
+                    </EventProvider>
+                  </ChecklistTemplateProvider>
+                </ActivityLogCategoryProvider>
+              </ProjectProvider>
+            </ContactProvider>
+          </CategoryProvider>
+        </TaskProvider>
+      </WorkspaceProvider>
     </Router>
   );
 }
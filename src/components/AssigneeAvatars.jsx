@@ -0,0 +1,31 @@
+import React from 'react';
+import { getAssigneeKey, getAssigneeInitials, getAssigneeColor, describeAssignees } from '../utils/taskAssignees';
+
+// Overlapping initials for a task's assignees
+function AssigneeAvatars({ assignees = [], max = 3, size = 'w-6 h-6 text-xs' }) {
+  if (assignees.length === 0) return null;
+
+  const shown = assignees.slice(0, max);
+  const hidden = assignees.length - shown.length;
+
+  return (
+    <div className="flex items-center -space-x-1.5" title={`Assigned to ${describeAssignees(assignees)}`}>
+      {shown.map(assignee => (
+        <span
+          key={getAssigneeKey(assignee)}
+          className={`${size} inline-flex items-center justify-center rounded-full ring-2 ring-white text-white font-medium`}
+          style={{ backgroundColor: getAssigneeColor(assignee) }}
+        >
+          {getAssigneeInitials(assignee.name)}
+        </span>
+      ))}
+      {hidden > 0 && (
+        <span className={`${size} inline-flex items-center justify-center rounded-full ring-2 ring-white bg-gray-200 text-gray-700 font-medium`}>
+          +{hidden}
+        </span>
+      )}
+    </div>
+  );
+}
+
+export default AssigneeAvatars;
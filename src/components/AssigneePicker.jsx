@@ -0,0 +1,93 @@
+import React from 'react';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { useAuth } from '../contexts/AuthContext';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import { useContact } from '../contexts/ContactContext';
+import AssigneeAvatars from './AssigneeAvatars';
+import { memberAssignee, contactAssignee, getAssigneeKey } from '../utils/taskAssignees';
+
+const { FiX } = FiIcons;
+
+// Assign a task to workspace members (just yourself in the personal space) or contacts
+function AssigneePicker({ value = [], onChange }) {
+  const { user } = useAuth();
+  const { activeWorkspaceId, getWorkspaceMembers } = useWorkspace();
+  const { contacts } = useContact();
+
+  const members = activeWorkspaceId
+    ? getWorkspaceMembers(activeWorkspaceId)
+    : [{ userId: user?.id, email: user?.email }];
+  const selectedKeys = value.map(getAssigneeKey);
+
+  const memberOptions = members
+    .map(memberAssignee)
+    .filter(assignee => assignee.id && !selectedKeys.includes(getAssigneeKey(assignee)));
+  const contactOptions = [...contacts]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(contactAssignee)
+    .filter(assignee => !selectedKeys.includes(getAssigneeKey(assignee)));
+
+  const add = (key) => {
+    const assignee = [...memberOptions, ...contactOptions].find(option => getAssigneeKey(option) === key);
+    if (assignee) onChange([...value, assignee]);
+  };
+
+  const remove = (key) => {
+    onChange(value.filter(assignee => getAssigneeKey(assignee) !== key));
+  };
+
+  return (
+    <div className="space-y-2">
+      <select
+        value=""
+        onChange={(e) => add(e.target.value)}
+        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        <option value="">Add an assignee...</option>
+        {memberOptions.length > 0 && (
+          <optgroup label={activeWorkspaceId ? 'Workspace members' : 'You'}>
+            {memberOptions.map(option => (
+              <option key={getAssigneeKey(option)} value={getAssigneeKey(option)}>
+                {option.id === user?.id ? `${option.name} (you)` : option.name}
+              </option>
+            ))}
+          </optgroup>
+        )}
+        {contactOptions.length > 0 && (
+          <optgroup label="Contacts">
+            {contactOptions.map(option => (
+              <option key={getAssigneeKey(option)} value={getAssigneeKey(option)}>
+                {option.name}
+              </option>
+            ))}
+          </optgroup>
+        )}
+      </select>
+
+      {value.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {value.map(assignee => (
+            <span
+              key={getAssigneeKey(assignee)}
+              className="inline-flex items-center space-x-1.5 pl-1 pr-2 py-1 rounded-full text-xs bg-gray-100 text-gray-700"
+            >
+              <AssigneeAvatars assignees={[assignee]} size="w-5 h-5 text-[10px]" />
+              <span>{assignee.name}</span>
+              {assignee.type === 'contact' && <span className="text-gray-400">contact</span>}
+              <button
+                type="button"
+                onClick={() => remove(getAssigneeKey(assignee))}
+                className="text-gray-400 hover:text-red-600"
+              >
+                <SafeIcon icon={FiX} />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AssigneePicker;
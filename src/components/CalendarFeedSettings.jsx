@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+import { format, parseISO } from 'date-fns';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { calendarFeed } from '../services/calendarFeed';
+
+const { FiCalendar, FiCopy, FiCheck, FiRefreshCw, FiTrash2, FiAlertTriangle } = FiIcons;
+
+function CalendarFeedSettings() {
+  const [feed, setFeed] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    loadFeed();
+  }, []);
+
+  const loadFeed = async () => {
+    setLoading(true);
+    try {
+      setFeed(await calendarFeed.getFeed());
+      setError('');
+    } catch (err) {
+      console.error('Error loading calendar feed:', err);
+      setError('Could not load the calendar feed. Subscriptions need an online connection.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRotate = async () => {
+    if (feed && !window.confirm('Calendar apps subscribed to the current link will stop updating. Create a new link?')) {
+      return;
+    }
+    setLoading(true);
+    try {
+      setFeed(await calendarFeed.rotateFeed());
+      setError('');
+    } catch (err) {
+      console.error('Error creating calendar feed:', err);
+      setError(`Could not create the calendar feed: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async () => {
+    if (!window.confirm('Revoke the calendar feed? Subscribed calendar apps will stop updating.')) {
+      return;
+    }
+    setLoading(true);
+    try {
+      await calendarFeed.revokeFeed();
+      setFeed(null);
+      setError('');
+    } catch (err) {
+      console.error('Error revoking calendar feed:', err);
+      setError(`Could not revoke the calendar feed: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(feed.url);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <div className="max-w-2xl">
+      <div className="flex items-center space-x-3 mb-6">
+        <div className="p-2 bg-indigo-100 rounded-lg">
+          <SafeIcon icon={FiCalendar} className="text-indigo-600 text-xl" />
+        </div>
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Calendar Subscription</h3>
+          <p className="text-sm text-gray-600">Subscribe to your events, talks and due tasks from Outlook, Google or Apple Calendar</p>
+        </div>
+      </div>
+
+      <div className="bg-yellow-50 rounded-lg p-4 mb-6 flex items-start space-x-2">
+        <SafeIcon icon={FiAlertTriangle} className="text-yellow-600 mt-0.5 flex-shrink-0" />
+        <p className="text-xs text-yellow-800">
+          Anyone with the feed link can read your calendar. Create a new link to cut off
+          access for apps you no longer use.
+        </p>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-4 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600" />
+      ) : feed ? (
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Feed URL</label>
+            <div className="flex space-x-2">
+              <input
+                type="text"
+                readOnly
+                value={feed.url}
+                onFocus={(e) => e.target.select()}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-md bg-gray-50 text-sm font-mono"
+              />
+              <button
+                onClick={handleCopy}
+                className="flex items-center space-x-1 px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+              >
+                <SafeIcon icon={copied ? FiCheck : FiCopy} />
+                <span>{copied ? 'Copied' : 'Copy'}</span>
+              </button>
+            </div>
+            {feed.createdAt && (
+              <p className="text-xs text-gray-500 mt-1">
+                Created {format(parseISO(feed.createdAt), 'MMM d, yyyy')}
+              </p>
+            )}
+          </div>
+          <div className="flex space-x-3">
+            <button
+              onClick={handleRotate}
+              className="flex items-center space-x-2 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors"
+            >
+              <SafeIcon icon={FiRefreshCw} />
+              <span>New Link</span>
+            </button>
+            <button
+              onClick={handleRevoke}
+              className="flex items-center space-x-2 px-4 py-2 border border-red-200 rounded-lg text-red-600 hover:bg-red-50 transition-colors"
+            >
+              <SafeIcon icon={FiTrash2} />
+              <span>Revoke</span>
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button
+          onClick={handleRotate}
+          className="flex items-center space-x-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          <SafeIcon icon={FiCalendar} className="text-lg" />
+          <span>Create Feed Link</span>
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default CalendarFeedSettings;
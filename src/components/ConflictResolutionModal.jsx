@@ -3,17 +3,27 @@ import { motion, AnimatePresence } from 'framer-motion';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 import { format, parseISO } from 'date-fns';
+import { diffRecord, ITEM_MERGE_FIELDS } from '../services/merge';
 
-const { FiAlertTriangle, FiX, FiCheck, FiClock, FiUser, FiDatabase, FiSmartphone } = FiIcons;
+const { FiAlertTriangle, FiX, FiCheck, FiClock, FiDatabase, FiSmartphone } = FiIcons;
 
 function ConflictResolutionModal({ conflicts, onResolve, onClose }) {
   const [currentConflictIndex, setCurrentConflictIndex] = useState(0);
   const [resolutions, setResolutions] = useState({});
+  const [fieldChoices, setFieldChoices] = useState({});
 
   if (!conflicts || conflicts.length === 0) return null;
 
   const currentConflict = conflicts[currentConflictIndex];
   const isLastConflict = currentConflictIndex === conflicts.length - 1;
+  const conflictFields = currentConflict.fields || [];
+  const currentChoices = fieldChoices[currentConflict.id] || {};
+
+  // Changes from either side that merged without a conflict
+  const autoMergedFields = currentConflict.base
+    ? Object.keys(diffRecord(currentConflict.base, currentConflict.merged || {}))
+        .filter(field => !conflictFields.some(c => c.field === field))
+    : [];
 
   const handleResolve = (resolution) => {
     const newResolutions = {
@@ -31,6 +41,25 @@ function ConflictResolutionModal({ conflicts, onResolve, onClose }) {
     }
   };
 
+  const handleFieldChoice = (field, choice) => {
+    setFieldChoices({
+      ...fieldChoices,
+      [currentConflict.id]: { ...currentChoices, [field]: choice }
+    });
+  };
+
+  // Item fields default to their item-by-item merge, other fields to the local value
+  const defaultChoice = (field) => (ITEM_MERGE_FIELDS.includes(field) ? 'merged' : 'local');
+
+  // Fields without an explicit pick keep their default
+  const handleApplyChoices = () => {
+    const choices = {};
+    conflictFields.forEach(({ field }) => {
+      choices[field] = currentChoices[field] || defaultChoice(field);
+    });
+    handleResolve(choices);
+  };
+
   const formatTimestamp = (timestamp) => {
     try {
       return format(parseISO(timestamp), 'MMM dd, yyyy HH:mm:ss');
@@ -39,36 +68,79 @@ function ConflictResolutionModal({ conflicts, onResolve, onClose }) {
     }
   };
 
-  const getConflictType = (conflict) => {
-    if (conflict.local && conflict.remote) {
-      return 'modification';
-    } else if (conflict.local && !conflict.remote) {
-      return 'local_only';
-    } else if (!conflict.local && conflict.remote) {
-      return 'remote_only';
+  const formatFieldName = (field) => {
+    return field.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase());
+  };
+
+  const renderValue = (value) => {
+    if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+      return <span className="text-gray-400 italic">empty</span>;
     }
-    return 'unknown';
+
+    if (Array.isArray(value)) {
+      return (
+        <ul className="space-y-1">
+          {value.map((item, index) => (
+            <li key={item?.id || index} className="flex items-center space-x-1">
+              {typeof item === 'object' ? (
+                <>
+                  {item.completed !== undefined && (
+                    <SafeIcon icon={item.completed ? FiCheck : FiX} className={item.completed ? 'text-green-600' : 'text-gray-400'} />
+                  )}
+                  <span>{item.text || item.label || item.name || item.title || item.id}</span>
+                </>
+              ) : (
+                <span>{String(item)}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      );
+    }
+
+    if (typeof value === 'object') {
+      return <span className="font-mono text-xs">{JSON.stringify(value)}</span>;
+    }
+
+    // Rich text fields are stored as HTML
+    return <span className="line-clamp-3">{String(value).replace(/<[^>]*>/g, ' ').trim()}</span>;
   };
 
-  const renderDataComparison = (local, remote, field) => {
-    const localValue = local?.[field];
-    const remoteValue = remote?.[field];
-    
-    if (localValue === remoteValue) return null;
+  const renderFieldConflict = ({ field, local, remote, merged }) => {
+    const choice = currentChoices[field] || defaultChoice(field);
+    const canMerge = ITEM_MERGE_FIELDS.includes(field);
 
     return (
-      <div className="grid grid-cols-2 gap-4 p-3 bg-gray-50 rounded-lg">
-        <div>
-          <h5 className="text-sm font-medium text-gray-700 mb-1">{field}</h5>
-          <p className="text-sm text-gray-900 bg-blue-50 p-2 rounded border">
-            {localValue || <span className="text-gray-400 italic">empty</span>}
-          </p>
-        </div>
-        <div>
-          <h5 className="text-sm font-medium text-gray-700 mb-1">{field}</h5>
-          <p className="text-sm text-gray-900 bg-green-50 p-2 rounded border">
-            {remoteValue || <span className="text-gray-400 italic">empty</span>}
-          </p>
+      <div key={field} className="p-3 bg-gray-50 rounded-lg">
+        <h5 className="text-sm font-medium text-gray-700 mb-2">{formatFieldName(field)}</h5>
+        <div className={`grid gap-4 ${canMerge ? 'grid-cols-3' : 'grid-cols-2'}`}>
+          <button
+            onClick={() => handleFieldChoice(field, 'local')}
+            className={`text-left text-sm text-gray-900 p-2 rounded border-2 transition-colors ${
+              choice === 'local' ? 'border-blue-500 bg-blue-50' : 'border-transparent bg-white hover:border-blue-200'
+            }`}
+          >
+            {renderValue(local)}
+          </button>
+          <button
+            onClick={() => handleFieldChoice(field, 'remote')}
+            className={`text-left text-sm text-gray-900 p-2 rounded border-2 transition-colors ${
+              choice === 'remote' ? 'border-green-500 bg-green-50' : 'border-transparent bg-white hover:border-green-200'
+            }`}
+          >
+            {renderValue(remote)}
+          </button>
+          {canMerge && (
+            <button
+              onClick={() => handleFieldChoice(field, 'merged')}
+              className={`text-left text-sm text-gray-900 p-2 rounded border-2 transition-colors ${
+                choice === 'merged' ? 'border-purple-500 bg-purple-50' : 'border-transparent bg-white hover:border-purple-200'
+              }`}
+            >
+              <span className="block text-xs font-medium text-purple-700 mb-1">Merged</span>
+              {renderValue(merged)}
+            </button>
+          )}
         </div>
       </div>
     );
@@ -97,7 +169,7 @@ function ConflictResolutionModal({ conflicts, onResolve, onClose }) {
               <div>
                 <h2 className="text-xl font-semibold text-gray-900">Sync Conflict Detected</h2>
                 <p className="text-sm text-gray-600">
-                  Conflict {currentConflictIndex + 1} of {conflicts.length} - Choose which version to keep
+                  Conflict {currentConflictIndex + 1} of {conflicts.length} - Choose which value to keep for each field
                 </p>
               </div>
             </div>
@@ -128,137 +200,68 @@ function ConflictResolutionModal({ conflicts, onResolve, onClose }) {
                   {currentConflict.table} - {currentConflict.local?.title || currentConflict.remote?.title || 'Unnamed Item'}
                 </h3>
                 <p className="text-sm text-yellow-700">
-                  This item has been modified in multiple places. Choose which version to keep.
+                  Some fields were changed both on this device and in the cloud. Changes to other fields have already been merged.
                 </p>
               </div>
 
-              {/* Version Comparison */}
-              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-                {/* Local Version */}
-                <div className="border border-blue-200 rounded-lg overflow-hidden">
-                  <div className="bg-blue-50 p-4 border-b border-blue-200">
-                    <div className="flex items-center space-x-2">
-                      <SafeIcon icon={FiSmartphone} className="text-blue-600" />
-                      <h4 className="font-semibold text-blue-800">Local Version (This Device)</h4>
-                    </div>
-                    {currentConflict.local?.updated_at && (
-                      <p className="text-xs text-blue-600 mt-1">
-                        <SafeIcon icon={FiClock} className="inline mr-1" />
-                        Modified: {formatTimestamp(currentConflict.local.updated_at)}
-                      </p>
-                    )}
-                  </div>
-                  <div className="p-4 space-y-3">
-                    {currentConflict.local ? (
-                      <>
-                        <div>
-                          <h5 className="text-sm font-medium text-gray-700">Title</h5>
-                          <p className="text-sm text-gray-900">{currentConflict.local.title}</p>
-                        </div>
-                        {currentConflict.local.description && (
-                          <div>
-                            <h5 className="text-sm font-medium text-gray-700">Description</h5>
-                            <p className="text-sm text-gray-900 line-clamp-3">{currentConflict.local.description}</p>
-                          </div>
-                        )}
-                        {currentConflict.local.priority && (
-                          <div>
-                            <h5 className="text-sm font-medium text-gray-700">Priority</h5>
-                            <span className={`inline-block px-2 py-1 rounded-full text-xs font-medium ${
-                              currentConflict.local.priority === 'urgent' ? 'bg-red-100 text-red-600' :
-                              currentConflict.local.priority === 'high' ? 'bg-orange-100 text-orange-600' :
-                              currentConflict.local.priority === 'medium' ? 'bg-yellow-100 text-yellow-600' :
-                              'bg-green-100 text-green-600'
-                            }`}>
-                              {currentConflict.local.priority}
-                            </span>
-                          </div>
-                        )}
-                      </>
-                    ) : (
-                      <p className="text-gray-500 italic">Item deleted locally</p>
-                    )}
-                  </div>
-                  <div className="p-4 border-t bg-gray-50">
-                    <button
-                      onClick={() => handleResolve('local')}
-                      className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors"
-                    >
-                      Keep Local Version
-                    </button>
+              {/* Version headers */}
+              <div className="grid grid-cols-2 gap-4">
+                <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+                  <div className="flex items-center space-x-2">
+                    <SafeIcon icon={FiSmartphone} className="text-blue-600" />
+                    <h4 className="font-semibold text-blue-800">Local Version (This Device)</h4>
                   </div>
+                  {currentConflict.local?.updated_at && (
+                    <p className="text-xs text-blue-600 mt-1">
+                      <SafeIcon icon={FiClock} className="inline mr-1" />
+                      Modified: {formatTimestamp(currentConflict.local.updated_at)}
+                    </p>
+                  )}
+                  <button
+                    onClick={() => handleResolve('local')}
+                    className="mt-3 w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors text-sm"
+                  >
+                    Keep Local for All Fields
+                  </button>
                 </div>
-
-                {/* Remote Version */}
-                <div className="border border-green-200 rounded-lg overflow-hidden">
-                  <div className="bg-green-50 p-4 border-b border-green-200">
-                    <div className="flex items-center space-x-2">
-                      <SafeIcon icon={FiDatabase} className="text-green-600" />
-                      <h4 className="font-semibold text-green-800">Remote Version (Cloud)</h4>
-                    </div>
-                    {currentConflict.remote?.updated_at && (
-                      <p className="text-xs text-green-600 mt-1">
-                        <SafeIcon icon={FiClock} className="inline mr-1" />
-                        Modified: {formatTimestamp(currentConflict.remote.updated_at)}
-                      </p>
-                    )}
-                  </div>
-                  <div className="p-4 space-y-3">
-                    {currentConflict.remote ? (
-                      <>
-                        <div>
-                          <h5 className="text-sm font-medium text-gray-700">Title</h5>
-                          <p className="text-sm text-gray-900">{currentConflict.remote.title}</p>
-                        </div>
-                        {currentConflict.remote.description && (
-                          <div>
-                            <h5 className="text-sm font-medium text-gray-700">Description</h5>
-                            <p className="text-sm text-gray-900 line-clamp-3">{currentConflict.remote.description}</p>
-                          </div>
-                        )}
-                        {currentConflict.remote.priority && (
-                          <div>
-                            <h5 className="text-sm font-medium text-gray-700">Priority</h5>
-                            <span className={`inline-block px-2 py-1 rounded-full text-xs font-medium ${
-                              currentConflict.remote.priority === 'urgent' ? 'bg-red-100 text-red-600' :
-                              currentConflict.remote.priority === 'high' ? 'bg-orange-100 text-orange-600' :
-                              currentConflict.remote.priority === 'medium' ? 'bg-yellow-100 text-yellow-600' :
-                              'bg-green-100 text-green-600'
-                            }`}>
-                              {currentConflict.remote.priority}
-                            </span>
-                          </div>
-                        )}
-                      </>
-                    ) : (
-                      <p className="text-gray-500 italic">Item deleted remotely</p>
-                    )}
-                  </div>
-                  <div className="p-4 border-t bg-gray-50">
-                    <button
-                      onClick={() => handleResolve('remote')}
-                      className="w-full bg-green-600 text-white py-2 px-4 rounded-lg hover:bg-green-700 transition-colors"
-                    >
-                      Keep Remote Version
-                    </button>
+                <div className="bg-green-50 border border-green-200 rounded-lg p-4">
+                  <div className="flex items-center space-x-2">
+                    <SafeIcon icon={FiDatabase} className="text-green-600" />
+                    <h4 className="font-semibold text-green-800">Remote Version (Cloud)</h4>
                   </div>
+                  {currentConflict.remote?.updated_at && (
+                    <p className="text-xs text-green-600 mt-1">
+                      <SafeIcon icon={FiClock} className="inline mr-1" />
+                      Modified: {formatTimestamp(currentConflict.remote.updated_at)}
+                    </p>
+                  )}
+                  <button
+                    onClick={() => handleResolve('remote')}
+                    className="mt-3 w-full bg-green-600 text-white py-2 px-4 rounded-lg hover:bg-green-700 transition-colors text-sm"
+                  >
+                    Keep Remote for All Fields
+                  </button>
                 </div>
               </div>
 
-              {/* Field-by-field differences */}
-              {currentConflict.local && currentConflict.remote && (
-                <div className="space-y-3">
-                  <h4 className="font-semibold text-gray-900">Detailed Differences</h4>
-                  <div className="grid grid-cols-1 gap-3">
-                    <div className="grid grid-cols-2 gap-4 text-sm">
-                      <div className="text-center font-medium text-blue-600">Local (This Device)</div>
-                      <div className="text-center font-medium text-green-600">Remote (Cloud)</div>
-                    </div>
-                    {renderDataComparison(currentConflict.local, currentConflict.remote, 'title')}
-                    {renderDataComparison(currentConflict.local, currentConflict.remote, 'description')}
-                    {renderDataComparison(currentConflict.local, currentConflict.remote, 'priority')}
-                    {renderDataComparison(currentConflict.local, currentConflict.remote, 'status')}
-                  </div>
+              {/* Field-by-field picks */}
+              <div className="space-y-3">
+                <h4 className="font-semibold text-gray-900">
+                  Conflicting Fields ({conflictFields.length})
+                </h4>
+                <p className="text-sm text-gray-600">
+                  Click the value to keep for each field. Lists such as the checklist keep both sides' items unless you pick one side;
+                  the "for all fields" buttons leave them merged.
+                </p>
+                {conflictFields.map(renderFieldConflict)}
+              </div>
+
+              {autoMergedFields.length > 0 && (
+                <div className="flex items-start space-x-2 p-3 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800">
+                  <SafeIcon icon={FiCheck} className="mt-0.5" />
+                  <span>
+                    Merged automatically: {autoMergedFields.map(formatFieldName).join(', ')}
+                  </span>
                 </div>
               )}
             </div>
@@ -284,6 +287,13 @@ function ConflictResolutionModal({ conflicts, onResolve, onClose }) {
               >
                 Cancel Sync
               </button>
+
+              <button
+                onClick={handleApplyChoices}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+              >
+                {isLastConflict ? 'Apply Choices' : 'Apply & Next'}
+              </button>
               
               {/* Auto-resolve options */}
               <div className="flex space-x-2">
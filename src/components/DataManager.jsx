@@ -6,6 +6,8 @@ import { useTask } from '../contexts/TaskContext';
 import { useCategory } from '../contexts/CategoryContext';
 import { useProject } from '../contexts/ProjectContext';
 import { useActivityLogCategory } from '../contexts/ActivityLogCategoryContext';
+import { db } from '../services/database';
+import { getProjectMetrics } from '../utils/projectMetrics';
 import { format } from 'date-fns';
 
 const { FiDownload, FiUpload, FiFileText, FiAlertTriangle, FiCheck, FiX } = FiIcons;
@@ -22,6 +24,12 @@ function DataManager({ isOpen, onClose }) {
 
   const exportData = () => {
     try {
+      const projectMetrics = projects.map(project => ({
+        id: project.id,
+        title: project.title,
+        ...getProjectMetrics(project, tasks)
+      }));
+
       // Get all data from localStorage
       const exportData = {
         version: "1.0.0",
@@ -49,6 +57,9 @@ function DataManager({ isOpen, onClose }) {
           archivedProjects: projects.filter(p => p.archived).length,
           completedProjects: projects.filter(p => p.status === 'completed').length,
           projectsWithTasks: projects.filter(p => p.linkedTasks && p.linkedTasks.length > 0).length,
+          staleProjects: projectMetrics.filter(m => m.stale).length,
+          overdueProjectTasks: projectMetrics.reduce((sum, m) => sum + m.overdueTasks, 0),
+          projectMetrics,
           totalActivityLogCategories: activityLogCategories.length,
           customActivityLogCategories: activityLogCategories.filter(c => !c.predefined).length
         }
@@ -113,35 +124,28 @@ function DataManager({ isOpen, onClose }) {
     event.target.value = ''; // Reset file input
   };
 
-  const confirmImport = () => {
+  const confirmImport = async () => {
     try {
       const { data } = pendingImportData;
 
-      // Clear existing data and import new data
-      localStorage.removeItem('todoTasks');
-      localStorage.removeItem('todoCategories');
-      localStorage.removeItem('todoProjects');
-      localStorage.removeItem('todoActivityLogCategories');
-
-      // Import tasks
-      if (data.tasks && Array.isArray(data.tasks)) {
-        localStorage.setItem('todoTasks', JSON.stringify(data.tasks));
-      }
-
-      // Import categories
-      if (data.categories && Array.isArray(data.categories)) {
-        localStorage.setItem('todoCategories', JSON.stringify(data.categories));
-      }
-
-      // Import projects (both active and archived)
-      if (data.projects && Array.isArray(data.projects)) {
-        localStorage.setItem('todoProjects', JSON.stringify(data.projects));
-      }
+      // Replace existing offline data with the imported data
+      const importTable = async (table, rows) => {
+        const validRows = Array.isArray(rows) ? rows : [];
+        await db.cacheToStorage(table, validRows.map(row => db.toDatabase(table, row)));
+      };
 
-      // Import activity log categories
-      if (data.activityLogCategories && Array.isArray(data.activityLogCategories)) {
-        localStorage.setItem('todoActivityLogCategories', JSON.stringify(data.activityLogCategories));
+      await importTable('tasks', data.tasks);
+      await importTable('categories', data.categories);
+      await importTable('projects', data.projects); // Both active and archived
+      // Older backups keep each project's activity log on the project itself
+      const projects = Array.isArray(data.projects) ? data.projects : [];
+      const legacyActivityLogs = projects.flatMap(project =>
+        db.legacyActivityLogs(project).map(entry => ({ ...entry, id: db.generateId() }))
+      );
+      if (legacyActivityLogs.length > 0) {
+        await db.upsertToStorage('project_activity_logs', legacyActivityLogs.map(entry => db.toDatabase('project_activity_logs', entry)));
       }
+      await importTable('activity_log_categories', data.activityLogCategories);
 
       // Import settings
       if (data.settings) {
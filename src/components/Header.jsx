@@ -5,6 +5,8 @@ import { useAuth } from '../contexts/AuthContext';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 import LogoutButton from './LogoutButton';
+import WorkspaceSwitcher from './workspaces/WorkspaceSwitcher';
+import NotificationMenu from './notifications/NotificationMenu';
 
 const {
   FiCheckSquare,
@@ -15,6 +17,8 @@ const {
   FiSettings,
   FiBriefcase,
   FiCalendar,
+  FiClock,
+  FiBookOpen,
   FiChevronDown,
   FiChevronUp
 } = FiIcons;
@@ -37,6 +41,8 @@ function Header() {
     },
     { path: '/projects', icon: FiBriefcase, label: 'Projects' },
     { path: '/events', icon: FiCalendar, label: 'Events' },
+    { path: '/contacts', icon: FiBookOpen, label: 'Contacts' },
+    { path: '/calendar', icon: FiClock, label: 'Calendar' },
     { path: '/archive', icon: FiArchive, label: 'Archive' },
     { path: '/settings', icon: FiSettings, label: 'Settings' }
   ];
@@ -45,10 +51,13 @@ function Header() {
     <header className="bg-white shadow-sm border-b border-gray-200">
       <div className="container mx-auto px-4">
         <div className="flex items-center justify-between h-16">
-          <Link to="/" className="flex items-center space-x-2">
-            <SafeIcon icon={FiCheckSquare} className="text-2xl text-blue-600" />
-            <span className="text-xl font-bold text-gray-900">NGOG ToDo Tracker</span>
-          </Link>
+          <div className="flex items-center space-x-4">
+            <Link to="/" className="flex items-center space-x-2">
+              <SafeIcon icon={FiCheckSquare} className="text-2xl text-blue-600" />
+              <span className="text-xl font-bold text-gray-900">NGOG ToDo Tracker</span>
+            </Link>
+            {user && session && <WorkspaceSwitcher />}
+          </div>
           <nav className="flex items-center space-x-4">
             {navItems.map((item) => (
               <div key={item.path} className="relative">
@@ -118,9 +127,10 @@ function Header() {
                 )}
               </div>
             ))}
-            {/* Logout Button */}
+            {/* Notifications and Logout Button */}
             {user && session && (
-              <div className="ml-3 pl-3 border-l border-gray-200">
+              <div className="flex items-center space-x-2 ml-3 pl-3 border-l border-gray-200">
+                <NotificationMenu />
                 <LogoutButton />
               </div>
             )}
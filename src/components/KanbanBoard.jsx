@@ -0,0 +1,194 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiAlertTriangle, FiSliders } = FiIcons;
+
+const WIP_LIMITS_KEY = 'todoBoardWipLimits';
+
+// WIP limits are per device and stored per board, e.g. { tasks_status: { open: 5 } }
+const loadWipLimits = (boardId) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(WIP_LIMITS_KEY) || '{}');
+    return saved[boardId] || {};
+  } catch (error) {
+    console.error('Error loading WIP limits:', error);
+    return {};
+  }
+};
+
+const saveWipLimits = (boardId, limits) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(WIP_LIMITS_KEY) || '{}');
+    localStorage.setItem(WIP_LIMITS_KEY, JSON.stringify({ ...saved, [boardId]: limits }));
+  } catch (error) {
+    console.error('Error saving WIP limits:', error);
+  }
+};
+
+/**
+ * Generic drag-and-drop board.
+ * `columns` is a list of { id, label, color }, `getColumnId` maps an item to
+ * the column it belongs to and `onMove(item, fromColumnId, toColumnId)` persists a drop.
+ * Render with `key={boardId}` so switching boards reloads their WIP limits.
+ */
+function KanbanBoard({ boardId, columns, items, getColumnId, renderCard, onMove }) {
+  const [wipLimits, setWipLimits] = useState(() => loadWipLimits(boardId));
+  const [editingLimits, setEditingLimits] = useState(false);
+  const [draggedItem, setDraggedItem] = useState(null);
+  const [dragOverColumn, setDragOverColumn] = useState(null);
+
+  const getColumnItems = (columnId) => items.filter(item => getColumnId(item) === columnId);
+
+  const handleLimitChange = (columnId, value) => {
+    const limit = parseInt(value, 10);
+    const newLimits = { ...wipLimits };
+    if (limit > 0) {
+      newLimits[columnId] = limit;
+    } else {
+      delete newLimits[columnId];
+    }
+    setWipLimits(newLimits);
+    saveWipLimits(boardId, newLimits);
+  };
+
+  const handleDragStart = (e, item) => {
+    setDraggedItem(item);
+    e.dataTransfer.effectAllowed = 'move';
+    // Firefox only starts a drag when data is set
+    e.dataTransfer.setData('text/plain', item.id);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedItem(null);
+    setDragOverColumn(null);
+  };
+
+  const handleDrop = async (e, column) => {
+    e.preventDefault();
+    const item = draggedItem;
+    handleDragEnd();
+    if (!item) return;
+
+    const fromColumnId = getColumnId(item);
+    if (fromColumnId === column.id) return;
+
+    const limit = wipLimits[column.id];
+    const count = getColumnItems(column.id).length;
+    if (limit && count >= limit &&
+      !window.confirm(`"${column.label}" is at its WIP limit of ${limit}. Move it there anyway?`)) {
+      return;
+    }
+
+    try {
+      await onMove(item, fromColumnId, column.id);
+    } catch (error) {
+      console.error('Error moving item:', error);
+      alert(`Could not move item: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex justify-end">
+        <button
+          onClick={() => setEditingLimits(!editingLimits)}
+          className={`flex items-center space-x-1 px-3 py-1 rounded-md text-sm ${
+            editingLimits ? 'bg-blue-100 text-blue-700' : 'text-gray-600 hover:bg-gray-100'
+          }`}
+        >
+          <SafeIcon icon={FiSliders} className="text-sm" />
+          <span>WIP Limits</span>
+        </button>
+      </div>
+
+      <div className="flex gap-4 overflow-x-auto pb-4">
+        {columns.map(column => {
+          const columnItems = getColumnItems(column.id);
+          const limit = wipLimits[column.id];
+          const overLimit = limit && columnItems.length > limit;
+          const atLimit = limit && columnItems.length === limit;
+
+          return (
+            <div
+              key={column.id}
+              onDragOver={(e) => {
+                e.preventDefault();
+                setDragOverColumn(column.id);
+              }}
+              onDragLeave={() => setDragOverColumn(null)}
+              onDrop={(e) => handleDrop(e, column)}
+              className={`flex-shrink-0 w-80 rounded-lg border-2 transition-colors ${
+                dragOverColumn === column.id
+                  ? 'border-blue-400 bg-blue-50'
+                  : overLimit
+                  ? 'border-red-300 bg-red-50'
+                  : 'border-transparent bg-gray-100'
+              }`}
+            >
+              <div className="p-3 border-b border-gray-200">
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center space-x-2">
+                    <div className="w-3 h-3 rounded-full" style={{ backgroundColor: column.color || '#6B7280' }} />
+                    <h3 className="font-semibold text-gray-900">{column.label}</h3>
+                  </div>
+                  <span className={`flex items-center space-x-1 px-2 py-0.5 rounded-full text-xs font-medium ${
+                    overLimit
+                      ? 'bg-red-100 text-red-700'
+                      : atLimit
+                      ? 'bg-yellow-100 text-yellow-700'
+                      : 'bg-white text-gray-600'
+                  }`}>
+                    {overLimit && <SafeIcon icon={FiAlertTriangle} className="text-xs" />}
+                    <span>{columnItems.length}{limit ? ` / ${limit}` : ''}</span>
+                  </span>
+                </div>
+                {editingLimits && (
+                  <div className="flex items-center space-x-2 mt-2">
+                    <label className="text-xs text-gray-600">WIP limit</label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={limit || ''}
+                      onChange={(e) => handleLimitChange(column.id, e.target.value)}
+                      placeholder="None"
+                      className="w-20 px-2 py-1 border border-gray-300 rounded text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                )}
+              </div>
+
+              <div className="p-3 space-y-3 min-h-[8rem]">
+                <AnimatePresence>
+                  {columnItems.map(item => (
+                    <div
+                      key={item.id}
+                      draggable
+                      onDragStart={(e) => handleDragStart(e, item)}
+                      onDragEnd={handleDragEnd}
+                      className={`cursor-move ${draggedItem?.id === item.id ? 'opacity-50' : ''}`}
+                    >
+                      {renderCard(item)}
+                    </div>
+                  ))}
+                </AnimatePresence>
+                {columnItems.length === 0 && (
+                  <motion.p
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    className="text-center text-sm text-gray-400 py-6"
+                  >
+                    Drop items here
+                  </motion.p>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default KanbanBoard;
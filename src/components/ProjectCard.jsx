@@ -4,12 +4,19 @@ import { format, parseISO } from 'date-fns';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 import { useProject } from '../contexts/ProjectContext';
+import { useTask } from '../contexts/TaskContext';
+import { getProjectMetrics, describeDaysSince } from '../utils/projectMetrics';
 
-const { FiEdit3, FiTrash2, FiUsers, FiLink, FiCalendar, FiActivity, FiArchive, FiMoreVertical } = FiIcons;
+const {
+  FiEdit3, FiTrash2, FiUsers, FiLink, FiCalendar, FiActivity, FiArchive, FiMoreVertical,
+  FiAlertTriangle, FiClock
+} = FiIcons;
 
 function ProjectCard({ project, onEdit, onDelete, onArchive, onViewDetails }) {
   const [showDropdown, setShowDropdown] = useState(false);
   const { STATUS_COLORS } = useProject();
+  const { tasks } = useTask();
+  const metrics = getProjectMetrics(project, tasks);
 
   const getStatusLabel = (status) => {
     const labels = {
@@ -124,6 +131,15 @@ function ProjectCard({ project, onEdit, onDelete, onArchive, onViewDetails }) {
             <SafeIcon icon={getStatusIcon(project.status)} className="mr-1 text-xs" />
             {getStatusLabel(project.status)}
           </span>
+          {metrics.stale && (
+            <span
+              className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800"
+              title={`No activity logged for ${metrics.daysSinceActivity} days`}
+            >
+              <SafeIcon icon={FiClock} className="mr-1 text-xs" />
+              Stale
+            </span>
+          )}
         </div>
 
         {/* Description */}
@@ -133,6 +149,28 @@ function ProjectCard({ project, onEdit, onDelete, onArchive, onViewDetails }) {
           </p>
         )}
 
+        {/* Progress */}
+        {metrics.totalTasks > 0 && (
+          <div className="mb-4">
+            <div className="flex items-center justify-between text-xs text-gray-500 mb-1">
+              <span>{metrics.completedTasks} of {metrics.totalTasks} tasks done</span>
+              <span className="font-medium text-gray-700">{metrics.progress}%</span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-1.5">
+              <div
+                className="h-1.5 rounded-full"
+                style={{ width: `${metrics.progress}%`, backgroundColor: project.color || '#3B82F6' }}
+              />
+            </div>
+            {metrics.overdueTasks > 0 && (
+              <p className="flex items-center space-x-1 text-xs text-red-600 mt-1">
+                <SafeIcon icon={FiAlertTriangle} className="text-xs" />
+                <span>{metrics.overdueTasks} overdue</span>
+              </p>
+            )}
+          </div>
+        )}
+
         {/* Stats */}
         <div className="flex items-center justify-between text-sm text-gray-500">
           <div className="flex items-center space-x-4">
@@ -148,6 +186,10 @@ function ProjectCard({ project, onEdit, onDelete, onArchive, onViewDetails }) {
                 <span>{project.linkedTasks.length} linked task{project.linkedTasks.length > 1 ? 's' : ''}</span>
               </div>
             )}
+            <div className="flex items-center space-x-1" title="Last activity log entry">
+              <SafeIcon icon={FiActivity} className="text-xs" />
+              <span>{describeDaysSince(metrics.daysSinceActivity)}</span>
+            </div>
           </div>
           <div className="flex items-center space-x-1">
             <SafeIcon icon={FiCalendar} className="text-xs" />
@@ -6,20 +6,30 @@ import * as FiIcons from 'react-icons/fi';
 import { useProject } from '../contexts/ProjectContext';
 import { useTask } from '../contexts/TaskContext';
 import { useActivityLogCategory } from '../contexts/ActivityLogCategoryContext';
+import { useContact } from '../contexts/ContactContext';
 import TaskModal from './TaskModal';
+import CommentThread from './comments/CommentThread';
 import ReactQuill from 'react-quill';
 import 'react-quill/dist/quill.snow.css';
 import DOMPurify from 'dompurify';
+import { getOpenBlockers, getDependents } from '../utils/taskDependencies';
+import { sortMilestones, isMilestoneOverdue } from '../utils/projectTimeline';
+import { resolveParticipant } from '../utils/contacts';
 
 const { 
   FiX, FiPlus, FiUser, FiMail, FiPhone, FiLink, FiUnlink, FiMessageSquare, 
-  FiCalendar, FiActivity, FiEdit3, FiTrash2, FiTag, FiEye, FiCheck
+  FiCalendar, FiActivity, FiEdit3, FiTrash2, FiTag, FiEye, FiCheck, FiList, FiGitBranch, FiLock, FiFlag,
+  FiMessageCircle
 } = FiIcons;
 
 function ProjectDetailsModal({ project, onClose, onEdit }) {
-  const { STATUS_COLORS, addActivityLog, linkTaskToProject, unlinkTaskFromProject, deleteActivityLog } = useProject();
+  const {
+    STATUS_COLORS, addActivityLog, linkTaskToProject, unlinkTaskFromProject, deleteActivityLog,
+    loadActivityLog, getActivityLog, getProjectById, toggleMilestone
+  } = useProject();
   const { tasks, addTask, updateTask, toggleTaskStatus } = useTask();
   const { getActiveActivityLogCategories, getActivityLogCategoryById } = useActivityLogCategory();
+  const { getContactById } = useContact();
   const [activeTab, setActiveTab] = useState('overview');
   const [showTaskModal, setShowTaskModal] = useState(false);
   const [editingTask, setEditingTask] = useState(null);
@@ -27,8 +37,10 @@ function ProjectDetailsModal({ project, onClose, onEdit }) {
   const [activityMessage, setActivityMessage] = useState('');
   const [activityCategory, setActivityCategory] = useState('general');
   const [showLinkTaskModal, setShowLinkTaskModal] = useState(false);
+  const [taskView, setTaskView] = useState('list');
   // State to force refresh of linked tasks
   const [refreshKey, setRefreshKey] = useState(0);
+  const [loadingActivity, setLoadingActivity] = useState(false);
 
   const activeActivityLogCategories = getActiveActivityLogCategories();
 
@@ -41,8 +53,27 @@ function ProjectDetailsModal({ project, onClose, onEdit }) {
     !project?.linkedTasks || !project.linkedTasks.includes(task.id)
   );
 
+  const activityLog = getActivityLog(project?.id);
+
+  useEffect(() => {
+    if (project?.id) {
+      loadActivityLog(project.id);
+    }
+  }, [project?.id]);
+
   if (!project) return null;
 
+  // Milestones change while the modal is open, so read them from the context
+  const currentProject = getProjectById(project.id) || project;
+  const milestones = sortMilestones(currentProject.milestones);
+  const reachedMilestones = milestones.filter(milestone => milestone.completed).length;
+
+  const handleToggleMilestone = (milestoneId) => {
+    toggleMilestone(project.id, milestoneId).catch(error => {
+      alert(`Could not update the milestone: ${error.message}`);
+    });
+  };
+
   const getStatusLabel = (status) => {
     const labels = {
       idea: 'Idea',
@@ -55,12 +86,12 @@ function ProjectDetailsModal({ project, onClose, onEdit }) {
     return labels[status] || status;
   };
 
-  const handleCreateTask = (taskData) => {
+  const handleCreateTask = async (taskData) => {
     // Create the task and get the returned task object
-    const newTask = addTask(taskData);
+    const newTask = await addTask(taskData);
     
     // Link the new task to the project using the returned task's ID
-    linkTaskToProject(project.id, newTask.id, taskData.title);
+    await linkTaskToProject(project.id, newTask.id, taskData.title);
     
     // Close the modal
     setShowTaskModal(false);
@@ -82,16 +113,21 @@ function ProjectDetailsModal({ project, onClose, onEdit }) {
     setRefreshKey(prev => prev + 1);
   };
 
-  const handleAddActivity = (e) => {
+  const handleAddActivity = async (e) => {
     e.preventDefault();
     if (!activityMessage.trim()) return;
 
-    addActivityLog(project.id, {
-      type: 'manual',
-      message: activityMessage.trim(),
-      auto: false,
-      category: activityCategory
-    });
+    try {
+      await addActivityLog(project.id, {
+        type: 'manual',
+        message: activityMessage.trim(),
+        auto: false,
+        category: activityCategory
+      });
+    } catch (error) {
+      alert(`Could not save the activity log entry: ${error.message}`);
+      return;
+    }
     setActivityMessage('');
     setActivityCategory('general');
     setShowActivityForm(false);
@@ -99,10 +135,18 @@ function ProjectDetailsModal({ project, onClose, onEdit }) {
 
   const handleDeleteActivity = (entryId) => {
     if (window.confirm('Are you sure you want to delete this activity log entry?')) {
-      deleteActivityLog(project.id, entryId);
+      deleteActivityLog(project.id, entryId).catch(error => {
+        alert(`Could not delete the activity log entry: ${error.message}`);
+      });
     }
   };
 
+  const handleLoadOlderActivity = async () => {
+    setLoadingActivity(true);
+    await loadActivityLog(project.id, { more: true });
+    setLoadingActivity(false);
+  };
+
   const handleLinkTask = (taskId) => {
     const task = tasks.find(t => t.id === taskId);
     if (task) {
@@ -127,6 +171,81 @@ function ProjectDetailsModal({ project, onClose, onEdit }) {
     setShowTaskModal(true);
   };
 
+  // Dependency view: linked tasks as a subtask tree with their blockers
+  const linkedTaskIds = linkedTasks.map(task => task.id);
+  const rootTasks = linkedTasks.filter(task => !task.parentTask || !linkedTaskIds.includes(task.parentTask));
+  const blockedTaskCount = linkedTasks.filter(task =>
+    task.status === 'open' && getOpenBlockers(tasks, task).length > 0
+  ).length;
+  const readyTaskCount = linkedTasks.filter(task =>
+    task.status === 'open' && getOpenBlockers(tasks, task).length === 0
+  ).length;
+
+  const renderDependencyNode = (task, depth = 0, visited = []) => {
+    // Guard against cycles in data that bypassed the client checks
+    if (visited.includes(task.id)) return null;
+
+    const children = linkedTasks.filter(t => t.parentTask === task.id);
+    const dependents = getDependents(tasks, task.id);
+
+    return (
+      <div key={task.id}>
+        <div
+          className="flex items-start justify-between p-2 rounded-md hover:bg-gray-50"
+          style={{ paddingLeft: `${depth * 1.5 + 0.5}rem` }}
+        >
+          <div className="flex items-start space-x-2 min-w-0">
+            <div className={`w-2 h-2 rounded-full mt-2 flex-shrink-0 ${
+              task.status === 'completed'
+                ? 'bg-green-500'
+                : getOpenBlockers(tasks, task).length > 0
+                ? 'bg-orange-500'
+                : 'bg-blue-500'
+            }`} />
+            <div className="min-w-0">
+              <button
+                onClick={() => handleEditTask(task)}
+                className={`text-sm font-medium text-left hover:text-blue-600 ${
+                  task.status === 'completed' ? 'line-through text-gray-500' : 'text-gray-900'
+                }`}
+              >
+                {task.title}
+              </button>
+              {(task.blockedBy || []).length > 0 && (
+                <div className="flex flex-wrap items-center gap-1 mt-1">
+                  <SafeIcon icon={FiLock} className="text-xs text-gray-400" />
+                  {task.blockedBy.map(blockerId => {
+                    const blocker = tasks.find(t => t.id === blockerId);
+                    if (!blocker) return null;
+                    return (
+                      <span
+                        key={blockerId}
+                        className={`px-2 py-0.5 rounded-full text-xs ${
+                          blocker.status === 'completed'
+                            ? 'bg-green-50 text-green-600 line-through'
+                            : 'bg-orange-50 text-orange-600'
+                        }`}
+                        title={linkedTaskIds.includes(blockerId) ? undefined : 'Not linked to this project'}
+                      >
+                        {blocker.title}{!linkedTaskIds.includes(blockerId) && ' ↗'}
+                      </span>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+          </div>
+          {dependents.length > 0 && (
+            <span className="text-xs text-gray-500 flex-shrink-0 ml-2">
+              blocks {dependents.length}
+            </span>
+          )}
+        </div>
+        {children.map(child => renderDependencyNode(child, depth + 1, [...visited, task.id]))}
+      </div>
+    );
+  };
+
   // Rich text editor modules configuration
   const modules = {
     toolbar: [
@@ -147,7 +266,8 @@ function ProjectDetailsModal({ project, onClose, onEdit }) {
     { id: 'overview', label: 'Overview', icon: FiActivity },
     { id: 'participants', label: 'Participants', icon: FiUser },
     { id: 'tasks', label: 'Linked Tasks', icon: FiLink },
-    { id: 'activity', label: 'Activity Log', icon: FiMessageSquare }
+    { id: 'activity', label: 'Activity Log', icon: FiMessageSquare },
+    { id: 'comments', label: 'Comments', icon: FiMessageCircle }
   ];
 
   return (
@@ -256,6 +376,58 @@ function ProjectDetailsModal({ project, onClose, onEdit }) {
                     </p>
                   </div>
                 </div>
+                {(currentProject.startDate || currentProject.targetDate) && (
+                  <div className="flex items-center space-x-2 text-sm text-gray-600">
+                    <SafeIcon icon={FiCalendar} className="text-gray-400" />
+                    <span>
+                      {currentProject.startDate ? format(parseISO(currentProject.startDate), 'MMM dd, yyyy') : 'No start date'}
+                      {' → '}
+                      {currentProject.targetDate ? format(parseISO(currentProject.targetDate), 'MMM dd, yyyy') : 'No target date'}
+                    </span>
+                  </div>
+                )}
+                <div>
+                  <div className="flex items-center justify-between mb-2">
+                    <h3 className="text-lg font-semibold text-gray-900">Milestones</h3>
+                    {milestones.length > 0 && (
+                      <span className="text-sm text-gray-500">
+                        {reachedMilestones} of {milestones.length} reached
+                      </span>
+                    )}
+                  </div>
+                  {milestones.length > 0 ? (
+                    <div className="space-y-2">
+                      {milestones.map(milestone => (
+                        <div key={milestone.id} className="flex items-center justify-between bg-gray-50 rounded-lg p-3">
+                          <div className="flex items-center space-x-3">
+                            <button
+                              onClick={() => handleToggleMilestone(milestone.id)}
+                              className={`w-5 h-5 rounded border-2 flex items-center justify-center transition-colors ${
+                                milestone.completed
+                                  ? 'bg-green-500 border-green-500 text-white'
+                                  : 'border-gray-300 hover:border-green-500'
+                              }`}
+                              title={milestone.completed ? 'Mark as not reached' : 'Mark as reached'}
+                            >
+                              {milestone.completed && <SafeIcon icon={FiCheck} className="text-xs" />}
+                            </button>
+                            <SafeIcon icon={FiFlag} className={milestone.completed ? 'text-green-500' : 'text-gray-400'} />
+                            <span className={`text-sm ${milestone.completed ? 'line-through text-gray-500' : 'text-gray-900'}`}>
+                              {milestone.title}
+                            </span>
+                          </div>
+                          {milestone.dueDate && (
+                            <span className={`text-xs ${isMilestoneOverdue(milestone) ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
+                              {format(parseISO(milestone.dueDate), 'MMM dd, yyyy')}
+                            </span>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <p className="text-sm text-gray-500">No milestones yet. Add them when editing the project.</p>
+                  )}
+                </div>
               </div>
             )}
 
@@ -266,31 +438,33 @@ function ProjectDetailsModal({ project, onClose, onEdit }) {
                 </div>
                 {project.participants && project.participants.length > 0 ? (
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                    {project.participants.map((participant) => (
-                      <div key={participant.id} className="border rounded-lg p-4">
-                        <div className="flex items-center space-x-3 mb-2">
-                          <SafeIcon icon={FiUser} className="text-gray-400" />
-                          <div>
-                            <h4 className="font-medium text-gray-900">{participant.name}</h4>
-                            <p className="text-sm text-gray-600">{participant.role}</p>
-                          </div>
-                        </div>
-                        <div className="space-y-1 text-sm text-gray-600">
-                          {participant.email && (
-                            <div className="flex items-center space-x-2">
-                              <SafeIcon icon={FiMail} className="text-xs" />
-                              <span>{participant.email}</span>
-                            </div>
-                          )}
-                          {participant.phone && (
-                            <div className="flex items-center space-x-2">
-                              <SafeIcon icon={FiPhone} className="text-xs" />
-                              <span>{participant.phone}</span>
+                    {project.participants
+                      .map(participant => resolveParticipant(participant, getContactById(participant.contactId)))
+                      .map((participant) => (
+                        <div key={participant.id} className="border rounded-lg p-4">
+                          <div className="flex items-center space-x-3 mb-2">
+                            <SafeIcon icon={FiUser} className="text-gray-400" />
+                            <div>
+                              <h4 className="font-medium text-gray-900">{participant.name}</h4>
+                              <p className="text-sm text-gray-600">{participant.role}</p>
                             </div>
-                          )}
+                          </div>
+                          <div className="space-y-1 text-sm text-gray-600">
+                            {participant.email && (
+                              <div className="flex items-center space-x-2">
+                                <SafeIcon icon={FiMail} className="text-xs" />
+                                <span>{participant.email}</span>
+                              </div>
+                            )}
+                            {participant.phone && (
+                              <div className="flex items-center space-x-2">
+                                <SafeIcon icon={FiPhone} className="text-xs" />
+                                <span>{participant.phone}</span>
+                              </div>
+                            )}
+                          </div>
                         </div>
-                      </div>
-                    ))}
+                      ))}
                   </div>
                 ) : (
                   <p className="text-gray-500 text-center py-8">No participants added yet.</p>
@@ -301,7 +475,29 @@ function ProjectDetailsModal({ project, onClose, onEdit }) {
             {activeTab === 'tasks' && (
               <div className="space-y-4">
                 <div className="flex items-center justify-between">
-                  <h3 className="text-lg font-semibold text-gray-900">Linked Tasks</h3>
+                  <div className="flex items-center space-x-3">
+                    <h3 className="text-lg font-semibold text-gray-900">Linked Tasks</h3>
+                    <div className="flex bg-gray-100 rounded-md p-0.5">
+                      <button
+                        onClick={() => setTaskView('list')}
+                        className={`flex items-center space-x-1 px-2 py-1 rounded text-xs ${
+                          taskView === 'list' ? 'bg-white shadow-sm text-gray-900' : 'text-gray-500'
+                        }`}
+                      >
+                        <SafeIcon icon={FiList} className="text-xs" />
+                        <span>List</span>
+                      </button>
+                      <button
+                        onClick={() => setTaskView('dependencies')}
+                        className={`flex items-center space-x-1 px-2 py-1 rounded text-xs ${
+                          taskView === 'dependencies' ? 'bg-white shadow-sm text-gray-900' : 'text-gray-500'
+                        }`}
+                      >
+                        <SafeIcon icon={FiGitBranch} className="text-xs" />
+                        <span>Dependencies</span>
+                      </button>
+                    </div>
+                  </div>
                   <div className="flex space-x-2">
                     <button
                       onClick={() => setShowLinkTaskModal(true)}
@@ -322,7 +518,27 @@ function ProjectDetailsModal({ project, onClose, onEdit }) {
                     </button>
                   </div>
                 </div>
-                {linkedTasks.length > 0 ? (
+                {linkedTasks.length > 0 && taskView === 'dependencies' ? (
+                  <div className="space-y-3">
+                    <div className="flex items-center space-x-4 text-xs text-gray-600">
+                      <span className="flex items-center space-x-1">
+                        <span className="w-2 h-2 rounded-full bg-blue-500" />
+                        <span>{readyTaskCount} ready</span>
+                      </span>
+                      <span className="flex items-center space-x-1">
+                        <span className="w-2 h-2 rounded-full bg-orange-500" />
+                        <span>{blockedTaskCount} blocked</span>
+                      </span>
+                      <span className="flex items-center space-x-1">
+                        <span className="w-2 h-2 rounded-full bg-green-500" />
+                        <span>{linkedTasks.length - readyTaskCount - blockedTaskCount} completed</span>
+                      </span>
+                    </div>
+                    <div className="border rounded-lg divide-y">
+                      {rootTasks.map(task => renderDependencyNode(task))}
+                    </div>
+                  </div>
+                ) : linkedTasks.length > 0 ? (
                   <div className="space-y-3">
                     {linkedTasks.map((task) => (
                       <div 
@@ -488,8 +704,8 @@ function ProjectDetailsModal({ project, onClose, onEdit }) {
                 )}
 
                 <div className="space-y-3">
-                  {project.activityLog && project.activityLog.length > 0 ? (
-                    project.activityLog
+                  {activityLog.entries.length > 0 ? (
+                    [...activityLog.entries]
                       .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
                       .map((entry) => {
                         const category = getActivityLogCategoryById(entry.category || 'general');
@@ -533,11 +749,26 @@ function ProjectDetailsModal({ project, onClose, onEdit }) {
                         );
                       })
                   ) : (
-                    <p className="text-gray-500 text-center py-8">No activity log entries yet.</p>
+                    <p className="text-gray-500 text-center py-8">
+                      {activityLog.loaded ? 'No activity log entries yet.' : 'Loading activity log...'}
+                    </p>
+                  )}
+                  {activityLog.hasMore && (
+                    <button
+                      onClick={handleLoadOlderActivity}
+                      disabled={loadingActivity}
+                      className="w-full py-2 text-sm text-blue-600 hover:text-blue-700 hover:bg-blue-50 rounded-lg transition-colors disabled:opacity-50"
+                    >
+                      {loadingActivity ? 'Loading...' : 'Load older entries'}
+                    </button>
                   )}
                 </div>
               </div>
             )}
+
+            {activeTab === 'comments' && (
+              <CommentThread entityType="project" entityId={project.id} />
+            )}
           </div>
         </motion.div>
       </motion.div>
@@ -2,12 +2,17 @@ import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
+import { v4 as uuidv4 } from 'uuid';
 import { useProject } from '../contexts/ProjectContext';
+import { useContact } from '../contexts/ContactContext';
+import ContactPicker from './contacts/ContactPicker';
+import { participantFromContact, resolveParticipant } from '../utils/contacts';
 
-const { FiX, FiPlus, FiTrash2, FiUser, FiMail, FiPhone, FiBriefcase } = FiIcons;
+const { FiX, FiPlus, FiTrash2, FiUser, FiMail, FiPhone, FiBriefcase, FiFlag, FiBookOpen } = FiIcons;
 
 function ProjectModal({ project, onClose, onSave }) {
   const { PROJECT_STATUSES } = useProject();
+  const { getContactById } = useContact();
   
   const [formData, setFormData] = useState({
     title: '',
@@ -15,7 +20,10 @@ function ProjectModal({ project, onClose, onSave }) {
     status: PROJECT_STATUSES.IDEA,
     color: '#3B82F6',
     participants: [],
-    linkedTasks: []
+    linkedTasks: [],
+    startDate: '',
+    targetDate: '',
+    milestones: []
   });
 
   useEffect(() => {
@@ -26,7 +34,10 @@ function ProjectModal({ project, onClose, onSave }) {
         status: project.status || PROJECT_STATUSES.IDEA,
         color: project.color || '#3B82F6',
         participants: project.participants || [],
-        linkedTasks: project.linkedTasks || []
+        linkedTasks: project.linkedTasks || [],
+        startDate: project.startDate || '',
+        targetDate: project.targetDate || '',
+        milestones: project.milestones || []
       });
     }
   }, [project, PROJECT_STATUSES.IDEA]);
@@ -38,7 +49,16 @@ function ProjectModal({ project, onClose, onSave }) {
     const projectData = {
       ...formData,
       title: formData.title.trim(),
-      description: formData.description.trim()
+      description: formData.description.trim(),
+      // Store the current directory details with participants picked from contacts
+      participants: formData.participants.map(participant => {
+        if (!participant.contactId) return participant;
+        const { name, email, phone } = resolveParticipant(participant, getContactById(participant.contactId));
+        return { ...participant, name, email: email || '', phone: phone || '' };
+      }),
+      milestones: formData.milestones
+        .filter(milestone => milestone.title.trim())
+        .map(milestone => ({ ...milestone, title: milestone.title.trim() }))
     };
 
     if (project) {
@@ -66,6 +86,16 @@ function ProjectModal({ project, onClose, onSave }) {
     }));
   };
 
+  const addContactParticipant = (contact) => {
+    setFormData(prev => ({
+      ...prev,
+      participants: [
+        ...prev.participants,
+        participantFromContact(contact, { email: contact.email || '', phone: contact.phone || '' })
+      ]
+    }));
+  };
+
   const updateParticipant = (id, updates) => {
     setFormData(prev => ({
       ...prev,
@@ -82,6 +112,32 @@ function ProjectModal({ project, onClose, onSave }) {
     }));
   };
 
+  const addMilestone = () => {
+    setFormData(prev => ({
+      ...prev,
+      milestones: [
+        ...prev.milestones,
+        { id: uuidv4(), title: '', dueDate: '', completed: false, completedAt: null }
+      ]
+    }));
+  };
+
+  const updateMilestone = (id, updates) => {
+    setFormData(prev => ({
+      ...prev,
+      milestones: prev.milestones.map(milestone =>
+        milestone.id === id ? { ...milestone, ...updates } : milestone
+      )
+    }));
+  };
+
+  const removeMilestone = (id) => {
+    setFormData(prev => ({
+      ...prev,
+      milestones: prev.milestones.filter(milestone => milestone.id !== id)
+    }));
+  };
+
   const statusOptions = [
     { value: PROJECT_STATUSES.IDEA, label: 'Idea', color: '#6B7280' },
     { value: PROJECT_STATUSES.PREPARATION, label: 'In Preparation', color: '#F59E0B' },
@@ -197,6 +253,78 @@ function ProjectModal({ project, onClose, onSave }) {
               />
             </div>
 
+            {/* Schedule */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Start Date
+                </label>
+                <input
+                  type="date"
+                  value={formData.startDate}
+                  onChange={(e) => setFormData(prev => ({ ...prev, startDate: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Target Date
+                </label>
+                <input
+                  type="date"
+                  value={formData.targetDate}
+                  min={formData.startDate || undefined}
+                  onChange={(e) => setFormData(prev => ({ ...prev, targetDate: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+            </div>
+
+            {/* Milestones */}
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <label className="block text-sm font-medium text-gray-700">
+                  Milestones
+                </label>
+                <button
+                  type="button"
+                  onClick={addMilestone}
+                  className="flex items-center space-x-1 text-blue-600 hover:text-blue-700 text-sm"
+                >
+                  <SafeIcon icon={FiPlus} className="text-sm" />
+                  <span>Add Milestone</span>
+                </button>
+              </div>
+
+              <div className="space-y-2">
+                {formData.milestones.map((milestone) => (
+                  <div key={milestone.id} className="flex items-center space-x-2">
+                    <SafeIcon icon={FiFlag} className={milestone.completed ? 'text-green-500' : 'text-gray-400'} />
+                    <input
+                      type="text"
+                      value={milestone.title}
+                      onChange={(e) => updateMilestone(milestone.id, { title: e.target.value })}
+                      className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      placeholder="Milestone"
+                    />
+                    <input
+                      type="date"
+                      value={milestone.dueDate || ''}
+                      onChange={(e) => updateMilestone(milestone.id, { dueDate: e.target.value })}
+                      className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => removeMilestone(milestone.id)}
+                      className="text-red-600 hover:text-red-700"
+                    >
+                      <SafeIcon icon={FiTrash2} className="text-sm" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+
             {/* Participants */}
             <div>
               <div className="flex items-center justify-between mb-2">
@@ -212,12 +340,22 @@ function ProjectModal({ project, onClose, onSave }) {
                   <span>Add Participant</span>
                 </button>
               </div>
+
+              <div className="mb-3">
+                <ContactPicker
+                  excludeIds={formData.participants.map(participant => participant.contactId).filter(Boolean)}
+                  onPick={addContactParticipant}
+                />
+              </div>
               
               <div className="space-y-3">
                 {formData.participants.map((participant) => (
                   <div key={participant.id} className="border rounded-lg p-4 bg-gray-50">
                     <div className="flex items-center justify-between mb-3">
-                      <SafeIcon icon={FiUser} className="text-gray-400" />
+                      <SafeIcon
+                        icon={participant.contactId ? FiBookOpen : FiUser}
+                        className={participant.contactId ? 'text-blue-500' : 'text-gray-400'}
+                      />
                       <button
                         type="button"
                         onClick={() => removeParticipant(participant.id)}
@@ -233,7 +371,10 @@ function ProjectModal({ project, onClose, onSave }) {
                           type="text"
                           value={participant.name}
                           onChange={(e) => updateParticipant(participant.id, { name: e.target.value })}
-                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          readOnly={!!participant.contactId}
+                          className={`w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                            participant.contactId ? 'bg-gray-100 text-gray-600' : ''
+                          }`}
                           placeholder="Name"
                         />
                       </div>
@@ -251,7 +392,10 @@ function ProjectModal({ project, onClose, onSave }) {
                           type="email"
                           value={participant.email}
                           onChange={(e) => updateParticipant(participant.id, { email: e.target.value })}
-                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          readOnly={!!participant.contactId}
+                          className={`w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                            participant.contactId ? 'bg-gray-100 text-gray-600' : ''
+                          }`}
                           placeholder="Email"
                         />
                       </div>
@@ -260,7 +404,10 @@ function ProjectModal({ project, onClose, onSave }) {
                           type="tel"
                           value={participant.phone}
                           onChange={(e) => updateParticipant(participant.id, { phone: e.target.value })}
-                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          readOnly={!!participant.contactId}
+                          className={`w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                            participant.contactId ? 'bg-gray-100 text-gray-600' : ''
+                          }`}
                           placeholder="Phone"
                         />
                       </div>
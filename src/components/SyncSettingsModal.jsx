@@ -19,6 +19,7 @@ function SyncSettingsModal({ isOpen, onClose }) {
     maxRetries: 3
   });
   const [stats, setStats] = useState({});
+  const [deadLetters, setDeadLetters] = useState([]);
   const [isResetting, setIsResetting] = useState(false);
 
   useEffect(() => {
@@ -38,6 +39,7 @@ function SyncSettingsModal({ isOpen, onClose }) {
   const loadStats = () => {
     const syncStats = syncService.getSyncStats();
     setStats(syncStats);
+    setDeadLetters([...syncService.getDeadLetters()]);
   };
 
   const updateSetting = (key, value) => {
@@ -78,6 +80,30 @@ function SyncSettingsModal({ isOpen, onClose }) {
     }
   };
 
+  const resyncAll = async () => {
+    if (window.confirm('Download all data from the cloud again on the next sync?')) {
+      syncService.resetSyncCursors();
+      try {
+        await syncService.manualSync();
+      } catch (error) {
+        console.error('Full resync failed:', error);
+      }
+      loadStats();
+    }
+  };
+
+  const retryDeadLetter = (queueId) => {
+    syncService.retryDeadLetter(queueId);
+    loadStats();
+  };
+
+  const discardDeadLetter = (queueId) => {
+    if (window.confirm('Discard this change? It will never be synced to the cloud.')) {
+      syncService.discardDeadLetter(queueId);
+      loadStats();
+    }
+  };
+
   const formatDuration = (ms) => {
     if (ms < 1000) return `${ms}ms`;
     return `${(ms / 1000).toFixed(1)}s`;
@@ -301,6 +327,65 @@ function SyncSettingsModal({ isOpen, onClose }) {
                     </button>
                   </div>
                 </div>
+
+                <div className="mt-4 bg-gray-50 rounded-lg p-4">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <h4 className="font-medium text-gray-900">Full Resync</h4>
+                      <p className="text-sm text-gray-600">
+                        Syncs only download changes. Resync to download everything again.
+                      </p>
+                    </div>
+                    <button
+                      onClick={resyncAll}
+                      className="text-sm text-blue-600 hover:text-blue-700"
+                    >
+                      Resync
+                    </button>
+                  </div>
+                </div>
+
+                {deadLetters.length > 0 && (
+                  <div className="mt-4 bg-red-50 rounded-lg p-4">
+                    <h4 className="font-medium text-red-900">Failed Operations</h4>
+                    <p className="text-sm text-red-700 mb-3">
+                      These changes failed after {settings.maxRetries} retries and are no longer retried automatically.
+                    </p>
+                    <div className="space-y-2">
+                      {deadLetters.map(operation => (
+                        <div
+                          key={operation.queueId}
+                          className="flex items-center justify-between bg-white rounded-md border border-red-100 p-3"
+                        >
+                          <div className="min-w-0">
+                            <p className="text-sm font-medium text-gray-900">
+                              {operation.type} {operation.table}
+                              {operation.data?.title && `: ${operation.data.title}`}
+                            </p>
+                            <p className="text-xs text-gray-500 truncate">
+                              {operation.lastError}
+                              {operation.failedAt && ` · ${format(new Date(operation.failedAt), 'MMM dd, HH:mm')}`}
+                            </p>
+                          </div>
+                          <div className="flex space-x-3 flex-shrink-0 ml-3">
+                            <button
+                              onClick={() => retryDeadLetter(operation.queueId)}
+                              className="text-sm text-blue-600 hover:text-blue-700"
+                            >
+                              Retry
+                            </button>
+                            <button
+                              onClick={() => discardDeadLetter(operation.queueId)}
+                              className="text-sm text-red-600 hover:text-red-700"
+                            >
+                              Discard
+                            </button>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
               </div>
 
               {/* Info Section */}
@@ -312,7 +397,9 @@ function SyncSettingsModal({ isOpen, onClose }) {
                       <h4 className="font-medium text-blue-900 mb-1">How Sync Works</h4>
                       <ul className="text-sm text-blue-700 space-y-1">
                         <li>• Changes are synced automatically when online</li>
-                        <li>• Offline changes are queued and synced when reconnected</li>
+                        <li>• Only records changed since the last sync are downloaded</li>
+                        <li>• Offline changes are queued and synced in order when reconnected</li>
+                        <li>• Failed changes are retried with increasing delays</li>
                         <li>• Real-time updates appear instantly across devices</li>
                         <li>• Conflicts are resolved through user-friendly dialogs</li>
                       </ul>
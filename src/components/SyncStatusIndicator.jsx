@@ -64,6 +64,8 @@ function SyncStatusIndicator() {
     
     try {
       await syncService.processPendingOperations();
+      // Only rows changed since the last sync are pulled
+      await syncService.performFullSync();
     } catch (error) {
       console.error('Auto-sync error:', error);
     }
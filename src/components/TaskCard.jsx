@@ -1,16 +1,22 @@
 import React, { useState } from 'react';
 import { motion } from 'framer-motion';
+import { Link } from 'react-router-dom';
 import { format, isToday, isPast, parseISO } from 'date-fns';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 import { useCategory } from '../contexts/CategoryContext';
 import { useProject } from '../contexts/ProjectContext';
+import { useTask } from '../contexts/TaskContext';
+import { useEvent } from '../contexts/EventContext';
 import TaskModal from './TaskModal';
+import AssigneeAvatars from './AssigneeAvatars';
 import DOMPurify from 'dompurify';
+import { describeRecurrence } from '../utils/recurrence';
 
 const {
   FiCheck, FiClock, FiAlertTriangle, FiEdit3, FiTrash2, FiCalendar,
-  FiZap, FiChevronDown, FiChevronUp, FiFileText, FiBriefcase, FiLink
+  FiZap, FiChevronDown, FiChevronUp, FiFileText, FiBriefcase, FiLink, FiRepeat,
+  FiLock, FiGitBranch, FiCornerDownRight, FiFlag
 } = FiIcons;
 
 function TaskCard({ task, onToggle, onDelete, onUpdate, condensed = false }) {
@@ -18,6 +24,8 @@ function TaskCard({ task, onToggle, onDelete, onUpdate, condensed = false }) {
   const [expanded, setExpanded] = useState(false);
   const { getCategoryById } = useCategory();
   const { projects, getProjectById } = useProject();
+  const { tasks, getSubtasks, getBlockingTasks } = useTask();
+  const { getEventById } = useEvent();
 
   const isOverdue = task.dueDate && 
     isPast(parseISO(task.dueDate)) && 
@@ -31,10 +39,19 @@ function TaskCard({ task, onToggle, onDelete, onUpdate, condensed = false }) {
   const isUrgent = task.priority === 'urgent' && task.status === 'open';
   const isHighPriority = task.priority === 'high' && task.status === 'open';
 
+  // Dependencies: open blockers, subtask progress and parent task
+  const blockingTasks = task.status === 'open' ? getBlockingTasks(task) : [];
+  const subtasks = getSubtasks(task.id);
+  const completedSubtasks = subtasks.filter(t => t.status === 'completed').length;
+  const parentTask = task.parentTask ? tasks.find(t => t.id === task.parentTask) : null;
+
   // Get linked project if it exists
   const linkedProject = task.linkedProject ? 
     getProjectById(task.linkedProject) : null;
 
+  // Get the event this task was generated from
+  const linkedEvent = task.linkedEvent ? getEventById(task.linkedEvent) : null;
+
   const getPriorityColor = (priority) => {
     switch (priority) {
       case 'urgent': return 'text-red-600 bg-red-50';
@@ -70,8 +87,8 @@ function TaskCard({ task, onToggle, onDelete, onUpdate, condensed = false }) {
     `${sanitizedDescription.replace(/<[^>]*>/g, '').substring(0, 120)}...` : '';
 
   const handleCardClick = (e) => {
-    // Only expand if we're in condensed mode and not clicking a button
-    if (condensed && !e.target.closest('button')) {
+    // Only expand if we're in condensed mode and not clicking a button or link
+    if (condensed && !e.target.closest('button, a')) {
       setShowModal(true);
     }
   };
@@ -148,7 +165,19 @@ function TaskCard({ task, onToggle, onDelete, onUpdate, condensed = false }) {
                 )}
               </div>
               
-              {/* Project badge - Show the linked project if available */}
+              {/* Project and event badges - Show the linked project and event if available */}
+              {linkedEvent && (
+                <div className="mb-2">
+                  <Link
+                    to="/events"
+                    className="inline-flex items-center space-x-1 px-2 py-1 rounded-full text-xs bg-purple-50 text-purple-600 hover:bg-purple-100"
+                    title={`${format(parseISO(linkedEvent.startDate), 'MMM d, yyyy')}${linkedEvent.location ? ` · ${linkedEvent.location}` : ''}`}
+                  >
+                    <SafeIcon icon={FiFlag} className="text-xs" />
+                    <span>Event: {linkedEvent.title}</span>
+                  </Link>
+                </div>
+              )}
               {linkedProject && (
                 <div className="mb-2">
                   <div className="flex items-center space-x-2">
@@ -162,6 +191,47 @@ function TaskCard({ task, onToggle, onDelete, onUpdate, condensed = false }) {
                 </div>
               )}
 
+              {/* Dependency badges - blockers, subtasks and parent */}
+              {(blockingTasks.length > 0 || subtasks.length > 0 || parentTask) && (
+                <div className="flex flex-wrap items-center gap-2 mb-2">
+                  {blockingTasks.length > 0 && (
+                    <span
+                      className="flex items-center space-x-1 px-2 py-1 rounded-full text-xs bg-orange-50 text-orange-600"
+                      title={`Waiting for: ${blockingTasks.map(t => t.title).join(', ')}`}
+                    >
+                      <SafeIcon icon={FiLock} className="text-xs" />
+                      <span>Blocked by {blockingTasks.length === 1 ? blockingTasks[0].title : `${blockingTasks.length} tasks`}</span>
+                    </span>
+                  )}
+                  {subtasks.length > 0 && (
+                    <span className="flex items-center space-x-1 px-2 py-1 rounded-full text-xs bg-gray-100 text-gray-600">
+                      <SafeIcon icon={FiGitBranch} className="text-xs" />
+                      <span>{completedSubtasks}/{subtasks.length} subtasks</span>
+                    </span>
+                  )}
+                  {parentTask && (
+                    <span className="flex items-center space-x-1 px-2 py-1 rounded-full text-xs bg-gray-100 text-gray-600">
+                      <SafeIcon icon={FiCornerDownRight} className="text-xs" />
+                      <span>Subtask of {parentTask.title}</span>
+                    </span>
+                  )}
+                </div>
+              )}
+
+              {/* Recurrence badge - schedule and position within the series */}
+              {task.recurrence && (
+                <div className="mb-2">
+                  <span
+                    className="inline-flex items-center space-x-1 px-2 py-1 rounded-full text-xs bg-purple-50 text-purple-600"
+                    title="Completing this task creates the next occurrence"
+                  >
+                    <SafeIcon icon={FiRepeat} className="text-xs" />
+                    <span>{describeRecurrence(task.recurrence)}</span>
+                    <span className="text-purple-400">· #{task.occurrence || 1}</span>
+                  </span>
+                </div>
+              )}
+
               {/* Description - conditional rendering based on condensed mode */}
               {sanitizedDescription && !condensed && (
                 <>
@@ -243,6 +313,8 @@ function TaskCard({ task, onToggle, onDelete, onUpdate, condensed = false }) {
                 <span className={`text-xs ${getStatusColor(task.status)}`}>
                   {task.status}
                 </span>
+
+                <AssigneeAvatars assignees={task.assignees} />
               </div>
               
               {task.categories && task.categories.length > 0 && (
@@ -3,22 +3,33 @@ import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 import { useTask } from '../contexts/TaskContext';
 import { useCategory } from '../contexts/CategoryContext';
+import { useAuth } from '../contexts/AuthContext';
+import { getTaskAssignees, getAssigneeKey } from '../utils/taskAssignees';
 
 const { FiSearch, FiFilter } = FiIcons;
 
 function TaskFilters() {
   const {
+    tasks,
     searchTerm,
     sortBy,
     sortOrder,
     filterStatus,
     filterPriority,
     filterCategory,
+    filterRecurrence,
+    filterAssignee,
     setSearchTerm,
     setSort,
     setFilter
   } = useTask();
   const { categories } = useCategory();
+  const { user } = useAuth();
+
+  // Everyone else tasks are assigned to; the current user is covered by "Assigned to me"
+  const otherAssignees = getTaskAssignees(tasks).filter(
+    assignee => !(assignee.type === 'member' && assignee.id === user?.id)
+  );
 
   const handleSortChange = (newSortBy) => {
     if (sortBy === newSortBy) {
@@ -84,6 +95,33 @@ function TaskFilters() {
               </option>
             ))}
           </select>
+
+          {/* Recurrence Filter */}
+          <select
+            value={filterRecurrence}
+            onChange={(e) => setFilter('filterRecurrence', e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="all">All Tasks</option>
+            <option value="recurring">Recurring</option>
+            <option value="single">One-time</option>
+          </select>
+
+          {/* Assignee Filter */}
+          <select
+            value={filterAssignee}
+            onChange={(e) => setFilter('filterAssignee', e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="all">All Assignees</option>
+            <option value="me">Assigned to me</option>
+            <option value="unassigned">Unassigned</option>
+            {otherAssignees.map(assignee => (
+              <option key={getAssigneeKey(assignee)} value={getAssigneeKey(assignee)}>
+                {assignee.name}
+              </option>
+            ))}
+          </select>
         </div>
 
         {/* Sort Options */}
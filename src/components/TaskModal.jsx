@@ -4,15 +4,25 @@ import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 import { useCategory } from '../contexts/CategoryContext';
 import { useProject } from '../contexts/ProjectContext';
+import { useTask } from '../contexts/TaskContext';
+import AssigneePicker from './AssigneePicker';
+import CommentThread from './comments/CommentThread';
 import { format, addDays, addWeeks } from 'date-fns';
 import ReactQuill from 'react-quill';
 import 'react-quill/dist/quill.snow.css';
+import { RICH_TEXT_MODULES, RICH_TEXT_FORMATS } from '../utils/richText';
+import { FREQUENCIES, WEEKDAYS, describeRecurrence } from '../utils/recurrence';
+import { wouldCreateBlockCycle, wouldCreateParentCycle } from '../utils/taskDependencies';
 
-const { FiX, FiPlus, FiTrash2, FiCheck, FiCalendar, FiArrowUp, FiArrowDown, FiMove, FiLink } = FiIcons;
+const {
+  FiX, FiPlus, FiTrash2, FiCheck, FiCalendar, FiArrowUp, FiArrowDown, FiMove, FiLink, FiRepeat,
+  FiLock, FiCornerDownRight, FiUsers
+} = FiIcons;
 
 function TaskModal({ task, onClose, onSave, preselectedProject = '' }) {
   const { categories } = useCategory();
   const { projects, linkTaskToProject } = useProject();
+  const { tasks } = useTask();
   const [formData, setFormData] = useState({
     title: '',
     description: '',
@@ -21,7 +31,11 @@ function TaskModal({ task, onClose, onSave, preselectedProject = '' }) {
     categories: [],
     notes: '',
     checklist: [],
-    linkedProject: preselectedProject // Auto-select the project if provided
+    linkedProject: preselectedProject, // Auto-select the project if provided
+    recurrence: null,
+    parentTask: '',
+    blockedBy: [],
+    assignees: []
   });
   const [draggedItem, setDraggedItem] = useState(null);
   const [dragOverItem, setDragOverItem] = useState(null);
@@ -36,7 +50,11 @@ function TaskModal({ task, onClose, onSave, preselectedProject = '' }) {
         categories: task.categories || [],
         notes: task.notes || '',
         checklist: task.checklist || [],
-        linkedProject: task.linkedProject || preselectedProject
+        linkedProject: task.linkedProject || preselectedProject,
+        recurrence: task.recurrence || null,
+        parentTask: task.parentTask || '',
+        blockedBy: task.blockedBy || [],
+        assignees: task.assignees || []
       });
     } else {
       // For new tasks, set the preselected project
@@ -57,6 +75,13 @@ function TaskModal({ task, onClose, onSave, preselectedProject = '' }) {
       notes: formData.notes.trim()
     };
 
+    // Recurring tasks need a due date to schedule from
+    if (taskData.recurrence) {
+      const startDate = taskData.recurrence.startDate || taskData.dueDate || format(new Date(), 'yyyy-MM-dd');
+      taskData.dueDate = taskData.dueDate || startDate;
+      taskData.recurrence = { ...taskData.recurrence, startDate };
+    }
+
     if (task) {
       onSave(task.id, taskData);
     } else {
@@ -190,19 +215,73 @@ function TaskModal({ task, onClose, onSave, preselectedProject = '' }) {
     setDragOverItem(null);
   };
 
-  // Rich text editor modules configuration
-  const modules = {
-    toolbar: [
-      ['bold', 'italic', 'underline', 'strike'],
-      [{ 'list': 'ordered' }, { 'list': 'bullet' }],
-      ['link'],
-      ['clean']
-    ],
+  // Candidates that keep the parent tree and the dependency graph acyclic
+  const otherTasks = tasks.filter(t => !task || t.id !== task.id);
+  const parentOptions = otherTasks.filter(t =>
+    t.id === formData.parentTask ||
+    (t.status === 'open' && !wouldCreateParentCycle(tasks, task?.id, t.id))
+  );
+  const blockerOptions = otherTasks.filter(t =>
+    t.status === 'open' &&
+    !formData.blockedBy.includes(t.id) &&
+    !wouldCreateBlockCycle(tasks, task?.id, t.id)
+  );
+
+  const addBlocker = (blockerId) => {
+    if (!blockerId) return;
+    setFormData(prev => ({ ...prev, blockedBy: [...prev.blockedBy, blockerId] }));
+  };
+
+  const removeBlocker = (blockerId) => {
+    setFormData(prev => ({ ...prev, blockedBy: prev.blockedBy.filter(id => id !== blockerId) }));
+  };
+
+  const updateRecurrence = (updates) => {
+    setFormData(prev => ({
+      ...prev,
+      recurrence: { ...prev.recurrence, ...updates }
+    }));
   };
 
-  const formats = [
-    'bold', 'italic', 'underline', 'strike', 'list', 'bullet', 'link'
-  ];
+  const handleFrequencyChange = (frequency) => {
+    if (!frequency) {
+      setFormData(prev => ({ ...prev, recurrence: null }));
+      return;
+    }
+    setFormData(prev => ({
+      ...prev,
+      recurrence: {
+        interval: 1,
+        byWeekday: [],
+        endDate: null,
+        count: null,
+        ...prev.recurrence,
+        frequency
+      }
+    }));
+  };
+
+  const toggleWeekday = (day) => {
+    const weekdays = formData.recurrence?.byWeekday || [];
+    updateRecurrence({
+      byWeekday: weekdays.includes(day)
+        ? weekdays.filter(d => d !== day)
+        : [...weekdays, day]
+    });
+  };
+
+  const getRecurrenceEnd = () => {
+    if (formData.recurrence?.endDate) return 'date';
+    if (formData.recurrence?.count) return 'count';
+    return 'never';
+  };
+
+  const handleRecurrenceEndChange = (end) => {
+    updateRecurrence({
+      endDate: end === 'date' ? format(addWeeks(new Date(), 12), 'yyyy-MM-dd') : null,
+      count: end === 'count' ? 10 : null
+    });
+  };
 
   // Quick date setter functions
   const setQuickDate = (daysToAdd) => {
@@ -272,8 +351,8 @@ function TaskModal({ task, onClose, onSave, preselectedProject = '' }) {
                   theme="snow"
                   value={formData.description}
                   onChange={(content) => setFormData(prev => ({ ...prev, description: content }))}
-                  modules={modules}
-                  formats={formats}
+                  modules={RICH_TEXT_MODULES}
+                  formats={RICH_TEXT_FORMATS}
                   className="bg-white rounded-md"
                   style={{ height: '150px', marginBottom: '40px' }}
                 />
@@ -339,6 +418,106 @@ function TaskModal({ task, onClose, onSave, preselectedProject = '' }) {
               </div>
             </div>
 
+            {/* Recurrence */}
+            <div>
+              <label className="flex items-center space-x-2 text-sm font-medium text-gray-700 mb-2">
+                <SafeIcon icon={FiRepeat} className="text-sm" />
+                <span>Repeat</span>
+              </label>
+              <div className="space-y-3">
+                <div className="flex flex-wrap items-center gap-3">
+                  <select
+                    value={formData.recurrence?.frequency || ''}
+                    onChange={(e) => handleFrequencyChange(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="">Does not repeat</option>
+                    {FREQUENCIES.map(frequency => (
+                      <option key={frequency.value} value={frequency.value}>
+                        {frequency.label}
+                      </option>
+                    ))}
+                  </select>
+                  {formData.recurrence && (
+                    <div className="flex items-center space-x-2 text-sm text-gray-600">
+                      <span>every</span>
+                      <input
+                        type="number"
+                        min="1"
+                        value={formData.recurrence.interval || 1}
+                        onChange={(e) => updateRecurrence({ interval: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                        className="w-16 px-2 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      <span>
+                        {FREQUENCIES.find(f => f.value === formData.recurrence.frequency)?.unit}
+                        {formData.recurrence.interval > 1 ? 's' : ''}
+                      </span>
+                    </div>
+                  )}
+                </div>
+
+                {formData.recurrence?.frequency === 'weekly' && (
+                  <div className="flex flex-wrap gap-2">
+                    {WEEKDAYS.map(day => (
+                      <button
+                        key={day.value}
+                        type="button"
+                        onClick={() => toggleWeekday(day.value)}
+                        className={`px-3 py-1 rounded-full text-xs font-medium transition-colors ${
+                          (formData.recurrence.byWeekday || []).includes(day.value)
+                            ? 'bg-blue-600 text-white'
+                            : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                        }`}
+                      >
+                        {day.label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+
+                {formData.recurrence && (
+                  <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+                    <span>Ends</span>
+                    <select
+                      value={getRecurrenceEnd()}
+                      onChange={(e) => handleRecurrenceEndChange(e.target.value)}
+                      className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="never">Never</option>
+                      <option value="date">On date</option>
+                      <option value="count">After</option>
+                    </select>
+                    {getRecurrenceEnd() === 'date' && (
+                      <input
+                        type="date"
+                        value={formData.recurrence.endDate}
+                        onChange={(e) => updateRecurrence({ endDate: e.target.value || null })}
+                        className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                    )}
+                    {getRecurrenceEnd() === 'count' && (
+                      <>
+                        <input
+                          type="number"
+                          min="1"
+                          value={formData.recurrence.count}
+                          onChange={(e) => updateRecurrence({ count: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                          className="w-20 px-2 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        <span>occurrences</span>
+                      </>
+                    )}
+                  </div>
+                )}
+
+                {formData.recurrence && (
+                  <p className="text-xs text-gray-500">
+                    {describeRecurrence(formData.recurrence)}. Completing this task creates the next occurrence.
+                  </p>
+                )}
+              </div>
+            </div>
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
                 Categories
@@ -364,6 +543,18 @@ function TaskModal({ task, onClose, onSave, preselectedProject = '' }) {
               </div>
             </div>
 
+            {/* Assignees */}
+            <div>
+              <label className="flex items-center space-x-2 text-sm font-medium text-gray-700 mb-2">
+                <SafeIcon icon={FiUsers} className="text-sm" />
+                <span>Assigned to</span>
+              </label>
+              <AssigneePicker
+                value={formData.assignees}
+                onChange={(assignees) => setFormData(prev => ({ ...prev, assignees }))}
+              />
+            </div>
+
             {/* Project Linking */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -387,6 +578,74 @@ function TaskModal({ task, onClose, onSave, preselectedProject = '' }) {
               </select>
             </div>
 
+            {/* Subtask & Dependencies */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="flex items-center space-x-2 text-sm font-medium text-gray-700 mb-2">
+                  <SafeIcon icon={FiCornerDownRight} className="text-sm" />
+                  <span>Subtask of</span>
+                </label>
+                <select
+                  value={formData.parentTask}
+                  onChange={(e) => setFormData(prev => ({ ...prev, parentTask: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">No parent task</option>
+                  {parentOptions.map(option => (
+                    <option key={option.id} value={option.id}>
+                      {option.title}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="flex items-center space-x-2 text-sm font-medium text-gray-700 mb-2">
+                  <SafeIcon icon={FiLock} className="text-sm" />
+                  <span>Blocked by</span>
+                </label>
+                <select
+                  value=""
+                  onChange={(e) => addBlocker(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">Add a blocking task...</option>
+                  {blockerOptions.map(option => (
+                    <option key={option.id} value={option.id}>
+                      {option.title}
+                    </option>
+                  ))}
+                </select>
+                {formData.blockedBy.length > 0 && (
+                  <div className="flex flex-wrap gap-2 mt-2">
+                    {formData.blockedBy.map(blockerId => {
+                      const blocker = tasks.find(t => t.id === blockerId);
+                      if (!blocker) return null;
+                      return (
+                        <span
+                          key={blockerId}
+                          className={`flex items-center space-x-1 px-2 py-1 rounded-full text-xs ${
+                            blocker.status === 'completed'
+                              ? 'bg-green-50 text-green-600 line-through'
+                              : 'bg-orange-50 text-orange-600'
+                          }`}
+                        >
+                          <span>{blocker.title}</span>
+                          <button
+                            type="button"
+                            onClick={() => removeBlocker(blockerId)}
+                            className="hover:text-red-600"
+                          >
+                            <SafeIcon icon={FiX} className="text-xs" />
+                          </button>
+                        </span>
+                      );
+                    })}
+                  </div>
+                )}
+              </div>
+            </div>
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
                 Notes
@@ -511,6 +770,13 @@ function TaskModal({ task, onClose, onSave, preselectedProject = '' }) {
               </button>
             </div>
           </form>
+
+          {/* Comments on existing tasks */}
+          {task && (
+            <div className="p-6 border-t">
+              <CommentThread entityType="task" entityId={task.id} />
+            </div>
+          )}
         </motion.div>
       </motion.div>
     </AnimatePresence>
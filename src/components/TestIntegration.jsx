@@ -609,16 +609,14 @@ function TestIntegration({ onClose }) {
         const syncStatus = syncService.getSyncStatus();
         
         // Cleanup offline data
-        const offlineItems = db.getFromLocalStorage('tasks');
-        const filteredItems = offlineItems.filter(item => item.id !== offlineTask.id);
-        localStorage.setItem('todoTasks', JSON.stringify(filteredItems));
+        await db.deleteFromStorage('tasks', offlineTask.id);
         
         return {
           offlineCreateSuccess: !!offlineTask.id,
-          queueOperationSuccess: !!queueItem.id,
+          queueOperationSuccess: !!queueItem.queueId,
           queueLength: syncStatus.queueLength,
           offlineSupport: true,
-          localStorageWorking: true
+          offlineStorage: db.storage.name
         };
       }
     },
@@ -644,7 +642,7 @@ function TestIntegration({ onClose }) {
           syncInProgress: status.syncInProgress,
           totalSyncs: stats.totalSyncs,
           successfulSyncs: stats.successfulSyncs,
-          queueOperationWorking: !!testOperation.id,
+          queueOperationWorking: !!testOperation.queueId,
           autoSyncEnabled: syncService.isAutoSyncEnabled()
         };
       }
@@ -0,0 +1,99 @@
+import React, { useState, useRef } from 'react';
+import ReactQuill from 'react-quill';
+import 'react-quill/dist/quill.snow.css';
+import SafeIcon from '../../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { RICH_TEXT_MODULES, RICH_TEXT_FORMATS } from '../../utils/richText';
+import { findMentions, isCommentEmpty } from '../../utils/comments';
+
+const { FiSend } = FiIcons;
+
+// Rich text box for writing a comment; members can be @mentioned from the picker
+function CommentEditor({
+  members = [],
+  initialValue = '',
+  submitLabel = 'Comment',
+  placeholder = 'Write a comment...',
+  onSubmit,
+  onCancel
+}) {
+  const [body, setBody] = useState(initialValue);
+  const [saving, setSaving] = useState(false);
+  const quillRef = useRef(null);
+
+  const insertMention = (email) => {
+    if (!email || !quillRef.current) return;
+
+    const editor = quillRef.current.getEditor();
+    const range = editor.getSelection(true);
+    const mention = `@${email} `;
+    editor.insertText(range.index, mention, 'user');
+    editor.setSelection(range.index + mention.length, 0, 'user');
+  };
+
+  const handleSubmit = async () => {
+    if (isCommentEmpty(body)) return;
+
+    setSaving(true);
+    try {
+      await onSubmit({ body, mentions: findMentions(body, members) });
+      setBody('');
+    } catch (error) {
+      alert(`Could not save the comment: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="bg-white">
+        <ReactQuill
+          ref={quillRef}
+          theme="snow"
+          value={body}
+          onChange={setBody}
+          modules={RICH_TEXT_MODULES}
+          formats={RICH_TEXT_FORMATS}
+          placeholder={placeholder}
+        />
+      </div>
+      <div className="flex items-center justify-between">
+        {members.length > 0 ? (
+          <select
+            value=""
+            onChange={(e) => insertMention(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded text-sm text-gray-700"
+          >
+            <option value="">@ Mention...</option>
+            {members.map(member => (
+              <option key={member.userId} value={member.email}>{member.email}</option>
+            ))}
+          </select>
+        ) : <span />}
+        <div className="flex items-center space-x-2">
+          {onCancel && (
+            <button
+              type="button"
+              onClick={onCancel}
+              className="px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={handleSubmit}
+            disabled={saving || isCommentEmpty(body)}
+            className="flex items-center space-x-1 px-3 py-1.5 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 transition-colors"
+          >
+            <SafeIcon icon={FiSend} />
+            <span>{submitLabel}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CommentEditor;
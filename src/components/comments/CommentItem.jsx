@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { format, formatDistanceToNow } from 'date-fns';
+import DOMPurify from 'dompurify';
+import SafeIcon from '../../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import AssigneeAvatars from '../AssigneeAvatars';
+import CommentEditor from './CommentEditor';
+import { memberAssignee } from '../../utils/taskAssignees';
+import { highlightMentions } from '../../utils/comments';
+
+const { FiCornerUpLeft, FiEdit2, FiTrash2 } = FiIcons;
+
+const renderBody = (body, members) => ({
+  __html: highlightMentions(DOMPurify.sanitize(body || ''), members)
+});
+
+// One comment with its edit history; authors can edit and delete their own
+function CommentItem({ comment, members, isOwn, canEdit, onReply, onEdit, onDelete }) {
+  const [editing, setEditing] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const author = memberAssignee({ userId: comment.userId, email: comment.authorEmail });
+  const history = comment.history || [];
+
+  const handleEdit = async (changes) => {
+    await onEdit(comment.id, changes);
+    setEditing(false);
+  };
+
+  return (
+    <div className="flex items-start space-x-3">
+      <AssigneeAvatars assignees={[author]} size="w-7 h-7 text-xs" />
+      <div className="flex-1 min-w-0">
+        <div className="flex items-center flex-wrap gap-x-2 text-xs text-gray-500">
+          <span className="font-medium text-gray-900">{comment.authorEmail || 'Unknown member'}</span>
+          <span title={format(new Date(comment.createdAt), 'PPpp')}>
+            {formatDistanceToNow(new Date(comment.createdAt), { addSuffix: true })}
+          </span>
+          {history.length > 0 && (
+            <button
+              type="button"
+              onClick={() => setShowHistory(!showHistory)}
+              className="text-gray-400 hover:text-gray-600 underline"
+            >
+              {comment.deletedAt ? 'deleted' : 'edited'} ({history.length} earlier {history.length === 1 ? 'version' : 'versions'})
+            </button>
+          )}
+        </div>
+
+        {editing ? (
+          <div className="mt-1">
+            <CommentEditor
+              members={members}
+              initialValue={comment.body}
+              submitLabel="Save"
+              onSubmit={handleEdit}
+              onCancel={() => setEditing(false)}
+            />
+          </div>
+        ) : comment.deletedAt ? (
+          <p className="mt-1 text-sm italic text-gray-400">This comment was deleted.</p>
+        ) : (
+          <div
+            className="mt-1 text-sm text-gray-800 prose prose-sm max-w-none"
+            dangerouslySetInnerHTML={renderBody(comment.body, members)}
+          />
+        )}
+
+        {showHistory && (
+          <div className="mt-2 pl-3 border-l-2 border-gray-200 space-y-2">
+            {[...history].reverse().map((version, index) => (
+              <div key={index}>
+                <p className="text-xs text-gray-400">{format(new Date(version.editedAt), 'PPpp')}</p>
+                <div
+                  className="text-sm text-gray-500 prose prose-sm max-w-none"
+                  dangerouslySetInnerHTML={renderBody(version.body, members)}
+                />
+              </div>
+            ))}
+          </div>
+        )}
+
+        {!editing && !comment.deletedAt && canEdit && (
+          <div className="flex items-center space-x-3 mt-1 text-xs">
+            {onReply && (
+              <button
+                type="button"
+                onClick={onReply}
+                className="flex items-center space-x-1 text-gray-500 hover:text-blue-600"
+              >
+                <SafeIcon icon={FiCornerUpLeft} />
+                <span>Reply</span>
+              </button>
+            )}
+            {isOwn && (
+              <>
+                <button
+                  type="button"
+                  onClick={() => setEditing(true)}
+                  className="flex items-center space-x-1 text-gray-500 hover:text-blue-600"
+                >
+                  <SafeIcon icon={FiEdit2} />
+                  <span>Edit</span>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onDelete(comment.id)}
+                  className="flex items-center space-x-1 text-gray-500 hover:text-red-600"
+                >
+                  <SafeIcon icon={FiTrash2} />
+                  <span>Delete</span>
+                </button>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CommentItem;
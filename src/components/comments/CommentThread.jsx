@@ -0,0 +1,98 @@
+import React, { useState, useEffect } from 'react';
+import SafeIcon from '../../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { useAuth } from '../../contexts/AuthContext';
+import { useComment } from '../../contexts/CommentContext';
+import { useWorkspace } from '../../contexts/WorkspaceContext';
+import CommentItem from './CommentItem';
+import CommentEditor from './CommentEditor';
+import { buildThreads } from '../../utils/comments';
+
+const { FiMessageCircle } = FiIcons;
+
+// Discussion on a task, project or event, with one level of replies
+function CommentThread({ entityType, entityId }) {
+  const { user } = useAuth();
+  const { loadComments, getComments, addComment, editComment, deleteComment } = useComment();
+  const { activeWorkspaceId, getWorkspaceMembers, canEdit } = useWorkspace();
+  const [replyTo, setReplyTo] = useState(null);
+
+  useEffect(() => {
+    loadComments(entityType, entityId);
+  }, [entityType, entityId]);
+
+  // Anyone in the workspace but yourself can be mentioned
+  const members = activeWorkspaceId
+    ? getWorkspaceMembers(activeWorkspaceId).filter(member => member.userId !== user?.id)
+    : [];
+  const comments = getComments(entityId);
+  const threads = buildThreads(comments);
+
+  const handleAdd = (parentId) => (changes) => {
+    return addComment(entityType, entityId, { ...changes, parentId }).then(() => setReplyTo(null));
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Delete this comment?')) return;
+    try {
+      await deleteComment(id);
+    } catch (error) {
+      alert(`Could not delete the comment: ${error.message}`);
+    }
+  };
+
+  const renderComment = (comment, onReply) => (
+    <CommentItem
+      comment={comment}
+      members={members}
+      isOwn={!comment.userId || comment.userId === user?.id}
+      canEdit={canEdit}
+      onReply={onReply}
+      onEdit={editComment}
+      onDelete={handleDelete}
+    />
+  );
+
+  return (
+    <div className="space-y-4">
+      <h3 className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+        <SafeIcon icon={FiMessageCircle} />
+        <span>Comments ({comments.filter(comment => !comment.deletedAt).length})</span>
+      </h3>
+
+      {threads.length === 0 && (
+        <p className="text-sm text-gray-500">No comments yet.</p>
+      )}
+
+      {threads.map(thread => (
+        <div key={thread.id} className="space-y-3">
+          {renderComment(thread, () => setReplyTo(thread.id))}
+          {(thread.replies.length > 0 || replyTo === thread.id) && (
+            <div className="ml-10 pl-3 border-l-2 border-gray-100 space-y-3">
+              {thread.replies.map(reply => (
+                <div key={reply.id}>{renderComment(reply, null)}</div>
+              ))}
+              {replyTo === thread.id && (
+                <CommentEditor
+                  members={members}
+                  submitLabel="Reply"
+                  placeholder="Write a reply..."
+                  onSubmit={handleAdd(thread.id)}
+                  onCancel={() => setReplyTo(null)}
+                />
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+
+      {canEdit ? (
+        <CommentEditor members={members} onSubmit={handleAdd('')} />
+      ) : (
+        <p className="text-xs text-gray-500">You have view-only access to this workspace.</p>
+      )}
+    </div>
+  );
+}
+
+export default CommentThread;
@@ -0,0 +1,167 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { format, parseISO } from 'date-fns';
+import SafeIcon from '../../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { useProject } from '../../contexts/ProjectContext';
+import { useEvent } from '../../contexts/EventContext';
+import { getContactAppearances } from '../../utils/contacts';
+
+const { FiX, FiEdit3, FiTrash2, FiMail, FiPhone, FiBriefcase, FiCalendar, FiTag, FiArchive } = FiIcons;
+
+// A contact with every project and event they take part in
+function ContactDetailsModal({ contact, onClose, onEdit, onDelete }) {
+  const { projects, STATUS_COLORS } = useProject();
+  const { events } = useEvent();
+
+  const appearances = getContactAppearances(contact, projects, events);
+  const sortedEvents = [...appearances.events].sort((a, b) =>
+    (b.event.startDate || '').localeCompare(a.event.startDate || '')
+  );
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+        onClick={onClose}
+      >
+        <motion.div
+          initial={{ scale: 0.95, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+          exit={{ scale: 0.95, opacity: 0 }}
+          className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto"
+          onClick={(e) => e.stopPropagation()}
+        >
+          <div className="flex items-start justify-between p-6 border-b">
+            <div>
+              <h2 className="text-xl font-semibold text-gray-900">{contact.name}</h2>
+              {contact.organization && <p className="text-gray-600">{contact.organization}</p>}
+            </div>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => onEdit(contact)}
+                className="p-2 text-gray-400 hover:text-blue-600 transition-colors"
+                title="Edit contact"
+              >
+                <SafeIcon icon={FiEdit3} />
+              </button>
+              <button
+                onClick={() => onDelete(contact)}
+                className="p-2 text-gray-400 hover:text-red-600 transition-colors"
+                title="Delete contact"
+              >
+                <SafeIcon icon={FiTrash2} />
+              </button>
+              <button
+                onClick={onClose}
+                className="p-2 text-gray-400 hover:text-gray-600 transition-colors"
+              >
+                <SafeIcon icon={FiX} className="text-xl" />
+              </button>
+            </div>
+          </div>
+
+          <div className="p-6 space-y-6">
+            {/* Contact Details */}
+            <div className="space-y-2 text-sm text-gray-700">
+              {contact.email && (
+                <a href={`mailto:${contact.email}`} className="flex items-center space-x-2 hover:text-blue-600">
+                  <SafeIcon icon={FiMail} className="text-gray-400" />
+                  <span>{contact.email}</span>
+                </a>
+              )}
+              {contact.phone && (
+                <a href={`tel:${contact.phone}`} className="flex items-center space-x-2 hover:text-blue-600">
+                  <SafeIcon icon={FiPhone} className="text-gray-400" />
+                  <span>{contact.phone}</span>
+                </a>
+              )}
+              {(contact.tags || []).length > 0 && (
+                <div className="flex items-center flex-wrap gap-2">
+                  <SafeIcon icon={FiTag} className="text-gray-400" />
+                  {contact.tags.map(tag => (
+                    <span key={tag} className="px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-700">{tag}</span>
+                  ))}
+                </div>
+              )}
+              {contact.notes && (
+                <p className="text-gray-600 whitespace-pre-wrap pt-2">{contact.notes}</p>
+              )}
+            </div>
+
+            {/* Projects */}
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900 mb-2">
+                Projects ({appearances.projects.length})
+              </h3>
+              {appearances.projects.length > 0 ? (
+                <div className="space-y-2">
+                  {appearances.projects.map(({ project, role }) => (
+                    <Link
+                      key={project.id}
+                      to="/projects"
+                      onClick={onClose}
+                      className="flex items-center justify-between bg-gray-50 rounded-lg p-3 hover:bg-gray-100"
+                    >
+                      <div className="flex items-center space-x-2">
+                        <SafeIcon icon={project.archived ? FiArchive : FiBriefcase} className="text-gray-400" />
+                        <span className="text-sm text-gray-900">{project.title}</span>
+                        {role && <span className="text-sm text-gray-500">· {role}</span>}
+                      </div>
+                      <span
+                        className="px-2 py-0.5 rounded-full text-xs text-white capitalize"
+                        style={{ backgroundColor: STATUS_COLORS[project.status] || '#6B7280' }}
+                      >
+                        {(project.status || '').replace('_', ' ')}
+                      </span>
+                    </Link>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-sm text-gray-500">Not a participant in any project.</p>
+              )}
+            </div>
+
+            {/* Events */}
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900 mb-2">
+                Events ({sortedEvents.length})
+              </h3>
+              {sortedEvents.length > 0 ? (
+                <div className="space-y-2">
+                  {sortedEvents.map(({ event, role }) => (
+                    <Link
+                      key={event.id}
+                      to="/events"
+                      onClick={onClose}
+                      className="flex items-center justify-between bg-gray-50 rounded-lg p-3 hover:bg-gray-100"
+                    >
+                      <div className="flex items-center space-x-2">
+                        <SafeIcon icon={FiCalendar} className="text-gray-400" />
+                        <span className="text-sm text-gray-900">{event.title}</span>
+                        {role && <span className="text-sm text-gray-500">· {role}</span>}
+                      </div>
+                      {event.startDate && (
+                        <span className="text-xs text-gray-500">
+                          {format(parseISO(event.startDate), 'MMM d, yyyy')}
+                        </span>
+                      )}
+                    </Link>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-sm text-gray-500">Not a participant in any event.</p>
+              )}
+            </div>
+          </div>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+}
+
+export default ContactDetailsModal;
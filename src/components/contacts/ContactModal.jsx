@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import SafeIcon from '../../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { parseTags } from '../../utils/contacts';
+
+const { FiX } = FiIcons;
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+function ContactModal({ contact, onClose, onSave }) {
+  const [formData, setFormData] = useState({
+    name: contact?.name || '',
+    organization: contact?.organization || '',
+    email: contact?.email || '',
+    phone: contact?.phone || '',
+    tags: (contact?.tags || []).join(', '),
+    notes: contact?.notes || ''
+  });
+
+  const setField = (field, value) => setFormData(prev => ({ ...prev, [field]: value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!formData.name.trim()) return;
+
+    onSave({
+      name: formData.name.trim(),
+      organization: formData.organization.trim(),
+      email: formData.email.trim(),
+      phone: formData.phone.trim(),
+      tags: parseTags(formData.tags),
+      notes: formData.notes.trim()
+    });
+  };
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+        onClick={onClose}
+      >
+        <motion.div
+          initial={{ scale: 0.95, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+          exit={{ scale: 0.95, opacity: 0 }}
+          className="bg-white rounded-lg shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto"
+          onClick={(e) => e.stopPropagation()}
+        >
+          <div className="flex items-center justify-between p-6 border-b">
+            <h2 className="text-xl font-semibold text-gray-900">
+              {contact ? 'Edit Contact' : 'New Contact'}
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <SafeIcon icon={FiX} className="text-xl" />
+            </button>
+          </div>
+
+          <form onSubmit={handleSubmit} className="p-6 space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Name *</label>
+              <input
+                type="text"
+                value={formData.name}
+                onChange={(e) => setField('name', e.target.value)}
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Organization</label>
+              <input
+                type="text"
+                value={formData.organization}
+                onChange={(e) => setField('organization', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Email</label>
+                <input
+                  type="email"
+                  value={formData.email}
+                  onChange={(e) => setField('email', e.target.value)}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Phone</label>
+                <input
+                  type="tel"
+                  value={formData.phone}
+                  onChange={(e) => setField('phone', e.target.value)}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Tags</label>
+              <input
+                type="text"
+                value={formData.tags}
+                onChange={(e) => setField('tags', e.target.value)}
+                className={inputClass}
+                placeholder="partner, press, speaker"
+              />
+              <p className="text-xs text-gray-500 mt-1">Separate tags with commas.</p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Notes</label>
+              <textarea
+                value={formData.notes}
+                onChange={(e) => setField('notes', e.target.value)}
+                rows={3}
+                className={inputClass}
+              />
+            </div>
+
+            <div className="flex justify-end space-x-3 pt-4 border-t">
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-4 py-2 text-gray-600 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+              >
+                {contact ? 'Update Contact' : 'Create Contact'}
+              </button>
+            </div>
+          </form>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+}
+
+export default ContactModal;
@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import SafeIcon from '../../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { useContact } from '../../contexts/ContactContext';
+import { matchesContactSearch } from '../../utils/contacts';
+
+const { FiSearch, FiUserPlus, FiUser } = FiIcons;
+
+// Search box that picks a participant from the contact directory, or adds a new contact
+function ContactPicker({ excludeIds = [], onPick }) {
+  const { contacts, addContact } = useContact();
+  const [term, setTerm] = useState('');
+  const [open, setOpen] = useState(false);
+  const [creating, setCreating] = useState(false);
+
+  const matches = contacts
+    .filter(contact => !excludeIds.includes(contact.id) && matchesContactSearch(contact, term))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .slice(0, 8);
+  const trimmed = term.trim();
+  const exactMatch = contacts.some(contact => contact.name.trim().toLowerCase() === trimmed.toLowerCase());
+
+  const pick = (contact) => {
+    onPick(contact);
+    setTerm('');
+    setOpen(false);
+  };
+
+  const handleCreate = async () => {
+    setCreating(true);
+    try {
+      pick(await addContact({ name: trimmed }));
+    } catch (error) {
+      alert(`Could not add the contact: ${error.message}`);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div className="relative" onBlur={(e) => !e.currentTarget.contains(e.relatedTarget) && setOpen(false)}>
+      <div className="relative">
+        <SafeIcon icon={FiSearch} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 text-sm" />
+        <input
+          type="text"
+          value={term}
+          onChange={(e) => {
+            setTerm(e.target.value);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          placeholder="Add a participant from contacts..."
+        />
+      </div>
+
+      {open && (matches.length > 0 || trimmed) && (
+        <div className="absolute z-20 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg max-h-64 overflow-y-auto">
+          {matches.map(contact => (
+            <button
+              key={contact.id}
+              type="button"
+              onClick={() => pick(contact)}
+              className="flex items-center space-x-2 w-full text-left px-3 py-2 text-sm hover:bg-gray-50"
+            >
+              <SafeIcon icon={FiUser} className="text-gray-400" />
+              <span className="text-gray-900">{contact.name}</span>
+              {contact.organization && <span className="text-gray-500">· {contact.organization}</span>}
+            </button>
+          ))}
+          {trimmed && !exactMatch && (
+            <button
+              type="button"
+              onClick={handleCreate}
+              disabled={creating}
+              className="flex items-center space-x-2 w-full text-left px-3 py-2 text-sm text-blue-600 hover:bg-blue-50 border-t disabled:opacity-50"
+            >
+              <SafeIcon icon={FiUserPlus} />
+              <span>Add "{trimmed}" to contacts</span>
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ContactPicker;
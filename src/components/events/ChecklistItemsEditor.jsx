@@ -0,0 +1,76 @@
+import React from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import SafeIcon from '../../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { describeDueOffset } from '../../utils/eventChecklist';
+
+const { FiPlus, FiTrash2, FiClipboard } = FiIcons;
+
+// Editable list of checklist items with due dates relative to the event start
+function ChecklistItemsEditor({ items, onChange, addLabel = 'Add Item' }) {
+  const addItem = () => {
+    onChange([...items, { id: uuidv4(), label: '', dueOffset: null, completed: false }]);
+  };
+
+  const updateItem = (id, updates) => {
+    onChange(items.map(item => item.id === id ? { ...item, ...updates } : item));
+  };
+
+  const removeItem = (id) => {
+    onChange(items.filter(item => item.id !== id));
+  };
+
+  const handleOffsetChange = (id, value) => {
+    updateItem(id, { dueOffset: value === '' ? null : parseInt(value, 10) });
+  };
+
+  return (
+    <div className="space-y-2">
+      {items.length > 0 ? (
+        items.map(item => (
+          <div key={item.id} className="flex items-center space-x-2">
+            <input
+              type="text"
+              value={item.label}
+              onChange={(e) => updateItem(item.id, { label: e.target.value })}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="Checklist item"
+            />
+            <input
+              type="number"
+              value={item.dueOffset ?? ''}
+              onChange={(e) => handleOffsetChange(item.id, e.target.value)}
+              className="w-24 px-2 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="Due (days)"
+              title="Days relative to the event start date, negative for before"
+            />
+            <span className="w-32 text-xs text-gray-500">{describeDueOffset(item.dueOffset)}</span>
+            <button
+              type="button"
+              onClick={() => removeItem(item.id)}
+              className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+              title="Remove item"
+            >
+              <SafeIcon icon={FiTrash2} className="text-sm" />
+            </button>
+          </div>
+        ))
+      ) : (
+        <div className="text-center py-4 border border-dashed rounded-lg text-gray-500">
+          <SafeIcon icon={FiClipboard} className="mx-auto text-gray-300 text-2xl mb-2" />
+          <p className="text-sm">No checklist items yet</p>
+        </div>
+      )}
+      <button
+        type="button"
+        onClick={addItem}
+        className="flex items-center space-x-1 text-blue-600 hover:text-blue-700 text-sm"
+      >
+        <SafeIcon icon={FiPlus} className="text-sm" />
+        <span>{addLabel}</span>
+      </button>
+    </div>
+  );
+}
+
+export default ChecklistItemsEditor;
@@ -0,0 +1,355 @@
+import React, { useState } from 'react';
+import { format, parseISO } from 'date-fns';
+import SafeIcon from '../../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { useEvent } from '../../contexts/EventContext';
+import {
+  EXPENSE_CATEGORIES, CURRENCIES, DEFAULT_CURRENCY,
+  getExpenseCategoryLabel, getExpenseTotals, sumByCurrency, formatMoney, formatTotals
+} from '../../utils/eventBudget';
+
+const { FiPlus, FiEdit3, FiTrash2, FiCheck, FiFileText, FiUser, FiDollarSign } = FiIcons;
+
+const emptyExpense = (currency) => ({
+  category: 'registration',
+  description: '',
+  amount: '',
+  currency,
+  participantId: '',
+  receipt: '',
+  paid: false
+});
+
+function EventBudget({ event }) {
+  const { updateEvent, addExpense, updateExpense, removeExpense } = useEvent();
+  const eventCurrency = event.currency || DEFAULT_CURRENCY;
+  const expenses = event.expenses || [];
+  const participants = event.participants || [];
+
+  const [budgetInput, setBudgetInput] = useState(event.budget ?? '');
+  const [showForm, setShowForm] = useState(false);
+  const [editingExpenseId, setEditingExpenseId] = useState(null);
+  const [formData, setFormData] = useState(() => emptyExpense(eventCurrency));
+
+  const totals = getExpenseTotals(expenses);
+  const spentInEventCurrency = totals.total[eventCurrency] || 0;
+  const otherCurrencies = Object.keys(totals.total).filter(currency => currency !== eventCurrency);
+  const budget = event.budget === null || event.budget === undefined || event.budget === '' ? null : Number(event.budget);
+
+  const getParticipantName = (participantId) =>
+    (participants.find(participant => participant.id === participantId) || {}).name;
+
+  const participantCosts = participants
+    .map(participant => ({
+      participant,
+      totals: sumByCurrency(expenses, expense => expense.participantId === participant.id)
+    }))
+    .filter(entry => Object.keys(entry.totals).length > 0);
+
+  const handleError = (error) => {
+    alert(`Could not save the budget change: ${error.message}`);
+  };
+
+  const handleBudgetSave = () => {
+    const value = budgetInput === '' ? null : Number(budgetInput);
+    if (value === budget) return;
+    updateEvent(event.id, { budget: value }).catch(handleError);
+  };
+
+  const handleCurrencyChange = (currency) => {
+    updateEvent(event.id, { currency }).catch(handleError);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const amount = parseFloat(formData.amount);
+    if (Number.isNaN(amount)) return;
+
+    const expense = {
+      ...formData,
+      amount,
+      description: formData.description.trim(),
+      receipt: formData.receipt.trim(),
+      participantId: formData.participantId || null,
+      paidAt: formData.paid ? (formData.paidAt || new Date().toISOString()) : null
+    };
+
+    const save = editingExpenseId
+      ? updateExpense(event.id, editingExpenseId, expense)
+      : addExpense(event.id, expense);
+    save.catch(handleError);
+    handleCancel();
+  };
+
+  const handleEdit = (expense) => {
+    setEditingExpenseId(expense.id);
+    setFormData({
+      ...emptyExpense(eventCurrency),
+      ...expense,
+      amount: String(expense.amount),
+      participantId: expense.participantId || '',
+      receipt: expense.receipt || ''
+    });
+    setShowForm(true);
+  };
+
+  const handleCancel = () => {
+    setShowForm(false);
+    setEditingExpenseId(null);
+    setFormData(emptyExpense(eventCurrency));
+  };
+
+  const handleTogglePaid = (expense) => {
+    updateExpense(event.id, expense.id, {
+      paid: !expense.paid,
+      paidAt: expense.paid ? null : new Date().toISOString()
+    }).catch(handleError);
+  };
+
+  const handleDelete = (expense) => {
+    if (window.confirm('Are you sure you want to delete this expense?')) {
+      removeExpense(event.id, expense.id).catch(handleError);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Budget and Totals */}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div className="bg-gray-50 rounded-lg border p-4">
+          <label className="block text-xs font-medium text-gray-500 mb-1">Budget</label>
+          <div className="flex space-x-2">
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={budgetInput}
+              onChange={(e) => setBudgetInput(e.target.value)}
+              onBlur={handleBudgetSave}
+              className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="Not set"
+            />
+            <select
+              value={eventCurrency}
+              onChange={(e) => handleCurrencyChange(e.target.value)}
+              className="px-1 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {CURRENCIES.map(currency => (
+                <option key={currency} value={currency}>{currency}</option>
+              ))}
+            </select>
+          </div>
+          {budget !== null && (
+            <p className={`text-xs mt-1 ${spentInEventCurrency > budget ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
+              {spentInEventCurrency > budget
+                ? `${formatMoney(spentInEventCurrency - budget, eventCurrency)} over budget`
+                : `${formatMoney(budget - spentInEventCurrency, eventCurrency)} remaining`}
+              {otherCurrencies.length > 0 && ` (excl. ${otherCurrencies.join(', ')})`}
+            </p>
+          )}
+        </div>
+        <div className="bg-white rounded-lg border p-4">
+          <p className="text-xs font-medium text-gray-500 mb-1">Total Costs</p>
+          <p className="text-lg font-semibold text-gray-900">{formatTotals(totals.total, eventCurrency)}</p>
+        </div>
+        <div className="bg-white rounded-lg border p-4">
+          <p className="text-xs font-medium text-gray-500 mb-1">Paid</p>
+          <p className="text-lg font-semibold text-green-600">{formatTotals(totals.paid, eventCurrency)}</p>
+        </div>
+        <div className="bg-white rounded-lg border p-4">
+          <p className="text-xs font-medium text-gray-500 mb-1">Unpaid</p>
+          <p className="text-lg font-semibold text-orange-600">{formatTotals(totals.unpaid, eventCurrency)}</p>
+        </div>
+      </div>
+
+      {/* Expenses */}
+      <div>
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-lg font-semibold text-gray-900">Expenses</h3>
+          {!showForm && (
+            <button
+              onClick={() => setShowForm(true)}
+              className="flex items-center space-x-1 text-blue-600 hover:text-blue-700 text-sm"
+            >
+              <SafeIcon icon={FiPlus} className="text-sm" />
+              <span>Add Expense</span>
+            </button>
+          )}
+        </div>
+
+        {showForm && (
+          <form onSubmit={handleSubmit} className="bg-gray-50 rounded-lg border p-4 mb-4 space-y-3">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <select
+                value={formData.category}
+                onChange={(e) => setFormData(prev => ({ ...prev, category: e.target.value }))}
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {EXPENSE_CATEGORIES.map(category => (
+                  <option key={category.id} value={category.id}>{category.label}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={formData.description}
+                onChange={(e) => setFormData(prev => ({ ...prev, description: e.target.value }))}
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                placeholder="Description"
+              />
+              <div className="flex space-x-2">
+                <input
+                  type="number"
+                  step="0.01"
+                  value={formData.amount}
+                  onChange={(e) => setFormData(prev => ({ ...prev, amount: e.target.value }))}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="Amount"
+                  required
+                />
+                <select
+                  value={formData.currency}
+                  onChange={(e) => setFormData(prev => ({ ...prev, currency: e.target.value }))}
+                  className="px-2 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {CURRENCIES.map(currency => (
+                    <option key={currency} value={currency}>{currency}</option>
+                  ))}
+                </select>
+              </div>
+              <select
+                value={formData.participantId}
+                onChange={(e) => setFormData(prev => ({ ...prev, participantId: e.target.value }))}
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">Whole team</option>
+                {participants.map(participant => (
+                  <option key={participant.id} value={participant.id}>{participant.name}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={formData.receipt}
+                onChange={(e) => setFormData(prev => ({ ...prev, receipt: e.target.value }))}
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                placeholder="Receipt / invoice reference"
+              />
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={formData.paid}
+                  onChange={(e) => setFormData(prev => ({ ...prev, paid: e.target.checked }))}
+                  className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                <span>Paid</span>
+              </label>
+            </div>
+            <div className="flex justify-end space-x-2">
+              <button
+                type="button"
+                onClick={handleCancel}
+                className="px-3 py-1 text-gray-600 border border-gray-300 rounded-md hover:bg-gray-100"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+              >
+                {editingExpenseId ? 'Update Expense' : 'Add Expense'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {expenses.length > 0 ? (
+          <div className="border rounded-lg divide-y">
+            {expenses.map(expense => (
+              <div key={expense.id} className="flex items-center justify-between p-3">
+                <div className="flex items-start space-x-3 min-w-0">
+                  <button
+                    onClick={() => handleTogglePaid(expense)}
+                    className={`mt-0.5 w-5 h-5 flex-shrink-0 rounded border flex items-center justify-center ${
+                      expense.paid ? 'bg-green-600 border-green-600 text-white' : 'border-gray-300 hover:border-green-500'
+                    }`}
+                    title={expense.paid ? 'Mark as unpaid' : 'Mark as paid'}
+                  >
+                    {expense.paid && <SafeIcon icon={FiCheck} className="text-xs" />}
+                  </button>
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900">
+                      {getExpenseCategoryLabel(expense.category)}
+                      {expense.description && <span className="font-normal text-gray-600"> – {expense.description}</span>}
+                    </p>
+                    <div className="flex flex-wrap items-center gap-x-3 text-xs text-gray-500">
+                      {expense.participantId && getParticipantName(expense.participantId) && (
+                        <span className="flex items-center space-x-1">
+                          <SafeIcon icon={FiUser} />
+                          <span>{getParticipantName(expense.participantId)}</span>
+                        </span>
+                      )}
+                      {expense.receipt && (
+                        <span className="flex items-center space-x-1">
+                          <SafeIcon icon={FiFileText} />
+                          <span>{expense.receipt}</span>
+                        </span>
+                      )}
+                      <span className={expense.paid ? 'text-green-600' : 'text-orange-600'}>
+                        {expense.paid
+                          ? `Paid${expense.paidAt ? ` ${format(parseISO(expense.paidAt), 'MMM d, yyyy')}` : ''}`
+                          : 'Unpaid'}
+                      </span>
+                    </div>
+                  </div>
+                </div>
+                <div className="flex items-center space-x-3 flex-shrink-0">
+                  <span className="text-sm font-semibold text-gray-900">
+                    {formatMoney(Number(expense.amount) || 0, expense.currency || eventCurrency)}
+                  </span>
+                  <button
+                    onClick={() => handleEdit(expense)}
+                    className="p-1 text-gray-400 hover:text-blue-600 transition-colors"
+                    title="Edit Expense"
+                  >
+                    <SafeIcon icon={FiEdit3} className="text-sm" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(expense)}
+                    className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+                    title="Delete Expense"
+                  >
+                    <SafeIcon icon={FiTrash2} className="text-sm" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="text-center py-10 bg-gray-50 rounded-lg border border-dashed">
+            <SafeIcon icon={FiDollarSign} className="mx-auto text-gray-300 text-3xl mb-2" />
+            <p className="text-gray-500">No expenses recorded yet</p>
+          </div>
+        )}
+      </div>
+
+      {/* Per-participant Costs */}
+      {participantCosts.length > 0 && (
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 mb-3">Costs per Participant</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {participantCosts.map(({ participant, totals: participantTotals }) => (
+              <div key={participant.id} className="flex items-center justify-between bg-white rounded-lg border p-3">
+                <span className="flex items-center space-x-2 text-sm text-gray-900">
+                  <SafeIcon icon={FiUser} className="text-gray-400" />
+                  <span>{participant.name}</span>
+                </span>
+                <span className="text-sm font-medium text-gray-900">{formatTotals(participantTotals, eventCurrency)}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default EventBudget;
@@ -68,7 +68,9 @@ function EventCard({ event, onEdit, onDelete, onViewDetails }) {
   // Handle checklist item toggle
   const handleChecklistItemToggle = (e, itemId) => {
     e.stopPropagation(); // Prevent the card click event
-    toggleChecklistItem(currentEvent.id, itemId);
+    toggleChecklistItem(currentEvent.id, itemId).catch(() => {
+      alert('Could not save the checklist change.');
+    });
   };
 
   return (
@@ -181,7 +183,7 @@ function EventCard({ event, onEdit, onDelete, onViewDetails }) {
         )}
 
         {/* Checklist Icons Row - Without Text */}
-        <div className="flex items-center justify-between mb-3 mt-4">
+        <div className="flex flex-wrap items-center gap-2 mb-3 mt-4">
           {currentEvent.checklist.map((item) => {
             const isComplete = item.completed;
             const IconComponent = getChecklistIcon(item.id);
@@ -0,0 +1,203 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { format, parseISO } from 'date-fns';
+import SafeIcon from '../../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { useEvent } from '../../contexts/EventContext';
+import {
+  EXPENSE_CATEGORIES, DEFAULT_CURRENCY,
+  getExpenseCategoryLabel, getExpenseTotals, sumByCurrency, mergeTotals, formatMoney, formatTotals
+} from '../../utils/eventBudget';
+
+const { FiX, FiBarChart2, FiDownload } = FiIcons;
+
+const csvCell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+// Event costs per year, by event and by expense category
+function EventCostReport({ onClose }) {
+  const { events } = useEvent();
+
+  const years = [...new Set(events.map(event => event.startDate && event.startDate.slice(0, 4)).filter(Boolean))]
+    .sort()
+    .reverse();
+  const [year, setYear] = useState(years[0] || format(new Date(), 'yyyy'));
+
+  const yearEvents = events
+    .filter(event => event.startDate && event.startDate.startsWith(year))
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+  const rows = yearEvents.map(event => ({
+    event,
+    totals: getExpenseTotals(event.expenses || [])
+  }));
+
+  const yearTotals = {
+    total: mergeTotals(...rows.map(row => row.totals.total)),
+    paid: mergeTotals(...rows.map(row => row.totals.paid)),
+    unpaid: mergeTotals(...rows.map(row => row.totals.unpaid))
+  };
+
+  const yearExpenses = yearEvents.flatMap(event => event.expenses || []);
+  const categoryTotals = EXPENSE_CATEGORIES
+    .map(category => ({
+      category,
+      totals: sumByCurrency(yearExpenses, expense => expense.category === category.id)
+    }))
+    .filter(entry => Object.keys(entry.totals).length > 0);
+
+  // One line per expense, for accounting
+  const handleExportCsv = () => {
+    const header = ['Event', 'Start date', 'Category', 'Description', 'Amount', 'Currency', 'Paid', 'Receipt'];
+    const lines = yearEvents.flatMap(event => (event.expenses || []).map(expense => [
+      event.title,
+      event.startDate,
+      getExpenseCategoryLabel(expense.category),
+      expense.description,
+      Number(expense.amount || 0).toFixed(2),
+      expense.currency || event.currency || DEFAULT_CURRENCY,
+      expense.paid ? 'yes' : 'no',
+      expense.receipt
+    ]));
+    const content = [header, ...lines].map(line => line.map(csvCell).join(',')).join('\n');
+
+    const blob = new Blob([content], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `event-costs-${year}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+        onClick={onClose}
+      >
+        <motion.div
+          initial={{ scale: 0.95, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+          exit={{ scale: 0.95, opacity: 0 }}
+          className="bg-white rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] overflow-y-auto"
+          onClick={(e) => e.stopPropagation()}
+        >
+          <div className="flex items-center justify-between p-6 border-b">
+            <div className="flex items-center space-x-3">
+              <SafeIcon icon={FiBarChart2} className="text-xl text-blue-600" />
+              <h2 className="text-xl font-semibold text-gray-900">Event Cost Report</h2>
+              <select
+                value={year}
+                onChange={(e) => setYear(e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {(years.length > 0 ? years : [year]).map(option => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={handleExportCsv}
+                disabled={yearExpenses.length === 0}
+                className="flex items-center space-x-1 px-3 py-1 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+              >
+                <SafeIcon icon={FiDownload} />
+                <span>CSV</span>
+              </button>
+              <button
+                onClick={onClose}
+                className="p-2 text-gray-400 hover:text-gray-600 transition-colors"
+              >
+                <SafeIcon icon={FiX} className="text-xl" />
+              </button>
+            </div>
+          </div>
+
+          <div className="p-6 space-y-6">
+            {/* Year Totals */}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="bg-white rounded-lg border p-4">
+                <p className="text-xs font-medium text-gray-500 mb-1">Total {year}</p>
+                <p className="text-lg font-semibold text-gray-900">{formatTotals(yearTotals.total)}</p>
+              </div>
+              <div className="bg-white rounded-lg border p-4">
+                <p className="text-xs font-medium text-gray-500 mb-1">Paid</p>
+                <p className="text-lg font-semibold text-green-600">{formatTotals(yearTotals.paid)}</p>
+              </div>
+              <div className="bg-white rounded-lg border p-4">
+                <p className="text-xs font-medium text-gray-500 mb-1">Unpaid</p>
+                <p className="text-lg font-semibold text-orange-600">{formatTotals(yearTotals.unpaid)}</p>
+              </div>
+            </div>
+
+            {/* Per Event */}
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 mb-2">By Event</h3>
+              {rows.length > 0 ? (
+                <table className="min-w-full divide-y divide-gray-200 border rounded-lg">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Event</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Budget</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Total</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Unpaid</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {rows.map(({ event, totals }) => {
+                      const currency = event.currency || DEFAULT_CURRENCY;
+                      const hasBudget = event.budget !== null && event.budget !== undefined && event.budget !== '';
+                      return (
+                        <tr key={event.id}>
+                          <td className="px-4 py-2 text-sm text-gray-900">{event.title}</td>
+                          <td className="px-4 py-2 text-sm text-gray-500 whitespace-nowrap">
+                            {format(parseISO(event.startDate), 'MMM d')}
+                          </td>
+                          <td className="px-4 py-2 text-sm text-gray-500 text-right whitespace-nowrap">
+                            {hasBudget ? formatMoney(Number(event.budget), currency) : '–'}
+                          </td>
+                          <td className="px-4 py-2 text-sm font-medium text-gray-900 text-right whitespace-nowrap">
+                            {formatTotals(totals.total, currency)}
+                          </td>
+                          <td className="px-4 py-2 text-sm text-orange-600 text-right whitespace-nowrap">
+                            {formatTotals(totals.unpaid, currency)}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              ) : (
+                <p className="text-sm text-gray-500">No events in {year}.</p>
+              )}
+            </div>
+
+            {/* Per Category */}
+            {categoryTotals.length > 0 && (
+              <div>
+                <h3 className="text-sm font-medium text-gray-700 mb-2">By Category</h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                  {categoryTotals.map(({ category, totals }) => (
+                    <div key={category.id} className="flex items-center justify-between bg-gray-50 rounded-lg border p-3">
+                      <span className="text-sm text-gray-700">{category.label}</span>
+                      <span className="text-sm font-medium text-gray-900">{formatTotals(totals)}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+}
+
+export default EventCostReport;
@@ -6,6 +6,7 @@ import SafeIcon from '../../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 import { useEvent, PARTICIPATION_TYPES } from '../../contexts/EventContext';
 import EventDetailsModal from './EventDetailsModal';
+import { getChecklistProgress } from '../../utils/eventChecklist';
 
 const { 
   FiCalendar, FiClock, FiMapPin, FiMic, FiPackage, 
@@ -121,7 +122,7 @@ function EventDashboardWidget() {
                                 className="text-blue-600"
                                 strokeWidth="4"
                                 strokeDasharray={100}
-                                strokeDashoffset={100 - (event.checklist.filter(item => item.completed).length / event.checklist.length) * 100}
+                                strokeDashoffset={100 - getChecklistProgress(event.checklist)}
                                 strokeLinecap="round"
                                 stroke="currentColor"
                                 fill="transparent"
@@ -131,7 +132,7 @@ function EventDashboardWidget() {
                               />
                             </svg>
                             <div className="absolute inset-0 flex items-center justify-center text-xs font-medium">
-                              {Math.round((event.checklist.filter(item => item.completed).length / event.checklist.length) * 100)}%
+                              {getChecklistProgress(event.checklist)}%
                             </div>
                           </div>
                         )}
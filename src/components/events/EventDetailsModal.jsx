@@ -1,20 +1,30 @@
 import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { format, isPast, isToday, isFuture, isWithinInterval } from 'date-fns';
+import { format, parseISO, isPast, isToday, isFuture, isWithinInterval } from 'date-fns';
 import SafeIcon from '../../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 import { useEvent, PARTICIPATION_TYPES, CHECKLIST_ITEMS } from '../../contexts/EventContext';
 import DOMPurify from 'dompurify';
+import EventBudget from './EventBudget';
+import EventItinerary from './EventItinerary';
+import CommentThread from '../comments/CommentThread';
+import { getChecklistProgress, getChecklistItemDueDate } from '../../utils/eventChecklist';
+import { getTravelWarnings } from '../../utils/travelItinerary';
+import { useContact } from '../../contexts/ContactContext';
+import { resolveParticipant } from '../../utils/contacts';
 
 const {
   FiX, FiEdit3, FiTrash2, FiCalendar, FiMapPin, FiCheck, FiClock,
   FiUser, FiUsers, FiMic, FiPackage, FiInfo, FiClipboard, FiFileText,
-  FiDollarSign, FiCreditCard, FiHome, FiTruck, FiShield, FiCheckCircle
+  FiDollarSign, FiCreditCard, FiHome, FiTruck, FiShield, FiCheckCircle, FiNavigation, FiAlertTriangle, FiLink,
+  FiMessageCircle
 } = FiIcons;
 
 function EventDetailsModal({ event, onClose, onEdit, onDelete }) {
   const [activeTab, setActiveTab] = useState('overview');
-  const { toggleChecklistItem, getEventById } = useEvent();
+  const { toggleChecklistItem, getEventById, getEventTasks, generateEventTasks } = useEvent();
+  const [generatingTasks, setGeneratingTasks] = useState(false);
+  const { getContactById } = useContact();
 
   if (!event) return null;
 
@@ -22,8 +32,14 @@ function EventDetailsModal({ event, onClose, onEdit, onDelete }) {
   const currentEvent = getEventById(event.id) || event;
   
   // Calculate progress
-  const completedItems = currentEvent.checklist.filter(item => item.completed).length;
-  const progress = Math.round((completedItems / currentEvent.checklist.length) * 100);
+  const progress = getChecklistProgress(currentEvent.checklist);
+  const todayKey = format(new Date(), 'yyyy-MM-dd');
+
+  // Tasks generated from the checklist, and the open items that have none yet
+  const eventTasks = getEventTasks(currentEvent.id);
+  const itemsWithoutTask = currentEvent.checklist.filter(item =>
+    !item.completed && !eventTasks.some(task => task.linkedChecklistItem === item.id)
+  );
 
   // Determine event status
   const today = new Date();
@@ -55,6 +71,9 @@ function EventDetailsModal({ event, onClose, onEdit, onDelete }) {
   const tabs = [
     { id: 'overview', label: 'Overview', icon: FiInfo },
     { id: 'participants', label: 'Participants', icon: FiUsers },
+    { id: 'itinerary', label: 'Travel', icon: FiNavigation },
+    { id: 'budget', label: 'Budget', icon: FiDollarSign },
+    { id: 'comments', label: 'Comments', icon: FiMessageCircle },
   ];
 
   // Map checklist items to icons - using direct icon references
@@ -77,7 +96,20 @@ function EventDetailsModal({ event, onClose, onEdit, onDelete }) {
       e.preventDefault();
       e.stopPropagation();
     }
-    toggleChecklistItem(eventId, itemId);
+    toggleChecklistItem(eventId, itemId).catch(() => {
+      alert('Could not save the checklist change.');
+    });
+  };
+
+  const handleGenerateTasks = async () => {
+    setGeneratingTasks(true);
+    try {
+      await generateEventTasks(currentEvent.id);
+    } catch (error) {
+      alert(`Could not create the tasks: ${error.message}`);
+    } finally {
+      setGeneratingTasks(false);
+    }
   };
 
   return (
@@ -185,10 +217,24 @@ function EventDetailsModal({ event, onClose, onEdit, onDelete }) {
                           <SafeIcon icon={FiClipboard} className="text-gray-400" />
                         </div>
                         <div className="flex-1">
-                          <h4 className="text-sm font-medium text-gray-900 mb-2">Preparation Checklist</h4>
+                          <div className="flex items-center justify-between mb-2">
+                            <h4 className="text-sm font-medium text-gray-900">Preparation Checklist</h4>
+                            {itemsWithoutTask.length > 0 && (
+                              <button
+                                onClick={handleGenerateTasks}
+                                disabled={generatingTasks}
+                                className="text-xs text-blue-600 hover:text-blue-700 disabled:opacity-50"
+                              >
+                                {generatingTasks ? 'Creating tasks...' : `Create ${itemsWithoutTask.length} task${itemsWithoutTask.length !== 1 ? 's' : ''}`}
+                              </button>
+                            )}
+                          </div>
                           <div className="grid grid-cols-3 gap-4">
                             {currentEvent.checklist.map(item => {
                               const IconComponent = getChecklistIcon(item.id);
+                              const dueDate = getChecklistItemDueDate(currentEvent, item);
+                              const overdue = dueDate && !item.completed && dueDate < todayKey;
+                              const linkedTask = eventTasks.find(task => task.linkedChecklistItem === item.id);
                               return (
                                 <div 
                                   key={item.id} 
@@ -205,6 +251,17 @@ function EventDetailsModal({ event, onClose, onEdit, onDelete }) {
                                   <span className="text-xs mt-1 text-center">
                                     {item.label}
                                   </span>
+                                  {dueDate && (
+                                    <span className={`text-xs ${overdue ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
+                                      Due {format(parseISO(dueDate), 'MMM d')}
+                                    </span>
+                                  )}
+                                  {linkedTask && (
+                                    <span className="flex items-center space-x-1 text-xs text-blue-600" title={linkedTask.title}>
+                                      <SafeIcon icon={FiLink} className="text-xs" />
+                                      <span>Task</span>
+                                    </span>
+                                  )}
                                 </div>
                               );
                             })}
@@ -295,24 +352,37 @@ function EventDetailsModal({ event, onClose, onEdit, onDelete }) {
                 <h3 className="text-lg font-semibold text-gray-900 mb-4">Team Members</h3>
                 {currentEvent.participants && currentEvent.participants.length > 0 ? (
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                    {currentEvent.participants.map((participant) => (
-                      <div
-                        key={participant.id}
-                        className="bg-white rounded-lg border p-4 hover:shadow-sm transition-shadow"
-                      >
-                        <div className="flex items-center space-x-3">
-                          <div className="p-2 bg-blue-100 rounded-full">
-                            <SafeIcon icon={FiUser} className="text-blue-600" />
-                          </div>
-                          <div>
-                            <h4 className="font-medium text-gray-900">{participant.name}</h4>
-                            {participant.role && (
-                              <p className="text-sm text-gray-500">{participant.role}</p>
+                    {currentEvent.participants.map((entry) => {
+                      const participant = resolveParticipant(entry, getContactById(entry.contactId));
+                      const travelWarnings = getTravelWarnings(currentEvent, participant);
+                      return (
+                        <div
+                          key={participant.id}
+                          className="bg-white rounded-lg border p-4 hover:shadow-sm transition-shadow"
+                        >
+                          <div className="flex items-center space-x-3">
+                            <div className="p-2 bg-blue-100 rounded-full">
+                              <SafeIcon icon={FiUser} className="text-blue-600" />
+                            </div>
+                            <div className="flex-1">
+                              <h4 className="font-medium text-gray-900">{participant.name}</h4>
+                              {participant.role && (
+                                <p className="text-sm text-gray-500">{participant.role}</p>
+                              )}
+                            </div>
+                            {travelWarnings.length > 0 && (
+                              <button
+                                onClick={() => setActiveTab('itinerary')}
+                                className="text-yellow-600 hover:text-yellow-700"
+                                title={travelWarnings.join('\n')}
+                              >
+                                <SafeIcon icon={FiAlertTriangle} />
+                              </button>
                             )}
                           </div>
                         </div>
-                      </div>
-                    ))}
+                      );
+                    })}
                   </div>
                 ) : (
                   <div className="text-center py-10 bg-gray-50 rounded-lg border border-dashed">
@@ -322,6 +392,18 @@ function EventDetailsModal({ event, onClose, onEdit, onDelete }) {
                 )}
               </div>
             )}
+
+            {activeTab === 'itinerary' && (
+              <EventItinerary event={currentEvent} />
+            )}
+
+            {activeTab === 'budget' && (
+              <EventBudget event={currentEvent} />
+            )}
+
+            {activeTab === 'comments' && (
+              <CommentThread entityType="event" entityId={currentEvent.id} />
+            )}
           </div>
 
           {/* Footer */}
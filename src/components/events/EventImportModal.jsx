@@ -0,0 +1,255 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { format, parseISO } from 'date-fns';
+import SafeIcon from '../../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { useEvent, PARTICIPATION_TYPES } from '../../contexts/EventContext';
+import { useChecklistTemplate } from '../../contexts/ChecklistTemplateContext';
+import { parseCalendar } from '../../utils/ical';
+import { createChecklist } from '../../utils/eventChecklist';
+
+const { FiX, FiUpload, FiCalendar, FiMapPin, FiAlertTriangle, FiCheck } = FiIcons;
+
+const normalizeTitle = (title) => (title || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// Plain-text invite descriptions become rich text notes
+const toNotes = (description) => description
+  ? description.split(/\n{2,}/).map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`).join('')
+  : '';
+
+const formatRange = (startDate, endDate) => startDate === endDate
+  ? format(parseISO(startDate), 'MMM d, yyyy')
+  : `${format(parseISO(startDate), 'MMM d')} – ${format(parseISO(endDate), 'MMM d, yyyy')}`;
+
+function EventImportModal({ onClose }) {
+  const { events, addEvent } = useEvent();
+  const { getDefaultTemplate } = useChecklistTemplate();
+  const [fileName, setFileName] = useState('');
+  const [candidates, setCandidates] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [error, setError] = useState('');
+  const [importing, setImporting] = useState(false);
+  const [result, setResult] = useState(null);
+
+  // An existing event with the same title whose dates overlap the invite
+  const findDuplicate = (candidate) => events.find(event =>
+    normalizeTitle(event.title) === normalizeTitle(candidate.title) &&
+    event.startDate <= candidate.endDate &&
+    event.endDate >= candidate.startDate
+  );
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setFileName(file.name);
+    setError('');
+    setResult(null);
+
+    const reader = new FileReader();
+    reader.onload = (loadEvent) => {
+      try {
+        // Recurring-event overrides share a UID, so the start date is part of the key;
+        // an event listed twice in the file is offered once
+        const seen = new Set();
+        const parsed = parseCalendar(loadEvent.target.result)
+          .map(candidate => ({
+            ...candidate,
+            key: `${candidate.uid || normalizeTitle(candidate.title)}:${candidate.startDate}`,
+            duplicate: findDuplicate(candidate)
+          }))
+          .filter(candidate => {
+            if (seen.has(candidate.key)) return false;
+            seen.add(candidate.key);
+            return true;
+          });
+
+        if (parsed.length === 0) {
+          setError('No events were found in this file.');
+        }
+        setCandidates(parsed);
+        // Duplicates are left out unless picked explicitly
+        setSelected(parsed.filter(candidate => !candidate.duplicate).map(candidate => candidate.key));
+      } catch (err) {
+        setCandidates([]);
+        setSelected([]);
+        setError(err.message);
+      }
+    };
+    reader.onerror = () => setError('Could not read the file.');
+    reader.readAsText(file);
+  };
+
+  const toggleSelected = (key) => {
+    setSelected(prev => prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]);
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    let imported = 0;
+    const failed = [];
+
+    for (const candidate of candidates.filter(c => selected.includes(c.key))) {
+      try {
+        await addEvent({
+          title: candidate.title,
+          location: candidate.location,
+          startDate: candidate.startDate,
+          endDate: candidate.endDate,
+          participationType: PARTICIPATION_TYPES.EXHIBITOR,
+          participants: [],
+          checklist: createChecklist(getDefaultTemplate(PARTICIPATION_TYPES.EXHIBITOR).items),
+          notes: toNotes(candidate.description)
+        });
+        imported++;
+      } catch (err) {
+        failed.push(`${candidate.title}: ${err.message}`);
+      }
+    }
+
+    setImporting(false);
+    setResult({ imported, failed });
+    setCandidates([]);
+    setSelected([]);
+  };
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+        onClick={onClose}
+      >
+        <motion.div
+          initial={{ scale: 0.95, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+          exit={{ scale: 0.95, opacity: 0 }}
+          className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto"
+          onClick={(e) => e.stopPropagation()}
+        >
+          <div className="flex items-center justify-between p-6 border-b">
+            <div>
+              <h2 className="text-xl font-semibold text-gray-900">Import Events</h2>
+              <p className="text-sm text-gray-600">Create events from an iCalendar (.ics) invite</p>
+            </div>
+            <button
+              onClick={onClose}
+              className="p-2 text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <SafeIcon icon={FiX} className="text-xl" />
+            </button>
+          </div>
+
+          <div className="p-6 space-y-6">
+            {/* File Picker */}
+            <label className="flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-lg p-6 cursor-pointer hover:border-blue-400 hover:bg-blue-50 transition-colors">
+              <SafeIcon icon={FiUpload} className="text-3xl text-gray-400 mb-2" />
+              <span className="text-sm font-medium text-gray-700">
+                {fileName || 'Choose an .ics file'}
+              </span>
+              <span className="text-xs text-gray-500 mt-1">Conference invites, calendar exports</span>
+              <input
+                type="file"
+                accept=".ics,text/calendar"
+                onChange={handleFileChange}
+                className="hidden"
+              />
+            </label>
+
+            {error && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700">
+                {error}
+              </div>
+            )}
+
+            {result && (
+              <div className={`rounded-lg p-3 text-sm ${
+                result.failed.length > 0 ? 'bg-yellow-50 text-yellow-800' : 'bg-green-50 text-green-800'
+              }`}>
+                <p>{result.imported} event{result.imported !== 1 ? 's' : ''} imported.</p>
+                {result.failed.map(message => (
+                  <p key={message} className="text-xs mt-1">{message}</p>
+                ))}
+              </div>
+            )}
+
+            {/* Preview */}
+            {candidates.length > 0 && (
+              <div className="space-y-3">
+                <h3 className="text-sm font-medium text-gray-700">
+                  {candidates.length} event{candidates.length !== 1 ? 's' : ''} found
+                </h3>
+                <div className="border rounded-lg divide-y">
+                  {candidates.map(candidate => (
+                    <label
+                      key={candidate.key}
+                      className={`flex items-start space-x-3 p-3 cursor-pointer hover:bg-gray-50 ${
+                        candidate.duplicate ? 'bg-yellow-50' : ''
+                      }`}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={selected.includes(candidate.key)}
+                        onChange={() => toggleSelected(candidate.key)}
+                        className="mt-1 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                      />
+                      <div className="flex-1 min-w-0">
+                        <p className="font-medium text-gray-900">{candidate.title}</p>
+                        <div className="flex flex-wrap items-center gap-x-4 gap-y-1 mt-1 text-sm text-gray-600">
+                          <span className="flex items-center space-x-1">
+                            <SafeIcon icon={FiCalendar} className="text-xs" />
+                            <span>{formatRange(candidate.startDate, candidate.endDate)}</span>
+                          </span>
+                          {candidate.location && (
+                            <span className="flex items-center space-x-1">
+                              <SafeIcon icon={FiMapPin} className="text-xs" />
+                              <span className="truncate">{candidate.location}</span>
+                            </span>
+                          )}
+                        </div>
+                        {candidate.duplicate && (
+                          <p className="flex items-center space-x-1 mt-1 text-xs text-yellow-700">
+                            <SafeIcon icon={FiAlertTriangle} />
+                            <span>
+                              Looks like "{candidate.duplicate.title}" ({formatRange(candidate.duplicate.startDate, candidate.duplicate.endDate)})
+                            </span>
+                          </p>
+                        )}
+                      </div>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className="flex justify-end space-x-3 p-6 border-t">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200 transition-colors"
+            >
+              {result ? 'Done' : 'Cancel'}
+            </button>
+            <button
+              onClick={handleImport}
+              disabled={selected.length === 0 || importing}
+              className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              <SafeIcon icon={FiCheck} />
+              <span>{importing ? 'Importing...' : `Import ${selected.length} Event${selected.length !== 1 ? 's' : ''}`}</span>
+            </button>
+          </div>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+}
+
+export default EventImportModal;
@@ -0,0 +1,354 @@
+import React, { useState } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import { format, parseISO } from 'date-fns';
+import SafeIcon from '../../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { useEvent } from '../../contexts/EventContext';
+import {
+  TRAVEL_MODES, getTravelModeLabel, getTravelWarnings, hasTravelDetails, printTravelSheet
+} from '../../utils/travelItinerary';
+
+const {
+  FiUser, FiUsers, FiEdit3, FiPrinter, FiAlertTriangle, FiHome, FiTruck,
+  FiNavigation, FiCalendar, FiPlus, FiTrash2
+} = FiIcons;
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const emptyTravel = () => ({
+  arrivalDate: '',
+  departureDate: '',
+  hotel: { name: '', address: '', confirmation: '', checkIn: '', checkOut: '' },
+  legs: [],
+  rentalCar: { company: '', confirmation: '', pickupDate: '', returnDate: '', driver: false }
+});
+
+const formatDay = (date) => format(parseISO(date), 'MMM d');
+const formatDateTime = (value) => value ? format(parseISO(value), 'MMM d HH:mm') : '';
+
+function TravelForm({ event, participant, onSave, onCancel }) {
+  const [travel, setTravel] = useState(() => {
+    const current = participant.travel || {};
+    const empty = emptyTravel();
+    return {
+      ...empty,
+      ...current,
+      hotel: { ...empty.hotel, ...current.hotel },
+      rentalCar: { ...empty.rentalCar, ...current.rentalCar },
+      legs: current.legs || []
+    };
+  });
+
+  const setField = (field, value) => setTravel(prev => ({ ...prev, [field]: value }));
+  const setHotel = (field, value) => setTravel(prev => ({ ...prev, hotel: { ...prev.hotel, [field]: value } }));
+  const setRentalCar = (field, value) => setTravel(prev => ({ ...prev, rentalCar: { ...prev.rentalCar, [field]: value } }));
+
+  const addLeg = () => {
+    setTravel(prev => ({
+      ...prev,
+      legs: [...prev.legs, { id: uuidv4(), mode: 'flight', carrier: '', number: '', from: '', to: '', departure: '', arrival: '', reference: '' }]
+    }));
+  };
+
+  const updateLeg = (id, field, value) => {
+    setTravel(prev => ({
+      ...prev,
+      legs: prev.legs.map(leg => leg.id === id ? { ...leg, [field]: value } : leg)
+    }));
+  };
+
+  const removeLeg = (id) => {
+    setTravel(prev => ({ ...prev, legs: prev.legs.filter(leg => leg.id !== id) }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(travel);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 mt-4 pt-4 border-t">
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Arrival</label>
+          <input
+            type="date"
+            value={travel.arrivalDate}
+            onChange={(e) => setField('arrivalDate', e.target.value)}
+            max={event.startDate}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Departure</label>
+          <input
+            type="date"
+            value={travel.departureDate}
+            onChange={(e) => setField('departureDate', e.target.value)}
+            min={travel.arrivalDate || undefined}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      {/* Connections */}
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <label className="text-xs font-medium text-gray-600">Flights & Trains</label>
+          <button
+            type="button"
+            onClick={addLeg}
+            className="flex items-center space-x-1 text-blue-600 hover:text-blue-700 text-xs"
+          >
+            <SafeIcon icon={FiPlus} />
+            <span>Add Connection</span>
+          </button>
+        </div>
+        <div className="space-y-3">
+          {travel.legs.map(leg => (
+            <div key={leg.id} className="bg-gray-50 border rounded-lg p-3 grid grid-cols-2 md:grid-cols-4 gap-2">
+              <select value={leg.mode} onChange={(e) => updateLeg(leg.id, 'mode', e.target.value)} className={inputClass}>
+                {TRAVEL_MODES.map(mode => (
+                  <option key={mode.id} value={mode.id}>{mode.label}</option>
+                ))}
+              </select>
+              <input value={leg.carrier} onChange={(e) => updateLeg(leg.id, 'carrier', e.target.value)} className={inputClass} placeholder="Carrier" />
+              <input value={leg.number} onChange={(e) => updateLeg(leg.id, 'number', e.target.value)} className={inputClass} placeholder="Flight / train no." />
+              <div className="flex items-center space-x-2">
+                <input value={leg.reference} onChange={(e) => updateLeg(leg.id, 'reference', e.target.value)} className={inputClass} placeholder="Booking ref." />
+                <button
+                  type="button"
+                  onClick={() => removeLeg(leg.id)}
+                  className="p-1 text-gray-400 hover:text-red-600"
+                  title="Remove connection"
+                >
+                  <SafeIcon icon={FiTrash2} className="text-sm" />
+                </button>
+              </div>
+              <input value={leg.from} onChange={(e) => updateLeg(leg.id, 'from', e.target.value)} className={inputClass} placeholder="From" />
+              <input type="datetime-local" value={leg.departure} onChange={(e) => updateLeg(leg.id, 'departure', e.target.value)} className={inputClass} />
+              <input value={leg.to} onChange={(e) => updateLeg(leg.id, 'to', e.target.value)} className={inputClass} placeholder="To" />
+              <input type="datetime-local" value={leg.arrival} onChange={(e) => updateLeg(leg.id, 'arrival', e.target.value)} className={inputClass} />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Hotel */}
+      <div>
+        <label className="block text-xs font-medium text-gray-600 mb-2">Hotel</label>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+          <input value={travel.hotel.name} onChange={(e) => setHotel('name', e.target.value)} className={inputClass} placeholder="Hotel name" />
+          <input value={travel.hotel.confirmation} onChange={(e) => setHotel('confirmation', e.target.value)} className={inputClass} placeholder="Confirmation no." />
+          <input value={travel.hotel.address} onChange={(e) => setHotel('address', e.target.value)} className={`${inputClass} md:col-span-2`} placeholder="Address" />
+          <div>
+            <span className="block text-xs text-gray-500 mb-1">Check-in</span>
+            <input type="date" value={travel.hotel.checkIn} onChange={(e) => setHotel('checkIn', e.target.value)} className={inputClass} />
+          </div>
+          <div>
+            <span className="block text-xs text-gray-500 mb-1">Check-out</span>
+            <input type="date" value={travel.hotel.checkOut} onChange={(e) => setHotel('checkOut', e.target.value)} className={inputClass} />
+          </div>
+        </div>
+      </div>
+
+      {/* Rental Car */}
+      <div>
+        <label className="block text-xs font-medium text-gray-600 mb-2">Rental Car</label>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+          <input value={travel.rentalCar.company} onChange={(e) => setRentalCar('company', e.target.value)} className={inputClass} placeholder="Rental company" />
+          <input
+            value={travel.rentalCar.confirmation}
+            onChange={(e) => setRentalCar('confirmation', e.target.value)}
+            className={inputClass}
+            placeholder="Confirmation no. (shared by everyone in the car)"
+          />
+          <div>
+            <span className="block text-xs text-gray-500 mb-1">Pick-up</span>
+            <input type="date" value={travel.rentalCar.pickupDate} onChange={(e) => setRentalCar('pickupDate', e.target.value)} className={inputClass} />
+          </div>
+          <div>
+            <span className="block text-xs text-gray-500 mb-1">Return</span>
+            <input type="date" value={travel.rentalCar.returnDate} onChange={(e) => setRentalCar('returnDate', e.target.value)} className={inputClass} />
+          </div>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={travel.rentalCar.driver}
+              onChange={(e) => setRentalCar('driver', e.target.checked)}
+              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            <span>Driver</span>
+          </label>
+        </div>
+      </div>
+
+      <div className="flex justify-end space-x-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1 text-gray-600 border border-gray-300 rounded-md hover:bg-gray-100"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+        >
+          Save Travel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Travel plans of every participant, with coverage warnings and printable sheets
+function EventItinerary({ event }) {
+  const { updateParticipant } = useEvent();
+  const [editingParticipantId, setEditingParticipantId] = useState(null);
+  const participants = event.participants || [];
+
+  const handleSave = (participantId, travel) => {
+    updateParticipant(event.id, participantId, { travel }).catch(error => {
+      alert(`Could not save the travel details: ${error.message}`);
+    });
+    setEditingParticipantId(null);
+  };
+
+  const handlePrint = (participant) => {
+    try {
+      printTravelSheet(event, participant);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  // Other participants booked on the same rental car
+  const getCarMates = (participant) => {
+    const confirmation = participant.travel?.rentalCar?.confirmation;
+    if (!confirmation) return [];
+    return participants.filter(other =>
+      other.id !== participant.id && other.travel?.rentalCar?.confirmation === confirmation
+    );
+  };
+
+  if (participants.length === 0) {
+    return (
+      <div className="text-center py-10 bg-gray-50 rounded-lg border border-dashed">
+        <SafeIcon icon={FiUsers} className="mx-auto text-gray-300 text-3xl mb-2" />
+        <p className="text-gray-500">Add team members to plan their travel</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {participants.map(participant => {
+        const travel = participant.travel || {};
+        const hotel = travel.hotel || {};
+        const rentalCar = travel.rentalCar || {};
+        const legs = [...(travel.legs || [])].sort((a, b) => (a.departure || '').localeCompare(b.departure || ''));
+        const warnings = getTravelWarnings(event, participant);
+        const carMates = getCarMates(participant);
+
+        return (
+          <div key={participant.id} className="bg-white rounded-lg border p-4">
+            <div className="flex items-start justify-between">
+              <div className="flex items-center space-x-3">
+                <div className="p-2 bg-blue-100 rounded-full">
+                  <SafeIcon icon={FiUser} className="text-blue-600" />
+                </div>
+                <div>
+                  <h4 className="font-medium text-gray-900">{participant.name || 'Unnamed participant'}</h4>
+                  {participant.role && <p className="text-sm text-gray-500">{participant.role}</p>}
+                </div>
+              </div>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => handlePrint(participant)}
+                  className="p-1 text-gray-400 hover:text-blue-600 transition-colors"
+                  title="Print travel sheet"
+                >
+                  <SafeIcon icon={FiPrinter} />
+                </button>
+                <button
+                  onClick={() => setEditingParticipantId(editingParticipantId === participant.id ? null : participant.id)}
+                  className="p-1 text-gray-400 hover:text-blue-600 transition-colors"
+                  title="Edit travel"
+                >
+                  <SafeIcon icon={FiEdit3} />
+                </button>
+              </div>
+            </div>
+
+            {warnings.length > 0 && (
+              <div className="mt-3 bg-yellow-50 border border-yellow-200 rounded-lg p-2 space-y-1">
+                {warnings.map(warning => (
+                  <p key={warning} className="flex items-center space-x-2 text-xs text-yellow-800">
+                    <SafeIcon icon={FiAlertTriangle} className="flex-shrink-0" />
+                    <span>{warning}</span>
+                  </p>
+                ))}
+              </div>
+            )}
+
+            {editingParticipantId === participant.id ? (
+              <TravelForm
+                event={event}
+                participant={participant}
+                onSave={(newTravel) => handleSave(participant.id, newTravel)}
+                onCancel={() => setEditingParticipantId(null)}
+              />
+            ) : hasTravelDetails(participant) ? (
+              <div className="mt-3 space-y-2 text-sm text-gray-700">
+                {(travel.arrivalDate || travel.departureDate) && (
+                  <p className="flex items-center space-x-2">
+                    <SafeIcon icon={FiCalendar} className="text-gray-400" />
+                    <span>
+                      {travel.arrivalDate ? formatDay(travel.arrivalDate) : '?'} – {travel.departureDate ? formatDay(travel.departureDate) : '?'}
+                    </span>
+                  </p>
+                )}
+                {legs.map(leg => (
+                  <p key={leg.id} className="flex items-center space-x-2">
+                    <SafeIcon icon={FiNavigation} className="text-gray-400" />
+                    <span>
+                      {getTravelModeLabel(leg.mode)} {[leg.carrier, leg.number].filter(Boolean).join(' ')}
+                      {(leg.from || leg.to) && ` · ${leg.from || '?'} → ${leg.to || '?'}`}
+                      {leg.departure && ` · ${formatDateTime(leg.departure)}`}
+                    </span>
+                  </p>
+                ))}
+                {hotel.name && (
+                  <p className="flex items-center space-x-2">
+                    <SafeIcon icon={FiHome} className="text-gray-400" />
+                    <span>
+                      {hotel.name}
+                      {hotel.checkIn && hotel.checkOut && ` · ${formatDay(hotel.checkIn)} – ${formatDay(hotel.checkOut)}`}
+                      {hotel.confirmation && ` · #${hotel.confirmation}`}
+                    </span>
+                  </p>
+                )}
+                {(rentalCar.company || rentalCar.confirmation) && (
+                  <p className="flex items-center space-x-2">
+                    <SafeIcon icon={FiTruck} className="text-gray-400" />
+                    <span>
+                      {rentalCar.company || 'Rental car'}
+                      {rentalCar.confirmation && ` · #${rentalCar.confirmation}`}
+                      {rentalCar.driver ? ' · Driver' : ' · Passenger'}
+                      {carMates.length > 0 && ` · with ${carMates.map(mate => mate.name).join(', ')}`}
+                    </span>
+                  </p>
+                )}
+              </div>
+            ) : (
+              <p className="mt-3 text-sm text-gray-500">No travel details yet.</p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default EventItinerary;
@@ -3,16 +3,26 @@ import { motion, AnimatePresence } from 'framer-motion';
 import SafeIcon from '../../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 import { useEvent, PARTICIPATION_TYPES } from '../../contexts/EventContext';
+import { useChecklistTemplate } from '../../contexts/ChecklistTemplateContext';
+import ChecklistItemsEditor from './ChecklistItemsEditor';
+import ContactPicker from '../contacts/ContactPicker';
+import { useContact } from '../../contexts/ContactContext';
+import { participantFromContact, resolveParticipant } from '../../utils/contacts';
+import { createChecklist } from '../../utils/eventChecklist';
 import { format } from 'date-fns';
 import ReactQuill from 'react-quill';
 import 'react-quill/dist/quill.snow.css';
+import { RICH_TEXT_MODULES, RICH_TEXT_FORMATS } from '../../utils/richText';
 
 const { 
   FiX, FiPlus, FiTrash2, FiUser, FiCalendar, FiMapPin, FiMic, 
-  FiPackage, FiUsers, FiClock, FiInfo 
+  FiPackage, FiUsers, FiClock, FiInfo, FiClipboard, FiBookOpen
 } = FiIcons;
 
 function EventModal({ event, onClose, onSave }) {
+  const { getTemplatesForParticipationType, getDefaultTemplate, getChecklistTemplateById } = useChecklistTemplate();
+  const { getContactById } = useContact();
+  const [templateId, setTemplateId] = useState('');
   const [formData, setFormData] = useState({
     title: '',
     location: '',
@@ -23,6 +33,8 @@ function EventModal({ event, onClose, onSave }) {
     talkDate: '',
     talkTime: '',
     participants: [],
+    checklist: [],
+    autoTasks: false,
     notes: ''
   });
 
@@ -38,11 +50,36 @@ function EventModal({ event, onClose, onSave }) {
         talkDate: event.talkDate || '',
         talkTime: event.talkTime || '',
         participants: event.participants || [],
+        checklist: event.checklist || [],
+        autoTasks: !!event.autoTasks,
         notes: event.notes || ''
       });
+    } else {
+      applyTemplate(getDefaultTemplate(PARTICIPATION_TYPES.EXHIBITOR));
     }
   }, [event]);
 
+  // New events start from a template; existing events only gain the items they lack
+  const applyTemplate = (template) => {
+    if (!template) return;
+    setTemplateId(template.id);
+    setFormData(prev => {
+      if (!event) {
+        return { ...prev, checklist: createChecklist(template.items) };
+      }
+      const labels = prev.checklist.map(item => item.label.trim().toLowerCase());
+      const missing = template.items.filter(item => !labels.includes(item.label.trim().toLowerCase()));
+      return { ...prev, checklist: [...prev.checklist, ...createChecklist(missing)] };
+    });
+  };
+
+  const handleParticipationTypeChange = (participationType) => {
+    setFormData(prev => ({ ...prev, participationType }));
+    if (!event) {
+      applyTemplate(getDefaultTemplate(participationType));
+    }
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     if (!formData.title.trim()) return;
@@ -55,7 +92,15 @@ function EventModal({ event, onClose, onSave }) {
       talkDate: formData.talkDate || 
         ((formData.participationType === PARTICIPATION_TYPES.SPEAKER || 
           formData.participationType === PARTICIPATION_TYPES.BOTH) ? 
-          formData.startDate : '')
+          formData.startDate : ''),
+      // Store the current directory name with participants picked from contacts
+      participants: formData.participants.map(participant => participant.contactId
+        ? { ...participant, name: resolveParticipant(participant, getContactById(participant.contactId)).name }
+        : participant
+      ),
+      checklist: formData.checklist
+        .filter(item => item.label.trim())
+        .map(item => ({ ...item, label: item.label.trim() }))
     };
 
     onSave(eventData);
@@ -84,28 +129,20 @@ function EventModal({ event, onClose, onSave }) {
     }));
   };
 
-  const removeParticipant = (id) => {
+  const addContactParticipant = (contact) => {
     setFormData(prev => ({
       ...prev,
-      participants: prev.participants.filter(participant => participant.id !== id)
+      participants: [...prev.participants, participantFromContact(contact)]
     }));
   };
 
-  // Rich text editor configurations
-  const modules = {
-    toolbar: [
-      ['bold', 'italic', 'underline', 'strike'],
-      [{ 'list': 'ordered' }, { 'list': 'bullet' }],
-      ['link'],
-      ['clean']
-    ]
+  const removeParticipant = (id) => {
+    setFormData(prev => ({
+      ...prev,
+      participants: prev.participants.filter(participant => participant.id !== id)
+    }));
   };
 
-  const formats = [
-    'bold', 'italic', 'underline', 'strike',
-    'list', 'bullet', 'link'
-  ];
-
   return (
     <AnimatePresence>
       <motion.div
@@ -216,10 +253,7 @@ function EventModal({ event, onClose, onSave }) {
                 <div className="grid grid-cols-3 gap-2">
                   <button
                     type="button"
-                    onClick={() => setFormData(prev => ({ 
-                      ...prev, 
-                      participationType: PARTICIPATION_TYPES.EXHIBITOR 
-                    }))}
+                    onClick={() => handleParticipationTypeChange(PARTICIPATION_TYPES.EXHIBITOR)}
                     className={`flex flex-col items-center justify-center p-4 border rounded-lg transition-colors ${
                       formData.participationType === PARTICIPATION_TYPES.EXHIBITOR
                         ? 'border-blue-500 bg-blue-50 text-blue-600'
@@ -232,10 +266,7 @@ function EventModal({ event, onClose, onSave }) {
 
                   <button
                     type="button"
-                    onClick={() => setFormData(prev => ({ 
-                      ...prev, 
-                      participationType: PARTICIPATION_TYPES.SPEAKER 
-                    }))}
+                    onClick={() => handleParticipationTypeChange(PARTICIPATION_TYPES.SPEAKER)}
                     className={`flex flex-col items-center justify-center p-4 border rounded-lg transition-colors ${
                       formData.participationType === PARTICIPATION_TYPES.SPEAKER
                         ? 'border-green-500 bg-green-50 text-green-600'
@@ -248,10 +279,7 @@ function EventModal({ event, onClose, onSave }) {
 
                   <button
                     type="button"
-                    onClick={() => setFormData(prev => ({ 
-                      ...prev, 
-                      participationType: PARTICIPATION_TYPES.BOTH
-                    }))}
+                    onClick={() => handleParticipationTypeChange(PARTICIPATION_TYPES.BOTH)}
                     className={`flex flex-col items-center justify-center p-4 border rounded-lg transition-colors ${
                       formData.participationType === PARTICIPATION_TYPES.BOTH
                         ? 'border-purple-500 bg-purple-50 text-purple-600'
@@ -351,6 +379,13 @@ function EventModal({ event, onClose, onSave }) {
                   <span>Add Team Member</span>
                 </button>
               </div>
+
+              <div className="mb-3">
+                <ContactPicker
+                  excludeIds={formData.participants.map(participant => participant.contactId).filter(Boolean)}
+                  onPick={addContactParticipant}
+                />
+              </div>
               
               <div className="space-y-3">
                 {formData.participants && formData.participants.length > 0 ? (
@@ -360,7 +395,10 @@ function EventModal({ event, onClose, onSave }) {
                       className="border rounded-lg p-4 bg-gray-50"
                     >
                       <div className="flex items-center justify-between mb-3">
-                        <SafeIcon icon={FiUser} className="text-gray-400" />
+                        <SafeIcon
+                          icon={participant.contactId ? FiBookOpen : FiUser}
+                          className={participant.contactId ? 'text-blue-500' : 'text-gray-400'}
+                        />
                         <button
                           type="button"
                           onClick={() => removeParticipant(participant.id)}
@@ -376,7 +414,11 @@ function EventModal({ event, onClose, onSave }) {
                             type="text"
                             value={participant.name}
                             onChange={(e) => updateParticipant(participant.id, { name: e.target.value })}
-                            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            readOnly={!!participant.contactId}
+                            title={participant.contactId ? 'Edit the name in the contact directory' : undefined}
+                            className={`w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                              participant.contactId ? 'bg-gray-100 text-gray-600' : ''
+                            }`}
                             placeholder="Name"
                           />
                         </div>
@@ -401,6 +443,43 @@ function EventModal({ event, onClose, onSave }) {
               </div>
             </div>
 
+            {/* Preparation Checklist */}
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <label className="flex items-center text-sm font-medium text-gray-700">
+                  <SafeIcon icon={FiClipboard} className="mr-2 text-gray-400" />
+                  Preparation Checklist
+                </label>
+                <select
+                  value={event ? '' : templateId}
+                  onChange={(e) => applyTemplate(getChecklistTemplateById(e.target.value))}
+                  className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {event && <option value="">Add items from template...</option>}
+                  {getTemplatesForParticipationType(formData.participationType).map(template => (
+                    <option key={template.id} value={template.id}>{template.name}</option>
+                  ))}
+                </select>
+              </div>
+              <p className="text-xs text-gray-500 mb-2">
+                Due dates are days relative to the start date, negative for before.
+              </p>
+              <ChecklistItemsEditor
+                items={formData.checklist}
+                onChange={(checklist) => setFormData(prev => ({ ...prev, checklist }))}
+                addLabel="Add Custom Item"
+              />
+              <label className="flex items-center space-x-2 mt-3 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={formData.autoTasks}
+                  onChange={(e) => setFormData(prev => ({ ...prev, autoTasks: e.target.checked }))}
+                  className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                <span>Create tasks for checklist items and keep them in sync</span>
+              </label>
+            </div>
+
             {/* Notes */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -411,8 +490,8 @@ function EventModal({ event, onClose, onSave }) {
                   theme="snow"
                   value={formData.notes}
                   onChange={(content) => setFormData(prev => ({ ...prev, notes: content }))}
-                  modules={modules}
-                  formats={formats}
+                  modules={RICH_TEXT_MODULES}
+                  formats={RICH_TEXT_FORMATS}
                   className="bg-white rounded-md"
                   style={{ height: '150px', marginBottom: '40px' }}
                   placeholder="Add additional details, links, or specific instructions..."
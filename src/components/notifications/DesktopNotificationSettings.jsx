@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import SafeIcon from '../../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { useNotification } from '../../contexts/NotificationContext';
+import { webNotifications } from '../../services/webNotifications';
+
+const { FiMonitor, FiCheck, FiAlertTriangle, FiSend } = FiIcons;
+
+// Browser permission and the user_settings switch for desktop notifications
+function DesktopNotificationSettings() {
+  const { desktopEnabled, setDesktopNotifications } = useNotification();
+  const [permission, setPermission] = useState(() => webNotifications.getPermission());
+  const [saving, setSaving] = useState(false);
+
+  const handleAllow = async () => {
+    try {
+      setPermission(await webNotifications.requestPermission());
+    } catch (error) {
+      alert(`Could not enable desktop notifications: ${error.message}`);
+    }
+  };
+
+  const handleToggle = async (enabled) => {
+    setSaving(true);
+    try {
+      await setDesktopNotifications(enabled);
+    } catch (error) {
+      alert(`Could not save the notification settings: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleTest = async () => {
+    try {
+      await webNotifications.showTest();
+    } catch (error) {
+      alert(`Could not send a test notification: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h3 className="text-lg font-medium text-gray-900">Desktop Notifications</h3>
+        <p className="text-sm text-gray-600">
+          Due tasks, talk slots and upcoming events also pop up on your desktop, with buttons to complete a task or snooze for an hour.
+          They are shown while the app is open in a tab.
+        </p>
+      </div>
+
+      <div className="p-4 border rounded-lg space-y-4">
+        {permission === 'unsupported' && (
+          <div className="flex items-start space-x-2 text-sm text-gray-600">
+            <SafeIcon icon={FiAlertTriangle} className="mt-0.5 text-yellow-500 flex-shrink-0" />
+            <span>This browser does not support desktop notifications.</span>
+          </div>
+        )}
+
+        {permission === 'default' && (
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-2 text-sm text-gray-700">
+              <SafeIcon icon={FiMonitor} className="text-gray-500" />
+              <span>Your browser asks once whether this app may show notifications.</span>
+            </div>
+            <button
+              onClick={handleAllow}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+            >
+              Allow Notifications
+            </button>
+          </div>
+        )}
+
+        {permission === 'denied' && (
+          <div className="flex items-start space-x-2 text-sm text-gray-600">
+            <SafeIcon icon={FiAlertTriangle} className="mt-0.5 text-yellow-500 flex-shrink-0" />
+            <span>
+              Notifications are blocked for this site. Allow them in the site settings of your browser
+              (the icon left of the address bar), then reload the page.
+            </span>
+          </div>
+        )}
+
+        {permission === 'granted' && (
+          <>
+            <div className="flex items-center space-x-2 text-sm text-green-600">
+              <SafeIcon icon={FiCheck} />
+              <span>Your browser allows notifications from this app.</span>
+            </div>
+            <div className="flex items-center justify-between">
+              <label className="flex items-center space-x-3 text-sm text-gray-900">
+                <input
+                  type="checkbox"
+                  checked={desktopEnabled}
+                  onChange={(e) => handleToggle(e.target.checked)}
+                  disabled={saving}
+                  className="h-4 w-4 text-blue-600 rounded border-gray-300"
+                />
+                <span>Show reminders as desktop notifications</span>
+              </label>
+              <button
+                onClick={handleTest}
+                disabled={!desktopEnabled}
+                className="flex items-center space-x-2 px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 transition-colors"
+              >
+                <SafeIcon icon={FiSend} />
+                <span>Send Test</span>
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default DesktopNotificationSettings;
@@ -0,0 +1,95 @@
+import { useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useNotification } from '../../contexts/NotificationContext';
+import { useTask } from '../../contexts/TaskContext';
+import { useWorkspace } from '../../contexts/WorkspaceContext';
+import { webNotifications } from '../../services/webNotifications';
+import { stripHtml } from '../../utils/richText';
+import { NOTIFICATION_TYPES, ENTITY_PATHS, DESKTOP_NOTIFICATION_TYPES } from '../../utils/reminders';
+
+const SNOOZE_ACTION = { action: 'snooze', title: 'Snooze 1h' };
+const COMPLETE_ACTION = { action: 'complete', title: 'Complete' };
+
+// Shows due reminders as desktop notifications and handles their buttons
+function DesktopNotifier() {
+  const { activeNotifications, desktopEnabled, markRead, snooze, dismiss } = useNotification();
+  const { completeTask } = useTask();
+  const { activeWorkspaceId, switchWorkspace } = useWorkspace();
+  const navigate = useNavigate();
+
+  // Clicks arrive through a listener added once, so it reads the latest values from here
+  const latest = useRef({});
+  latest.current = { markRead, snooze, dismiss, completeTask, activeWorkspaceId, switchWorkspace, navigate };
+
+  useEffect(() => {
+    if (!webNotifications.isSupported()) return undefined;
+
+    if (webNotifications.getPermission() === 'granted') {
+      webNotifications.register().catch(error => console.error('Error registering notification service worker:', error));
+    }
+
+    const openEntity = (data) => {
+      const { activeWorkspaceId, switchWorkspace, navigate } = latest.current;
+      if ((data.workspaceId || null) !== activeWorkspaceId) {
+        switchWorkspace(data.workspaceId || null);
+      }
+      navigate(ENTITY_PATHS[data.entityType] || '/');
+    };
+
+    const handleAction = async ({ action, data = {} }) => {
+      const { markRead, snooze, dismiss, completeTask, activeWorkspaceId } = latest.current;
+      if (!data.notificationId) return;
+
+      try {
+        if (action === 'snooze') {
+          await snooze(data.notificationId, 1);
+          return;
+        }
+
+        // Tasks of another workspace are not loaded, and the click may land in a
+        // background window, so tasks that would need a confirm open instead
+        if (action === 'complete' && data.entityType === 'task' && (data.workspaceId || null) === activeWorkspaceId) {
+          if (await completeTask(data.entityId, { confirmWarnings: false })) {
+            await dismiss(data.notificationId);
+            return;
+          }
+        }
+
+        await markRead(data.notificationId);
+        openEntity(data);
+      } catch (error) {
+        alert(`Could not handle the notification: ${error.message}`);
+      }
+    };
+
+    return webNotifications.listen(handleAction);
+  }, []);
+
+  const desktopItems = activeNotifications
+    .filter(notification => !notification.readAt && DESKTOP_NOTIFICATION_TYPES.includes(notification.type))
+    .map(notification => ({
+      // A snoozed reminder that is due again is shown again
+      key: `${notification.id}:${notification.snoozedUntil || ''}`,
+      tag: notification.reminderKey || notification.id,
+      title: `${NOTIFICATION_TYPES[notification.type]}: ${notification.title}`,
+      body: stripHtml(notification.body || ''),
+      data: {
+        notificationId: notification.id,
+        entityType: notification.entityType,
+        entityId: notification.entityId,
+        workspaceId: notification.workspaceId || null
+      },
+      actions: notification.type === 'task_due' ? [COMPLETE_ACTION, SNOOZE_ACTION] : [SNOOZE_ACTION]
+    }));
+  const desktopKeys = desktopItems.map(item => item.key).join(',');
+
+  useEffect(() => {
+    if (!desktopEnabled || desktopItems.length === 0) return;
+    webNotifications.showPending(desktopItems)
+      .catch(error => console.error('Error showing desktop notifications:', error));
+  }, [desktopEnabled, desktopKeys]);
+
+  return null;
+}
+
+export default DesktopNotifier;
@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { format, formatDistanceToNow } from 'date-fns';
+import SafeIcon from '../../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { useNotification } from '../../contexts/NotificationContext';
+import { useWorkspace } from '../../contexts/WorkspaceContext';
+import { stripHtml } from '../../utils/richText';
+import { NOTIFICATION_TYPES, ENTITY_PATHS, SNOOZE_OPTIONS, isNotificationSnoozed } from '../../utils/reminders';
+
+const { FiAtSign, FiClock, FiMic, FiCalendar, FiDollarSign, FiBell, FiX, FiRotateCcw } = FiIcons;
+
+const TYPE_ICONS = {
+  mention: FiAtSign,
+  task_due: FiClock,
+  talk_start: FiMic,
+  event_start: FiCalendar,
+  invoice_unpaid: FiDollarSign
+};
+
+// One notification; opening it switches to its workspace and page
+function NotificationItem({ notification, onOpened }) {
+  const { now, markRead, snooze, dismiss, restore } = useNotification();
+  const { activeWorkspaceId, switchWorkspace } = useWorkspace();
+  const navigate = useNavigate();
+  const [showSnooze, setShowSnooze] = useState(false);
+
+  const snoozed = isNotificationSnoozed(notification, now);
+  const archived = !!notification.dismissedAt || snoozed;
+  const unread = !notification.readAt && !archived;
+
+  const run = (action, failure) => {
+    action().catch(error => alert(`${failure}: ${error.message}`));
+  };
+
+  const handleOpen = () => {
+    if (unread) {
+      markRead(notification.id).catch(() => {});
+    }
+    if ((notification.workspaceId || null) !== activeWorkspaceId) {
+      switchWorkspace(notification.workspaceId || null);
+    }
+    if (onOpened) onOpened();
+    navigate(ENTITY_PATHS[notification.entityType] || '/');
+  };
+
+  return (
+    <div className={`flex items-start space-x-2 px-3 py-2 ${unread ? 'bg-blue-50' : ''}`}>
+      <SafeIcon icon={TYPE_ICONS[notification.type] || FiBell} className="mt-1 text-blue-600 flex-shrink-0" />
+      <div className="flex-1 min-w-0">
+        <button onClick={handleOpen} className="w-full text-left">
+          <span className="block text-sm text-gray-900">
+            {notification.type === 'mention' ? (
+              <>
+                <span className="font-medium">{notification.actorEmail || 'Someone'}</span>
+                {' mentioned you on '}
+                <span className="font-medium">{notification.title}</span>
+              </>
+            ) : (
+              <>
+                {`${NOTIFICATION_TYPES[notification.type] || 'Reminder'}: `}
+                <span className="font-medium">{notification.title}</span>
+              </>
+            )}
+          </span>
+          {notification.body && (
+            <span className="block text-xs text-gray-600 truncate">{stripHtml(notification.body)}</span>
+          )}
+          <span className="block text-xs text-gray-400">
+            {formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true })}
+            {snoozed && ` · snoozed until ${format(new Date(notification.snoozedUntil), 'MMM d, HH:mm')}`}
+            {notification.dismissedAt && ' · dismissed'}
+          </span>
+        </button>
+        {showSnooze && (
+          <div className="flex flex-wrap gap-1 mt-1">
+            {SNOOZE_OPTIONS.map(option => (
+              <button
+                key={option.hours}
+                onClick={() => {
+                  setShowSnooze(false);
+                  run(() => snooze(notification.id, option.hours), 'Could not snooze the notification');
+                }}
+                className="px-2 py-0.5 text-xs text-gray-700 bg-gray-100 rounded hover:bg-gray-200"
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="flex items-center space-x-1 flex-shrink-0">
+        {archived ? (
+          <button
+            onClick={() => run(() => restore(notification.id), 'Could not restore the notification')}
+            className="p-1 text-gray-400 hover:text-blue-600"
+            title="Move back to inbox"
+          >
+            <SafeIcon icon={FiRotateCcw} />
+          </button>
+        ) : (
+          <>
+            <button
+              onClick={() => setShowSnooze(!showSnooze)}
+              className={`p-1 hover:text-blue-600 ${showSnooze ? 'text-blue-600' : 'text-gray-400'}`}
+              title="Snooze"
+            >
+              <SafeIcon icon={FiClock} />
+            </button>
+            <button
+              onClick={() => run(() => dismiss(notification.id), 'Could not dismiss the notification')}
+              className="p-1 text-gray-400 hover:text-red-600"
+              title="Dismiss"
+            >
+              <SafeIcon icon={FiX} />
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default NotificationItem;
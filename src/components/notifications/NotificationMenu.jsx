@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import SafeIcon from '../../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { useNotification } from '../../contexts/NotificationContext';
+import NotificationItem from './NotificationItem';
+
+const { FiBell } = FiIcons;
+
+// Header bell with the inbox: mentions and reminders that are not dismissed or snoozed
+function NotificationMenu() {
+  const { activeNotifications, unreadCount, markAllRead } = useNotification();
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className="relative" onBlur={(e) => !e.currentTarget.contains(e.relatedTarget) && setOpen(false)}>
+      <button
+        onClick={() => setOpen(!open)}
+        className="relative p-2 text-gray-600 rounded-lg hover:text-blue-600 hover:bg-gray-50 transition-colors"
+        title="Notifications"
+      >
+        <SafeIcon icon={FiBell} className="text-lg" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 flex items-center justify-center rounded-full bg-red-500 text-white text-[10px] font-medium">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute top-full right-0 mt-1 w-96 bg-white shadow-lg rounded-lg border border-gray-200 z-20">
+          <div className="flex items-center justify-between px-3 py-2 border-b">
+            <span className="text-sm font-medium text-gray-900">Notifications</span>
+            {unreadCount > 0 && (
+              <button
+                onClick={() => markAllRead().catch(error => alert(`Could not update notifications: ${error.message}`))}
+                className="text-xs text-blue-600 hover:text-blue-800"
+              >
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          <div className="max-h-96 overflow-y-auto divide-y">
+            {activeNotifications.length === 0 ? (
+              <p className="px-3 py-6 text-center text-sm text-gray-500">You're all caught up</p>
+            ) : (
+              activeNotifications.slice(0, 30).map(notification => (
+                <NotificationItem
+                  key={notification.id}
+                  notification={notification}
+                  onOpened={() => setOpen(false)}
+                />
+              ))
+            )}
+          </div>
+
+          <div className="border-t px-3 py-2 text-center">
+            <Link
+              to="/notifications"
+              onClick={() => setOpen(false)}
+              className="text-xs text-blue-600 hover:text-blue-800"
+            >
+              View history
+            </Link>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotificationMenu;
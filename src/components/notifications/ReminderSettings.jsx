@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import SafeIcon from '../../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { useNotification } from '../../contexts/NotificationContext';
+
+const { FiClock, FiMic, FiCalendar, FiDollarSign, FiCheck } = FiIcons;
+
+const RULES = [
+  {
+    key: 'taskDue',
+    field: 'hoursBefore',
+    icon: FiClock,
+    label: 'Tasks due soon',
+    unit: 'hours before the due date',
+    description: 'For tasks assigned to you, or unassigned tasks you created in a workspace.'
+  },
+  {
+    key: 'talkStart',
+    field: 'minutesBefore',
+    icon: FiMic,
+    label: 'Talks',
+    unit: 'minutes before your talk slot'
+  },
+  {
+    key: 'eventStart',
+    field: 'daysBefore',
+    icon: FiCalendar,
+    label: 'Upcoming events',
+    unit: 'days before the start date'
+  },
+  {
+    key: 'unpaidInvoice',
+    field: 'daysBefore',
+    icon: FiDollarSign,
+    label: 'Unpaid invoices',
+    unit: 'days before the event',
+    description: 'When the "Invoice paid" checklist item of an event is still open.'
+  }
+];
+
+// Which reminders the notification center creates, and when
+function ReminderSettings() {
+  const { reminderRules, updateReminderRules } = useNotification();
+  const [rules, setRules] = useState(reminderRules);
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => {
+    setRules(reminderRules);
+  }, [JSON.stringify(reminderRules)]);
+
+  const changeRule = (key, updates) => {
+    setRules(prev => ({ ...prev, [key]: { ...prev[key], ...updates } }));
+    setSaved(false);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await updateReminderRules(rules);
+      setSaved(true);
+    } catch (error) {
+      alert(`Could not save the reminder rules: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-medium text-gray-900">Reminder Rules</h3>
+        <p className="text-sm text-gray-600">
+          Reminders appear in the notification center once, and can be snoozed or dismissed there.
+        </p>
+      </div>
+
+      <div className="space-y-4">
+        {RULES.map(rule => (
+          <div key={rule.key} className="flex items-start space-x-3 p-4 border rounded-lg">
+            <input
+              type="checkbox"
+              checked={rules[rule.key].enabled}
+              onChange={(e) => changeRule(rule.key, { enabled: e.target.checked })}
+              className="mt-1 h-4 w-4 text-blue-600 rounded border-gray-300"
+            />
+            <div className="flex-1">
+              <div className="flex items-center space-x-2 text-sm font-medium text-gray-900">
+                <SafeIcon icon={rule.icon} className="text-gray-500" />
+                <span>{rule.label}</span>
+              </div>
+              <div className="flex items-center space-x-2 mt-2 text-sm text-gray-600">
+                <input
+                  type="number"
+                  min="0"
+                  value={rules[rule.key][rule.field]}
+                  onChange={(e) => changeRule(rule.key, { [rule.field]: Math.max(0, Number(e.target.value)) })}
+                  disabled={!rules[rule.key].enabled}
+                  className="w-20 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-50"
+                />
+                <span>{rule.unit}</span>
+              </div>
+              {rule.description && <p className="mt-1 text-xs text-gray-500">{rule.description}</p>}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-end space-x-3">
+        {saved && (
+          <span className="flex items-center space-x-1 text-sm text-green-600">
+            <SafeIcon icon={FiCheck} />
+            <span>Saved</span>
+          </span>
+        )}
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 transition-colors"
+        >
+          {saving ? 'Saving...' : 'Save Rules'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ReminderSettings;
@@ -0,0 +1,218 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import SafeIcon from '../../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { useAuth } from '../../contexts/AuthContext';
+import { useWorkspace, WORKSPACE_ROLES } from '../../contexts/WorkspaceContext';
+
+const { FiX, FiUserPlus, FiTrash2, FiLogOut } = FiIcons;
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Name, members and roles of a workspace; only owners can change them
+function WorkspaceSettingsModal({ workspace, onClose }) {
+  const { user } = useAuth();
+  const {
+    getRole,
+    getWorkspaceMembers,
+    renameWorkspace,
+    deleteWorkspace,
+    inviteMember,
+    updateMemberRole,
+    removeMember,
+    leaveWorkspace
+  } = useWorkspace();
+  const [name, setName] = useState(workspace.name);
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('editor');
+  const [inviting, setInviting] = useState(false);
+
+  const isOwner = getRole(workspace.id) === 'owner';
+  const members = getWorkspaceMembers(workspace.id);
+
+  const run = async (action, failure) => {
+    try {
+      await action();
+      return true;
+    } catch (error) {
+      alert(`${failure}: ${error.message}`);
+      return false;
+    }
+  };
+
+  const handleRename = () => {
+    if (name.trim() && name.trim() !== workspace.name) {
+      run(() => renameWorkspace(workspace.id, name.trim()), 'Could not rename the workspace');
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!inviteEmail.trim()) return;
+
+    setInviting(true);
+    const invited = await run(() => inviteMember(workspace.id, inviteEmail.trim(), inviteRole), 'Could not invite the member');
+    if (invited) setInviteEmail('');
+    setInviting(false);
+  };
+
+  const handleRemove = (member) => {
+    if (window.confirm(`Remove ${member.email || 'this member'} from "${workspace.name}"?`)) {
+      run(() => removeMember(member.id), 'Could not remove the member');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${workspace.name}"? All of its tasks, projects and events are deleted for every member.`)) return;
+    if (await run(() => deleteWorkspace(workspace.id), 'Could not delete the workspace')) onClose();
+  };
+
+  const handleLeave = async () => {
+    if (!window.confirm(`Leave "${workspace.name}"? You lose access until an owner invites you again.`)) return;
+    if (await run(() => leaveWorkspace(workspace.id), 'Could not leave the workspace')) onClose();
+  };
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+        onClick={onClose}
+      >
+        <motion.div
+          initial={{ scale: 0.95, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+          exit={{ scale: 0.95, opacity: 0 }}
+          className="bg-white rounded-lg shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto"
+          onClick={(e) => e.stopPropagation()}
+        >
+          <div className="flex items-center justify-between p-6 border-b">
+            <h2 className="text-xl font-semibold text-gray-900">Workspace Settings</h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <SafeIcon icon={FiX} className="text-xl" />
+            </button>
+          </div>
+
+          <div className="p-6 space-y-6">
+            {/* Name */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                onBlur={handleRename}
+                disabled={!isOwner}
+                className={`w-full ${inputClass} disabled:bg-gray-50`}
+              />
+            </div>
+
+            {/* Members */}
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 mb-2">Members ({members.length})</h3>
+              <div className="divide-y border rounded-lg">
+                {members.map(member => {
+                  const isSelf = member.userId === user?.id;
+                  const editable = isOwner && !isSelf && member.role !== 'owner';
+                  return (
+                    <div key={member.id} className="flex items-center justify-between px-3 py-2">
+                      <span className="text-sm text-gray-900 truncate">
+                        {member.email || 'Unknown member'}
+                        {isSelf && <span className="text-gray-500"> (you)</span>}
+                      </span>
+                      <div className="flex items-center space-x-2">
+                        {editable ? (
+                          <select
+                            value={member.role}
+                            onChange={(e) => run(() => updateMemberRole(member.id, e.target.value), 'Could not change the role')}
+                            className="px-2 py-1 border border-gray-300 rounded text-sm"
+                          >
+                            <option value="editor">{WORKSPACE_ROLES.editor}</option>
+                            <option value="viewer">{WORKSPACE_ROLES.viewer}</option>
+                          </select>
+                        ) : (
+                          <span className="text-sm text-gray-500">{WORKSPACE_ROLES[member.role]}</span>
+                        )}
+                        {editable && (
+                          <button
+                            onClick={() => handleRemove(member)}
+                            className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+                            title="Remove member"
+                          >
+                            <SafeIcon icon={FiTrash2} />
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+
+            {/* Invite */}
+            {isOwner && (
+              <form onSubmit={handleInvite} className="space-y-2">
+                <h3 className="text-sm font-medium text-gray-700">Invite a member</h3>
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="email"
+                    value={inviteEmail}
+                    onChange={(e) => setInviteEmail(e.target.value)}
+                    className={`flex-1 min-w-0 ${inputClass}`}
+                    placeholder="colleague@example.org"
+                  />
+                  <select
+                    value={inviteRole}
+                    onChange={(e) => setInviteRole(e.target.value)}
+                    className={inputClass}
+                  >
+                    <option value="editor">{WORKSPACE_ROLES.editor}</option>
+                    <option value="viewer">{WORKSPACE_ROLES.viewer}</option>
+                  </select>
+                  <button
+                    type="submit"
+                    disabled={inviting || !inviteEmail.trim()}
+                    className="flex items-center space-x-1 px-3 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                  >
+                    <SafeIcon icon={FiUserPlus} />
+                    <span>Invite</span>
+                  </button>
+                </div>
+                <p className="text-xs text-gray-500">
+                  Members need an account. Editors change everything in the workspace, viewers can only look.
+                </p>
+              </form>
+            )}
+          </div>
+
+          <div className="flex justify-end p-6 border-t">
+            {isOwner ? (
+              <button
+                onClick={handleDelete}
+                className="flex items-center space-x-2 px-4 py-2 text-red-600 border border-red-200 rounded-md hover:bg-red-50 transition-colors"
+              >
+                <SafeIcon icon={FiTrash2} />
+                <span>Delete Workspace</span>
+              </button>
+            ) : (
+              <button
+                onClick={handleLeave}
+                className="flex items-center space-x-2 px-4 py-2 text-red-600 border border-red-200 rounded-md hover:bg-red-50 transition-colors"
+              >
+                <SafeIcon icon={FiLogOut} />
+                <span>Leave Workspace</span>
+              </button>
+            )}
+          </div>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+}
+
+export default WorkspaceSettingsModal;
@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import SafeIcon from '../../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { useWorkspace, WORKSPACE_ROLES } from '../../contexts/WorkspaceContext';
+import WorkspaceSettingsModal from './WorkspaceSettingsModal';
+
+const { FiUser, FiUsers, FiChevronDown, FiCheck, FiPlus, FiSettings, FiEye } = FiIcons;
+
+// Header dropdown for switching between the personal space and team workspaces
+function WorkspaceSwitcher() {
+  const { workspaces, activeWorkspace, activeRole, switchWorkspace, createWorkspace, getRole } = useWorkspace();
+  const [open, setOpen] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+
+  const sortedWorkspaces = [...workspaces].sort((a, b) => a.name.localeCompare(b.name));
+
+  const select = (workspaceId) => {
+    switchWorkspace(workspaceId);
+    setOpen(false);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+
+    setCreating(true);
+    try {
+      await createWorkspace(newName.trim());
+      setNewName('');
+      setOpen(false);
+    } catch (error) {
+      alert(`Could not create the workspace: ${error.message}`);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div className="relative" onBlur={(e) => !e.currentTarget.contains(e.relatedTarget) && setOpen(false)}>
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex items-center space-x-2 px-3 py-2 text-sm font-medium text-gray-700 border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors"
+      >
+        <SafeIcon icon={activeWorkspace ? FiUsers : FiUser} className="text-gray-500" />
+        <span className="max-w-[140px] truncate">{activeWorkspace ? activeWorkspace.name : 'Personal'}</span>
+        {activeRole === 'viewer' && (
+          <span className="flex items-center px-1.5 py-0.5 rounded text-xs bg-gray-100 text-gray-600" title="View only">
+            <SafeIcon icon={FiEye} />
+          </span>
+        )}
+        <SafeIcon icon={FiChevronDown} className="text-gray-400" />
+      </button>
+
+      {open && (
+        <div className="absolute top-full left-0 mt-1 w-64 bg-white shadow-lg rounded-lg border border-gray-200 z-20">
+          <div className="py-1">
+            <button
+              onClick={() => select(null)}
+              className="flex items-center justify-between w-full px-3 py-2 text-sm text-gray-700 hover:bg-gray-50"
+            >
+              <span className="flex items-center space-x-2">
+                <SafeIcon icon={FiUser} className="text-gray-400" />
+                <span>Personal</span>
+              </span>
+              {!activeWorkspace && <SafeIcon icon={FiCheck} className="text-blue-600" />}
+            </button>
+            {sortedWorkspaces.map(workspace => (
+              <button
+                key={workspace.id}
+                onClick={() => select(workspace.id)}
+                className="flex items-center justify-between w-full px-3 py-2 text-sm text-gray-700 hover:bg-gray-50"
+              >
+                <span className="flex items-center space-x-2 min-w-0">
+                  <SafeIcon icon={FiUsers} className="text-gray-400" />
+                  <span className="truncate">{workspace.name}</span>
+                  <span className="text-xs text-gray-400">{WORKSPACE_ROLES[getRole(workspace.id)]}</span>
+                </span>
+                {activeWorkspace?.id === workspace.id && <SafeIcon icon={FiCheck} className="text-blue-600" />}
+              </button>
+            ))}
+          </div>
+
+          {activeWorkspace && (
+            <div className="border-t py-1">
+              <button
+                onClick={() => {
+                  setShowSettings(true);
+                  setOpen(false);
+                }}
+                className="flex items-center space-x-2 w-full px-3 py-2 text-sm text-gray-700 hover:bg-gray-50"
+              >
+                <SafeIcon icon={FiSettings} className="text-gray-400" />
+                <span>Workspace settings</span>
+              </button>
+            </div>
+          )}
+
+          <form onSubmit={handleCreate} className="border-t p-2 flex items-center space-x-2">
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="New workspace"
+            />
+            <button
+              type="submit"
+              disabled={creating || !newName.trim()}
+              className="p-1.5 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50 transition-colors"
+              title="Create workspace"
+            >
+              <SafeIcon icon={FiPlus} />
+            </button>
+          </form>
+        </div>
+      )}
+
+      {showSettings && activeWorkspace && (
+        <WorkspaceSettingsModal
+          workspace={activeWorkspace}
+          onClose={() => setShowSettings(false)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default WorkspaceSwitcher;
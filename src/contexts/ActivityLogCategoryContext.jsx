@@ -1,7 +1,6 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
 import { v4 as uuidv4 } from 'uuid';
 import { db } from '../services/database';
-import { syncService } from '../services/syncService';
 import { useAuth } from './AuthContext';
 import useRealtime from '../hooks/useRealtime';
 
@@ -148,13 +147,6 @@ export function ActivityLogCategoryProvider({ children }) {
       return newCategory;
     } catch (error) {
       console.error('Error adding activity log category:', error);
-      if (!navigator.onLine) {
-        syncService.queueOperation({
-          type: 'create',
-          table: 'activity_log_categories',
-          data: { name, color, predefined: false, deleted: false }
-        });
-      }
       throw error;
     }
   };
@@ -168,14 +160,6 @@ export function ActivityLogCategoryProvider({ children }) {
       });
     } catch (error) {
       console.error('Error updating activity log category:', error);
-      if (!navigator.onLine) {
-        syncService.queueOperation({
-          type: 'update',
-          table: 'activity_log_categories',
-          id,
-          updates
-        });
-      }
       throw error;
     }
   };
@@ -190,14 +174,6 @@ export function ActivityLogCategoryProvider({ children }) {
       dispatch({ type: 'DELETE_ACTIVITY_LOG_CATEGORY', payload: id });
     } catch (error) {
       console.error('Error deleting activity log category:', error);
-      if (!navigator.onLine) {
-        syncService.queueOperation({
-          type: 'update',
-          table: 'activity_log_categories',
-          id,
-          updates: { deleted: true, deleted_at: new Date().toISOString() }
-        });
-      }
       throw error;
     }
   };
@@ -211,14 +187,6 @@ export function ActivityLogCategoryProvider({ children }) {
       dispatch({ type: 'RESTORE_ACTIVITY_LOG_CATEGORY', payload: id });
     } catch (error) {
       console.error('Error restoring activity log category:', error);
-      if (!navigator.onLine) {
-        syncService.queueOperation({
-          type: 'update',
-          table: 'activity_log_categories',
-          id,
-          updates: { deleted: false, deleted_at: null }
-        });
-      }
       throw error;
     }
   };
@@ -229,13 +197,6 @@ export function ActivityLogCategoryProvider({ children }) {
       dispatch({ type: 'PERMANENTLY_DELETE_ACTIVITY_LOG_CATEGORY', payload: id });
     } catch (error) {
       console.error('Error permanently deleting activity log category:', error);
-      if (!navigator.onLine) {
-        syncService.queueOperation({
-          type: 'delete',
-          table: 'activity_log_categories',
-          id
-        });
-      }
       throw error;
     }
   };
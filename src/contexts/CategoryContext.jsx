@@ -1,7 +1,6 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
 import { v4 as uuidv4 } from 'uuid';
 import { db } from '../services/database';
-import { syncService } from '../services/syncService';
 import { useAuth } from './AuthContext';
 import useRealtime from '../hooks/useRealtime';
 
@@ -145,13 +144,6 @@ export function CategoryProvider({ children }) {
       return newCategory;
     } catch (error) {
       console.error('Error adding category:', error);
-      if (!navigator.onLine) {
-        syncService.queueOperation({
-          type: 'create',
-          table: 'categories',
-          data: { name, color, deleted: false }
-        });
-      }
       throw error;
     }
   };
@@ -165,14 +157,6 @@ export function CategoryProvider({ children }) {
       });
     } catch (error) {
       console.error('Error updating category:', error);
-      if (!navigator.onLine) {
-        syncService.queueOperation({
-          type: 'update',
-          table: 'categories',
-          id,
-          updates
-        });
-      }
       throw error;
     }
   };
@@ -187,14 +171,6 @@ export function CategoryProvider({ children }) {
       dispatch({ type: 'DELETE_CATEGORY', payload: id });
     } catch (error) {
       console.error('Error deleting category:', error);
-      if (!navigator.onLine) {
-        syncService.queueOperation({
-          type: 'update',
-          table: 'categories',
-          id,
-          updates: { deleted: true, deleted_at: new Date().toISOString() }
-        });
-      }
       throw error;
     }
   };
@@ -208,14 +184,6 @@ export function CategoryProvider({ children }) {
       dispatch({ type: 'RESTORE_CATEGORY', payload: id });
     } catch (error) {
       console.error('Error restoring category:', error);
-      if (!navigator.onLine) {
-        syncService.queueOperation({
-          type: 'update',
-          table: 'categories',
-          id,
-          updates: { deleted: false, deleted_at: null }
-        });
-      }
       throw error;
     }
   };
@@ -226,13 +194,6 @@ export function CategoryProvider({ children }) {
       dispatch({ type: 'PERMANENTLY_DELETE_CATEGORY', payload: id });
     } catch (error) {
       console.error('Error permanently deleting category:', error);
-      if (!navigator.onLine) {
-        syncService.queueOperation({
-          type: 'delete',
-          table: 'categories',
-          id
-        });
-      }
       throw error;
     }
   };
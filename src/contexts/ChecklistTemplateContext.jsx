@@ -0,0 +1,179 @@
+import React, { createContext, useContext, useReducer, useEffect } from 'react';
+import { db } from '../services/database';
+import { useAuth } from './AuthContext';
+import useRealtime from '../hooks/useRealtime';
+import { CHECKLIST_ITEMS, PARTICIPATION_TYPES } from './EventContext';
+
+const ChecklistTemplateContext = createContext();
+
+const initialState = {
+  checklistTemplates: []
+};
+
+// Used for participation types without a template of their own
+export const STANDARD_CHECKLIST_TEMPLATE = {
+  id: 'standard',
+  name: 'Standard checklist',
+  participationTypes: Object.values(PARTICIPATION_TYPES),
+  items: CHECKLIST_ITEMS.map(item => ({ ...item, dueOffset: null })),
+  builtIn: true
+};
+
+function checklistTemplateReducer(state, action) {
+  switch (action.type) {
+    case 'LOAD_CHECKLIST_TEMPLATES':
+      return { ...state, checklistTemplates: action.payload };
+    case 'ADD_CHECKLIST_TEMPLATE':
+      if (state.checklistTemplates.some(template => template.id === action.payload.id)) {
+        return state;
+      }
+      return {
+        ...state,
+        checklistTemplates: [...state.checklistTemplates, action.payload]
+      };
+    case 'UPDATE_CHECKLIST_TEMPLATE':
+      return {
+        ...state,
+        checklistTemplates: state.checklistTemplates.map(template =>
+          template.id === action.payload.id
+            ? { ...template, ...action.payload.updates, updatedAt: new Date().toISOString() }
+            : template
+        )
+      };
+    case 'DELETE_CHECKLIST_TEMPLATE':
+      return {
+        ...state,
+        checklistTemplates: state.checklistTemplates.filter(template => template.id !== action.payload)
+      };
+    default:
+      return state;
+  }
+}
+
+export function ChecklistTemplateProvider({ children }) {
+  const [state, dispatch] = useReducer(checklistTemplateReducer, initialState);
+  const { user } = useAuth();
+
+  // Real-time subscription for checklist templates
+  useRealtime('checklist_templates', (payload) => {
+    switch (payload.eventType) {
+      case 'INSERT':
+        if (payload.new) {
+          dispatch({ type: 'ADD_CHECKLIST_TEMPLATE', payload: payload.new });
+        }
+        break;
+      case 'UPDATE':
+        if (payload.new) {
+          dispatch({
+            type: 'UPDATE_CHECKLIST_TEMPLATE',
+            payload: { id: payload.new.id, updates: payload.new }
+          });
+        }
+        break;
+      case 'DELETE':
+        if (payload.old) {
+          dispatch({ type: 'DELETE_CHECKLIST_TEMPLATE', payload: payload.old.id });
+        }
+        break;
+    }
+  }, []);
+
+  // Load templates from database on mount
+  useEffect(() => {
+    loadChecklistTemplates();
+  }, []);
+
+  // Listen for data refresh events
+  useEffect(() => {
+    const handleDataRefresh = () => {
+      loadChecklistTemplates();
+    };
+
+    window.addEventListener('dataRefresh', handleDataRefresh);
+    return () => window.removeEventListener('dataRefresh', handleDataRefresh);
+  }, []);
+
+  // Load templates from database
+  const loadChecklistTemplates = async () => {
+    try {
+      const templates = await db.read('checklist_templates');
+      dispatch({ type: 'LOAD_CHECKLIST_TEMPLATES', payload: templates });
+    } catch (error) {
+      console.error('Error loading checklist templates:', error);
+    }
+  };
+
+  const addChecklistTemplate = async (templateData) => {
+    try {
+      const newTemplate = await db.create('checklist_templates', templateData);
+      dispatch({ type: 'ADD_CHECKLIST_TEMPLATE', payload: newTemplate });
+      return newTemplate;
+    } catch (error) {
+      console.error('Error adding checklist template:', error);
+      throw error;
+    }
+  };
+
+  const updateChecklistTemplate = async (id, updates) => {
+    try {
+      await db.update('checklist_templates', id, updates);
+      dispatch({ type: 'UPDATE_CHECKLIST_TEMPLATE', payload: { id, updates } });
+    } catch (error) {
+      console.error('Error updating checklist template:', error);
+      throw error;
+    }
+  };
+
+  const deleteChecklistTemplate = async (id) => {
+    try {
+      await db.delete('checklist_templates', id);
+      dispatch({ type: 'DELETE_CHECKLIST_TEMPLATE', payload: id });
+    } catch (error) {
+      console.error('Error deleting checklist template:', error);
+      throw error;
+    }
+  };
+
+  // User templates offered for a participation type, then the standard checklist
+  const getTemplatesForParticipationType = (participationType) => {
+    return [
+      ...state.checklistTemplates.filter(template =>
+        (template.participationTypes || []).includes(participationType)
+      ),
+      STANDARD_CHECKLIST_TEMPLATE
+    ];
+  };
+
+  const getDefaultTemplate = (participationType) => {
+    return getTemplatesForParticipationType(participationType)[0];
+  };
+
+  const getChecklistTemplateById = (id) => {
+    if (id === STANDARD_CHECKLIST_TEMPLATE.id) return STANDARD_CHECKLIST_TEMPLATE;
+    return state.checklistTemplates.find(template => template.id === id);
+  };
+
+  const value = {
+    ...state,
+    addChecklistTemplate,
+    updateChecklistTemplate,
+    deleteChecklistTemplate,
+    getTemplatesForParticipationType,
+    getDefaultTemplate,
+    getChecklistTemplateById
+  };
+
+  return (
+    <ChecklistTemplateContext.Provider value={value}>
+      {children}
+    </ChecklistTemplateContext.Provider>
+  );
+}
+
+export const useChecklistTemplate = () => {
+  const context = useContext(ChecklistTemplateContext);
+  if (!context) {
+    throw new Error('useChecklistTemplate must be used within a ChecklistTemplateProvider');
+  }
+  return context;
+};
@@ -0,0 +1,209 @@
+import React, { createContext, useContext, useReducer, useEffect, useRef } from 'react';
+import { db } from '../services/database';
+import { useAuth } from './AuthContext';
+import useRealtime from '../hooks/useRealtime';
+
+const CommentContext = createContext();
+
+// Comments are loaded per task, project or event when its thread is opened
+const initialState = {
+  threads: {}
+};
+
+const byCreatedAt = (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+
+function commentReducer(state, action) {
+  switch (action.type) {
+    case 'LOAD_THREAD':
+      return {
+        ...state,
+        threads: {
+          ...state.threads,
+          [action.payload.entityId]: [...action.payload.comments].sort(byCreatedAt)
+        }
+      };
+    case 'ADD_COMMENT': {
+      const thread = state.threads[action.payload.entityId];
+      // Only threads that are open keep up with new comments
+      if (!thread || thread.some(comment => comment.id === action.payload.id)) {
+        return state;
+      }
+      return {
+        ...state,
+        threads: {
+          ...state.threads,
+          [action.payload.entityId]: [...thread, action.payload].sort(byCreatedAt)
+        }
+      };
+    }
+    case 'UPDATE_COMMENT':
+      return {
+        ...state,
+        threads: Object.fromEntries(Object.entries(state.threads).map(([entityId, comments]) => [
+          entityId,
+          comments.map(comment =>
+            comment.id === action.payload.id
+              ? { ...comment, ...action.payload.updates }
+              : comment
+          )
+        ]))
+      };
+    case 'DELETE_COMMENT':
+      return {
+        ...state,
+        threads: Object.fromEntries(Object.entries(state.threads).map(([entityId, comments]) => [
+          entityId,
+          comments.filter(comment => comment.id !== action.payload)
+        ]))
+      };
+    default:
+      return state;
+  }
+}
+
+export function CommentProvider({ children }) {
+  const [state, dispatch] = useReducer(commentReducer, initialState);
+  const { user } = useAuth();
+  const stateRef = useRef(state);
+  stateRef.current = state;
+  // Entity type of every loaded thread, by entity id
+  const loadedRef = useRef({});
+
+  // Real-time subscription for comments
+  useRealtime('comments', (payload) => {
+    switch (payload.eventType) {
+      case 'INSERT':
+        if (payload.new) {
+          dispatch({ type: 'ADD_COMMENT', payload: payload.new });
+        }
+        break;
+      case 'UPDATE':
+        if (payload.new) {
+          dispatch({
+            type: 'UPDATE_COMMENT',
+            payload: { id: payload.new.id, updates: payload.new }
+          });
+        }
+        break;
+      case 'DELETE':
+        if (payload.old) {
+          dispatch({ type: 'DELETE_COMMENT', payload: payload.old.id });
+        }
+        break;
+    }
+  }, []);
+
+  // Reload the threads that have been opened
+  useEffect(() => {
+    const handleDataRefresh = () => {
+      Object.entries(loadedRef.current).forEach(([entityId, entityType]) => {
+        loadComments(entityType, entityId);
+      });
+    };
+
+    window.addEventListener('dataRefresh', handleDataRefresh);
+    return () => window.removeEventListener('dataRefresh', handleDataRefresh);
+  }, []);
+
+  const loadComments = async (entityType, entityId) => {
+    loadedRef.current[entityId] = entityType;
+    try {
+      const comments = await db.read('comments', { entityType, entityId });
+      dispatch({ type: 'LOAD_THREAD', payload: { entityId, comments } });
+    } catch (error) {
+      console.error('Error loading comments:', error);
+    }
+  };
+
+  const getComments = (entityId) => {
+    return state.threads[entityId] || [];
+  };
+
+  // Mentions are the user ids of workspace members named in the body
+  const addComment = async (entityType, entityId, { body, parentId = '', mentions = [] }) => {
+    try {
+      const newComment = await db.create('comments', {
+        userId: user?.id,
+        entityType,
+        entityId,
+        parentId,
+        body,
+        authorEmail: user?.email || '',
+        mentions,
+        history: []
+      });
+      dispatch({ type: 'ADD_COMMENT', payload: newComment });
+      return newComment;
+    } catch (error) {
+      console.error('Error adding comment:', error);
+      throw error;
+    }
+  };
+
+  const findComment = (id) => {
+    return Object.values(stateRef.current.threads).flat().find(comment => comment.id === id);
+  };
+
+  // The previous version is kept in the comment's history
+  const editComment = async (id, { body, mentions = [] }) => {
+    try {
+      const comment = findComment(id);
+      if (!comment) throw new Error('Comment not found');
+
+      const updates = {
+        body,
+        mentions,
+        editedAt: new Date().toISOString(),
+        history: [...(comment.history || []), { body: comment.body, editedAt: comment.editedAt || comment.createdAt }]
+      };
+      await db.update('comments', id, updates);
+      dispatch({ type: 'UPDATE_COMMENT', payload: { id, updates } });
+    } catch (error) {
+      console.error('Error editing comment:', error);
+      throw error;
+    }
+  };
+
+  // Deleted comments stay in the thread as a placeholder, so replies keep their context
+  const deleteComment = async (id) => {
+    try {
+      const comment = findComment(id);
+      if (!comment) throw new Error('Comment not found');
+
+      const updates = {
+        body: '',
+        mentions: [],
+        deletedAt: new Date().toISOString(),
+        history: [...(comment.history || []), { body: comment.body, editedAt: comment.editedAt || comment.createdAt }]
+      };
+      await db.update('comments', id, updates);
+      dispatch({ type: 'UPDATE_COMMENT', payload: { id, updates } });
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      throw error;
+    }
+  };
+
+  const value = {
+    ...state,
+    loadComments,
+    getComments,
+    addComment,
+    editComment,
+    deleteComment
+  };
+
+  return (
+    <CommentContext.Provider value={value}>
+      {children}
+    </CommentContext.Provider>
+  );
+}
+
+export const useComment = () => {
+  const context = useContext(CommentContext);
+  if (!context) {
+    throw new Error('useComment must be used within a CommentProvider');
+  }
+  return context;
+};
@@ -0,0 +1,166 @@
+import React, { createContext, useContext, useReducer, useEffect } from 'react';
+import { db } from '../services/database';
+import { useAuth } from './AuthContext';
+import useRealtime from '../hooks/useRealtime';
+
+const ContactContext = createContext();
+
+const initialState = {
+  contacts: []
+};
+
+function contactReducer(state, action) {
+  switch (action.type) {
+    case 'LOAD_CONTACTS':
+      return { ...state, contacts: action.payload };
+    case 'ADD_CONTACT':
+      if (state.contacts.some(contact => contact.id === action.payload.id)) {
+        return state;
+      }
+      return {
+        ...state,
+        contacts: [...state.contacts, action.payload]
+      };
+    case 'UPDATE_CONTACT':
+      return {
+        ...state,
+        contacts: state.contacts.map(contact =>
+          contact.id === action.payload.id
+            ? { ...contact, ...action.payload.updates, updatedAt: new Date().toISOString() }
+            : contact
+        )
+      };
+    case 'DELETE_CONTACT':
+      return {
+        ...state,
+        contacts: state.contacts.filter(contact => contact.id !== action.payload)
+      };
+    default:
+      return state;
+  }
+}
+
+export function ContactProvider({ children }) {
+  const [state, dispatch] = useReducer(contactReducer, initialState);
+  const { user } = useAuth();
+
+  // Real-time subscription for contacts
+  useRealtime('contacts', (payload) => {
+    switch (payload.eventType) {
+      case 'INSERT':
+        if (payload.new) {
+          dispatch({ type: 'ADD_CONTACT', payload: payload.new });
+        }
+        break;
+      case 'UPDATE':
+        if (payload.new) {
+          dispatch({
+            type: 'UPDATE_CONTACT',
+            payload: { id: payload.new.id, updates: payload.new }
+          });
+        }
+        break;
+      case 'DELETE':
+        if (payload.old) {
+          dispatch({ type: 'DELETE_CONTACT', payload: payload.old.id });
+        }
+        break;
+    }
+  }, []);
+
+  // Load contacts from database on mount
+  useEffect(() => {
+    loadContacts();
+  }, []);
+
+  // Listen for data refresh events
+  useEffect(() => {
+    const handleDataRefresh = () => {
+      loadContacts();
+    };
+
+    window.addEventListener('dataRefresh', handleDataRefresh);
+    return () => window.removeEventListener('dataRefresh', handleDataRefresh);
+  }, []);
+
+  // Load contacts from database
+  const loadContacts = async () => {
+    try {
+      const contacts = await db.read('contacts');
+      dispatch({ type: 'LOAD_CONTACTS', payload: contacts });
+    } catch (error) {
+      console.error('Error loading contacts:', error);
+    }
+  };
+
+  const addContact = async (contactData) => {
+    try {
+      const newContact = await db.create('contacts', {
+        organization: '',
+        email: '',
+        phone: '',
+        notes: '',
+        tags: [],
+        ...contactData
+      });
+      dispatch({ type: 'ADD_CONTACT', payload: newContact });
+      return newContact;
+    } catch (error) {
+      console.error('Error adding contact:', error);
+      throw error;
+    }
+  };
+
+  const updateContact = async (id, updates) => {
+    try {
+      await db.update('contacts', id, updates);
+      dispatch({ type: 'UPDATE_CONTACT', payload: { id, updates } });
+    } catch (error) {
+      console.error('Error updating contact:', error);
+      throw error;
+    }
+  };
+
+  // Participants picked from a deleted contact keep their name and role
+  const deleteContact = async (id) => {
+    try {
+      await db.delete('contacts', id);
+      dispatch({ type: 'DELETE_CONTACT', payload: id });
+    } catch (error) {
+      console.error('Error deleting contact:', error);
+      throw error;
+    }
+  };
+
+  const getContactById = (id) => {
+    return state.contacts.find(contact => contact.id === id);
+  };
+
+  // Every tag in use, alphabetically
+  const getContactTags = () => {
+    return [...new Set(state.contacts.flatMap(contact => contact.tags || []))].sort();
+  };
+
+  const value = {
+    ...state,
+    addContact,
+    updateContact,
+    deleteContact,
+    getContactById,
+    getContactTags
+  };
+
+  return (
+    <ContactContext.Provider value={value}>
+      {children}
+    </ContactContext.Provider>
+  );
+}
+
+export const useContact = () => {
+  const context = useContext(ContactContext);
+  if (!context) {
+    throw new Error('useContact must be used within a ContactProvider');
+  }
+  return context;
+};
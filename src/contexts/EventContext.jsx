@@ -1,9 +1,10 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useRef } from 'react';
 import { v4 as uuidv4 } from 'uuid';
 import { db } from '../services/database';
-import { syncService } from '../services/syncService';
 import { useAuth } from './AuthContext';
+import { useTask } from './TaskContext';
 import useRealtime from '../hooks/useRealtime';
+import { createChecklist, getChecklistProgress, getChecklistItemDueDate } from '../utils/eventChecklist';
 
 const EventContext = createContext();
 
@@ -23,7 +24,7 @@ export const PARTICIPATION_TYPES = {
   BOTH: 'exhibitor_speaker'
 };
 
-// Define checklist items (standard for all events)
+// Standard checklist items, used when no checklist template applies
 export const CHECKLIST_ITEMS = [
   { id: 'registration', label: 'Registration completed' },
   { id: 'invoice_received', label: 'Invoice received' },
@@ -47,7 +48,7 @@ function eventReducer(state, action) {
             ...action.payload,
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString(),
-            checklist: CHECKLIST_ITEMS.map(item => ({ ...item, completed: false }))
+            checklist: action.payload.checklist || createChecklist(CHECKLIST_ITEMS)
           }
         ]
       };
@@ -70,84 +71,6 @@ function eventReducer(state, action) {
         ...state,
         events: state.events.filter(event => event.id !== action.payload)
       };
-    case 'TOGGLE_CHECKLIST_ITEM':
-      return {
-        ...state,
-        events: state.events.map(event => {
-          if (event.id === action.payload.eventId) {
-            const updatedChecklist = event.checklist.map(item => {
-              if (item.id === action.payload.itemId) {
-                return { ...item, completed: !item.completed };
-              }
-              return item;
-            });
-            
-            return {
-              ...event,
-              checklist: updatedChecklist,
-              updatedAt: new Date().toISOString()
-            };
-          }
-          return event;
-        })
-      };
-    case 'ADD_PARTICIPANT':
-      return {
-        ...state,
-        events: state.events.map(event => {
-          if (event.id === action.payload.eventId) {
-            const participants = event.participants || [];
-            return {
-              ...event,
-              participants: [
-                ...participants,
-                {
-                  id: uuidv4(),
-                  name: action.payload.name,
-                  role: action.payload.role || ''
-                }
-              ],
-              updatedAt: new Date().toISOString()
-            };
-          }
-          return event;
-        })
-      };
-    case 'REMOVE_PARTICIPANT':
-      return {
-        ...state,
-        events: state.events.map(event => {
-          if (event.id === action.payload.eventId) {
-            return {
-              ...event,
-              participants: (event.participants || []).filter(
-                participant => participant.id !== action.payload.participantId
-              ),
-              updatedAt: new Date().toISOString()
-            };
-          }
-          return event;
-        })
-      };
-    case 'UPDATE_PARTICIPANT':
-      return {
-        ...state,
-        events: state.events.map(event => {
-          if (event.id === action.payload.eventId) {
-            return {
-              ...event,
-              participants: (event.participants || []).map(participant => {
-                if (participant.id === action.payload.participantId) {
-                  return { ...participant, ...action.payload.updates };
-                }
-                return participant;
-              }),
-              updatedAt: new Date().toISOString()
-            };
-          }
-          return event;
-        })
-      };
     case 'SET_SEARCH_TERM':
       return { ...state, searchTerm: action.payload };
     case 'SET_SORT':
@@ -166,6 +89,15 @@ function eventReducer(state, action) {
 export function EventProvider({ children }) {
   const [state, dispatch] = useReducer(eventReducer, initialState);
   const { user } = useAuth();
+  const { tasks, addTask, updateTask } = useTask();
+
+  // Latest events and tasks for async mutations, which outlive the render they started in
+  const eventsRef = useRef(state.events);
+  eventsRef.current = state.events;
+  const tasksRef = useRef(tasks);
+  tasksRef.current = tasks;
+  // Checklist items whose task is being created, keyed eventId:itemId, until the task shows up
+  const pendingTasksRef = useRef(new Set());
 
   // Real-time subscription for events
   useRealtime('events', (payload) => {
@@ -214,6 +146,24 @@ export function EventProvider({ children }) {
     return () => window.removeEventListener('dataRefresh', handleDataRefresh);
   }, []);
 
+  // Completing or reopening a generated task ticks the checklist item it mirrors
+  useEffect(() => {
+    const handleTaskStatusChanged = (e) => {
+      const { task } = e.detail;
+      const event = eventsRef.current.find(ev => ev.id === task.linkedEvent);
+      const item = event && (event.checklist || []).find(i => i.id === task.linkedChecklistItem);
+      const completed = task.status === 'completed';
+      if (!item || item.completed === completed) return;
+
+      updateEventList(event.id, 'checklist', checklist => checklist.map(i =>
+        i.id === item.id ? { ...i, completed } : i
+      )).catch(() => {});
+    };
+
+    window.addEventListener('taskStatusChanged', handleTaskStatusChanged);
+    return () => window.removeEventListener('taskStatusChanged', handleTaskStatusChanged);
+  }, []);
+
   // Load events from database
   const loadEvents = async () => {
     try {
@@ -229,27 +179,21 @@ export function EventProvider({ children }) {
     try {
       const newEvent = await db.create('events', {
         ...eventData,
-        checklist: CHECKLIST_ITEMS.map(item => ({ ...item, completed: false }))
+        checklist: eventData.checklist || createChecklist(CHECKLIST_ITEMS)
       });
       
       dispatch({
         type: 'ADD_EVENT',
         payload: newEvent
       });
+
+      if (newEvent.autoTasks) {
+        await syncEventTasks(newEvent).catch(error => console.error('Error generating event tasks:', error));
+      }
       
       return newEvent;
     } catch (error) {
       console.error('Error adding event:', error);
-      if (!navigator.onLine) {
-        syncService.queueOperation({
-          type: 'create',
-          table: 'events',
-          data: {
-            ...eventData,
-            checklist: CHECKLIST_ITEMS.map(item => ({ ...item, completed: false }))
-          }
-        });
-      }
       throw error;
     }
   };
@@ -257,18 +201,15 @@ export function EventProvider({ children }) {
   // Update an existing event
   const updateEvent = async (id, updates) => {
     try {
+      const event = eventsRef.current.find(e => e.id === id);
       await db.update('events', id, updates);
       dispatch({ type: 'UPDATE_EVENT', payload: { id, updates } });
+
+      if (event && ('startDate' in updates || 'checklist' in updates || updates.autoTasks)) {
+        await syncEventTasks({ ...event, ...updates }).catch(error => console.error('Error syncing event tasks:', error));
+      }
     } catch (error) {
       console.error('Error updating event:', error);
-      if (!navigator.onLine) {
-        syncService.queueOperation({
-          type: 'update',
-          table: 'events',
-          id,
-          updates
-        });
-      }
       throw error;
     }
   };
@@ -278,40 +219,158 @@ export function EventProvider({ children }) {
     try {
       await db.delete('events', id);
       dispatch({ type: 'DELETE_EVENT', payload: id });
+
+      // Generated tasks outlive their event as ordinary tasks
+      await Promise.all(getEventTasks(id).map(task =>
+        updateTask(task.id, { linkedEvent: null, linkedChecklistItem: null })
+      ));
     } catch (error) {
       console.error('Error deleting event:', error);
-      if (!navigator.onLine) {
-        syncService.queueOperation({
-          type: 'delete',
-          table: 'events',
-          id
-        });
+      throw error;
+    }
+  };
+
+  /**
+   * Optimistically replace one array field (checklist, participants, expenses) of an
+   * event, then persist it through db.update, which queues the write while
+   * offline. On failure the field is rolled back unless it changed again since.
+   */
+  const updateEventList = async (eventId, field, update) => {
+    const event = eventsRef.current.find(e => e.id === eventId);
+    if (!event) return;
+
+    const previous = event[field] || [];
+    const next = update(previous);
+    if (JSON.stringify(next) === JSON.stringify(previous)) return;
+
+    dispatch({ type: 'UPDATE_EVENT', payload: { id: eventId, updates: { [field]: next } } });
+    // Writes triggered by this one (e.g. taskStatusChanged) must see it before the next render
+    eventsRef.current = eventsRef.current.map(e => (e.id === eventId ? { ...e, [field]: next } : e));
+
+    try {
+      await db.update('events', eventId, { [field]: next });
+    } catch (error) {
+      console.error(`Error updating event ${field}:`, error);
+      const current = eventsRef.current.find(e => e.id === eventId);
+      if (current && current[field] === next) {
+        dispatch({ type: 'UPDATE_EVENT', payload: { id: eventId, updates: { [field]: previous } } });
       }
       throw error;
     }
   };
 
-  // Toggle a checklist item
-  const toggleChecklistItem = (eventId, itemId) => {
-    dispatch({ type: 'TOGGLE_CHECKLIST_ITEM', payload: { eventId, itemId } });
+  // Toggle a checklist item, and the task generated from it
+  const toggleChecklistItem = async (eventId, itemId) => {
+    const event = eventsRef.current.find(e => e.id === eventId);
+    const item = event && (event.checklist || []).find(i => i.id === itemId);
+    if (!item) return;
+
+    const completed = !item.completed;
+    await updateEventList(eventId, 'checklist', checklist => checklist.map(i =>
+      i.id === itemId ? { ...i, completed } : i
+    ));
+
+    const task = getLinkedTask(eventId, itemId);
+    if (task && (task.status === 'completed') !== completed) {
+      await updateTask(task.id, { status: completed ? 'completed' : 'open' });
+    }
+  };
+
+  // Tasks generated from an event's checklist
+  const getEventTasks = (eventId) => {
+    return tasksRef.current.filter(task => task.linkedEvent === eventId);
+  };
+
+  const getLinkedTask = (eventId, itemId) => {
+    return tasksRef.current.find(task => task.linkedEvent === eventId && task.linkedChecklistItem === itemId);
+  };
+
+  /**
+   * Bring the tasks generated from an event's checklist up to date. Open tasks
+   * follow their item's due date; with `create` (on by default for events with
+   * autoTasks) every open item without a task gets one.
+   */
+  const syncEventTasks = async (event, { create = !!event.autoTasks } = {}) => {
+    for (const item of event.checklist || []) {
+      const dueDate = getChecklistItemDueDate(event, item) || '';
+      const task = getLinkedTask(event.id, item.id);
+      const key = `${event.id}:${item.id}`;
+
+      if (task) {
+        pendingTasksRef.current.delete(key);
+        if (task.status === 'open' && (task.dueDate || '') !== dueDate) {
+          await updateTask(task.id, { dueDate });
+        }
+      } else if (create && !item.completed && !pendingTasksRef.current.has(key)) {
+        // The task list may not include a task created by an earlier run yet
+        pendingTasksRef.current.add(key);
+        try {
+          await addTask({
+            title: `${item.label} – ${event.title}`,
+            description: '',
+            dueDate,
+            priority: 'medium',
+            categories: [],
+            linkedEvent: event.id,
+            linkedChecklistItem: item.id
+          });
+        } catch (error) {
+          pendingTasksRef.current.delete(key);
+          throw error;
+        }
+      }
+    }
+  };
+
+  // Create the missing tasks for an event's open checklist items
+  const generateEventTasks = (eventId) => {
+    const event = eventsRef.current.find(e => e.id === eventId);
+    if (!event) return Promise.resolve();
+    return syncEventTasks(event, { create: true });
   };
 
   // Add a participant to an event
   const addParticipant = (eventId, name, role) => {
-    dispatch({ type: 'ADD_PARTICIPANT', payload: { eventId, name, role } });
+    return updateEventList(eventId, 'participants', participants => [
+      ...participants,
+      { id: uuidv4(), name, role: role || '' }
+    ]);
   };
 
   // Remove a participant from an event
   const removeParticipant = (eventId, participantId) => {
-    dispatch({ type: 'REMOVE_PARTICIPANT', payload: { eventId, participantId } });
+    return updateEventList(eventId, 'participants', participants =>
+      participants.filter(participant => participant.id !== participantId)
+    );
   };
 
   // Update a participant
   const updateParticipant = (eventId, participantId, updates) => {
-    dispatch({
-      type: 'UPDATE_PARTICIPANT',
-      payload: { eventId, participantId, updates }
-    });
+    return updateEventList(eventId, 'participants', participants => participants.map(participant =>
+      participant.id === participantId ? { ...participant, ...updates } : participant
+    ));
+  };
+
+  // Add an expense line item to an event
+  const addExpense = (eventId, expense) => {
+    return updateEventList(eventId, 'expenses', expenses => [
+      ...expenses,
+      { id: uuidv4(), paid: false, ...expense }
+    ]);
+  };
+
+  // Update an expense line item
+  const updateExpense = (eventId, expenseId, updates) => {
+    return updateEventList(eventId, 'expenses', expenses => expenses.map(expense =>
+      expense.id === expenseId ? { ...expense, ...updates } : expense
+    ));
+  };
+
+  // Remove an expense line item
+  const removeExpense = (eventId, expenseId) => {
+    return updateEventList(eventId, 'expenses', expenses =>
+      expenses.filter(expense => expense.id !== expenseId)
+    );
   };
 
   // Get an event by ID
@@ -391,10 +450,8 @@ export function EventProvider({ children }) {
           break;
         case 'progress':
           // Calculate progress as percentage of completed checklist items
-          const aCompleted = a.checklist.filter(item => item.completed).length;
-          const bCompleted = b.checklist.filter(item => item.completed).length;
-          aValue = (aCompleted / a.checklist.length) * 100;
-          bValue = (bCompleted / b.checklist.length) * 100;
+          aValue = getChecklistProgress(a.checklist);
+          bValue = getChecklistProgress(b.checklist);
           break;
         default:
           aValue = a.createdAt;
@@ -439,12 +496,7 @@ export function EventProvider({ children }) {
   // Calculate event progress based on checklist
   const calculateEventProgress = (eventId) => {
     const event = getEventById(eventId);
-    if (!event || !event.checklist || event.checklist.length === 0) {
-      return 0;
-    }
-
-    const completedItems = event.checklist.filter(item => item.completed).length;
-    return Math.round((completedItems / event.checklist.length) * 100);
+    return event ? getChecklistProgress(event.checklist) : 0;
   };
 
   const value = {
@@ -456,6 +508,11 @@ export function EventProvider({ children }) {
     addParticipant,
     removeParticipant,
     updateParticipant,
+    addExpense,
+    updateExpense,
+    removeExpense,
+    getEventTasks,
+    generateEventTasks,
     getEventById,
     setSearchTerm,
     setSort,
@@ -0,0 +1,279 @@
+import React, { createContext, useContext, useReducer, useEffect, useRef, useState } from 'react';
+import { addHours } from 'date-fns';
+import { db } from '../services/database';
+import { useAuth } from './AuthContext';
+import { useTask } from './TaskContext';
+import { useEvent } from './EventContext';
+import useRealtime from '../hooks/useRealtime';
+import { getDueReminders, isNotificationActive, normalizeReminderRules } from '../utils/reminders';
+
+const NotificationContext = createContext();
+
+// In-app notifications of the signed-in user, from every workspace.
+// Dismissed and snoozed ones stay in the list as the user's history.
+const initialState = {
+  notifications: [],
+  loaded: false,
+  settings: null
+};
+
+// How often snoozes and reminder rules are checked
+const CHECK_INTERVAL = 60 * 1000;
+// Postgres error code for a duplicate reminder_key
+const UNIQUE_VIOLATION = '23505';
+
+const newestFirst = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+
+function notificationReducer(state, action) {
+  switch (action.type) {
+    case 'LOAD_NOTIFICATIONS':
+      return { ...state, notifications: [...action.payload].sort(newestFirst), loaded: true };
+    case 'SET_SETTINGS':
+      return { ...state, settings: action.payload };
+    case 'ADD_NOTIFICATION':
+      if (state.notifications.some(notification => notification.id === action.payload.id)) {
+        return state;
+      }
+      return {
+        ...state,
+        notifications: [action.payload, ...state.notifications].sort(newestFirst)
+      };
+    case 'UPDATE_NOTIFICATIONS':
+      return {
+        ...state,
+        notifications: state.notifications.map(notification =>
+          action.payload.ids.includes(notification.id)
+            ? { ...notification, ...action.payload.updates }
+            : notification
+        )
+      };
+    case 'DELETE_NOTIFICATION':
+      return {
+        ...state,
+        notifications: state.notifications.filter(notification => notification.id !== action.payload)
+      };
+    default:
+      return state;
+  }
+}
+
+export function NotificationProvider({ children }) {
+  const [state, dispatch] = useReducer(notificationReducer, initialState);
+  const { user } = useAuth();
+  const { tasks } = useTask();
+  const { events } = useEvent();
+  const [now, setNow] = useState(() => new Date());
+  // Reminder keys being created, so a reminder is never created twice
+  const pendingRemindersRef = useRef(new Set());
+
+  // Real-time subscription for notifications
+  useRealtime('notifications', (payload) => {
+    switch (payload.eventType) {
+      case 'INSERT':
+        if (payload.new) {
+          dispatch({ type: 'ADD_NOTIFICATION', payload: payload.new });
+        }
+        break;
+      case 'UPDATE':
+        if (payload.new) {
+          dispatch({
+            type: 'UPDATE_NOTIFICATIONS',
+            payload: { ids: [payload.new.id], updates: payload.new }
+          });
+        }
+        break;
+      case 'DELETE':
+        if (payload.old) {
+          dispatch({ type: 'DELETE_NOTIFICATION', payload: payload.old.id });
+        }
+        break;
+    }
+  }, []);
+
+  // Load notifications and reminder settings from database on mount
+  useEffect(() => {
+    loadNotifications();
+    loadSettings();
+  }, []);
+
+  // Snoozed notifications come back and reminders fall due while the app is open
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), CHECK_INTERVAL);
+    return () => clearInterval(interval);
+  }, []);
+
+  const reminderRules = normalizeReminderRules(state.settings?.reminderRules);
+
+  // Create the reminders that are due; only the active workspace is loaded
+  useEffect(() => {
+    if (!state.loaded || !user) return;
+
+    const sentKeys = new Set(state.notifications.map(notification => notification.reminderKey).filter(Boolean));
+    getDueReminders({ tasks, events, rules: reminderRules, userId: user.id, now })
+      .filter(reminder => !sentKeys.has(reminder.reminderKey) && !pendingRemindersRef.current.has(reminder.reminderKey))
+      .forEach(reminder => {
+        pendingRemindersRef.current.add(reminder.reminderKey);
+        addReminder(reminder).finally(() => pendingRemindersRef.current.delete(reminder.reminderKey));
+      });
+  }, [state.loaded, state.notifications, state.settings, tasks, events, now, user]);
+
+  // Listen for data refresh events
+  useEffect(() => {
+    const handleDataRefresh = () => {
+      loadNotifications();
+    };
+
+    window.addEventListener('dataRefresh', handleDataRefresh);
+    return () => window.removeEventListener('dataRefresh', handleDataRefresh);
+  }, []);
+
+  const loadNotifications = async () => {
+    try {
+      const notifications = await db.read('notifications');
+      dispatch({ type: 'LOAD_NOTIFICATIONS', payload: notifications });
+    } catch (error) {
+      console.error('Error loading notifications:', error);
+    }
+  };
+
+  const loadSettings = async () => {
+    try {
+      const [settings] = await db.read('user_settings');
+      dispatch({ type: 'SET_SETTINGS', payload: settings || null });
+    } catch (error) {
+      console.error('Error loading notification settings:', error);
+    }
+  };
+
+  const addReminder = async (reminder) => {
+    try {
+      const newNotification = await db.create('notifications', { userId: user.id, ...reminder });
+      dispatch({ type: 'ADD_NOTIFICATION', payload: newNotification });
+    } catch (error) {
+      // Another tab or device sent it first; loading it stops the retries
+      if (error.code === UNIQUE_VIOLATION) {
+        await loadNotifications();
+        return;
+      }
+      console.error('Error creating reminder:', error);
+    }
+  };
+
+  const updateNotifications = async (ids, updates) => {
+    await Promise.all(ids.map(id => db.update('notifications', id, updates)));
+    dispatch({ type: 'UPDATE_NOTIFICATIONS', payload: { ids, updates } });
+  };
+
+  const markRead = async (id) => {
+    try {
+      await updateNotifications([id], { readAt: new Date().toISOString() });
+    } catch (error) {
+      console.error('Error marking notification as read:', error);
+      throw error;
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      const ids = activeNotifications.filter(notification => !notification.readAt).map(notification => notification.id);
+      await updateNotifications(ids, { readAt: new Date().toISOString() });
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+      throw error;
+    }
+  };
+
+  // A snoozed notification comes back unread
+  const snooze = async (id, hours) => {
+    try {
+      await updateNotifications([id], { snoozedUntil: addHours(new Date(), hours).toISOString(), readAt: '' });
+    } catch (error) {
+      console.error('Error snoozing notification:', error);
+      throw error;
+    }
+  };
+
+  const dismiss = async (id) => {
+    try {
+      const notification = state.notifications.find(item => item.id === id);
+      const at = new Date().toISOString();
+      await updateNotifications([id], { dismissedAt: at, readAt: notification?.readAt || at });
+    } catch (error) {
+      console.error('Error dismissing notification:', error);
+      throw error;
+    }
+  };
+
+  // Back into the inbox from the history
+  const restore = async (id) => {
+    try {
+      await updateNotifications([id], { dismissedAt: '', snoozedUntil: '' });
+    } catch (error) {
+      console.error('Error restoring notification:', error);
+      throw error;
+    }
+  };
+
+  // Settings live in the user's settings row, created on first save
+  const saveSettings = async (updates) => {
+    if (state.settings) {
+      await db.update('user_settings', state.settings.id, updates);
+      dispatch({ type: 'SET_SETTINGS', payload: { ...state.settings, ...updates } });
+    } else {
+      const settings = await db.create('user_settings', { userId: user.id, ...updates });
+      dispatch({ type: 'SET_SETTINGS', payload: settings });
+    }
+  };
+
+  const updateReminderRules = async (rules) => {
+    try {
+      await saveSettings({ reminderRules: normalizeReminderRules(rules) });
+    } catch (error) {
+      console.error('Error saving reminder rules:', error);
+      throw error;
+    }
+  };
+
+  // user_settings.notifications switches desktop notifications on and off
+  const setDesktopNotifications = async (enabled) => {
+    try {
+      await saveSettings({ notifications: enabled });
+    } catch (error) {
+      console.error('Error saving notification settings:', error);
+      throw error;
+    }
+  };
+
+  const activeNotifications = state.notifications.filter(notification => isNotificationActive(notification, now));
+
+  const value = {
+    ...state,
+    now,
+    activeNotifications,
+    unreadCount: activeNotifications.filter(notification => !notification.readAt).length,
+    reminderRules,
+    // Like the column default, desktop notifications are on until switched off
+    desktopEnabled: state.settings?.notifications !== false,
+    markRead,
+    markAllRead,
+    snooze,
+    dismiss,
+    restore,
+    updateReminderRules,
+    setDesktopNotifications
+  };
+
+  return (
+    <NotificationContext.Provider value={value}>
+      {children}
+    </NotificationContext.Provider>
+  );
+}
+
+export const useNotification = () => {
+  const context = useContext(NotificationContext);
+  if (!context) {
+    throw new Error('useNotification must be used within a NotificationProvider');
+  }
+  return context;
+};
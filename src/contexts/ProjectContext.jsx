@@ -1,16 +1,20 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useRef } from 'react';
 import { v4 as uuidv4 } from 'uuid';
 import { db } from '../services/database';
-import { syncService } from '../services/syncService';
 import { useAuth } from './AuthContext';
 import useRealtime from '../hooks/useRealtime';
+import { describeAssignees } from '../utils/taskAssignees';
 
 const ProjectContext = createContext();
 
 const initialState = {
-  projects: []
+  projects: [],
+  // { [projectId]: { entries, hasMore, loaded } }, filled page by page
+  activityLogs: {}
 };
 
+const ACTIVITY_LOG_PAGE_SIZE = 20;
+
 const PROJECT_STATUSES = {
   IDEA: 'idea',
   PREPARATION: 'preparation',
@@ -44,17 +48,7 @@ function projectReducer(state, action) {
             ...action.payload,
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString(),
-            archived: false,
-            activityLog: [
-              {
-                id: action.payload.activityLogId || uuidv4(),
-                type: 'created',
-                message: 'Project created',
-                timestamp: new Date().toISOString(),
-                auto: true,
-                category: 'general'
-              }
-            ]
+            archived: false
           }
         ]
       };
@@ -62,38 +56,21 @@ function projectReducer(state, action) {
     case 'UPDATE_PROJECT':
       return {
         ...state,
-        projects: state.projects.map(project => {
-          if (project.id === action.payload.id) {
-            const updatedProject = {
-              ...project,
-              ...action.payload.updates,
-              updatedAt: new Date().toISOString()
-            };
-
-            // Add activity log entry for status changes
-            if (action.payload.updates.status && action.payload.updates.status !== project.status) {
-              const statusChangeEntry = {
-                id: uuidv4(),
-                type: 'status_change',
-                message: `Status changed from ${project.status} to ${action.payload.updates.status}`,
-                timestamp: new Date().toISOString(),
-                auto: true,
-                category: 'update'
-              };
-              updatedProject.activityLog = [...(project.activityLog || []), statusChangeEntry];
-            }
-
-            return updatedProject;
-          }
-          return project;
-        })
+        projects: state.projects.map(project =>
+          project.id === action.payload.id
+            ? { ...project, ...action.payload.updates, updatedAt: new Date().toISOString() }
+            : project
+        )
       };
 
-    case 'DELETE_PROJECT':
+    case 'DELETE_PROJECT': {
+      const { [action.payload]: _deletedLog, ...activityLogs } = state.activityLogs;
       return {
         ...state,
-        projects: state.projects.filter(project => project.id !== action.payload)
+        projects: state.projects.filter(project => project.id !== action.payload),
+        activityLogs
       };
+    }
 
     case 'ARCHIVE_PROJECT':
       return {
@@ -104,18 +81,7 @@ function projectReducer(state, action) {
               ...project,
               archived: true,
               archivedAt: new Date().toISOString(),
-              updatedAt: new Date().toISOString(),
-              activityLog: [
-                ...(project.activityLog || []),
-                {
-                  id: uuidv4(),
-                  type: 'archived',
-                  message: 'Project archived',
-                  timestamp: new Date().toISOString(),
-                  auto: true,
-                  category: 'general'
-                }
-              ]
+              updatedAt: new Date().toISOString()
             };
           }
           return project;
@@ -131,59 +97,54 @@ function projectReducer(state, action) {
               ...project,
               archived: false,
               archivedAt: null,
-              updatedAt: new Date().toISOString(),
-              activityLog: [
-                ...(project.activityLog || []),
-                {
-                  id: uuidv4(),
-                  type: 'restored',
-                  message: 'Project restored from archive',
-                  timestamp: new Date().toISOString(),
-                  auto: true,
-                  category: 'general'
-                }
-              ]
+              updatedAt: new Date().toISOString()
             };
           }
           return project;
         })
       };
 
-    case 'ADD_ACTIVITY_LOG':
+    // A page of a project's activity log, newest first
+    case 'LOAD_ACTIVITY_LOG': {
+      const { projectId, entries, hasMore, append } = action.payload;
+      const previous = append ? (state.activityLogs[projectId]?.entries || []) : [];
+      const previousIds = previous.map(entry => entry.id);
       return {
         ...state,
-        projects: state.projects.map(project => {
-          if (project.id === action.payload.projectId) {
-            return {
-              ...project,
-              activityLog: [
-                ...(project.activityLog || []),
-                {
-                  id: uuidv4(),
-                  ...action.payload.entry,
-                  timestamp: new Date().toISOString()
-                }
-              ]
-            };
+        activityLogs: {
+          ...state.activityLogs,
+          [projectId]: {
+            entries: [...previous, ...entries.filter(entry => !previousIds.includes(entry.id))],
+            hasMore,
+            loaded: true
           }
-          return project;
-        })
+        }
       };
+    }
+
+    case 'ADD_ACTIVITY_LOG': {
+      const { projectId, entry } = action.payload;
+      const log = state.activityLogs[projectId];
+      // Logs that were never opened are read from the database when they are
+      if (!log || log.entries.some(existing => existing.id === entry.id)) return state;
+      return {
+        ...state,
+        activityLogs: {
+          ...state.activityLogs,
+          [projectId]: { ...log, entries: [entry, ...log.entries] }
+        }
+      };
+    }
 
     case 'DELETE_ACTIVITY_LOG':
       return {
         ...state,
-        projects: state.projects.map(project => {
-          if (project.id === action.payload.projectId) {
-            return {
-              ...project,
-              activityLog: (project.activityLog || []).filter(
-                entry => entry.id !== action.payload.entryId
-              )
-            };
-          }
-          return project;
-        })
+        activityLogs: Object.fromEntries(
+          Object.entries(state.activityLogs).map(([projectId, log]) => [
+            projectId,
+            { ...log, entries: log.entries.filter(entry => entry.id !== action.payload.entryId) }
+          ])
+        )
       };
 
     case 'LINK_TASK_TO_PROJECT':
@@ -195,18 +156,7 @@ function projectReducer(state, action) {
             if (!linkedTasks.includes(action.payload.taskId)) {
               return {
                 ...project,
-                linkedTasks: [...linkedTasks, action.payload.taskId],
-                activityLog: [
-                  ...(project.activityLog || []),
-                  {
-                    id: uuidv4(),
-                    type: 'task_linked',
-                    message: `Task "${action.payload.taskTitle}" linked to project`,
-                    timestamp: new Date().toISOString(),
-                    auto: true,
-                    category: 'update'
-                  }
-                ]
+                linkedTasks: [...linkedTasks, action.payload.taskId]
               };
             }
           }
@@ -223,18 +173,7 @@ function projectReducer(state, action) {
               ...project,
               linkedTasks: (project.linkedTasks || []).filter(
                 taskId => taskId !== action.payload.taskId
-              ),
-              activityLog: [
-                ...(project.activityLog || []),
-                {
-                  id: uuidv4(),
-                  type: 'task_unlinked',
-                  message: `Task "${action.payload.taskTitle}" unlinked from project`,
-                  timestamp: new Date().toISOString(),
-                  auto: true,
-                  category: 'update'
-                }
-              ]
+              )
             };
           }
           return project;
@@ -250,6 +189,10 @@ export function ProjectProvider({ children }) {
   const [state, dispatch] = useReducer(projectReducer, initialState);
   const { user } = useAuth();
 
+  // Window event listeners are registered once, so they read current state through refs
+  const stateRef = useRef(state);
+  stateRef.current = state;
+
   // Load projects from database on mount
   useEffect(() => {
     loadProjects();
@@ -259,12 +202,40 @@ export function ProjectProvider({ children }) {
   useEffect(() => {
     const handleDataRefresh = () => {
       loadProjects();
+      Object.keys(stateRef.current.activityLogs).forEach(projectId => loadActivityLog(projectId));
     };
 
     window.addEventListener('dataRefresh', handleDataRefresh);
     return () => window.removeEventListener('dataRefresh', handleDataRefresh);
   }, []);
 
+  // Link new occurrences of recurring tasks to their project
+  useEffect(() => {
+    const handleOccurrenceCreated = (event) => {
+      const { task } = event.detail;
+      linkTaskToProject(task.linkedProject, task.id, task.title);
+    };
+
+    window.addEventListener('taskOccurrenceCreated', handleOccurrenceCreated);
+    return () => window.removeEventListener('taskOccurrenceCreated', handleOccurrenceCreated);
+  }, []);
+
+  // Log assignment changes of linked tasks
+  useEffect(() => {
+    const handleAssigneesChanged = (event) => {
+      const { task, added, removed } = event.detail;
+      if (added.length > 0) {
+        logActivity(task.linkedProject, 'task_assigned', `Task "${task.title}" assigned to ${describeAssignees(added)}`, 'update');
+      }
+      if (removed.length > 0) {
+        logActivity(task.linkedProject, 'task_unassigned', `Task "${task.title}" unassigned from ${describeAssignees(removed)}`, 'update');
+      }
+    };
+
+    window.addEventListener('taskAssigneesChanged', handleAssigneesChanged);
+    return () => window.removeEventListener('taskAssigneesChanged', handleAssigneesChanged);
+  }, []);
+
   // Real-time subscription for projects
   useRealtime('projects', (payload) => {
     console.log('Real-time project update:', payload);
@@ -274,11 +245,7 @@ export function ProjectProvider({ children }) {
         if (payload.new && !state.projects.find(p => p.id === payload.new.id)) {
           dispatch({ 
             type: 'ADD_PROJECT', 
-            payload: { 
-              ...payload.new, 
-              id: payload.new.id,
-              activityLog: [] // Initialize empty activity log for real-time updates
-            } 
+            payload: { ...payload.new, id: payload.new.id } 
           });
         }
         break;
@@ -298,9 +265,30 @@ export function ProjectProvider({ children }) {
     }
   }, [state.projects]);
 
+  // Real-time subscription for activity log entries
+  useRealtime('project_activity_logs', (payload) => {
+    switch (payload.eventType) {
+      case 'INSERT':
+        if (payload.new) {
+          dispatch({
+            type: 'ADD_ACTIVITY_LOG',
+            payload: { projectId: payload.new.projectId, entry: payload.new }
+          });
+        }
+        break;
+      case 'DELETE':
+        if (payload.old) {
+          dispatch({ type: 'DELETE_ACTIVITY_LOG', payload: { entryId: payload.old.id } });
+        }
+        break;
+    }
+  }, []);
+
   // Load projects from database
   const loadProjects = async () => {
     try {
+      // Before the read replaces offline projects with server rows
+      await db.convertLegacyActivityLogs();
       const projects = await db.read('projects');
       dispatch({ type: 'LOAD_PROJECTS', payload: projects });
     } catch (error) {
@@ -308,72 +296,100 @@ export function ProjectProvider({ children }) {
     }
   };
 
+  // Load the newest page of a project's activity log, or the next older one
+  const loadActivityLog = async (projectId, { more = false } = {}) => {
+    try {
+      const offset = more ? (stateRef.current.activityLogs[projectId]?.entries.length || 0) : 0;
+      const { rows, hasMore } = await db.readPage('project_activity_logs', {
+        filters: { projectId },
+        orderBy: 'timestamp',
+        ascending: false,
+        limit: ACTIVITY_LOG_PAGE_SIZE,
+        offset
+      });
+      dispatch({
+        type: 'LOAD_ACTIVITY_LOG',
+        payload: { projectId, entries: rows, hasMore, append: more }
+      });
+    } catch (error) {
+      console.error('Error loading activity log:', error);
+    }
+  };
+
+  const addActivityLog = async (projectId, entry) => {
+    try {
+      const newEntry = await db.create('project_activity_logs', {
+        ...entry,
+        projectId,
+        timestamp: new Date().toISOString()
+      });
+      dispatch({ type: 'ADD_ACTIVITY_LOG', payload: { projectId, entry: newEntry } });
+      // The database keeps last_activity_at current; mirror it until the next load
+      dispatch({
+        type: 'UPDATE_PROJECT',
+        payload: { id: projectId, updates: { lastActivityAt: newEntry.timestamp } }
+      });
+      return newEntry;
+    } catch (error) {
+      console.error('Error adding activity log entry:', error);
+      throw error;
+    }
+  };
+
+  // Automatic entries never fail the change they describe
+  const logActivity = (projectId, type, message, category) => {
+    return addActivityLog(projectId, { type, message, auto: true, category }).catch(() => null);
+  };
+
+  const deleteActivityLog = async (projectId, entryId) => {
+    try {
+      await db.delete('project_activity_logs', entryId);
+      dispatch({ type: 'DELETE_ACTIVITY_LOG', payload: { projectId, entryId } });
+    } catch (error) {
+      console.error('Error deleting activity log entry:', error);
+      throw error;
+    }
+  };
+
   const addProject = async (projectData) => {
     try {
-      const activityLogId = uuidv4();
-      
-      // Create project without activityLog (it goes in separate table)
       const newProject = await db.create('projects', {
         ...projectData,
         archived: false
       });
       
-      // Create initial activity log entry in separate table
-      await db.create('project_activity_logs', {
-        project_id: newProject.id,
-        type: 'created',
-        message: 'Project created',
-        auto: true,
-        category: 'general'
-      });
-      
       dispatch({ 
         type: 'ADD_PROJECT', 
-        payload: { 
-          ...projectData, 
-          id: newProject.id,
-          activityLogId,
-          // Include activityLog for local state (UI expects this)
-          activityLog: [
-            {
-              id: activityLogId,
-              type: 'created',
-              message: 'Project created',
-              timestamp: new Date().toISOString(),
-              auto: true,
-              category: 'general'
-            }
-          ]
-        } 
+        payload: { ...projectData, id: newProject.id } 
       });
+      await logActivity(newProject.id, 'created', 'Project created', 'general');
       return newProject;
     } catch (error) {
       console.error('Error adding project:', error);
-      if (!navigator.onLine) {
-        syncService.queueOperation({
-          type: 'create',
-          table: 'projects',
-          data: { ...projectData, archived: false }
-        });
-      }
       throw error;
     }
   };
 
   const updateProject = async (id, updates) => {
     try {
+      const previous = stateRef.current.projects.find(project => project.id === id);
       await db.update('projects', id, updates);
       dispatch({ type: 'UPDATE_PROJECT', payload: { id, updates } });
+
+      if (previous && updates.status && updates.status !== previous.status) {
+        await logActivity(id, 'status_change', `Status changed from ${previous.status} to ${updates.status}`, 'update');
+      }
+
+      // Log every milestone that was reached with this change
+      if (previous && updates.milestones) {
+        const reachedBefore = (previous.milestones || []).filter(m => m.completed).map(m => m.id);
+        const reached = updates.milestones.filter(m => m.completed && !reachedBefore.includes(m.id));
+        for (const milestone of reached) {
+          await logActivity(id, 'milestone', `Milestone "${milestone.title}" reached`, 'milestone');
+        }
+      }
     } catch (error) {
       console.error('Error updating project:', error);
-      if (!navigator.onLine) {
-        syncService.queueOperation({
-          type: 'update',
-          table: 'projects',
-          id,
-          updates
-        });
-      }
       throw error;
     }
   };
@@ -384,13 +400,6 @@ export function ProjectProvider({ children }) {
       dispatch({ type: 'DELETE_PROJECT', payload: id });
     } catch (error) {
       console.error('Error deleting project:', error);
-      if (!navigator.onLine) {
-        syncService.queueOperation({
-          type: 'delete',
-          table: 'projects',
-          id
-        });
-      }
       throw error;
     }
   };
@@ -402,16 +411,9 @@ export function ProjectProvider({ children }) {
         archived_at: new Date().toISOString() 
       });
       dispatch({ type: 'ARCHIVE_PROJECT', payload: id });
+      await logActivity(id, 'archived', 'Project archived', 'general');
     } catch (error) {
       console.error('Error archiving project:', error);
-      if (!navigator.onLine) {
-        syncService.queueOperation({
-          type: 'update',
-          table: 'projects',
-          id,
-          updates: { archived: true, archived_at: new Date().toISOString() }
-        });
-      }
       throw error;
     }
   };
@@ -423,34 +425,82 @@ export function ProjectProvider({ children }) {
         archived_at: null 
       });
       dispatch({ type: 'RESTORE_PROJECT', payload: id });
+      await logActivity(id, 'restored', 'Project restored from archive', 'general');
     } catch (error) {
       console.error('Error restoring project:', error);
-      if (!navigator.onLine) {
-        syncService.queueOperation({
-          type: 'update',
-          table: 'projects',
-          id,
-          updates: { archived: false, archived_at: null }
-        });
-      }
       throw error;
     }
   };
 
-  const addActivityLog = (projectId, entry) => {
-    dispatch({ type: 'ADD_ACTIVITY_LOG', payload: { projectId, entry } });
+  const linkTaskToProject = async (projectId, taskId, taskTitle) => {
+    const project = stateRef.current.projects.find(p => p.id === projectId);
+    const linkedTasks = project?.linkedTasks || [];
+    if (!project || !taskId || linkedTasks.includes(taskId)) return;
+
+    try {
+      dispatch({ type: 'LINK_TASK_TO_PROJECT', payload: { projectId, taskId, taskTitle } });
+      await db.update('projects', projectId, { linkedTasks: [...linkedTasks, taskId] });
+      await logActivity(projectId, 'task_linked', `Task "${taskTitle}" linked to project`, 'update');
+    } catch (error) {
+      console.error('Error linking task to project:', error);
+    }
+  };
+
+  const unlinkTaskFromProject = async (projectId, taskId, taskTitle) => {
+    const project = stateRef.current.projects.find(p => p.id === projectId);
+    if (!project) return;
+
+    try {
+      dispatch({ type: 'UNLINK_TASK_FROM_PROJECT', payload: { projectId, taskId, taskTitle } });
+      await db.update('projects', projectId, {
+        linkedTasks: (project.linkedTasks || []).filter(id => id !== taskId)
+      });
+      await logActivity(projectId, 'task_unlinked', `Task "${taskTitle}" unlinked from project`, 'update');
+    } catch (error) {
+      console.error('Error unlinking task from project:', error);
+    }
   };
 
-  const deleteActivityLog = (projectId, entryId) => {
-    dispatch({ type: 'DELETE_ACTIVITY_LOG', payload: { projectId, entryId } });
+  // Milestones are stored on the project, so every change goes through updateProject
+  const updateMilestones = (projectId, update) => {
+    const project = stateRef.current.projects.find(p => p.id === projectId);
+    if (!project) return Promise.resolve();
+    return updateProject(projectId, { milestones: update(project.milestones || []) });
   };
 
-  const linkTaskToProject = (projectId, taskId, taskTitle) => {
-    dispatch({ type: 'LINK_TASK_TO_PROJECT', payload: { projectId, taskId, taskTitle } });
+  const addMilestone = (projectId, { title, dueDate }) => {
+    return updateMilestones(projectId, milestones => [
+      ...milestones,
+      { id: uuidv4(), title, dueDate: dueDate || '', completed: false, completedAt: null }
+    ]);
+  };
+
+  const updateMilestone = (projectId, milestoneId, updates) => {
+    return updateMilestones(projectId, milestones => milestones.map(milestone =>
+      milestone.id === milestoneId ? { ...milestone, ...updates } : milestone
+    ));
+  };
+
+  const removeMilestone = (projectId, milestoneId) => {
+    return updateMilestones(projectId, milestones =>
+      milestones.filter(milestone => milestone.id !== milestoneId)
+    );
+  };
+
+  const toggleMilestone = (projectId, milestoneId) => {
+    return updateMilestones(projectId, milestones => milestones.map(milestone =>
+      milestone.id === milestoneId
+        ? {
+            ...milestone,
+            completed: !milestone.completed,
+            completedAt: milestone.completed ? null : new Date().toISOString()
+          }
+        : milestone
+    ));
   };
 
-  const unlinkTaskFromProject = (projectId, taskId, taskTitle) => {
-    dispatch({ type: 'UNLINK_TASK_FROM_PROJECT', payload: { projectId, taskId, taskTitle } });
+  const getActivityLog = (projectId) => {
+    return state.activityLogs[projectId] || { entries: [], hasMore: false, loaded: false };
   };
 
   const getProjectById = (id) => {
@@ -478,8 +528,14 @@ export function ProjectProvider({ children }) {
     restoreProject,
     addActivityLog,
     deleteActivityLog,
+    loadActivityLog,
+    getActivityLog,
     linkTaskToProject,
     unlinkTaskFromProject,
+    addMilestone,
+    updateMilestone,
+    removeMilestone,
+    toggleMilestone,
     getProjectById,
     getProjectsByStatus,
     getActiveProjects,
@@ -1,8 +1,17 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
 import { v4 as uuidv4 } from 'uuid';
-import { isToday, isPast, parseISO } from 'date-fns';
+import { isToday, isPast, parseISO, format } from 'date-fns';
 import { db } from '../services/database';
-import { syncService } from '../services/syncService';
+import { getNextOccurrence, isWithinSeries, getSeriesId } from '../utils/recurrence';
+import {
+  wouldCreateBlockCycle,
+  wouldCreateParentCycle,
+  getSubtasks as findSubtasks,
+  getOpenSubtasks,
+  getOpenBlockers,
+  isBlocked
+} from '../utils/taskDependencies';
+import { diffAssignees, isAssignedTo, isAssignedToUser } from '../utils/taskAssignees';
 import { useAuth } from './AuthContext';
 import useRealtime from '../hooks/useRealtime';
 
@@ -15,7 +24,9 @@ const initialState = {
   sortOrder: 'asc',
   filterStatus: 'all',
   filterPriority: 'all',
-  filterCategory: 'all'
+  filterCategory: 'all',
+  filterRecurrence: 'all',
+  filterAssignee: 'all'
 };
 
 function taskReducer(state, action) {
@@ -160,34 +171,11 @@ export function TaskProvider({ children }) {
         type: 'ADD_TASK',
         payload: { taskData, id: newTask.id }
       });
-      
+
+      notifyAssigneesChanged({ ...taskData, id: newTask.id }, [], taskData.assignees);
       return newTask;
     } catch (error) {
       console.error('Error adding task:', error);
-      // If online operation fails, queue for later
-      if (!navigator.onLine) {
-        syncService.queueOperation({
-          type: 'create',
-          table: 'tasks',
-          data: { ...taskData, status: 'open' }
-        });
-        
-        // Create local task immediately for offline mode
-        const localTask = {
-          ...taskData,
-          id: crypto.randomUUID(),
-          status: 'open',
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString()
-        };
-        
-        dispatch({
-          type: 'ADD_TASK',
-          payload: { taskData: localTask, id: localTask.id }
-        });
-        
-        return localTask;
-      }
       throw error;
     }
   };
@@ -199,22 +187,35 @@ export function TaskProvider({ children }) {
         type: 'UPDATE_TASK',
         payload: { id, ...updates }
       });
+
+      // Let the event context tick off the checklist item this task mirrors
+      const task = state.tasks.find(t => t.id === id);
+      if (updates.status && task?.linkedEvent) {
+        window.dispatchEvent(new CustomEvent('taskStatusChanged', {
+          detail: { task: { ...task, ...updates } }
+        }));
+      }
+      if (task && updates.assignees) {
+        notifyAssigneesChanged({ ...task, ...updates }, task.assignees, updates.assignees);
+      }
       return updatedTask;
     } catch (error) {
       console.error('Error updating task:', error);
-      // If online operation fails, queue for later
-      if (!navigator.onLine) {
-        syncService.queueOperation({
-          type: 'update',
-          table: 'tasks',
-          id,
-          updates
-        });
-      }
       throw error;
     }
   };
 
+  // Let the project context log assignment changes of its linked tasks
+  const notifyAssigneesChanged = (task, before, after) => {
+    if (!task.linkedProject) return;
+    const { added, removed } = diffAssignees(before, after);
+    if (added.length > 0 || removed.length > 0) {
+      window.dispatchEvent(new CustomEvent('taskAssigneesChanged', {
+        detail: { task, added, removed }
+      }));
+    }
+  };
+
   const deleteTask = async (id) => {
     try {
       await db.delete('tasks', id);
@@ -224,24 +225,133 @@ export function TaskProvider({ children }) {
       });
     } catch (error) {
       console.error('Error deleting task:', error);
-      // If online operation fails, queue for later
-      if (!navigator.onLine) {
-        syncService.queueOperation({
-          type: 'delete',
-          table: 'tasks',
-          id
-        });
-      }
       throw error;
     }
   };
 
-  const toggleTaskStatus = async (id) => {
+  // Without confirmWarnings, a task with warnings is left open instead of asking
+  const toggleTaskStatus = async (id, { confirmWarnings = true } = {}) => {
     const task = state.tasks.find(t => t.id === id);
     if (!task) return;
 
     const newStatus = task.status === 'open' ? 'completed' : 'open';
+
+    // Warn before completing a task whose subtasks or blockers are still open
+    if (newStatus === 'completed') {
+      const openSubtasks = getOpenSubtasks(state.tasks, id);
+      const openBlockers = getOpenBlockers(state.tasks, task);
+      const warnings = [
+        ...(openSubtasks.length > 0 ? [`${openSubtasks.length} open subtask(s): ${openSubtasks.map(t => t.title).join(', ')}`] : []),
+        ...(openBlockers.length > 0 ? [`blocked by: ${openBlockers.map(t => t.title).join(', ')}`] : [])
+      ];
+      if (warnings.length > 0 && (!confirmWarnings || !window.confirm(`"${task.title}" has ${warnings.join(' and ')}. Complete it anyway?`))) {
+        return false;
+      }
+    }
+
     await updateTask(id, { status: newStatus });
+
+    // Completing a recurring task schedules its next occurrence
+    if (newStatus === 'completed' && task.recurrence) {
+      return createNextOccurrence(task);
+    }
+  };
+
+  // Complete an open task, e.g. from a desktop notification.
+  // Resolves to whether the task is completed now.
+  const completeTask = async (id, options) => {
+    const task = state.tasks.find(t => t.id === id);
+    if (!task) return false;
+    if (task.status !== 'open') return true;
+    return (await toggleTaskStatus(id, options)) !== false;
+  };
+
+  const createNextOccurrence = async (task) => {
+    const seriesId = getSeriesId(task);
+    const occurrence = (task.occurrence || 1) + 1;
+
+    // Re-completing a reopened task must not create a second copy
+    const alreadyCreated = state.tasks.some(
+      t => getSeriesId(t) === seriesId && (t.occurrence || 1) >= occurrence
+    );
+    if (alreadyCreated) return null;
+
+    const dueDate = getNextOccurrence(task.recurrence, task.dueDate || format(new Date(), 'yyyy-MM-dd'));
+    if (!isWithinSeries(task.recurrence, dueDate, occurrence)) return null;
+
+    const { id, status, createdAt, updatedAt, localId, userId, ...taskData } = task;
+    const nextTask = await addTask({
+      ...taskData,
+      dueDate,
+      seriesId,
+      occurrence,
+      checklist: (task.checklist || []).map(item => ({ ...item, completed: false })),
+      // One task drives an event checklist item; the project link carries over
+      linkedEvent: null,
+      linkedChecklistItem: null
+    });
+
+    // Let the project context link the new occurrence like its predecessor
+    if (nextTask && task.linkedProject) {
+      window.dispatchEvent(new CustomEvent('taskOccurrenceCreated', {
+        detail: { task: { ...taskData, id: nextTask.id } }
+      }));
+    }
+    return nextTask;
+  };
+
+  // Make `taskId` wait for `blockerId`; rejects self-references and cycles
+  const addDependency = async (taskId, blockerId) => {
+    const task = state.tasks.find(t => t.id === taskId);
+    if (!task || taskId === blockerId) return null;
+    if ((task.blockedBy || []).includes(blockerId)) return task;
+
+    if (wouldCreateBlockCycle(state.tasks, taskId, blockerId)) {
+      throw new Error('This dependency would create a circular dependency');
+    }
+    return updateTask(taskId, { blockedBy: [...(task.blockedBy || []), blockerId] });
+  };
+
+  const removeDependency = async (taskId, blockerId) => {
+    const task = state.tasks.find(t => t.id === taskId);
+    if (!task) return null;
+    return updateTask(taskId, { blockedBy: (task.blockedBy || []).filter(id => id !== blockerId) });
+  };
+
+  // Move a task under a parent (or to the top level with a null parent)
+  const setParentTask = async (taskId, parentId) => {
+    if (parentId && wouldCreateParentCycle(state.tasks, taskId, parentId)) {
+      throw new Error('A task cannot be a subtask of itself or of its own subtasks');
+    }
+    return updateTask(taskId, { parentTask: parentId || null });
+  };
+
+  const getSubtasks = (taskId) => findSubtasks(state.tasks, taskId);
+
+  const getBlockingTasks = (task) => getOpenBlockers(state.tasks, task);
+
+  const isTaskBlocked = (task) => isBlocked(state.tasks, task);
+
+  // All occurrences of a task's series, oldest first
+  const getSeriesTasks = (task) => {
+    const seriesId = getSeriesId(task);
+    return state.tasks
+      .filter(t => getSeriesId(t) === seriesId)
+      .sort((a, b) => (a.occurrence || 1) - (b.occurrence || 1));
+  };
+
+  // Open occurrence of every recurring series (the one that is due next)
+  const getRecurringSeries = () => {
+    const series = {};
+    state.tasks
+      .filter(task => task.recurrence && task.status === 'open')
+      .forEach(task => {
+        const seriesId = getSeriesId(task);
+        if (!series[seriesId] || (task.occurrence || 1) < (series[seriesId].occurrence || 1)) {
+          series[seriesId] = task;
+        }
+      });
+    return Object.values(series);
   };
 
   const setSearchTerm = (term) => {
@@ -295,6 +405,22 @@ export function TaskProvider({ children }) {
       );
     }
 
+    // Apply recurrence filter
+    if (state.filterRecurrence !== 'all') {
+      filtered = filtered.filter(task =>
+        state.filterRecurrence === 'recurring' ? !!task.recurrence : !task.recurrence
+      );
+    }
+
+    // Apply assignee filter ('me', 'unassigned' or an assignee key)
+    if (state.filterAssignee !== 'all') {
+      filtered = filtered.filter(task => {
+        if (state.filterAssignee === 'me') return isAssignedToUser(task, user?.id);
+        if (state.filterAssignee === 'unassigned') return (task.assignees || []).length === 0;
+        return isAssignedTo(task, state.filterAssignee);
+      });
+    }
+
     // Apply sorting
     filtered.sort((a, b) => {
       let aValue, bValue;
@@ -354,6 +480,11 @@ export function TaskProvider({ children }) {
     return state.tasks.filter(task => task.status === 'open' && task.priority === 'urgent');
   };
 
+  // Open tasks assigned to the signed-in user
+  const getMyTasks = () => {
+    return state.tasks.filter(task => task.status === 'open' && isAssignedToUser(task, user?.id));
+  };
+
   // Get high priority tasks
   const getHighPriorityTasks = () => {
     return state.tasks.filter(task => task.status === 'open' && task.priority === 'high');
@@ -365,6 +496,15 @@ export function TaskProvider({ children }) {
     updateTask,
     deleteTask,
     toggleTaskStatus,
+    completeTask,
+    getSeriesTasks,
+    getRecurringSeries,
+    addDependency,
+    removeDependency,
+    setParentTask,
+    getSubtasks,
+    getBlockingTasks,
+    isTaskBlocked,
     setSearchTerm,
     setSort,
     setFilter,
@@ -372,7 +512,8 @@ export function TaskProvider({ children }) {
     getOverdueTasks,
     getTasksDueToday,
     getUrgentTasks,
-    getHighPriorityTasks
+    getHighPriorityTasks,
+    getMyTasks
   };
 
   return <TaskContext.Provider value={value}>{children}</TaskContext.Provider>;
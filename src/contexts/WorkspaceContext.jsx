@@ -0,0 +1,283 @@
+import React, { createContext, useContext, useReducer, useEffect, useRef } from 'react';
+import { db } from '../services/database';
+import { syncService } from '../services/syncService';
+import { useAuth } from './AuthContext';
+import useRealtime from '../hooks/useRealtime';
+
+const WorkspaceContext = createContext();
+
+export const WORKSPACE_ROLES = {
+  owner: 'Owner',
+  editor: 'Editor',
+  viewer: 'Viewer'
+};
+
+// The active workspace is owned by the database service, which scopes every read
+const initialState = {
+  workspaces: [],
+  members: [],
+  activeWorkspaceId: db.workspaceId
+};
+
+function workspaceReducer(state, action) {
+  switch (action.type) {
+    case 'LOAD_WORKSPACES':
+      return {
+        ...state,
+        workspaces: action.payload.workspaces,
+        members: action.payload.members
+      };
+    case 'SET_ACTIVE_WORKSPACE':
+      return { ...state, activeWorkspaceId: action.payload };
+    case 'ADD_WORKSPACE':
+      if (state.workspaces.some(workspace => workspace.id === action.payload.id)) {
+        return state;
+      }
+      return { ...state, workspaces: [...state.workspaces, action.payload] };
+    case 'UPDATE_WORKSPACE':
+      return {
+        ...state,
+        workspaces: state.workspaces.map(workspace =>
+          workspace.id === action.payload.id
+            ? { ...workspace, ...action.payload.updates }
+            : workspace
+        )
+      };
+    case 'DELETE_WORKSPACE':
+      return {
+        ...state,
+        workspaces: state.workspaces.filter(workspace => workspace.id !== action.payload),
+        members: state.members.filter(member => member.workspaceId !== action.payload)
+      };
+    case 'SAVE_MEMBER':
+      return {
+        ...state,
+        members: [...state.members.filter(member => member.id !== action.payload.id), action.payload]
+      };
+    case 'UPDATE_MEMBER':
+      return {
+        ...state,
+        members: state.members.map(member =>
+          member.id === action.payload.id
+            ? { ...member, ...action.payload.updates }
+            : member
+        )
+      };
+    case 'REMOVE_MEMBER':
+      return {
+        ...state,
+        members: state.members.filter(member => member.id !== action.payload)
+      };
+    default:
+      return state;
+  }
+}
+
+export function WorkspaceProvider({ children }) {
+  const [state, dispatch] = useReducer(workspaceReducer, initialState);
+  const { user } = useAuth();
+  const stateRef = useRef(state);
+  stateRef.current = state;
+
+  // Invitations and removals by other members show up without a reload
+  useRealtime('workspace_members', () => {
+    loadWorkspaces();
+  }, []);
+
+  useRealtime('workspaces', () => {
+    loadWorkspaces();
+  }, []);
+
+  // Load workspaces from database on mount
+  useEffect(() => {
+    loadWorkspaces();
+  }, [user?.id]);
+
+  // Listen for data refresh events
+  useEffect(() => {
+    const handleDataRefresh = (event) => {
+      if (event.detail?.source !== 'workspace') {
+        loadWorkspaces();
+      }
+    };
+
+    window.addEventListener('dataRefresh', handleDataRefresh);
+    return () => window.removeEventListener('dataRefresh', handleDataRefresh);
+  }, []);
+
+  // Role of the current user; the creator owns a workspace until its membership syncs
+  const roleIn = (workspaceId, { workspaces, members } = stateRef.current) => {
+    if (!workspaceId) return 'owner';
+    const membership = members.find(member => member.workspaceId === workspaceId && member.userId === user?.id);
+    if (membership) return membership.role;
+    const workspace = workspaces.find(w => w.id === workspaceId);
+    return workspace && workspace.ownerId === user?.id ? 'owner' : null;
+  };
+
+  // Point every context at another workspace (null for the personal space)
+  const activateWorkspace = (workspaceId, role) => {
+    const changed = (workspaceId || null) !== db.workspaceId;
+    db.setWorkspace(workspaceId, role);
+    dispatch({ type: 'SET_ACTIVE_WORKSPACE', payload: workspaceId || null });
+
+    if (changed) {
+      window.dispatchEvent(new CustomEvent('dataRefresh', {
+        detail: { source: 'workspace' }
+      }));
+    }
+  };
+
+  // Load workspaces and memberships from database
+  const loadWorkspaces = async () => {
+    try {
+      const [workspaces, members] = await Promise.all([
+        db.read('workspaces'),
+        db.read('workspace_members')
+      ]);
+      dispatch({ type: 'LOAD_WORKSPACES', payload: { workspaces, members } });
+      syncService.setWorkspaceMemberships(workspaces.map(workspace => workspace.id));
+
+      // Fall back to the personal space after leaving or losing the active workspace
+      const activeId = db.workspaceId;
+      const role = roleIn(activeId, { workspaces, members });
+      activateWorkspace(role ? activeId : null, role);
+    } catch (error) {
+      console.error('Error loading workspaces:', error);
+    }
+  };
+
+  const switchWorkspace = (workspaceId) => {
+    activateWorkspace(workspaceId, roleIn(workspaceId));
+  };
+
+  const createWorkspace = async (name) => {
+    try {
+      // The owner membership comes from the server, so a workspace kept only
+      // locally could never be used; create it online or not at all
+      if (!db.isOnline) {
+        throw new Error('Workspaces can only be created while online');
+      }
+      const newWorkspace = await db.createRemote('workspaces', { name, ownerId: user.id });
+      dispatch({ type: 'ADD_WORKSPACE', payload: newWorkspace });
+      activateWorkspace(newWorkspace.id, 'owner');
+      // Picks up the owner membership added by the database
+      await loadWorkspaces();
+      return newWorkspace;
+    } catch (error) {
+      console.error('Error creating workspace:', error);
+      throw error;
+    }
+  };
+
+  const renameWorkspace = async (id, name) => {
+    try {
+      await db.update('workspaces', id, { name });
+      dispatch({ type: 'UPDATE_WORKSPACE', payload: { id, updates: { name } } });
+    } catch (error) {
+      console.error('Error renaming workspace:', error);
+      throw error;
+    }
+  };
+
+  // Deletes everything shared in the workspace for all of its members
+  const deleteWorkspace = async (id) => {
+    try {
+      await db.delete('workspaces', id);
+      dispatch({ type: 'DELETE_WORKSPACE', payload: id });
+      if (db.workspaceId === id) {
+        activateWorkspace(null, 'owner');
+      }
+    } catch (error) {
+      console.error('Error deleting workspace:', error);
+      throw error;
+    }
+  };
+
+  // Invitees need an account; the server resolves them by email
+  const inviteMember = async (workspaceId, email, role = 'editor') => {
+    try {
+      const row = await db.rpc('invite_workspace_member', {
+        target_workspace: workspaceId,
+        member_email: email,
+        member_role: role
+      });
+      const member = db.fromDatabase('workspace_members', row);
+      dispatch({ type: 'SAVE_MEMBER', payload: member });
+      return member;
+    } catch (error) {
+      console.error('Error inviting workspace member:', error);
+      throw error;
+    }
+  };
+
+  const updateMemberRole = async (memberId, role) => {
+    try {
+      await db.update('workspace_members', memberId, { role });
+      dispatch({ type: 'UPDATE_MEMBER', payload: { id: memberId, updates: { role } } });
+    } catch (error) {
+      console.error('Error updating workspace member:', error);
+      throw error;
+    }
+  };
+
+  const removeMember = async (memberId) => {
+    try {
+      await db.delete('workspace_members', memberId);
+      dispatch({ type: 'REMOVE_MEMBER', payload: memberId });
+    } catch (error) {
+      console.error('Error removing workspace member:', error);
+      throw error;
+    }
+  };
+
+  const leaveWorkspace = async (workspaceId) => {
+    const membership = state.members.find(member => member.workspaceId === workspaceId && member.userId === user?.id);
+    if (!membership) return;
+
+    await removeMember(membership.id);
+    dispatch({ type: 'DELETE_WORKSPACE', payload: workspaceId });
+    if (db.workspaceId === workspaceId) {
+      activateWorkspace(null, 'owner');
+    }
+  };
+
+  const getWorkspaceMembers = (workspaceId) => {
+    return state.members
+      .filter(member => member.workspaceId === workspaceId)
+      .sort((a, b) => (a.email || '').localeCompare(b.email || ''));
+  };
+
+  const activeWorkspace = state.workspaces.find(workspace => workspace.id === state.activeWorkspaceId) || null;
+  const activeRole = roleIn(state.activeWorkspaceId, state);
+
+  const value = {
+    ...state,
+    activeWorkspace,
+    activeRole,
+    canEdit: activeRole === 'owner' || activeRole === 'editor',
+    getRole: (workspaceId) => roleIn(workspaceId, state),
+    getWorkspaceMembers,
+    switchWorkspace,
+    createWorkspace,
+    renameWorkspace,
+    deleteWorkspace,
+    inviteMember,
+    updateMemberRole,
+    removeMember,
+    leaveWorkspace
+  };
+
+  return (
+    <WorkspaceContext.Provider value={value}>
+      {children}
+    </WorkspaceContext.Provider>
+  );
+}
+
+export const useWorkspace = () => {
+  const context = useContext(WorkspaceContext);
+  if (!context) {
+    throw new Error('useWorkspace must be used within a WorkspaceProvider');
+  }
+  return context;
+};
@@ -26,8 +26,9 @@ export function useRealtime(table, callback, dependencies = [], options = {}) {
     const subscription = db.subscribe(table, (payload) => {
       console.log(`Real-time update for ${table}:`, payload)
       
-      // Only process changes for the current user's data
-      if (payload.new?.user_id === user.id || payload.old?.user_id === user.id || !payload.new?.user_id) {
+      // RLS only delivers rows the user can access, shared ones included.
+      // Deletes carry just the id, so only inserts and updates are scoped.
+      if (payload.eventType === 'DELETE' || db.inWorkspace(table, payload.new)) {
         // Apply filter if provided
         if (filter && !filter(payload)) {
           return
@@ -36,8 +37,8 @@ export function useRealtime(table, callback, dependencies = [], options = {}) {
         // Transform Supabase payload to our expected format
         const transformedPayload = {
           eventType: payload.eventType,
-          new: payload.new,
-          old: payload.old,
+          new: db.fromDatabase(table, payload.new),
+          old: db.fromDatabase(table, payload.old),
           table: payload.table
         }
         callback(transformedPayload)
@@ -91,7 +92,11 @@ export function useMultipleRealtime(subscriptions, options = {}) {
     subscriptionsRef.current = subscriptions.map(({ table, callback }) => {
       return db.subscribe(table, (payload) => {
         if (payload.new?.user_id === user.id || payload.old?.user_id === user.id) {
-          callback(payload)
+          callback({
+            ...payload,
+            new: db.fromDatabase(table, payload.new),
+            old: db.fromDatabase(table, payload.old)
+          })
         }
       })
     })
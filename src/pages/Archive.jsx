@@ -11,8 +11,9 @@ import TaskModal from '../components/TaskModal';
 import ProjectModal from '../components/ProjectModal';
 import ProjectDetailsModal from '../components/ProjectDetailsModal';
 import { format, parseISO } from 'date-fns';
+import { describeRecurrence } from '../utils/recurrence';
 
-const { FiArchive, FiTrash2, FiFilter, FiCalendar, FiSearch, FiBriefcase, FiList, FiRotateCcw, FiFileText } = FiIcons;
+const { FiArchive, FiTrash2, FiFilter, FiCalendar, FiSearch, FiBriefcase, FiList, FiRotateCcw, FiFileText, FiRepeat } = FiIcons;
 
 function Archive() {
   const [activeTab, setActiveTab] = useState('tasks');
@@ -662,6 +663,15 @@ function TaskArchiveCard({ task, onDelete, onRestore, onEdit }) {
               >
                 {task.priority}
               </span>
+              {task.recurrence && (
+                <>
+                  <span>•</span>
+                  <span className="flex items-center space-x-1 text-purple-400" title={describeRecurrence(task.recurrence)}>
+                    <SafeIcon icon={FiRepeat} className="text-xs" />
+                    <span>Occurrence #{task.occurrence || 1}</span>
+                  </span>
+                </>
+              )}
             </div>
           </div>
         </div>
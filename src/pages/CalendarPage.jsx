@@ -0,0 +1,381 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import {
+  format, parseISO, addMonths, subMonths, addWeeks, subWeeks, addDays,
+  startOfMonth, endOfMonth, startOfWeek, endOfWeek, eachDayOfInterval,
+  isSameMonth, isToday, isWithinInterval, startOfDay, endOfDay
+} from 'date-fns';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { useTask } from '../contexts/TaskContext';
+import { useEvent } from '../contexts/EventContext';
+import TaskModal from '../components/TaskModal';
+import EventModal from '../components/events/EventModal';
+import EventDetailsModal from '../components/events/EventDetailsModal';
+
+const { FiChevronLeft, FiChevronRight, FiCheckSquare, FiCalendar, FiMic } = FiIcons;
+
+const WEEK_OPTIONS = { weekStartsOn: 1 };
+const AGENDA_DAYS = 30;
+
+const PRIORITY_COLORS = {
+  urgent: 'bg-red-100 text-red-800 border-red-200',
+  high: 'bg-orange-100 text-orange-800 border-orange-200',
+  medium: 'bg-blue-100 text-blue-800 border-blue-200',
+  low: 'bg-green-100 text-green-800 border-green-200'
+};
+
+const toDayKey = (date) => format(date, 'yyyy-MM-dd');
+
+function CalendarPage() {
+  const [view, setView] = useState('month');
+  const [currentDate, setCurrentDate] = useState(new Date());
+  const [showLayers, setShowLayers] = useState({ tasks: true, events: true, talks: true });
+  const [editingTask, setEditingTask] = useState(null);
+  const [selectedEvent, setSelectedEvent] = useState(null);
+  const [editingEvent, setEditingEvent] = useState(null);
+  const [draggedTask, setDraggedTask] = useState(null);
+  const [dragOverDay, setDragOverDay] = useState(null);
+
+  const { tasks, updateTask } = useTask();
+  const { events, updateEvent, deleteEvent } = useEvent();
+
+  const openTasks = tasks.filter(task => task.status === 'open' && task.dueDate);
+
+  // Everything scheduled on a given day, by layer
+  const getDayItems = (day) => {
+    const dayKey = toDayKey(day);
+    return {
+      tasks: showLayers.tasks
+        ? openTasks.filter(task => task.dueDate === dayKey)
+        : [],
+      events: showLayers.events
+        ? events.filter(event => event.startDate && event.endDate && isWithinInterval(day, {
+          start: startOfDay(parseISO(event.startDate)),
+          end: endOfDay(parseISO(event.endDate))
+        }))
+        : [],
+      talks: showLayers.talks
+        ? events.filter(event => event.talkDate && toDayKey(parseISO(event.talkDate)) === dayKey)
+        : []
+    };
+  };
+
+  const getVisibleDays = () => {
+    if (view === 'week') {
+      return eachDayOfInterval({
+        start: startOfWeek(currentDate, WEEK_OPTIONS),
+        end: endOfWeek(currentDate, WEEK_OPTIONS)
+      });
+    }
+    if (view === 'agenda') {
+      return eachDayOfInterval({ start: currentDate, end: addDays(currentDate, AGENDA_DAYS - 1) });
+    }
+    return eachDayOfInterval({
+      start: startOfWeek(startOfMonth(currentDate), WEEK_OPTIONS),
+      end: endOfWeek(endOfMonth(currentDate), WEEK_OPTIONS)
+    });
+  };
+
+  const navigate = (direction) => {
+    if (view === 'month') {
+      setCurrentDate(direction > 0 ? addMonths(currentDate, 1) : subMonths(currentDate, 1));
+    } else if (view === 'week') {
+      setCurrentDate(direction > 0 ? addWeeks(currentDate, 1) : subWeeks(currentDate, 1));
+    } else {
+      setCurrentDate(addDays(currentDate, direction * AGENDA_DAYS));
+    }
+  };
+
+  const getTitle = () => {
+    if (view === 'month') return format(currentDate, 'MMMM yyyy');
+    const days = getVisibleDays();
+    return `${format(days[0], 'MMM d')} – ${format(days[days.length - 1], 'MMM d, yyyy')}`;
+  };
+
+  // Dropping a task on a day reschedules it
+  const handleDrop = async (e, day) => {
+    e.preventDefault();
+    const task = draggedTask;
+    setDraggedTask(null);
+    setDragOverDay(null);
+    if (!task || task.dueDate === toDayKey(day)) return;
+
+    try {
+      await updateTask(task.id, { dueDate: toDayKey(day) });
+    } catch (error) {
+      alert(`Could not reschedule task: ${error.message}`);
+    }
+  };
+
+  const handleUpdateEvent = (id, updates) => {
+    updateEvent(id, updates);
+    setEditingEvent(null);
+  };
+
+  const handleDeleteEvent = (event) => {
+    if (window.confirm(`Are you sure you want to delete "${event.title}"?`)) {
+      deleteEvent(event.id);
+      setSelectedEvent(null);
+    }
+  };
+
+  const renderTask = (task) => (
+    <button
+      key={`task-${task.id}`}
+      draggable
+      onDragStart={(e) => {
+        setDraggedTask(task);
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', task.id);
+      }}
+      onDragEnd={() => {
+        setDraggedTask(null);
+        setDragOverDay(null);
+      }}
+      onClick={() => setEditingTask(task)}
+      className={`w-full flex items-center space-x-1 px-1.5 py-0.5 rounded border text-xs text-left truncate cursor-move ${
+        PRIORITY_COLORS[task.priority] || PRIORITY_COLORS.medium
+      }`}
+      title={task.title}
+    >
+      <SafeIcon icon={FiCheckSquare} className="flex-shrink-0" />
+      <span className="truncate">{task.title}</span>
+    </button>
+  );
+
+  const renderEvent = (event) => (
+    <button
+      key={`event-${event.id}`}
+      onClick={() => setSelectedEvent(event)}
+      className="w-full flex items-center space-x-1 px-1.5 py-0.5 rounded border text-xs text-left truncate bg-purple-100 text-purple-800 border-purple-200"
+      title={`${event.title}${event.location ? ` – ${event.location}` : ''}`}
+    >
+      <SafeIcon icon={FiCalendar} className="flex-shrink-0" />
+      <span className="truncate">{event.title}</span>
+    </button>
+  );
+
+  const renderTalk = (event) => (
+    <button
+      key={`talk-${event.id}`}
+      onClick={() => setSelectedEvent(event)}
+      className="w-full flex items-center space-x-1 px-1.5 py-0.5 rounded border text-xs text-left truncate bg-yellow-100 text-yellow-800 border-yellow-200"
+      title={`Talk at ${event.title}`}
+    >
+      <SafeIcon icon={FiMic} className="flex-shrink-0" />
+      <span className="truncate">
+        {event.talkTime && `${event.talkTime} `}Talk: {event.title}
+      </span>
+    </button>
+  );
+
+  const renderDayItems = (items) => (
+    <>
+      {items.talks.map(renderTalk)}
+      {items.events.map(renderEvent)}
+      {items.tasks.map(renderTask)}
+    </>
+  );
+
+  const dropTargetProps = (day) => ({
+    onDragOver: (e) => {
+      e.preventDefault();
+      setDragOverDay(toDayKey(day));
+    },
+    onDragLeave: () => setDragOverDay(null),
+    onDrop: (e) => handleDrop(e, day)
+  });
+
+  const visibleDays = getVisibleDays();
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Calendar</h1>
+          <p className="text-gray-600">Task due dates, conferences and talk slots at a glance</p>
+        </div>
+        <div className="flex bg-gray-100 rounded-lg p-1">
+          {['month', 'week', 'agenda'].map(option => (
+            <button
+              key={option}
+              onClick={() => setView(option)}
+              className={`px-3 py-1.5 rounded-md text-sm font-medium capitalize ${
+                view === option ? 'bg-white text-blue-600 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Toolbar */}
+      <div className="bg-white rounded-lg shadow-sm border p-4 flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => navigate(-1)}
+            className="p-2 text-gray-600 hover:bg-gray-100 rounded-md"
+          >
+            <SafeIcon icon={FiChevronLeft} />
+          </button>
+          <button
+            onClick={() => setCurrentDate(new Date())}
+            className="px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            Today
+          </button>
+          <button
+            onClick={() => navigate(1)}
+            className="p-2 text-gray-600 hover:bg-gray-100 rounded-md"
+          >
+            <SafeIcon icon={FiChevronRight} />
+          </button>
+          <h2 className="text-lg font-semibold text-gray-900 ml-2">{getTitle()}</h2>
+        </div>
+        <div className="flex items-center space-x-4 text-sm">
+          {[
+            { key: 'tasks', label: 'Tasks', color: 'bg-blue-500' },
+            { key: 'events', label: 'Events', color: 'bg-purple-500' },
+            { key: 'talks', label: 'Talks', color: 'bg-yellow-500' }
+          ].map(layer => (
+            <label key={layer.key} className="flex items-center space-x-1.5 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={showLayers[layer.key]}
+                onChange={(e) => setShowLayers({ ...showLayers, [layer.key]: e.target.checked })}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              <span className={`w-2 h-2 rounded-full ${layer.color}`} />
+              <span className="text-gray-700">{layer.label}</span>
+            </label>
+          ))}
+        </div>
+      </div>
+
+      {/* Month / Week Grid */}
+      {view !== 'agenda' ? (
+        <motion.div
+          key={view}
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          className="bg-white rounded-lg shadow-sm border overflow-hidden"
+        >
+          <div className="grid grid-cols-7 border-b bg-gray-50">
+            {visibleDays.slice(0, 7).map(day => (
+              <div key={toDayKey(day)} className="px-2 py-2 text-xs font-medium text-gray-600 text-center">
+                {format(day, view === 'week' ? 'EEE d' : 'EEE')}
+              </div>
+            ))}
+          </div>
+          <div className="grid grid-cols-7">
+            {visibleDays.map(day => {
+              const items = getDayItems(day);
+              const dayKey = toDayKey(day);
+              return (
+                <div
+                  key={dayKey}
+                  {...dropTargetProps(day)}
+                  className={`border-r border-b p-1.5 space-y-1 ${
+                    view === 'week' ? 'min-h-[24rem]' : 'min-h-[7rem]'
+                  } ${
+                    dragOverDay === dayKey
+                      ? 'bg-blue-50'
+                      : view === 'month' && !isSameMonth(day, currentDate)
+                      ? 'bg-gray-50'
+                      : ''
+                  }`}
+                >
+                  {view === 'month' && (
+                    <div className={`text-xs font-medium mb-1 ${
+                      isToday(day)
+                        ? 'inline-flex items-center justify-center w-6 h-6 rounded-full bg-blue-600 text-white'
+                        : isSameMonth(day, currentDate) ? 'text-gray-700' : 'text-gray-400'
+                    }`}>
+                      {format(day, 'd')}
+                    </div>
+                  )}
+                  {renderDayItems(items)}
+                </div>
+              );
+            })}
+          </div>
+        </motion.div>
+      ) : (
+        /* Agenda */
+        <motion.div
+          key="agenda"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          className="bg-white rounded-lg shadow-sm border divide-y"
+        >
+          {visibleDays.map(day => {
+            const items = getDayItems(day);
+            const count = items.tasks.length + items.events.length + items.talks.length;
+            if (count === 0) return null;
+
+            return (
+              <div key={toDayKey(day)} {...dropTargetProps(day)} className={`flex p-4 ${
+                dragOverDay === toDayKey(day) ? 'bg-blue-50' : ''
+              }`}>
+                <div className="w-32 flex-shrink-0">
+                  <p className={`text-sm font-semibold ${isToday(day) ? 'text-blue-600' : 'text-gray-900'}`}>
+                    {format(day, 'EEE, MMM d')}
+                  </p>
+                  {isToday(day) && <p className="text-xs text-blue-600">Today</p>}
+                </div>
+                <div className="flex-1 space-y-1.5 max-w-md">
+                  {renderDayItems(items)}
+                </div>
+              </div>
+            );
+          })}
+          {visibleDays.every(day => {
+            const items = getDayItems(day);
+            return items.tasks.length + items.events.length + items.talks.length === 0;
+          }) && (
+            <div className="text-center py-12">
+              <SafeIcon icon={FiCalendar} className="text-gray-300 text-6xl mx-auto mb-4" />
+              <p className="text-gray-500 text-lg">Nothing scheduled in the next {AGENDA_DAYS} days</p>
+            </div>
+          )}
+        </motion.div>
+      )}
+
+      {/* Task Modal */}
+      {editingTask && (
+        <TaskModal
+          task={editingTask}
+          onClose={() => setEditingTask(null)}
+          onSave={(id, updates) => updateTask(id, updates)}
+        />
+      )}
+
+      {/* Event Details Modal */}
+      {selectedEvent && (
+        <EventDetailsModal
+          event={selectedEvent}
+          onClose={() => setSelectedEvent(null)}
+          onEdit={() => {
+            setEditingEvent(selectedEvent);
+            setSelectedEvent(null);
+          }}
+          onDelete={() => handleDeleteEvent(selectedEvent)}
+        />
+      )}
+
+      {/* Event Edit Modal */}
+      {editingEvent && (
+        <EventModal
+          event={editingEvent}
+          onClose={() => setEditingEvent(null)}
+          onSave={(updates) => handleUpdateEvent(editingEvent.id, updates)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default CalendarPage;
@@ -44,12 +44,12 @@ function CategoryOverview() {
     );
   };
 
-  const handleCreateTask = (taskData) => {
-    const newTask = addTask(taskData);
+  const handleCreateTask = async (taskData) => {
+    const newTask = await addTask(taskData);
     
     // Explicitly handle project linking - this ensures the project's linkedTasks array is updated
     if (newTask && taskData.linkedProject) {
-      linkTaskToProject(taskData.linkedProject, newTask.id, newTask.title);
+      await linkTaskToProject(taskData.linkedProject, newTask.id, newTask.title);
     }
     
     setShowTaskModal(false);
@@ -0,0 +1,313 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { useChecklistTemplate, STANDARD_CHECKLIST_TEMPLATE } from '../contexts/ChecklistTemplateContext';
+import { PARTICIPATION_TYPES } from '../contexts/EventContext';
+import ChecklistItemsEditor from '../components/events/ChecklistItemsEditor';
+import { describeDueOffset } from '../utils/eventChecklist';
+
+const { FiPlus, FiEdit3, FiTrash2, FiClipboard, FiCopy } = FiIcons;
+
+const PARTICIPATION_LABELS = {
+  [PARTICIPATION_TYPES.EXHIBITOR]: 'Exhibitor',
+  [PARTICIPATION_TYPES.SPEAKER]: 'Speaker',
+  [PARTICIPATION_TYPES.BOTH]: 'Exhibitor & Speaker'
+};
+
+const emptyForm = () => ({ name: '', participationTypes: [], items: [] });
+
+function ChecklistTemplateManager() {
+  const [showForm, setShowForm] = useState(false);
+  const [editingTemplate, setEditingTemplate] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [error, setError] = useState('');
+
+  const {
+    checklistTemplates,
+    addChecklistTemplate,
+    updateChecklistTemplate,
+    deleteChecklistTemplate
+  } = useChecklistTemplate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!formData.name.trim()) return;
+
+    const items = formData.items
+      .filter(item => item.label.trim())
+      .map(item => ({ id: item.id, label: item.label.trim(), dueOffset: item.dueOffset ?? null }));
+    if (items.length === 0) {
+      setError('Add at least one checklist item.');
+      return;
+    }
+
+    const templateData = {
+      name: formData.name.trim(),
+      participationTypes: formData.participationTypes,
+      items
+    };
+
+    try {
+      if (editingTemplate) {
+        await updateChecklistTemplate(editingTemplate.id, templateData);
+      } else {
+        await addChecklistTemplate(templateData);
+      }
+      handleCancel();
+    } catch (err) {
+      setError(`Could not save the template: ${err.message}`);
+    }
+  };
+
+  const handleEdit = (template) => {
+    setEditingTemplate(template);
+    setFormData({
+      name: template.name,
+      participationTypes: template.participationTypes || [],
+      items: template.items || []
+    });
+    setError('');
+    setShowForm(true);
+  };
+
+  // Start a new template from the standard checklist
+  const handleCopyStandard = () => {
+    setEditingTemplate(null);
+    setFormData({
+      name: '',
+      participationTypes: [],
+      items: STANDARD_CHECKLIST_TEMPLATE.items.map(item => ({ ...item }))
+    });
+    setError('');
+    setShowForm(true);
+  };
+
+  const handleDelete = (template) => {
+    if (window.confirm(`Are you sure you want to delete "${template.name}"? Existing events keep their checklists.`)) {
+      deleteChecklistTemplate(template.id).catch(err => {
+        alert(`Could not delete the template: ${err.message}`);
+      });
+    }
+  };
+
+  const handleCancel = () => {
+    setShowForm(false);
+    setEditingTemplate(null);
+    setFormData(emptyForm());
+    setError('');
+  };
+
+  const toggleParticipationType = (type) => {
+    setFormData(prev => ({
+      ...prev,
+      participationTypes: prev.participationTypes.includes(type)
+        ? prev.participationTypes.filter(t => t !== type)
+        : [...prev.participationTypes, type]
+    }));
+  };
+
+  const renderTemplateCard = (template) => (
+    <motion.div
+      key={template.id}
+      layout
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      exit={{ opacity: 0, scale: 0.95 }}
+      className={`rounded-lg shadow-sm border p-4 hover:shadow-md transition-shadow ${
+        template.builtIn ? 'bg-gray-50' : 'bg-white'
+      }`}
+    >
+      <div className="flex items-start justify-between mb-3">
+        <div>
+          <h3 className="font-medium text-gray-900">{template.name}</h3>
+          <div className="flex flex-wrap gap-1 mt-1">
+            {template.builtIn ? (
+              <span className="px-2 py-0.5 rounded-full text-xs bg-gray-200 text-gray-700">
+                Fallback for all types
+              </span>
+            ) : (template.participationTypes || []).length > 0 ? (
+              template.participationTypes.map(type => (
+                <span key={type} className="px-2 py-0.5 rounded-full text-xs bg-blue-100 text-blue-700">
+                  {PARTICIPATION_LABELS[type] || type}
+                </span>
+              ))
+            ) : (
+              <span className="px-2 py-0.5 rounded-full text-xs bg-yellow-100 text-yellow-700">
+                Not offered for any type
+              </span>
+            )}
+          </div>
+        </div>
+        <div className="flex items-center space-x-2">
+          {template.builtIn ? (
+            <button
+              onClick={handleCopyStandard}
+              className="p-1 text-gray-400 hover:text-blue-600 transition-colors"
+              title="Copy to a new template"
+            >
+              <SafeIcon icon={FiCopy} className="text-sm" />
+            </button>
+          ) : (
+            <>
+              <button
+                onClick={() => handleEdit(template)}
+                className="p-1 text-gray-400 hover:text-blue-600 transition-colors"
+                title="Edit Template"
+              >
+                <SafeIcon icon={FiEdit3} className="text-sm" />
+              </button>
+              <button
+                onClick={() => handleDelete(template)}
+                className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+                title="Delete Template"
+              >
+                <SafeIcon icon={FiTrash2} className="text-sm" />
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+      <ul className="space-y-1">
+        {(template.items || []).map(item => (
+          <li key={item.id} className="flex items-center justify-between text-sm">
+            <span className="text-gray-700">{item.label}</span>
+            {item.dueOffset !== null && item.dueOffset !== undefined && (
+              <span className="text-xs text-gray-500">{describeDueOffset(item.dueOffset)}</span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </motion.div>
+  );
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Event Checklists</h1>
+          <p className="text-gray-600">Preparation checklist templates, offered per participation type</p>
+        </div>
+        <button
+          onClick={() => {
+            handleCancel();
+            setShowForm(true);
+          }}
+          className="flex items-center space-x-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          <SafeIcon icon={FiPlus} className="text-lg" />
+          <span>New Template</span>
+        </button>
+      </div>
+
+      {/* Form */}
+      <AnimatePresence>
+        {showForm && (
+          <motion.div
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -20 }}
+            className="bg-white rounded-lg shadow-sm border p-6"
+          >
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">
+              {editingTemplate ? 'Edit Template' : 'Create New Template'}
+            </h3>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Template Name
+                </label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData(prev => ({ ...prev, name: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="e.g. Speaking slot"
+                  required
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Offered For
+                </label>
+                <div className="flex flex-wrap gap-4">
+                  {Object.values(PARTICIPATION_TYPES).map(type => (
+                    <label key={type} className="flex items-center space-x-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={formData.participationTypes.includes(type)}
+                        onChange={() => toggleParticipationType(type)}
+                        className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                      />
+                      <span>{PARTICIPATION_LABELS[type]}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Checklist Items
+                </label>
+                <p className="text-xs text-gray-500 mb-2">
+                  Due dates are days relative to the event start date, negative for before.
+                </p>
+                <ChecklistItemsEditor
+                  items={formData.items}
+                  onChange={(items) => setFormData(prev => ({ ...prev, items }))}
+                />
+              </div>
+
+              {error && (
+                <div className="bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700">
+                  {error}
+                </div>
+              )}
+
+              <div className="flex justify-end space-x-3 pt-4 border-t">
+                <button
+                  type="button"
+                  onClick={handleCancel}
+                  className="px-4 py-2 text-gray-600 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+                >
+                  {editingTemplate ? 'Update Template' : 'Create Template'}
+                </button>
+              </div>
+            </form>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Templates Grid */}
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">Templates</h2>
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+          <AnimatePresence>
+            {checklistTemplates.map(renderTemplateCard)}
+            {renderTemplateCard(STANDARD_CHECKLIST_TEMPLATE)}
+          </AnimatePresence>
+        </div>
+
+        {checklistTemplates.length === 0 && (
+          <div className="text-center py-12">
+            <SafeIcon icon={FiClipboard} className="text-gray-300 text-6xl mx-auto mb-4" />
+            <p className="text-gray-500 text-lg">No checklist templates yet</p>
+            <p className="text-gray-400 text-sm mt-2">
+              New events use the standard checklist until you create a template for their participation type
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ChecklistTemplateManager;
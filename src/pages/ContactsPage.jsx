@@ -0,0 +1,193 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { useContact } from '../contexts/ContactContext';
+import { useProject } from '../contexts/ProjectContext';
+import { useEvent } from '../contexts/EventContext';
+import ContactModal from '../components/contacts/ContactModal';
+import ContactDetailsModal from '../components/contacts/ContactDetailsModal';
+import { getContactAppearances, matchesContactSearch } from '../utils/contacts';
+
+const { FiPlus, FiSearch, FiBookOpen } = FiIcons;
+
+function ContactsPage() {
+  const [searchTerm, setSearchTerm] = useState('');
+  const [filterTag, setFilterTag] = useState('all');
+  const [editingContact, setEditingContact] = useState(null);
+  const [showContactModal, setShowContactModal] = useState(false);
+  const [selectedContactId, setSelectedContactId] = useState(null);
+
+  const { contacts, addContact, updateContact, deleteContact, getContactById, getContactTags } = useContact();
+  const { projects } = useProject();
+  const { events } = useEvent();
+
+  const tags = getContactTags();
+  const filteredContacts = contacts
+    .filter(contact => matchesContactSearch(contact, searchTerm))
+    .filter(contact => filterTag === 'all' || (contact.tags || []).includes(filterTag))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  // Read the selected contact from the context so edits show up immediately
+  const selectedContact = selectedContactId ? getContactById(selectedContactId) : null;
+
+  const handleSave = async (contactData) => {
+    try {
+      if (editingContact) {
+        await updateContact(editingContact.id, contactData);
+      } else {
+        await addContact(contactData);
+      }
+      setShowContactModal(false);
+      setEditingContact(null);
+    } catch (error) {
+      alert(`Could not save the contact: ${error.message}`);
+    }
+  };
+
+  const handleEdit = (contact) => {
+    setEditingContact(contact);
+    setShowContactModal(true);
+  };
+
+  const handleDelete = async (contact) => {
+    if (!window.confirm(`Delete "${contact.name}"? Projects and events keep them as a participant.`)) return;
+    try {
+      await deleteContact(contact.id);
+      setSelectedContactId(null);
+    } catch (error) {
+      alert(`Could not delete the contact: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Contacts</h1>
+          <p className="text-gray-600">People and organizations you work with on projects and events</p>
+        </div>
+        <button
+          onClick={() => {
+            setEditingContact(null);
+            setShowContactModal(true);
+          }}
+          className="flex items-center space-x-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          <SafeIcon icon={FiPlus} className="text-lg" />
+          <span>New Contact</span>
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow-sm border p-4">
+        <div className="flex flex-col md:flex-row md:items-center gap-4">
+          <div className="relative flex-1">
+            <SafeIcon icon={FiSearch} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+            <input
+              type="text"
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="Search by name, organization, email or tag..."
+            />
+          </div>
+          <select
+            value={filterTag}
+            onChange={(e) => setFilterTag(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="all">All tags</option>
+            {tags.map(tag => (
+              <option key={tag} value={tag}>{tag}</option>
+            ))}
+          </select>
+          <span className="text-sm text-gray-600">
+            {filteredContacts.length} contact{filteredContacts.length !== 1 ? 's' : ''}
+          </span>
+        </div>
+      </div>
+
+      {/* Contacts Table */}
+      {filteredContacts.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm border text-center py-12">
+          <SafeIcon icon={FiBookOpen} className="text-gray-300 text-6xl mx-auto mb-4" />
+          <p className="text-gray-500 text-lg">No contacts found</p>
+          <p className="text-gray-400 text-sm mt-2">
+            Add contacts here or while picking project and event participants
+          </p>
+        </div>
+      ) : (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="bg-white rounded-lg shadow-sm border overflow-x-auto"
+        >
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Organization</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Email</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Phone</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Tags</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Involved In</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {filteredContacts.map(contact => {
+                const appearances = getContactAppearances(contact, projects, events);
+                return (
+                  <tr
+                    key={contact.id}
+                    onClick={() => setSelectedContactId(contact.id)}
+                    className="hover:bg-gray-50 cursor-pointer"
+                  >
+                    <td className="px-6 py-4 text-sm font-medium text-gray-900">{contact.name}</td>
+                    <td className="px-6 py-4 text-sm text-gray-500">{contact.organization}</td>
+                    <td className="px-6 py-4 text-sm text-gray-500">{contact.email}</td>
+                    <td className="px-6 py-4 text-sm text-gray-500 whitespace-nowrap">{contact.phone}</td>
+                    <td className="px-6 py-4">
+                      <div className="flex flex-wrap gap-1">
+                        {(contact.tags || []).map(tag => (
+                          <span key={tag} className="px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-700">{tag}</span>
+                        ))}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-500 whitespace-nowrap">
+                      {appearances.projects.length} project{appearances.projects.length !== 1 ? 's' : ''},{' '}
+                      {appearances.events.length} event{appearances.events.length !== 1 ? 's' : ''}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </motion.div>
+      )}
+
+      {selectedContact && (
+        <ContactDetailsModal
+          contact={selectedContact}
+          onClose={() => setSelectedContactId(null)}
+          onEdit={handleEdit}
+          onDelete={handleDelete}
+        />
+      )}
+
+      {showContactModal && (
+        <ContactModal
+          contact={editingContact}
+          onClose={() => {
+            setShowContactModal(false);
+            setEditingContact(null);
+          }}
+          onSave={handleSave}
+        />
+      )}
+    </div>
+  );
+}
+
+export default ContactsPage;
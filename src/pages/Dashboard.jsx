@@ -5,11 +5,16 @@ import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 import { useTask } from '../contexts/TaskContext';
 import { useProject } from '../contexts/ProjectContext';
+import { useAuth } from '../contexts/AuthContext';
 import TaskModal from '../components/TaskModal';
 import TaskCompletionStats from '../components/TaskCompletionStats';
 import EventDashboardWidget from '../components/events/EventDashboardWidget';
+import AssigneeAvatars from '../components/AssigneeAvatars';
+import { describeRecurrence } from '../utils/recurrence';
+import { groupTasksByAssignee } from '../utils/taskAssignees';
+import { format, parseISO } from 'date-fns';
 
-const { FiPlus, FiCheckCircle, FiClock, FiAlertTriangle, FiList, FiZap, FiBriefcase } = FiIcons;
+const { FiPlus, FiCheckCircle, FiClock, FiAlertTriangle, FiList, FiZap, FiBriefcase, FiRepeat, FiUsers, FiUser } = FiIcons;
 
 function Dashboard() {
   const [showTaskModal, setShowTaskModal] = useState(false);
@@ -22,16 +27,25 @@ function Dashboard() {
     getOverdueTasks, 
     getTasksDueToday, 
     getUrgentTasks, 
-    getHighPriorityTasks 
+    getHighPriorityTasks,
+    getRecurringSeries,
+    setFilter
   } = useTask();
+  const { user } = useAuth();
   const { linkTaskToProject, getProjectById } = useProject();
 
   const overdueTasks = getOverdueTasks();
   const tasksDueToday = getTasksDueToday();
   const urgentTasks = getUrgentTasks();
   const highPriorityTasks = getHighPriorityTasks();
+  const recurringSeries = getRecurringSeries()
+    .sort((a, b) => (a.dueDate || '').localeCompare(b.dueDate || ''));
   const completedTasks = tasks.filter(task => task.status === 'completed');
   const openTasks = tasks.filter(task => task.status === 'open');
+  const overdueIds = new Set(overdueTasks.map(task => task.id));
+  // Only worth splitting once someone else has tasks too
+  const assigneeGroups = groupTasksByAssignee(openTasks, user?.id);
+  const showAssigneeGroups = assigneeGroups.some(group => group.key !== 'unassigned');
 
   const stats = [
     { label: 'Total Tasks', value: tasks.length, icon: FiList, color: 'bg-blue-500', textColor: 'text-blue-600' },
@@ -318,6 +332,102 @@ function Dashboard() {
         </motion.div>
       </div>
 
+      {/* Open Tasks by Assignee */}
+      {showAssigneeGroups && (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.45 }}
+          className="bg-white rounded-lg shadow-sm border p-6"
+        >
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">Open Tasks by Assignee</h3>
+            <SafeIcon icon={FiUsers} className="text-blue-600 text-xl" />
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {assigneeGroups.map(group => {
+              const groupOverdue = group.tasks.filter(task => overdueIds.has(task.id)).length;
+              return (
+                <div key={group.key} className={`rounded-lg border p-4 ${group.isMe ? 'border-blue-200 bg-blue-50' : ''}`}>
+                  <div className="flex items-center justify-between mb-3">
+                    <div className="flex items-center space-x-2 min-w-0">
+                      {group.assignee ? (
+                        <AssigneeAvatars assignees={[group.assignee]} />
+                      ) : (
+                        <SafeIcon icon={FiUser} className="text-gray-400" />
+                      )}
+                      <span className="text-sm font-medium text-gray-900 truncate">
+                        {group.isMe ? 'Assigned to me' : group.assignee ? group.assignee.name : 'Unassigned'}
+                      </span>
+                    </div>
+                    <span className="text-xs text-gray-500 whitespace-nowrap">
+                      {group.tasks.length} open
+                      {groupOverdue > 0 && <span className="text-red-600"> · {groupOverdue} overdue</span>}
+                    </span>
+                  </div>
+                  <div className="space-y-1">
+                    {group.tasks.slice(0, 3).map(task => (
+                      <div
+                        key={task.id}
+                        className="flex items-center space-x-2 hover:bg-white p-1 rounded cursor-pointer"
+                        onClick={() => handleTaskClick(task.id)}
+                      >
+                        <div className={`w-2 h-2 rounded-full ${overdueIds.has(task.id) ? 'bg-red-500' : 'bg-gray-300'}`}></div>
+                        <span className="text-sm text-gray-700 truncate">{task.title}</span>
+                      </div>
+                    ))}
+                  </div>
+                  {group.tasks.length > 3 && (
+                    <Link
+                      to="/tasks"
+                      onClick={() => setFilter('filterAssignee', group.isMe ? 'me' : group.key)}
+                      className="text-blue-600 text-sm hover:underline"
+                    >
+                      View all {group.tasks.length} tasks
+                    </Link>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </motion.div>
+      )}
+
+      {/* Recurring Series */}
+      {recurringSeries.length > 0 && (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.5 }}
+          className="bg-white rounded-lg shadow-sm border p-6"
+        >
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">Recurring Tasks</h3>
+            <SafeIcon icon={FiRepeat} className="text-purple-600 text-xl" />
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
+            {recurringSeries.map(task => (
+              <div
+                key={task.id}
+                className="flex items-start space-x-2 hover:bg-gray-50 p-2 rounded cursor-pointer"
+                onClick={() => handleTaskClick(task.id)}
+              >
+                <div className="w-2 h-2 bg-purple-500 rounded-full mt-1.5"></div>
+                <div className="flex-1 min-w-0">
+                  <span className="text-sm text-gray-700 truncate block">{task.title}</span>
+                  <span className="text-xs text-purple-600 block">{describeRecurrence(task.recurrence)}</span>
+                  {task.dueDate && (
+                    <span className="text-xs text-gray-500">
+                      Next: {format(parseISO(task.dueDate), 'MMM dd, yyyy')} · #{task.occurrence || 1}
+                    </span>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </motion.div>
+      )}
+
       {/* Task Modal */}
       {showTaskModal && (
         <TaskModal
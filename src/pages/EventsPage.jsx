@@ -6,11 +6,16 @@ import { useEvent } from '../contexts/EventContext';
 import EventCard from '../components/events/EventCard';
 import EventModal from '../components/events/EventModal';
 import EventDetailsModal from '../components/events/EventDetailsModal';
+import EventImportModal from '../components/events/EventImportModal';
+import EventCostReport from '../components/events/EventCostReport';
 import { format, isAfter, isBefore, isWithinInterval } from 'date-fns';
+import { buildCalendar, downloadCalendar } from '../utils/ical';
+import { getChecklistProgress } from '../utils/eventChecklist';
+import { getExpenseTotals, formatTotals, DEFAULT_CURRENCY } from '../utils/eventBudget';
 
 const { 
   FiPlus, FiCalendar, FiSearch, FiFilter, FiClock, FiCheckSquare, 
-  FiMapPin, FiUser, FiUsers, FiMic, FiPackage, FiGrid, FiList 
+  FiMapPin, FiUser, FiUsers, FiMic, FiPackage, FiGrid, FiList, FiDownload, FiUpload, FiBarChart2 
 } = FiIcons;
 
 function EventsPage() {
@@ -19,6 +24,8 @@ function EventsPage() {
   const [editingEvent, setEditingEvent] = useState(null);
   const [selectedEvent, setSelectedEvent] = useState(null);
   const [viewMode, setViewMode] = useState('grid');
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [showCostReport, setShowCostReport] = useState(false);
 
   const {
     events,
@@ -99,6 +106,12 @@ function EventsPage() {
     }
   };
 
+  // Conference date ranges plus talk slots
+  const handleExportCalendar = () => {
+    const content = buildCalendar({ events, name: 'NGOG Events' });
+    downloadCalendar(content, `ngog-events-${format(new Date(), 'yyyy-MM-dd')}.ics`);
+  };
+
   const participationTypes = [
     { value: 'all', label: 'All Types', icon: FiUsers },
     { value: PARTICIPATION_TYPES.EXHIBITOR, label: 'Exhibitor', icon: FiPackage },
@@ -121,16 +134,43 @@ function EventsPage() {
           <h1 className="text-2xl font-bold text-gray-900">Conferences & Events</h1>
           <p className="text-gray-600">Track conferences, events, and speaking engagements</p>
         </div>
-        <button
-          onClick={() => {
-            setEditingEvent(null);
-            setShowEventModal(true);
-          }}
-          className="flex items-center space-x-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
-        >
-          <SafeIcon icon={FiPlus} className="text-lg" />
-          <span>New Event</span>
-        </button>
+        <div className="flex items-center space-x-3">
+          <button
+            onClick={() => setShowCostReport(true)}
+            className="flex items-center space-x-2 border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors"
+            title="Event costs per year"
+          >
+            <SafeIcon icon={FiBarChart2} className="text-lg" />
+            <span>Cost Report</span>
+          </button>
+          <button
+            onClick={() => setShowImportModal(true)}
+            className="flex items-center space-x-2 border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors"
+            title="Create events from an iCalendar invite"
+          >
+            <SafeIcon icon={FiUpload} className="text-lg" />
+            <span>Import .ics</span>
+          </button>
+          <button
+            onClick={handleExportCalendar}
+            disabled={events.length === 0}
+            className="flex items-center space-x-2 border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+            title="Download all events as an iCalendar file"
+          >
+            <SafeIcon icon={FiDownload} className="text-lg" />
+            <span>Export .ics</span>
+          </button>
+          <button
+            onClick={() => {
+              setEditingEvent(null);
+              setShowEventModal(true);
+            }}
+            className="flex items-center space-x-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            <SafeIcon icon={FiPlus} className="text-lg" />
+            <span>New Event</span>
+          </button>
+        </div>
       </div>
 
       {/* Stats Cards */}
@@ -344,6 +384,9 @@ function EventsPage() {
                 <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Progress
                 </th>
+                <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Costs
+                </th>
                 <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Actions
                 </th>
@@ -352,7 +395,7 @@ function EventsPage() {
             <tbody className="bg-white divide-y divide-gray-200">
               {filteredEvents.length === 0 ? (
                 <tr>
-                  <td colSpan="6" className="px-6 py-12 text-center">
+                  <td colSpan="7" className="px-6 py-12 text-center">
                     <p className="text-gray-500">No events found</p>
                     <p className="text-gray-400 text-sm mt-2">
                       Create your first event or adjust your filters
@@ -362,8 +405,9 @@ function EventsPage() {
               ) : (
                 filteredEvents.map(event => {
                   // Calculate progress
-                  const completedItems = event.checklist.filter(item => item.completed).length;
-                  const progress = Math.round((completedItems / event.checklist.length) * 100);
+                  const progress = getChecklistProgress(event.checklist);
+                  const costs = getExpenseTotals(event.expenses || []);
+                  const hasUnpaid = Object.values(costs.unpaid).some(amount => amount !== 0);
                   
                   // Determine event status
                   const startDate = new Date(event.startDate);
@@ -437,6 +481,16 @@ function EventsPage() {
                         </div>
                         <div className="text-xs text-gray-500 mt-1 text-right">{progress}%</div>
                       </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right">
+                        <div className="text-sm text-gray-900">
+                          {formatTotals(costs.total, event.currency || DEFAULT_CURRENCY)}
+                        </div>
+                        {hasUnpaid && (
+                          <div className="text-xs text-orange-600">
+                            {formatTotals(costs.unpaid, event.currency || DEFAULT_CURRENCY)} unpaid
+                          </div>
+                        )}
+                      </td>
                       <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                         <button
                           onClick={(e) => {
@@ -481,6 +535,16 @@ function EventsPage() {
         />
       )}
 
+      {/* Event Import Modal */}
+      {/* Cost Report */}
+      {showCostReport && (
+        <EventCostReport onClose={() => setShowCostReport(false)} />
+      )}
+
+      {showImportModal && (
+        <EventImportModal onClose={() => setShowImportModal(false)} />
+      )}
+
       {/* Event Details Modal */}
       {showDetailsModal && selectedEvent && (
         <EventDetailsModal
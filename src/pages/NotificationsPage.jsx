@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { useNotification } from '../contexts/NotificationContext';
+import NotificationItem from '../components/notifications/NotificationItem';
+import { NOTIFICATION_TYPES, isNotificationActive, isNotificationSnoozed } from '../utils/reminders';
+
+const { FiBell, FiSettings } = FiIcons;
+
+const VIEWS = [
+  { id: 'inbox', label: 'Inbox' },
+  { id: 'snoozed', label: 'Snoozed' },
+  { id: 'dismissed', label: 'Dismissed' },
+  { id: 'all', label: 'All' }
+];
+
+// Every notification the user has received, including snoozed and dismissed ones
+function NotificationsPage() {
+  const { notifications, now } = useNotification();
+  const [view, setView] = useState('inbox');
+  const [filterType, setFilterType] = useState('all');
+
+  const inView = (notification) => {
+    switch (view) {
+      case 'inbox':
+        return isNotificationActive(notification, now);
+      case 'snoozed':
+        return isNotificationSnoozed(notification, now);
+      case 'dismissed':
+        return !!notification.dismissedAt;
+      default:
+        return true;
+    }
+  };
+
+  const shown = notifications.filter(notification =>
+    inView(notification) && (filterType === 'all' || notification.type === filterType)
+  );
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Notifications</h1>
+          <p className="text-gray-600">Mentions and reminders, with everything you snoozed or dismissed</p>
+        </div>
+        <Link
+          to="/settings"
+          state={{ tab: 'notifications' }}
+          className="flex items-center space-x-2 px-4 py-2 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+        >
+          <SafeIcon icon={FiSettings} className="text-lg" />
+          <span>Reminder Rules</span>
+        </Link>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow-sm border p-4">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+          <div className="flex space-x-2">
+            {VIEWS.map(option => (
+              <button
+                key={option.id}
+                onClick={() => setView(option.id)}
+                className={`px-3 py-1.5 text-sm font-medium rounded-lg transition-colors ${
+                  view === option.id ? 'bg-blue-50 text-blue-600' : 'text-gray-600 hover:bg-gray-50'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <select
+            value={filterType}
+            onChange={(e) => setFilterType(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="all">All types</option>
+            {Object.entries(NOTIFICATION_TYPES).map(([type, label]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* List */}
+      <div className="bg-white rounded-lg shadow-sm border divide-y">
+        {shown.length === 0 ? (
+          <div className="p-12 text-center text-gray-500">
+            <SafeIcon icon={FiBell} className="mx-auto text-4xl text-gray-300 mb-3" />
+            <p>No notifications here</p>
+          </div>
+        ) : (
+          shown.map(notification => (
+            <NotificationItem key={notification.id} notification={notification} />
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default NotificationsPage;
@@ -0,0 +1,238 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { format, parseISO } from 'date-fns';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { useProject } from '../contexts/ProjectContext';
+import { useTask } from '../contexts/TaskContext';
+import ProjectModal from '../components/ProjectModal';
+import ProjectDetailsModal from '../components/ProjectDetailsModal';
+import {
+  getProjectTasks, getProjectSpan, getTimelineRange, getTimelineMonths, getTimelinePosition,
+  isMilestoneOverdue
+} from '../utils/projectTimeline';
+
+const { FiArrowLeft, FiBriefcase } = FiIcons;
+
+// Width of one month column, so long ranges scroll instead of squeezing
+const MONTH_WIDTH = 120;
+
+const formatDay = (date) => format(parseISO(date), 'MMM d, yyyy');
+
+function ProjectTimeline() {
+  const [showCompleted, setShowCompleted] = useState(false);
+  const [showTasks, setShowTasks] = useState(true);
+  const [selectedProject, setSelectedProject] = useState(null);
+  const [editingProject, setEditingProject] = useState(null);
+
+  const { getActiveProjects, getProjectById, updateProject, PROJECT_STATUSES } = useProject();
+  const { tasks } = useTask();
+
+  const today = format(new Date(), 'yyyy-MM-dd');
+
+  const rows = getActiveProjects()
+    .filter(project => showCompleted || project.status !== PROJECT_STATUSES.COMPLETED)
+    .map(project => ({
+      project,
+      span: getProjectSpan(project, tasks),
+      tasks: getProjectTasks(project, tasks).filter(task => task.dueDate)
+    }))
+    .filter(row => row.span)
+    .sort((a, b) => a.span.start.localeCompare(b.span.start));
+
+  const range = getTimelineRange(rows.map(row => row.span));
+  const months = getTimelineMonths(range);
+  const todayPosition = getTimelinePosition(range, today);
+
+  const handleUpdateProject = (id, updates) => {
+    updateProject(id, updates);
+    setEditingProject(null);
+    setSelectedProject(null);
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <Link to="/projects" className="flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-700 mb-1">
+            <SafeIcon icon={FiArrowLeft} />
+            <span>Projects</span>
+          </Link>
+          <h1 className="text-2xl font-bold text-gray-900">Project Timeline</h1>
+          <p className="text-gray-600">Schedules, milestones and task deadlines of your projects</p>
+        </div>
+        <div className="flex items-center space-x-4 text-sm text-gray-700">
+          <label className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              checked={showTasks}
+              onChange={(e) => setShowTasks(e.target.checked)}
+              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            <span>Task due dates</span>
+          </label>
+          <label className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              checked={showCompleted}
+              onChange={(e) => setShowCompleted(e.target.checked)}
+              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            <span>Completed projects</span>
+          </label>
+        </div>
+      </div>
+
+      {rows.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm border text-center py-12">
+          <SafeIcon icon={FiBriefcase} className="text-gray-300 text-6xl mx-auto mb-4" />
+          <p className="text-gray-500 text-lg">No projects to plot</p>
+        </div>
+      ) : (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="bg-white rounded-lg shadow-sm border overflow-x-auto"
+        >
+          <div className="flex" style={{ minWidth: `${224 + months.length * MONTH_WIDTH}px` }}>
+            {/* Project names */}
+            <div className="w-56 flex-shrink-0 border-r">
+              <div className="h-10 border-b bg-gray-50" />
+              {rows.map(({ project }) => (
+                <button
+                  key={project.id}
+                  onClick={() => setSelectedProject(project)}
+                  className="w-full h-14 px-4 flex items-center space-x-2 border-b text-left hover:bg-gray-50"
+                >
+                  <span className="w-3 h-3 rounded-full flex-shrink-0" style={{ backgroundColor: project.color }} />
+                  <span className="text-sm font-medium text-gray-900 truncate">{project.title}</span>
+                </button>
+              ))}
+            </div>
+
+            {/* Chart */}
+            <div className="flex-1 relative">
+              <div className="h-10 border-b bg-gray-50 relative">
+                {months.map(month => (
+                  <div
+                    key={month.key}
+                    className="absolute top-0 h-full border-l px-2 flex items-center text-xs font-medium text-gray-500"
+                    style={{ left: `${month.offset}%`, width: `${month.width}%` }}
+                  >
+                    {month.label}
+                  </div>
+                ))}
+              </div>
+
+              <div className="relative">
+                {/* Month grid and today marker */}
+                {months.map(month => (
+                  <div
+                    key={month.key}
+                    className="absolute top-0 bottom-0 border-l border-gray-100"
+                    style={{ left: `${month.offset}%` }}
+                  />
+                ))}
+                <div
+                  className="absolute top-0 bottom-0 border-l-2 border-red-400 z-10"
+                  style={{ left: `${todayPosition}%` }}
+                  title={`Today, ${formatDay(today)}`}
+                />
+
+                {rows.map(({ project, span, tasks: projectTasks }) => {
+                  const left = getTimelinePosition(range, span.start);
+                  const width = Math.max(getTimelinePosition(range, span.end) - left, 0.5);
+                  return (
+                    <div key={project.id} className="h-14 border-b relative">
+                      <div
+                        className="absolute top-4 h-6 rounded-md opacity-30 cursor-pointer"
+                        style={{ left: `${left}%`, width: `${width}%`, backgroundColor: project.color }}
+                        onClick={() => setSelectedProject(project)}
+                        title={`${project.title}: ${formatDay(span.start)} – ${formatDay(span.end)}${
+                          project.targetDate ? '' : ' (no target date)'
+                        }`}
+                      />
+
+                      {showTasks && projectTasks.map(task => (
+                        <div
+                          key={task.id}
+                          className={`absolute top-2 w-2 h-2 -ml-1 rounded-full ${
+                            task.status === 'completed'
+                              ? 'bg-gray-300'
+                              : task.dueDate < today ? 'bg-red-500' : 'bg-blue-500'
+                          }`}
+                          style={{ left: `${getTimelinePosition(range, task.dueDate.slice(0, 10))}%` }}
+                          title={`${task.title} – due ${formatDay(task.dueDate.slice(0, 10))}`}
+                        />
+                      ))}
+
+                      {(project.milestones || []).filter(milestone => milestone.dueDate).map(milestone => (
+                        <div
+                          key={milestone.id}
+                          className={`absolute top-5 w-4 h-4 -ml-2 rotate-45 border-2 border-white shadow ${
+                            milestone.completed
+                              ? 'bg-green-500'
+                              : isMilestoneOverdue(milestone, today) ? 'bg-red-500' : 'bg-yellow-400'
+                          }`}
+                          style={{ left: `${getTimelinePosition(range, milestone.dueDate)}%` }}
+                          title={`${milestone.title} – ${formatDay(milestone.dueDate)}${milestone.completed ? ' (reached)' : ''}`}
+                        />
+                      ))}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          </div>
+        </motion.div>
+      )}
+
+      {/* Legend */}
+      <div className="flex flex-wrap items-center gap-4 text-xs text-gray-600">
+        <span className="flex items-center space-x-1">
+          <span className="w-3 h-3 rotate-45 bg-yellow-400 inline-block" />
+          <span>Milestone</span>
+        </span>
+        <span className="flex items-center space-x-1">
+          <span className="w-3 h-3 rotate-45 bg-green-500 inline-block" />
+          <span>Milestone reached</span>
+        </span>
+        <span className="flex items-center space-x-1">
+          <span className="w-2 h-2 rounded-full bg-blue-500 inline-block" />
+          <span>Task due</span>
+        </span>
+        <span className="flex items-center space-x-1">
+          <span className="w-2 h-2 rounded-full bg-red-500 inline-block" />
+          <span>Overdue</span>
+        </span>
+        <span className="flex items-center space-x-1">
+          <span className="w-3 border-t-2 border-red-400 inline-block" />
+          <span>Today</span>
+        </span>
+      </div>
+
+      {selectedProject && (
+        <ProjectDetailsModal
+          project={selectedProject}
+          onClose={() => setSelectedProject(null)}
+          onEdit={(project) => {
+            setSelectedProject(null);
+            setEditingProject(getProjectById(project.id) || project);
+          }}
+        />
+      )}
+
+      {editingProject && (
+        <ProjectModal
+          project={editingProject}
+          onClose={() => setEditingProject(null)}
+          onSave={handleUpdateProject}
+        />
+      )}
+    </div>
+  );
+}
+
+export default ProjectTimeline;
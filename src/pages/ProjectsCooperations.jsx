@@ -1,13 +1,17 @@
 import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 import { useProject } from '../contexts/ProjectContext';
+import { useTask } from '../contexts/TaskContext';
+import { getProjectMetrics } from '../utils/projectMetrics';
 import ProjectCard from '../components/ProjectCard';
 import ProjectModal from '../components/ProjectModal';
 import ProjectDetailsModal from '../components/ProjectDetailsModal';
+import KanbanBoard from '../components/KanbanBoard';
 
-const { FiPlus, FiFilter, FiGrid, FiBriefcase, FiUsers, FiActivity, FiArchive } = FiIcons;
+const { FiPlus, FiFilter, FiGrid, FiColumns, FiBriefcase, FiUsers, FiActivity, FiArchive, FiBarChart2 } = FiIcons;
 
 function ProjectsCooperations() {
   const [showProjectModal, setShowProjectModal] = useState(false);
@@ -16,6 +20,7 @@ function ProjectsCooperations() {
   const [selectedProject, setSelectedProject] = useState(null);
   const [filterStatus, setFilterStatus] = useState('all');
   const [viewMode, setViewMode] = useState('grid');
+  const [sortBy, setSortBy] = useState('created');
 
   const {
     projects,
@@ -28,12 +33,27 @@ function ProjectsCooperations() {
     PROJECT_STATUSES,
     STATUS_COLORS
   } = useProject();
+  const { tasks } = useTask();
 
   // Get only active (non-archived) projects
   const activeProjects = getActiveProjects();
-  const filteredProjects = filterStatus === 'all' 
+
+  // Sort keys derived from linked tasks and the activity log
+  const metricsById = Object.fromEntries(
+    activeProjects.map(project => [project.id, getProjectMetrics(project, tasks)])
+  );
+  const sortComparators = {
+    created: (a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''),
+    progress: (a, b) => metricsById[b.id].progress - metricsById[a.id].progress,
+    overdue: (a, b) => metricsById[b.id].overdueTasks - metricsById[a.id].overdueTasks,
+    activity: (a, b) => (metricsById[b.id].daysSinceActivity ?? -1) - (metricsById[a.id].daysSinceActivity ?? -1),
+    title: (a, b) => a.title.localeCompare(b.title)
+  };
+
+  const filteredProjects = (filterStatus === 'all' 
     ? activeProjects 
-    : activeProjects.filter(project => project.status === filterStatus);
+    : activeProjects.filter(project => project.status === filterStatus)
+  ).sort(sortComparators[sortBy]);
 
   const handleCreateProject = (projectData) => {
     addProject(projectData);
@@ -86,6 +106,16 @@ function ProjectsCooperations() {
     { value: PROJECT_STATUSES.COMPLETED, label: 'Completed' }
   ];
 
+  // Board columns follow the project lifecycle, idea → completed
+  const boardColumns = statusOptions
+    .filter(option => option.value !== 'all')
+    .map(option => ({ id: option.value, label: option.label, color: STATUS_COLORS[option.value] }));
+
+  // updateProject logs the status_change activity entry
+  const handleMoveProject = async (project, fromStatus, toStatus) => {
+    await updateProject(project.id, { status: toStatus });
+  };
+
   // Stats calculation (only for active projects)
   const stats = {
     total: activeProjects.length,
@@ -196,6 +226,17 @@ function ProjectsCooperations() {
                 </option>
               ))}
             </select>
+            <select
+              value={sortBy}
+              onChange={(e) => setSortBy(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="created">Newest first</option>
+              <option value="progress">Most progress</option>
+              <option value="overdue">Most overdue tasks</option>
+              <option value="activity">Longest without activity</option>
+              <option value="title">Title</option>
+            </select>
             <div className="flex items-center space-x-2">
               <span className="text-sm text-gray-600">
                 {filteredProjects.length} project{filteredProjects.length !== 1 ? 's' : ''}
@@ -213,43 +254,81 @@ function ProjectsCooperations() {
             >
               <SafeIcon icon={FiGrid} className="text-lg" />
             </button>
+            <button
+              onClick={() => setViewMode('board')}
+              className={`p-2 rounded-md ${
+                viewMode === 'board' 
+                  ? 'bg-blue-100 text-blue-600' 
+                  : 'text-gray-400 hover:text-gray-600'
+              }`}
+            >
+              <SafeIcon icon={FiColumns} className="text-lg" />
+            </button>
+            <Link
+              to="/projects/timeline"
+              className="p-2 rounded-md text-gray-400 hover:text-gray-600"
+              title="Timeline"
+            >
+              <SafeIcon icon={FiBarChart2} className="text-lg rotate-90" />
+            </Link>
           </div>
         </div>
       </div>
 
-      {/* Projects Grid */}
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-        <AnimatePresence>
-          {filteredProjects.length === 0 ? (
-            <motion.div
-              initial={{ opacity: 0 }}
-              animate={{ opacity: 1 }}
-              className="col-span-full text-center py-12"
-            >
-              <SafeIcon icon={FiBriefcase} className="text-gray-300 text-6xl mx-auto mb-4" />
-              <p className="text-gray-500 text-lg">
-                {filterStatus === 'all' 
-                  ? 'No projects found' 
-                  : `No projects with status "${statusOptions.find(s => s.value === filterStatus)?.label}"`}
-              </p>
-              <p className="text-gray-400 text-sm mt-2">
-                Create your first project to get started
-              </p>
-            </motion.div>
-          ) : (
-            filteredProjects.map(project => (
-              <ProjectCard
-                key={project.id}
-                project={project}
-                onEdit={handleEditProject}
-                onDelete={handleDeleteProject}
-                onArchive={handleArchiveProject}
-                onViewDetails={handleViewDetails}
-              />
-            ))
+      {/* Projects Board */}
+      {viewMode === 'board' ? (
+        <KanbanBoard
+          key="projects_status"
+          boardId="projects_status"
+          columns={boardColumns}
+          items={filteredProjects}
+          getColumnId={(project) => project.status}
+          onMove={handleMoveProject}
+          renderCard={(project) => (
+            <ProjectCard
+              project={project}
+              onEdit={handleEditProject}
+              onDelete={handleDeleteProject}
+              onArchive={handleArchiveProject}
+              onViewDetails={handleViewDetails}
+            />
           )}
-        </AnimatePresence>
-      </div>
+        />
+      ) : (
+        /* Projects Grid */
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          <AnimatePresence>
+            {filteredProjects.length === 0 ? (
+              <motion.div
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+                className="col-span-full text-center py-12"
+              >
+                <SafeIcon icon={FiBriefcase} className="text-gray-300 text-6xl mx-auto mb-4" />
+                <p className="text-gray-500 text-lg">
+                  {filterStatus === 'all' 
+                    ? 'No projects found' 
+                    : `No projects with status "${statusOptions.find(s => s.value === filterStatus)?.label}"`}
+                </p>
+                <p className="text-gray-400 text-sm mt-2">
+                  Create your first project to get started
+                </p>
+              </motion.div>
+            ) : (
+              filteredProjects.map(project => (
+                <ProjectCard
+                  key={project.id}
+                  project={project}
+                  onEdit={handleEditProject}
+                  onDelete={handleDeleteProject}
+                  onArchive={handleArchiveProject}
+                  onViewDetails={handleViewDetails}
+                />
+              ))
+            )}
+          </AnimatePresence>
+        </div>
+      )}
 
       {/* Project Creation/Edit Modal */}
       {showProjectModal && (
@@ -1,20 +1,27 @@
 import React, { useState } from 'react';
+import { useLocation } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 import CategoryManager from './CategoryManager';
 import ActivityLogCategoryManager from './ActivityLogCategoryManager';
+import ChecklistTemplateManager from './ChecklistTemplateManager';
 import DataManager from '../components/DataManager';
 import TestIntegration from '../components/TestIntegration';
 import SyncSettingsModal from '../components/SyncSettingsModal';
+import CalendarFeedSettings from '../components/CalendarFeedSettings';
+import ReminderSettings from '../components/notifications/ReminderSettings';
+import DesktopNotificationSettings from '../components/notifications/DesktopNotificationSettings';
 
 const { 
   FiSettings, FiLock, FiTag, FiDatabase, FiEye, FiEyeOff, FiCheck, FiX, 
-  FiKey, FiShield, FiMessageSquare, FiRefreshCw 
+  FiKey, FiShield, FiMessageSquare, FiRefreshCw, FiCalendar, FiClipboard, FiBell 
 } = FiIcons;
 
 function Settings() {
-  const [activeTab, setActiveTab] = useState('password');
+  const location = useLocation();
+  // Other pages can link straight to a tab
+  const [activeTab, setActiveTab] = useState(location.state?.tab || 'password');
   const [showDataManager, setShowDataManager] = useState(false);
   const [showTestIntegration, setShowTestIntegration] = useState(false);
   const [showSyncSettings, setShowSyncSettings] = useState(false);
@@ -97,8 +104,11 @@ function Settings() {
     { id: 'password', label: 'Password', icon: FiLock },
     { id: 'categories', label: 'Task Categories', icon: FiTag },
     { id: 'activityCategories', label: 'Activity Categories', icon: FiMessageSquare },
+    { id: 'checklists', label: 'Event Checklists', icon: FiClipboard },
     { id: 'data', label: 'Data Management', icon: FiDatabase },
     { id: 'sync', label: 'Sync Settings', icon: FiRefreshCw },
+    { id: 'calendar', label: 'Calendar Feed', icon: FiCalendar },
+    { id: 'notifications', label: 'Notifications', icon: FiBell },
     { id: 'testing', label: 'Integration Tests', icon: FiSettings }
   ];
 
@@ -336,6 +346,18 @@ function Settings() {
               </motion.div>
             )}
 
+            {activeTab === 'checklists' && (
+              <motion.div
+                key="checklists"
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                exit={{ opacity: 0, y: -20 }}
+                transition={{ duration: 0.2 }}
+              >
+                <ChecklistTemplateManager />
+              </motion.div>
+            )}
+
             {activeTab === 'data' && (
               <motion.div
                 key="data"
@@ -406,6 +428,33 @@ function Settings() {
               </motion.div>
             )}
 
+            {activeTab === 'calendar' && (
+              <motion.div
+                key="calendar"
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                exit={{ opacity: 0, y: -20 }}
+                transition={{ duration: 0.2 }}
+              >
+                <CalendarFeedSettings />
+              </motion.div>
+            )}
+
+            {activeTab === 'notifications' && (
+              <motion.div
+                key="notifications"
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                exit={{ opacity: 0, y: -20 }}
+                transition={{ duration: 0.2 }}
+              >
+                <div className="space-y-8">
+                  <DesktopNotificationSettings />
+                  <ReminderSettings />
+                </div>
+              </motion.div>
+            )}
+
             {activeTab === 'testing' && (
               <motion.div
                 key="testing"
@@ -7,8 +7,9 @@ import { useCategory } from '../contexts/CategoryContext';
 import { useProject } from '../contexts/ProjectContext';
 import TaskCard from '../components/TaskCard';
 import { format, parseISO } from 'date-fns';
+import { describeRecurrence } from '../utils/recurrence';
 
-const { FiArchive, FiTrash2, FiFilter, FiCalendar, FiSearch, FiBriefcase } = FiIcons;
+const { FiArchive, FiTrash2, FiFilter, FiCalendar, FiSearch, FiBriefcase, FiRepeat } = FiIcons;
 
 function TaskArchive() {
   const { tasks, deleteTask, toggleTaskStatus, updateTask } = useTask();
@@ -386,6 +387,15 @@ function TaskArchiveCard({ task, onDelete, onRestore, onUpdate, getProjectById }
               >
                 {task.priority}
               </span>
+              {task.recurrence && (
+                <>
+                  <span>•</span>
+                  <span className="flex items-center space-x-1 text-purple-400" title={describeRecurrence(task.recurrence)}>
+                    <SafeIcon icon={FiRepeat} className="text-xs" />
+                    <span>Occurrence #{task.occurrence || 1}</span>
+                  </span>
+                </>
+              )}
             </div>
           </div>
         </div>
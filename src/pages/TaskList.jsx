@@ -4,19 +4,81 @@ import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 import { useTask } from '../contexts/TaskContext';
 import { useProject } from '../contexts/ProjectContext';
+import { useCategory } from '../contexts/CategoryContext';
 import TaskCard from '../components/TaskCard';
 import TaskModal from '../components/TaskModal';
 import TaskFilters from '../components/TaskFilters';
+import KanbanBoard from '../components/KanbanBoard';
+import { format } from 'date-fns';
+import { buildCalendar, downloadCalendar } from '../utils/ical';
 
-const { FiPlus } = FiIcons;
+const { FiPlus, FiList, FiColumns, FiDownload } = FiIcons;
+
+const PRIORITY_COLUMNS = [
+  { id: 'urgent', label: 'Urgent', color: '#DC2626' },
+  { id: 'high', label: 'High', color: '#EF4444' },
+  { id: 'medium', label: 'Medium', color: '#F59E0B' },
+  { id: 'low', label: 'Low', color: '#10B981' }
+];
+
+const STATUS_COLUMNS = [
+  { id: 'open', label: 'Open', color: '#3B82F6' },
+  { id: 'completed', label: 'Completed', color: '#10B981' }
+];
 
 function TaskList() {
   const [showTaskModal, setShowTaskModal] = useState(false);
-  const { addTask, updateTask, deleteTask, toggleTaskStatus, getFilteredTasks } = useTask();
+  const [viewMode, setViewMode] = useState('list');
+  const [groupBy, setGroupBy] = useState('status');
+  const { tasks, addTask, updateTask, deleteTask, toggleTaskStatus, getFilteredTasks } = useTask();
   const { linkTaskToProject } = useProject();
+  const { categories } = useCategory();
   
   const filteredTasks = getFilteredTasks();
 
+  // Deleted categories stay in the trash but get no column
+  const activeCategories = categories.filter(category => !category.deleted);
+  const activeCategoryIds = new Set(activeCategories.map(category => category.id));
+
+  const boardColumns = {
+    status: STATUS_COLUMNS,
+    priority: PRIORITY_COLUMNS,
+    category: [
+      ...activeCategories.map(category => ({ id: category.id, label: category.name, color: category.color })),
+      { id: 'uncategorized', label: 'Uncategorized', color: '#9CA3AF' }
+    ]
+  };
+
+  // Tasks with several categories are shown under their first one that still exists
+  const getTaskColumn = (task) => {
+    switch (groupBy) {
+      case 'priority': return task.priority || 'medium';
+      case 'category': return (task.categories || []).find(id => activeCategoryIds.has(id)) || 'uncategorized';
+      default: return task.status;
+    }
+  };
+
+  const handleMoveTask = async (task, fromColumn, toColumn) => {
+    switch (groupBy) {
+      case 'priority':
+        await updateTask(task.id, { priority: toColumn });
+        break;
+      case 'category': {
+        const remaining = (task.categories || []).filter(id => id !== fromColumn && id !== toColumn);
+        await updateTask(task.id, {
+          // Uncategorized means no category that still exists
+          categories: toColumn === 'uncategorized'
+            ? remaining.filter(id => !activeCategoryIds.has(id))
+            : [toColumn, ...remaining]
+        });
+        break;
+      }
+      default:
+        // Goes through the status toggle so recurrence and dependency checks still apply
+        await toggleTaskStatus(task.id);
+    }
+  };
+
   const handleCreateTask = (taskData) => {
     const newTask = addTask(taskData);
     
@@ -35,6 +97,14 @@ function TaskList() {
     updateTask(id, updates);
   };
 
+  // Open tasks with a due date become VTODOs
+  const exportableTasks = tasks.filter(task => task.status === 'open' && task.dueDate);
+
+  const handleExportCalendar = () => {
+    const content = buildCalendar({ tasks: exportableTasks, name: 'NGOG Tasks' });
+    downloadCalendar(content, `ngog-tasks-${format(new Date(), 'yyyy-MM-dd')}.ics`);
+  };
+
   const handleDeleteTask = (id) => {
     if (window.confirm('Are you sure you want to delete this task?')) {
       deleteTask(id);
@@ -49,42 +119,105 @@ function TaskList() {
           <h1 className="text-2xl font-bold text-gray-900">All Tasks</h1>
           <p className="text-gray-600">Manage and organize your tasks</p>
         </div>
-        <button
-          onClick={() => setShowTaskModal(true)}
-          className="flex items-center space-x-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
-        >
-          <SafeIcon icon={FiPlus} className="text-lg" />
-          <span>New Task</span>
-        </button>
+        <div className="flex items-center space-x-3">
+          {viewMode === 'board' && (
+            <select
+              value={groupBy}
+              onChange={(e) => setGroupBy(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="status">Group by Status</option>
+              <option value="priority">Group by Priority</option>
+              <option value="category">Group by Category</option>
+            </select>
+          )}
+          <div className="flex bg-gray-100 rounded-lg p-1">
+            <button
+              onClick={() => setViewMode('list')}
+              className={`p-2 rounded-md ${
+                viewMode === 'list' ? 'bg-white text-blue-600 shadow-sm' : 'text-gray-400 hover:text-gray-600'
+              }`}
+              title="List view"
+            >
+              <SafeIcon icon={FiList} className="text-lg" />
+            </button>
+            <button
+              onClick={() => setViewMode('board')}
+              className={`p-2 rounded-md ${
+                viewMode === 'board' ? 'bg-white text-blue-600 shadow-sm' : 'text-gray-400 hover:text-gray-600'
+              }`}
+              title="Board view"
+            >
+              <SafeIcon icon={FiColumns} className="text-lg" />
+            </button>
+          </div>
+          <button
+            onClick={handleExportCalendar}
+            disabled={exportableTasks.length === 0}
+            className="flex items-center space-x-2 border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+            title="Download open tasks with due dates as an iCalendar file"
+          >
+            <SafeIcon icon={FiDownload} className="text-lg" />
+            <span>Export .ics</span>
+          </button>
+          <button
+            onClick={() => setShowTaskModal(true)}
+            className="flex items-center space-x-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            <SafeIcon icon={FiPlus} className="text-lg" />
+            <span>New Task</span>
+          </button>
+        </div>
       </div>
 
       {/* Filters */}
       <TaskFilters />
 
-      {/* Task List */}
-      <div className="space-y-4">
-        <AnimatePresence>
-          {filteredTasks.length === 0 ? (
-            <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="text-center py-12">
-              <p className="text-gray-500 text-lg">No tasks found</p>
-              <p className="text-gray-400 text-sm mt-2">
-                Try adjusting your filters or create a new task
-              </p>
-            </motion.div>
-          ) : (
-            filteredTasks.map(task => (
-              <TaskCard
-                key={task.id}
-                task={task}
-                onToggle={toggleTaskStatus}
-                onDelete={handleDeleteTask}
-                onUpdate={handleUpdateTask}
-                condensed={true}
-              />
-            ))
+      {/* Task Board */}
+      {viewMode === 'board' ? (
+        <KanbanBoard
+          key={`tasks_${groupBy}`}
+          boardId={`tasks_${groupBy}`}
+          columns={boardColumns[groupBy]}
+          items={filteredTasks}
+          getColumnId={getTaskColumn}
+          onMove={handleMoveTask}
+          renderCard={(task) => (
+            <TaskCard
+              task={task}
+              onToggle={toggleTaskStatus}
+              onDelete={handleDeleteTask}
+              onUpdate={handleUpdateTask}
+              condensed={true}
+            />
           )}
-        </AnimatePresence>
-      </div>
+        />
+      ) : (
+        /* Task List */
+        <div className="space-y-4">
+          <AnimatePresence>
+            {filteredTasks.length === 0 ? (
+              <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="text-center py-12">
+                <p className="text-gray-500 text-lg">No tasks found</p>
+                <p className="text-gray-400 text-sm mt-2">
+                  Try adjusting your filters or create a new task
+                </p>
+              </motion.div>
+            ) : (
+              filteredTasks.map(task => (
+                <TaskCard
+                  key={task.id}
+                  task={task}
+                  onToggle={toggleTaskStatus}
+                  onDelete={handleDeleteTask}
+                  onUpdate={handleUpdateTask}
+                  condensed={true}
+                />
+              ))
+            )}
+          </AnimatePresence>
+        </div>
+      )}
 
       {/* Task Modal */}
       {showTaskModal && <TaskModal onClose={() => setShowTaskModal(false)} onSave={handleCreateTask} />}
@@ -0,0 +1,62 @@
+import { supabase } from '../lib/supabase'
+
+/**
+ * Calendar Feed Service
+ * Manages the per-user secret token behind the calendar-feed edge function.
+ * Anyone with the feed URL can read the calendar, so rotating the token is
+ * the way to revoke access for a calendar app.
+ */
+class CalendarFeedService {
+  getFeedUrl(token) {
+    return `${import.meta.env.VITE_SUPABASE_URL}/functions/v1/calendar-feed?token=${token}`
+  }
+
+  // Random URL-safe token (32 bytes)
+  generateToken() {
+    const bytes = crypto.getRandomValues(new Uint8Array(32))
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')
+  }
+
+  async getFeed() {
+    const { data, error } = await supabase
+      .from('calendar_feeds')
+      .select('token, created_at')
+      .maybeSingle()
+
+    if (error) throw error
+    return data ? { url: this.getFeedUrl(data.token), createdAt: data.created_at } : null
+  }
+
+  // Creates the feed, or replaces the token of an existing one
+  async rotateFeed() {
+    const { data: { user } } = await supabase.auth.getUser()
+    if (!user) throw new Error('You must be signed in to create a calendar feed')
+
+    const { data, error } = await supabase
+      .from('calendar_feeds')
+      .upsert({
+        user_id: user.id,
+        token: this.generateToken(),
+        created_at: new Date().toISOString()
+      }, { onConflict: 'user_id' })
+      .select('token, created_at')
+      .single()
+
+    if (error) throw error
+    return { url: this.getFeedUrl(data.token), createdAt: data.created_at }
+  }
+
+  async revokeFeed() {
+    const { data: { user } } = await supabase.auth.getUser()
+    if (!user) return
+
+    const { error } = await supabase
+      .from('calendar_feeds')
+      .delete()
+      .eq('user_id', user.id)
+
+    if (error) throw error
+  }
+}
+
+export const calendarFeed = new CalendarFeedService()
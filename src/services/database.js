@@ -1,13 +1,291 @@
 import { supabase } from '../lib/supabase'
+import { createStorageAdapter } from './storage'
+
+const ACTIVE_WORKSPACE_KEY = 'todoActiveWorkspace'
+const ACTIVITY_LOG_MIGRATION_FLAG = 'todoActivityLogsMigrated'
+
+/**
+ * Field Mapping Registry
+ * Maps the camelCase field names used by the React contexts to the
+ * snake_case columns defined in the Supabase migrations, per table.
+ * Only mapped fields are sent to Supabase, so UI-only state never
+ * makes an insert or update fail.
+ *
+ * - fields: app field name -> database column
+ * - emptyAsNull: fields whose empty string must be stored as NULL
+ *   (UUID, date and time columns reject '')
+ * - dateOnly: timestamp columns the app treats as 'yyyy-MM-dd' values
+ * - references: fields holding ids (or id arrays) of rows in another table
+ * - scoped: rows belong to a workspace, or to the personal space when
+ *   workspace_id is NULL; only the active one is read (see setWorkspace)
+ */
+export const TABLE_SCHEMAS = {
+  categories: {
+    scoped: true,
+    fields: {
+      id: 'id',
+      userId: 'user_id',
+      workspaceId: 'workspace_id',
+      name: 'name',
+      color: 'color',
+      predefined: 'predefined',
+      deleted: 'deleted',
+      deletedAt: 'deleted_at',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      localId: 'local_id'
+    }
+  },
+  tasks: {
+    scoped: true,
+    fields: {
+      id: 'id',
+      userId: 'user_id',
+      workspaceId: 'workspace_id',
+      title: 'title',
+      description: 'description',
+      dueDate: 'due_date',
+      priority: 'priority',
+      status: 'status',
+      categories: 'categories',
+      notes: 'notes',
+      checklist: 'checklist',
+      linkedProject: 'linked_project',
+      linkedEvent: 'linked_event',
+      linkedChecklistItem: 'linked_checklist_item',
+      recurrence: 'recurrence',
+      seriesId: 'series_id',
+      occurrence: 'occurrence',
+      parentTask: 'parent_task',
+      blockedBy: 'blocked_by',
+      assignees: 'assignees',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      localId: 'local_id'
+    },
+    emptyAsNull: ['dueDate', 'linkedProject', 'linkedEvent', 'seriesId', 'parentTask'],
+    dateOnly: ['dueDate'],
+    references: {
+      linkedProject: 'projects',
+      linkedEvent: 'events',
+      categories: 'categories',
+      seriesId: 'tasks',
+      parentTask: 'tasks',
+      blockedBy: 'tasks'
+    }
+  },
+  projects: {
+    scoped: true,
+    fields: {
+      id: 'id',
+      userId: 'user_id',
+      workspaceId: 'workspace_id',
+      title: 'title',
+      description: 'description',
+      status: 'status',
+      color: 'color',
+      participants: 'participants',
+      linkedTasks: 'linked_tasks',
+      startDate: 'start_date',
+      targetDate: 'target_date',
+      milestones: 'milestones',
+      lastActivityAt: 'last_activity_at',
+      archived: 'archived',
+      archivedAt: 'archived_at',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      localId: 'local_id'
+    },
+    emptyAsNull: ['startDate', 'targetDate'],
+    references: { linkedTasks: 'tasks' }
+  },
+  project_activity_logs: {
+    scoped: true,
+    fields: {
+      id: 'id',
+      userId: 'user_id',
+      workspaceId: 'workspace_id',
+      projectId: 'project_id',
+      type: 'type',
+      message: 'message',
+      auto: 'auto',
+      category: 'category',
+      timestamp: 'timestamp',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      localId: 'local_id'
+    },
+    references: { projectId: 'projects' }
+  },
+  activity_log_categories: {
+    scoped: true,
+    fields: {
+      id: 'id',
+      userId: 'user_id',
+      workspaceId: 'workspace_id',
+      name: 'name',
+      color: 'color',
+      predefined: 'predefined',
+      deleted: 'deleted',
+      deletedAt: 'deleted_at',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      localId: 'local_id'
+    }
+  },
+  events: {
+    scoped: true,
+    fields: {
+      id: 'id',
+      userId: 'user_id',
+      workspaceId: 'workspace_id',
+      title: 'title',
+      location: 'location',
+      startDate: 'start_date',
+      endDate: 'end_date',
+      participationType: 'participation_type',
+      talkTitle: 'talk_title',
+      talkDate: 'talk_date',
+      talkTime: 'talk_time',
+      participants: 'participants',
+      checklist: 'checklist',
+      notes: 'notes',
+      budget: 'budget',
+      currency: 'currency',
+      expenses: 'expenses',
+      autoTasks: 'auto_tasks',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      localId: 'local_id'
+    },
+    emptyAsNull: ['talkDate', 'talkTime', 'budget']
+  },
+  checklist_templates: {
+    scoped: true,
+    fields: {
+      id: 'id',
+      userId: 'user_id',
+      workspaceId: 'workspace_id',
+      name: 'name',
+      participationTypes: 'participation_types',
+      items: 'items',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      localId: 'local_id'
+    }
+  },
+  contacts: {
+    scoped: true,
+    fields: {
+      id: 'id',
+      userId: 'user_id',
+      workspaceId: 'workspace_id',
+      name: 'name',
+      organization: 'organization',
+      email: 'email',
+      phone: 'phone',
+      notes: 'notes',
+      tags: 'tags',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      localId: 'local_id'
+    }
+  },
+  comments: {
+    scoped: true,
+    fields: {
+      id: 'id',
+      userId: 'user_id',
+      workspaceId: 'workspace_id',
+      entityType: 'entity_type',
+      entityId: 'entity_id',
+      parentId: 'parent_id',
+      body: 'body',
+      authorEmail: 'author_email',
+      mentions: 'mentions',
+      history: 'history',
+      editedAt: 'edited_at',
+      deletedAt: 'deleted_at',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      localId: 'local_id'
+    },
+    emptyAsNull: ['parentId', 'editedAt', 'deletedAt']
+  },
+  // Private to their recipient, whatever workspace they are about
+  notifications: {
+    fields: {
+      id: 'id',
+      userId: 'user_id',
+      workspaceId: 'workspace_id',
+      type: 'type',
+      title: 'title',
+      body: 'body',
+      entityType: 'entity_type',
+      entityId: 'entity_id',
+      commentId: 'comment_id',
+      actorId: 'actor_id',
+      actorEmail: 'actor_email',
+      reminderKey: 'reminder_key',
+      readAt: 'read_at',
+      snoozedUntil: 'snoozed_until',
+      dismissedAt: 'dismissed_at',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      localId: 'local_id'
+    },
+    emptyAsNull: ['workspaceId', 'entityId', 'commentId', 'actorId', 'readAt', 'snoozedUntil', 'dismissedAt']
+  },
+  workspaces: {
+    fields: {
+      id: 'id',
+      ownerId: 'owner_id',
+      name: 'name',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      localId: 'local_id'
+    }
+  },
+  workspace_members: {
+    fields: {
+      id: 'id',
+      workspaceId: 'workspace_id',
+      userId: 'user_id',
+      email: 'email',
+      role: 'role',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    }
+  },
+  user_settings: {
+    fields: {
+      id: 'id',
+      userId: 'user_id',
+      theme: 'theme',
+      notifications: 'notifications',
+      reminderRules: 'reminder_rules',
+      passwordHash: 'password_hash',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    }
+  }
+}
 
 /**
  * Database Service Layer
  * Provides a unified interface for all database operations
- * Handles both online (Supabase) and offline (localStorage) scenarios
+ * Handles both online (Supabase) and offline (IndexedDB/localStorage) scenarios
  */
 class DatabaseService {
-  constructor() {
+  constructor(storage) {
     this.isOnline = navigator.onLine
+    // Legacy localStorage rows may still use app field names
+    this.storage = storage || createStorageAdapter({
+      toRow: (table, row) => this.toDatabase(table, row, { keepUnmapped: true })
+    })
+    this.outbox = null
+    this.workspaceId = localStorage.getItem(ACTIVE_WORKSPACE_KEY) || null
+    this.workspaceRole = null
     this.setupConnectionListeners()
   }
 
@@ -59,38 +337,165 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Field Mapping
+   */
+
+  getSchema(table) {
+    return TABLE_SCHEMAS[table] || null
+  }
+
+  // Resolve a field (app name or column name) to its database column
+  getColumn(table, field) {
+    const schema = this.getSchema(table)
+    if (!schema) return field
+    if (schema.fields[field]) return schema.fields[field]
+    return Object.values(schema.fields).includes(field) ? field : null
+  }
+
+  // Convert an app record (camelCase) to a database row (snake_case).
+  // Column names are passed through, so already-converted rows are safe.
+  // keepUnmapped keeps unknown keys instead of dropping them, for legacy
+  // offline data that is converted later.
+  toDatabase(table, record, { keepUnmapped = false } = {}) {
+    const schema = this.getSchema(table)
+    if (!schema || !record) return record
+
+    const row = {}
+    const unmapped = []
+    Object.entries(record).forEach(([key, value]) => {
+      const column = this.getColumn(table, key)
+      if (!column) {
+        if (keepUnmapped) {
+          row[key] = value
+        } else {
+          unmapped.push(key)
+        }
+        return
+      }
+
+      const field = this.getField(table, column)
+      if (value === '' && schema.emptyAsNull?.includes(field)) {
+        row[column] = null
+      } else {
+        row[column] = value
+      }
+    })
+
+    if (unmapped.length > 0) {
+      console.warn(`Fields not in ${table} schema were not stored:`, unmapped)
+    }
+    return row
+  }
+
+  // Convert a database row (snake_case) to an app record (camelCase).
+  // Unknown keys are kept as-is so legacy offline data survives.
+  fromDatabase(table, row) {
+    const schema = this.getSchema(table)
+    if (!schema || !row) return row
+
+    const record = {}
+    Object.entries(row).forEach(([key, value]) => {
+      const field = this.getField(table, key)
+      if (value && schema.dateOnly?.includes(field) && typeof value === 'string') {
+        record[field] = value.substring(0, 10)
+      } else {
+        record[field] = value
+      }
+    })
+    return record
+  }
+
+  // Resolve a column name to its app field name
+  getField(table, column) {
+    const schema = this.getSchema(table)
+    if (!schema) return column
+    const entry = Object.entries(schema.fields).find(([, col]) => col === column)
+    return entry ? entry[0] : column
+  }
+
+  /**
+   * Workspace Scope
+   * Scoped tables are read from and written to the active workspace only.
+   * null is the private personal space. The choice survives reloads.
+   */
+
+  setWorkspace(workspaceId, role = null) {
+    this.workspaceId = workspaceId || null
+    this.workspaceRole = role
+    if (this.workspaceId) {
+      localStorage.setItem(ACTIVE_WORKSPACE_KEY, this.workspaceId)
+    } else {
+      localStorage.removeItem(ACTIVE_WORKSPACE_KEY)
+    }
+  }
+
+  isScoped(table) {
+    return !!this.getSchema(table)?.scoped
+  }
+
+  // Whether a database row (snake_case) belongs to the active workspace
+  inWorkspace(table, row) {
+    return !this.isScoped(table) || (row?.workspace_id || null) === this.workspaceId
+  }
+
+  scopeQuery(table, query) {
+    if (!this.isScoped(table)) return query
+    return this.workspaceId
+      ? query.eq('workspace_id', this.workspaceId)
+      : query.is('workspace_id', null)
+  }
+
+  // Viewers can read a workspace but not change it
+  assertWritable(table) {
+    if (this.isScoped(table) && this.workspaceId && this.workspaceRole === 'viewer') {
+      throw new Error('You have view-only access to this workspace')
+    }
+  }
+
+  /**
+   * Only a lost connection makes writes fall back offline. Errors the server
+   * returns (policies, constraints, permissions) would fail again on replay,
+   * so they are thrown to the caller instead, as are programming errors.
+   * supabase-js reports failed requests by the name of the fetch error.
+   */
+  isNetworkError(error) {
+    if (!navigator.onLine) return true
+    const message = error?.message || ''
+    return /^TypeError: (Failed to fetch|NetworkError|Load failed)/.test(message) ||
+      /^(FetchError|AbortError)\b/.test(message) ||
+      (error instanceof TypeError && /^(Failed to fetch|NetworkError|Load failed)/.test(message))
+  }
+
   /**
    * Generic CRUD Operations
    */
 
   // CREATE
   async create(table, data) {
+    this.assertWritable(table)
+    // New rows belong to the active workspace unless one is given
+    if (this.isScoped(table) && data.workspaceId === undefined) {
+      data = { ...data, workspaceId: this.workspaceId }
+    }
+
     const isAuth = await this.isAuthenticated()
     
     if (isAuth && this.isOnline) {
       try {
-        const user = await this.getCurrentUser()
-        const { data: result, error } = await supabase
-          .from(table)
-          .insert({ ...data, user_id: user.id })
-          .select()
-          .single()
-        
-        if (error) throw error
-        
-        // Also save to localStorage as backup
-        this.saveToLocalStorage(table, result)
+        const result = await this.createRemote(table, data)
         console.log(`Created ${table} successfully:`, result)
         return result
       } catch (error) {
         console.error(`Error creating ${table}:`, error)
-        // Fallback to localStorage
-        return this.createOffline(table, data)
+        if (!this.isNetworkError(error)) throw error
       }
-    } else {
-      // Offline mode
-      return this.createOffline(table, data)
     }
+
+    // Offline mode (or lost connection) - store locally and queue for sync
+    const item = await this.createOffline(table, data)
+    this.queueOfflineWrite({ type: 'create', table, id: item.id, data: item })
+    return item
   }
 
   // READ
@@ -99,10 +504,10 @@ class DatabaseService {
     
     if (isAuth && this.isOnline) {
       try {
-        let query = supabase.from(table).select('*')
+        let query = this.scopeQuery(table, supabase.from(table).select('*'))
         
         // Apply filters
-        Object.entries(filters).forEach(([key, value]) => {
+        Object.entries(this.toDatabase(table, filters)).forEach(([key, value]) => {
           if (value !== undefined && value !== null) {
             query = query.eq(key, value)
           }
@@ -111,12 +516,18 @@ class DatabaseService {
         const { data, error } = await query
         if (error) throw error
         
-        // Cache in localStorage
-        this.cacheToLocalStorage(table, data)
-        return data || []
+        // Records with queued writes keep the base their edits were made against
+        await this.saveSnapshots(table, (data || []).filter(row => !this.hasPendingWrites(table, row.id)))
+
+        // Keep local rows whose writes are still queued, then cache
+        const rows = await this.withPendingWrites(table, data || [])
+        if (Object.keys(filters).length === 0) {
+          await this.cacheScopeToStorage(table, rows)
+        }
+        return rows.map(row => this.fromDatabase(table, row))
       } catch (error) {
         console.error(`Error reading ${table}:`, error)
-        // Fallback to localStorage
+        // Fallback to offline storage
         return this.readOffline(table, filters)
       }
     } else {
@@ -125,114 +536,350 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Read one page of rows, ordered by `orderBy`. Returns { rows, hasMore }.
+   * Rows with queued writes only exist locally, so they are added to the
+   * first page.
+   */
+  async readPage(table, { filters = {}, orderBy, ascending = false, limit = 20, offset = 0 }) {
+    const isAuth = await this.isAuthenticated()
+    const column = this.getColumn(table, orderBy)
+    const dbFilters = this.toDatabase(table, filters)
+    const compare = (a, b) => {
+      const order = a[column] < b[column] ? -1 : a[column] > b[column] ? 1 : 0
+      return ascending ? order : -order
+    }
+
+    if (isAuth && this.isOnline) {
+      try {
+        let query = this.scopeQuery(table, supabase.from(table).select('*'))
+
+        Object.entries(dbFilters).forEach(([key, value]) => {
+          if (value !== undefined && value !== null) {
+            query = query.eq(key, value)
+          }
+        })
+
+        // One extra row tells whether another page exists
+        const { data, error } = await query
+          .order(column, { ascending })
+          .range(offset, offset + limit)
+        if (error) throw error
+
+        const pageRows = (data || []).slice(0, limit)
+        await this.saveSnapshots(table, pageRows.filter(row => !this.hasPendingWrites(table, row.id)))
+        await this.upsertToStorage(table, pageRows.filter(row => !this.hasPendingWrites(table, row.id)))
+
+        let rows = pageRows
+        if (offset === 0) {
+          const pending = await this.withPendingWrites(table, [])
+          const matching = pending.filter(row =>
+            Object.entries(dbFilters).every(([key, value]) => value === undefined || value === null || row[key] === value)
+          )
+          rows = [...pageRows.filter(row => !this.hasPendingWrites(table, row.id)), ...matching].sort(compare)
+        }
+
+        return {
+          rows: rows.map(row => this.fromDatabase(table, row)),
+          hasMore: (data || []).length > limit
+        }
+      } catch (error) {
+        console.error(`Error reading ${table} page:`, error)
+      }
+    }
+
+    // Offline mode (or fallback) - page through offline storage
+    const items = (await this.storage.query(table, dbFilters))
+      .filter(item => this.inWorkspace(table, item))
+      .sort(compare)
+    return {
+      rows: items.slice(offset, offset + limit).map(item => this.fromDatabase(table, item)),
+      hasMore: items.length > offset + limit
+    }
+  }
+
   // UPDATE
   async update(table, id, updates) {
+    this.assertWritable(table)
     const isAuth = await this.isAuthenticated()
     
-    if (isAuth && this.isOnline) {
+    // Records with queued writes stay offline until the queue reaches them
+    if (isAuth && this.isOnline && !this.hasPendingWrites(table, id)) {
       try {
-        const { data, error } = await supabase
-          .from(table)
-          .update(updates)
-          .eq('id', id)
-          .select()
-          .single()
-        
-        if (error) throw error
-        
-        // Update localStorage
-        this.updateLocalStorage(table, id, updates)
-        return data
+        return await this.updateRemote(table, id, updates)
       } catch (error) {
         console.error(`Error updating ${table}:`, error)
-        // Fallback to localStorage
-        return this.updateOffline(table, id, updates)
+        if (!this.isNetworkError(error)) throw error
       }
-    } else {
-      // Offline mode
-      return this.updateOffline(table, id, updates)
     }
+
+    // Offline mode (or lost connection) - store locally and queue for sync
+    const item = await this.updateOffline(table, id, updates)
+    this.queueOfflineWrite({ type: 'update', table, id, updates })
+    return item
   }
 
   // DELETE
   async delete(table, id) {
+    this.assertWritable(table)
     const isAuth = await this.isAuthenticated()
     
-    if (isAuth && this.isOnline) {
+    if (isAuth && this.isOnline && !this.hasPendingWrites(table, id)) {
       try {
-        const { error } = await supabase
-          .from(table)
-          .delete()
-          .eq('id', id)
-        
-        if (error) throw error
-        
-        // Remove from localStorage
-        this.deleteFromLocalStorage(table, id)
-        return true
+        return await this.deleteRemote(table, id)
       } catch (error) {
         console.error(`Error deleting ${table}:`, error)
-        // Fallback to localStorage
-        return this.deleteOffline(table, id)
+        if (!this.isNetworkError(error)) throw error
       }
-    } else {
-      // Offline mode
-      return this.deleteOffline(table, id)
     }
+
+    // Offline mode (or lost connection) - store locally and queue for sync
+    const result = await this.deleteOffline(table, id)
+    this.queueOfflineWrite({ type: 'delete', table, id })
+    return result
   }
 
   /**
-   * Offline Operations (localStorage)
+   * Remote Operations
+   * Write straight to Supabase and throw on failure. The sync queue uses
+   * these to replay offline writes without falling back offline again.
    */
 
-  createOffline(table, data) {
-    const items = this.getFromLocalStorage(table)
+  async createRemote(table, data) {
+    const user = await this.getCurrentUser()
+    // Workspaces are owned through owner_id instead
+    const owner = this.getSchema(table)?.fields.userId ? { user_id: user.id } : {}
+    const { data: result, error } = await supabase
+      .from(table)
+      .insert(this.toDatabase(table, { ...data, ...owner }))
+      .select()
+      .single()
+    
+    if (error) throw error
+    
+    // Also save to offline storage as backup
+    await this.saveToStorage(table, result)
+    await this.saveSnapshots(table, [result])
+    return this.fromDatabase(table, result)
+  }
+
+  async updateRemote(table, id, updates) {
+    const { data, error } = await supabase
+      .from(table)
+      .update(this.toDatabase(table, updates))
+      .eq('id', id)
+      .select()
+      .single()
+    
+    if (error) throw error
+    
+    // Update offline storage
+    await this.saveToStorage(table, data)
+    await this.saveSnapshots(table, [data])
+    return this.fromDatabase(table, data)
+  }
+
+  async deleteRemote(table, id) {
+    const { error } = await supabase
+      .from(table)
+      .delete()
+      .eq('id', id)
+    
+    if (error) throw error
+    
+    // Remove from offline storage
+    await this.deleteFromStorage(table, id)
+    await this.removeSnapshot(table, id)
+    return true
+  }
+
+  // Fetch server rows as-is, without touching offline storage or snapshots
+  async fetchRemote(table, filters = {}) {
+    let query = supabase.from(table).select('*')
+
+    Object.entries(this.toDatabase(table, filters)).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        query = query.eq(key, value)
+      }
+    })
+
+    const { data, error } = await query
+    if (error) throw error
+    return data || []
+  }
+
+  // Server rows changed at or after a cursor (an updated_at value)
+  async fetchRemoteChanges(table, since) {
+    const { data, error } = await supabase
+      .from(table)
+      .select('*')
+      .gte('updated_at', since)
+      .order('updated_at', { ascending: true })
+
+    if (error) throw error
+    return data || []
+  }
+
+  // Tombstones of rows deleted at or after a cursor (see deleted_records)
+  async fetchDeletions(table, since) {
+    const { data, error } = await supabase
+      .from('deleted_records')
+      .select('record_id, deleted_at')
+      .eq('table_name', table)
+      .gte('deleted_at', since)
+      .order('deleted_at', { ascending: true })
+
+    if (error) throw error
+    return data || []
+  }
+
+  /**
+   * Sync Snapshots
+   * The last server version of every record, kept as the common base for
+   * three-way merges (see ./merge.js).
+   */
+
+  snapshotId(table, id) {
+    return `${table}:${id}`
+  }
+
+  async saveSnapshots(table, rows) {
+    const snapshots = rows
+      .filter(row => row && row.id)
+      .map(row => ({ id: this.snapshotId(table, row.id), table, record_id: row.id, data: row }))
+
+    if (snapshots.length === 0) return
+    try {
+      await this.storage.putMany('sync_snapshots', snapshots)
+    } catch (error) {
+      console.error(`Error saving ${table} snapshots:`, error)
+    }
+  }
+
+  async getSnapshot(table, id) {
+    try {
+      const snapshot = await this.storage.get('sync_snapshots', this.snapshotId(table, id))
+      return snapshot ? snapshot.data : null
+    } catch (error) {
+      console.error(`Error reading ${table} snapshot:`, error)
+      return null
+    }
+  }
+
+  async removeSnapshot(table, id) {
+    await this.storage.remove('sync_snapshots', this.snapshotId(table, id))
+  }
+
+  /**
+   * Offline Write Queue
+   * The sync service registers itself as the outbox for writes that could
+   * not reach Supabase. It must provide queueOperation(operation),
+   * hasPendingOperations(table, id) and getPendingIds(table).
+   */
+
+  setOutbox(outbox) {
+    this.outbox = outbox
+  }
+
+  queueOfflineWrite(operation) {
+    if (this.outbox) {
+      this.outbox.queueOperation(operation)
+    }
+  }
+
+  hasPendingWrites(table, id) {
+    return !!this.outbox && this.outbox.hasPendingOperations(table, id)
+  }
+
+  async withPendingWrites(table, rows) {
+    const pendingIds = this.outbox ? this.outbox.getPendingIds(table) : []
+    if (pendingIds.length === 0) return rows
+
+    const localRows = await this.storage.getAll(table)
+    return [
+      ...rows.filter(row => !pendingIds.includes(row.id)),
+      ...localRows.filter(row => pendingIds.includes(row.id) && this.inWorkspace(table, row))
+    ]
+  }
+
+  /**
+   * Replace a locally generated id with the id assigned by Supabase,
+   * in offline storage and in every row that references it
+   */
+  async remapLocalId(table, localId, serverId) {
+    await this.storage.remove(table, localId)
+
+    for (const [refTable, schema] of Object.entries(TABLE_SCHEMAS)) {
+      const fields = Object.entries(schema.references || {})
+        .filter(([, target]) => target === table)
+        .map(([field]) => schema.fields[field])
+      if (fields.length === 0) continue
+
+      const rows = await this.storage.getAll(refTable)
+      for (const row of rows) {
+        let changed = false
+        const updatedRow = { ...row }
+        fields.forEach(column => {
+          const value = row[column]
+          if (Array.isArray(value) && value.includes(localId)) {
+            updatedRow[column] = value.map(v => (v === localId ? serverId : v))
+            changed = true
+          } else if (value === localId) {
+            updatedRow[column] = serverId
+            changed = true
+          }
+        })
+        if (changed) {
+          await this.storage.put(refTable, updatedRow)
+        }
+      }
+    }
+  }
+
+  /**
+   * Offline Operations
+   * Offline storage mirrors the database rows (snake_case), so records are
+   * converted on the way in and out exactly like the online path.
+   */
+
+  async createOffline(table, data) {
+    const id = this.generateId()
     const newItem = {
-      ...data,
-      id: this.generateId(),
+      ...this.toDatabase(table, data),
+      id,
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString(),
-      local_id: this.generateId() // For sync mapping
+      local_id: id // For sync mapping
     }
-    items.push(newItem)
-    localStorage.setItem(this.getStorageKey(table), JSON.stringify(items))
+    await this.storage.put(table, newItem)
     console.log(`Created ${table} offline:`, newItem)
-    return newItem
+    return this.fromDatabase(table, newItem)
   }
 
-  readOffline(table, filters = {}) {
-    let items = this.getFromLocalStorage(table)
-    
-    // Apply filters
-    Object.entries(filters).forEach(([key, value]) => {
-      if (value !== undefined && value !== null) {
-        items = items.filter(item => item[key] === value)
-      }
-    })
-    
+  async readOffline(table, filters = {}) {
+    const items = await this.storage.query(table, this.toDatabase(table, filters))
     return items
+      .filter(item => this.inWorkspace(table, item))
+      .map(item => this.fromDatabase(table, item))
   }
 
-  updateOffline(table, id, updates) {
-    const items = this.getFromLocalStorage(table)
-    const index = items.findIndex(item => item.id === id)
+  async updateOffline(table, id, updates) {
+    const item = await this.storage.get(table, id)
     
-    if (index !== -1) {
-      items[index] = {
-        ...items[index],
-        ...updates,
+    if (item) {
+      const updatedItem = {
+        ...item,
+        ...this.toDatabase(table, updates),
         updated_at: new Date().toISOString()
       }
-      localStorage.setItem(this.getStorageKey(table), JSON.stringify(items))
-      return items[index]
+      await this.storage.put(table, updatedItem)
+      return this.fromDatabase(table, updatedItem)
     }
     return null
   }
 
-  deleteOffline(table, id) {
-    const items = this.getFromLocalStorage(table)
-    const filteredItems = items.filter(item => item.id !== id)
-    localStorage.setItem(this.getStorageKey(table), JSON.stringify(filteredItems))
+  async deleteOffline(table, id) {
+    await this.storage.remove(table, id)
     return true
   }
 
@@ -250,62 +897,60 @@ class DatabaseService {
   }
 
   /**
-   * localStorage Utilities
+   * Offline Storage Utilities
+   * Thin wrappers around the active storage adapter (see ./storage.js)
    */
 
-  getStorageKey(table) {
-    const keyMap = {
-      tasks: 'todoTasks',
-      categories: 'todoCategories',
-      projects: 'todoProjects',
-      activity_log_categories: 'todoActivityLogCategories',
-      events: 'todoEvents',
-      user_settings: 'todoSettings'
-    }
-    return keyMap[table] || `todo${table}`
+  setStorageAdapter(adapter) {
+    this.storage = adapter
   }
 
-  getFromLocalStorage(table) {
-    try {
-      const data = localStorage.getItem(this.getStorageKey(table))
-      return data ? JSON.parse(data) : []
-    } catch (error) {
-      console.error(`Error reading ${table} from localStorage:`, error)
-      return []
-    }
+  async getFromStorage(table) {
+    return this.storage.getAll(table)
   }
 
-  saveToLocalStorage(table, item) {
-    const items = this.getFromLocalStorage(table)
-    const existingIndex = items.findIndex(existing => existing.id === item.id)
-    
-    if (existingIndex !== -1) {
-      items[existingIndex] = item
-    } else {
-      items.push(item)
-    }
-    
-    localStorage.setItem(this.getStorageKey(table), JSON.stringify(items))
+  async saveToStorage(table, item) {
+    await this.storage.put(table, item)
+  }
+
+  async cacheToStorage(table, data) {
+    await this.storage.putAll(table, data)
   }
 
-  cacheToLocalStorage(table, data) {
-    localStorage.setItem(this.getStorageKey(table), JSON.stringify(data))
+  // Replace the active workspace's rows, keeping those of other workspaces
+  async cacheScopeToStorage(table, data) {
+    if (!this.isScoped(table)) return this.cacheToStorage(table, data)
+
+    const otherRows = (await this.storage.getAll(table)).filter(row => !this.inWorkspace(table, row))
+    await this.storage.putAll(table, [...otherRows, ...data])
   }
 
-  updateLocalStorage(table, id, updates) {
-    const items = this.getFromLocalStorage(table)
-    const index = items.findIndex(item => item.id === id)
+  // Insert or replace rows without touching the rest of the table
+  async upsertToStorage(table, data) {
+    await this.storage.putMany(table, data)
+  }
+
+  async updateStorage(table, id, updates) {
+    const item = await this.storage.get(table, id)
     
-    if (index !== -1) {
-      items[index] = { ...items[index], ...updates }
-      localStorage.setItem(this.getStorageKey(table), JSON.stringify(items))
+    if (item) {
+      await this.storage.put(table, { ...item, ...this.toDatabase(table, updates) })
     }
   }
 
-  deleteFromLocalStorage(table, id) {
-    const items = this.getFromLocalStorage(table)
-    const filteredItems = items.filter(item => item.id !== id)
-    localStorage.setItem(this.getStorageKey(table), JSON.stringify(filteredItems))
+  async deleteFromStorage(table, id) {
+    await this.storage.remove(table, id)
+  }
+
+  /**
+   * Remote Procedures
+   * Database functions only run on the server, so they need a connection
+   */
+
+  async rpc(name, params = {}) {
+    const { data, error } = await supabase.rpc(name, params)
+    if (error) throw error
+    return data
   }
 
   /**
@@ -358,6 +1003,60 @@ class DatabaseService {
    * Migration Utilities
    */
 
+  /**
+   * Projects saved by older versions kept their activity log in an
+   * activityLog array on the project. Returns those entries as
+   * project_activity_logs records.
+   */
+  legacyActivityLogs(project) {
+    const entries = project.activityLog || project.activity_log
+    if (!Array.isArray(entries)) return []
+
+    return entries
+      .filter(entry => entry && entry.message)
+      .map(entry => ({
+        projectId: project.id,
+        workspaceId: project.workspaceId ?? project.workspace_id ?? null,
+        type: entry.type || 'manual',
+        message: entry.message,
+        auto: !!entry.auto,
+        category: entry.category || 'general',
+        timestamp: entry.timestamp || project.createdAt || project.created_at || new Date().toISOString()
+      }))
+  }
+
+  // Move activityLog arrays left in offline storage into project_activity_logs,
+  // once. Entries are removed from the project as they are written, so a
+  // failure part way through never writes one twice; it is retried next time.
+  async convertLegacyActivityLogs() {
+    if (localStorage.getItem(ACTIVITY_LOG_MIGRATION_FLAG) === 'true') return
+
+    const projects = (await this.storage.getAll('projects'))
+      .filter(project => Array.isArray(project.activityLog) || Array.isArray(project.activity_log))
+    let failed = false
+
+    for (const project of projects) {
+      const { activityLog, activity_log, ...row } = project
+      const remaining = [...(activityLog || activity_log)]
+      try {
+        while (remaining.length > 0) {
+          const [entry] = this.legacyActivityLogs({ ...row, activityLog: [remaining[0]] })
+          if (entry) await this.create('project_activity_logs', entry)
+          remaining.shift()
+          await this.storage.put('projects', { ...row, activityLog: remaining })
+        }
+        await this.storage.put('projects', row)
+      } catch (error) {
+        console.error('Error converting the legacy activity log:', error)
+        failed = true
+      }
+    }
+
+    if (!failed) {
+      localStorage.setItem(ACTIVITY_LOG_MIGRATION_FLAG, 'true')
+    }
+  }
+
   async migrateFromLocalStorage() {
     const isAuth = await this.isAuthenticated()
     if (!isAuth) return false
@@ -367,11 +1066,11 @@ class DatabaseService {
       const tables = ['tasks', 'categories', 'projects', 'activity_log_categories', 'events']
       
       for (const table of tables) {
-        const localData = this.getFromLocalStorage(table)
+        const localData = await this.getFromStorage(table)
         
         if (localData.length > 0) {
           // Add user_id to all items
-          const dataWithUserId = localData.map(item => ({
+          const dataWithUserId = localData.map(item => this.toDatabase(table, {
             ...item,
             user_id: user.id,
             local_id: item.id // Keep original ID for reference
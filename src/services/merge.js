@@ -0,0 +1,164 @@
+/**
+ * Three-way Merge
+ * Merges a local and a remote version of a database row against the base
+ * version both were derived from. Fields changed on only one side are
+ * merged automatically; only fields changed differently on both sides are
+ * reported as conflicts.
+ */
+
+// Bookkeeping columns that never take part in a merge
+export const IGNORED_FIELDS = ['id', 'user_id', 'created_at', 'updated_at', 'local_id']
+
+// JSON array columns whose items (objects with an id) are merged one by one
+export const ITEM_MERGE_FIELDS = ['checklist', 'participants']
+
+export const isEqual = (a, b) => {
+  if (a === b) return true
+  if (a === null || b === null || a === undefined || b === undefined) {
+    return (a ?? null) === (b ?? null)
+  }
+  if (typeof a !== 'object' || typeof b !== 'object') return false
+  return JSON.stringify(a) === JSON.stringify(b)
+}
+
+const indexById = (items) => {
+  const map = new Map()
+  ;(Array.isArray(items) ? items : []).forEach(item => {
+    if (item && item.id !== undefined) map.set(item.id, item)
+  })
+  return map
+}
+
+/**
+ * Merge arrays of `{ id, ... }` items.
+ * Additions and removals from both sides are kept, items edited on one side
+ * take that edit, and items edited differently on both sides are merged
+ * field by field. Returns { value, conflict }.
+ */
+export function mergeItems(base, local, remote) {
+  const baseItems = indexById(base)
+  const localItems = indexById(local)
+  const remoteItems = indexById(remote)
+
+  // Keep the local order, then append items only the remote side has
+  const order = [
+    ...localItems.keys(),
+    ...[...remoteItems.keys()].filter(id => !localItems.has(id))
+  ]
+
+  let conflict = false
+  const value = []
+
+  order.forEach(id => {
+    const b = baseItems.get(id)
+    const l = localItems.get(id)
+    const r = remoteItems.get(id)
+
+    if (l && r) {
+      if (isEqual(l, r)) {
+        value.push(l)
+      } else if (b && isEqual(l, b)) {
+        value.push(r)
+      } else if (b && isEqual(r, b)) {
+        value.push(l)
+      } else {
+        const merged = mergeFields(b || {}, l, r)
+        if (merged.conflicts.length > 0) conflict = true
+        value.push(merged.merged)
+      }
+    } else if (l && !r) {
+      // Removed remotely, unless it is new or was edited locally
+      if (!b || !isEqual(l, b)) value.push(l)
+      if (b && !isEqual(l, b)) conflict = true
+    } else if (r && !l) {
+      // Removed locally, unless it is new or was edited remotely
+      if (!b || !isEqual(r, b)) value.push(r)
+      if (b && !isEqual(r, b)) conflict = true
+    }
+  })
+
+  return { value, conflict }
+}
+
+// Merge plain object fields, reporting fields changed on both sides
+function mergeFields(base, local, remote, ignored = []) {
+  const merged = {}
+  const conflicts = []
+  const fields = new Set([...Object.keys(local || {}), ...Object.keys(remote || {})])
+
+  fields.forEach(field => {
+    if (ignored.includes(field)) return
+
+    const b = base?.[field]
+    const l = local?.[field]
+    const r = remote?.[field]
+
+    if (isEqual(l, r)) {
+      merged[field] = l
+    } else if (isEqual(l, b)) {
+      merged[field] = r
+    } else if (isEqual(r, b)) {
+      merged[field] = l
+    } else if (ITEM_MERGE_FIELDS.includes(field)) {
+      const result = mergeItems(b, l, r)
+      merged[field] = result.value
+      if (result.conflict) conflicts.push({ field, base: b, local: l, remote: r, merged: result.value })
+    } else {
+      merged[field] = l
+      conflicts.push({ field, base: b, local: l, remote: r })
+    }
+  })
+
+  return { merged, conflicts }
+}
+
+/**
+ * Merge two versions of a row against their common base.
+ * Without a base every differing field is a conflict.
+ * Returns { merged, conflicts } where merged starts from the remote row
+ * and conflicting fields hold the local value until a choice is made.
+ */
+export function mergeRecords(base, local, remote) {
+  const { merged, conflicts } = mergeFields(base || {}, local, remote, IGNORED_FIELDS)
+  return {
+    merged: { ...remote, ...merged },
+    conflicts
+  }
+}
+
+/**
+ * Apply per-field choices to a merge result.
+ * `choices` maps field -> 'local' | 'remote' | 'merged'. 'merged' and
+ * unlisted fields keep the auto-merged value, which for item fields
+ * already combines both sides.
+ */
+export function applyFieldChoices(merged, conflicts, choices = {}) {
+  const result = { ...merged }
+  conflicts.forEach(({ field, local, remote }) => {
+    if (choices[field] === 'remote') result[field] = remote
+    else if (choices[field] === 'local') result[field] = local
+  })
+  return result
+}
+
+/**
+ * Per-field choices for picking one side for a whole record. Item fields
+ * keep their item-by-item merge, so only plain fields take that side.
+ */
+export function sideChoices(conflicts, side) {
+  return Object.fromEntries(
+    conflicts
+      .filter(({ field }) => !ITEM_MERGE_FIELDS.includes(field))
+      .map(({ field }) => [field, side])
+  )
+}
+
+// Fields of `record` that differ from `reference`
+export function diffRecord(reference, record) {
+  const changes = {}
+  Object.entries(record).forEach(([field, value]) => {
+    if (IGNORED_FIELDS.includes(field)) return
+    if (!isEqual(reference?.[field], value)) changes[field] = value
+  })
+  return changes
+}
@@ -0,0 +1,301 @@
+/**
+ * Storage Adapters
+ * Pluggable offline storage backends used by DatabaseService.
+ * Every adapter stores database rows per table and exposes the same
+ * async interface:
+ *
+ *   getAll(table)            -> rows[]
+ *   get(table, id)           -> row | null
+ *   query(table, filters)    -> rows[] matching every filter
+ *   put(table, row)          -> insert or replace a single row
+ *   putMany(table, rows)     -> insert or replace several rows
+ *   putAll(table, rows)      -> replace the whole table
+ *   remove(table, id)        -> delete a single row
+ *   clear(table)             -> delete every row
+ */
+
+// Tables kept in offline storage, with their legacy localStorage keys
+export const STORAGE_TABLES = {
+  tasks: 'todoTasks',
+  categories: 'todoCategories',
+  projects: 'todoProjects',
+  project_activity_logs: 'todoProjectActivityLogs',
+  activity_log_categories: 'todoActivityLogCategories',
+  events: 'todoEvents',
+  checklist_templates: 'todoChecklistTemplates',
+  contacts: 'todoContacts',
+  comments: 'todoComments',
+  notifications: 'todoNotificationItems',
+  workspaces: 'todoWorkspaces',
+  workspace_members: 'todoWorkspaceMembers',
+  user_settings: 'todoSettings',
+  // Last synced server version of each record, used as the merge base
+  sync_snapshots: 'todoSyncSnapshots'
+}
+
+// IndexedDB indexes per object store. IndexedDB cannot index booleans,
+// so archived projects are indexed through archived_at instead.
+const STORE_INDEXES = {
+  tasks: ['status', 'due_date'],
+  projects: ['status', 'archived_at'],
+  project_activity_logs: ['project_id'],
+  events: ['start_date'],
+  comments: ['entity_id']
+}
+
+const DB_NAME = 'ngog-todo-tracker'
+const DB_VERSION = 7
+const MIGRATION_FLAG = 'todoStorageMigrated'
+
+const matchesFilters = (row, filters) => {
+  return Object.entries(filters).every(([key, value]) => {
+    return value === undefined || value === null || row[key] === value
+  })
+}
+
+/**
+ * localStorage backend
+ * Keeps each table as one JSON array. Used when IndexedDB is unavailable.
+ */
+export class LocalStorageAdapter {
+  constructor() {
+    this.name = 'localStorage'
+  }
+
+  getStorageKey(table) {
+    return STORAGE_TABLES[table] || `todo${table}`
+  }
+
+  async getAll(table) {
+    try {
+      const data = localStorage.getItem(this.getStorageKey(table))
+      return data ? JSON.parse(data) : []
+    } catch (error) {
+      console.error(`Error reading ${table} from localStorage:`, error)
+      return []
+    }
+  }
+
+  async get(table, id) {
+    const rows = await this.getAll(table)
+    return rows.find(row => row.id === id) || null
+  }
+
+  async query(table, filters = {}) {
+    const rows = await this.getAll(table)
+    return rows.filter(row => matchesFilters(row, filters))
+  }
+
+  async put(table, row) {
+    const rows = await this.getAll(table)
+    const index = rows.findIndex(existing => existing.id === row.id)
+
+    if (index !== -1) {
+      rows[index] = row
+    } else {
+      rows.push(row)
+    }
+    await this.putAll(table, rows)
+  }
+
+  async putMany(table, rows) {
+    const incoming = new Map(rows.map(row => [row.id, row]))
+    const existing = await this.getAll(table)
+    const merged = existing.map(row => incoming.get(row.id) || row)
+    const existingIds = new Set(existing.map(row => row.id))
+
+    rows.forEach(row => {
+      if (!existingIds.has(row.id)) merged.push(row)
+    })
+    await this.putAll(table, merged)
+  }
+
+  async putAll(table, rows) {
+    localStorage.setItem(this.getStorageKey(table), JSON.stringify(rows))
+  }
+
+  async remove(table, id) {
+    const rows = await this.getAll(table)
+    await this.putAll(table, rows.filter(row => row.id !== id))
+  }
+
+  async clear(table) {
+    localStorage.removeItem(this.getStorageKey(table))
+  }
+}
+
+/**
+ * IndexedDB backend
+ * One object store per table, so single-row changes only write that row.
+ */
+export class IndexedDBAdapter {
+  // toRow(table, row) converts legacy localStorage rows to database rows
+  constructor({ toRow = (table, row) => row } = {}) {
+    this.name = 'indexedDB'
+    this.dbPromise = null
+    this.toRow = toRow
+  }
+
+  static isSupported() {
+    return typeof indexedDB !== 'undefined'
+  }
+
+  open() {
+    if (this.dbPromise) return this.dbPromise
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+      request.onupgradeneeded = () => {
+        const database = request.result
+        Object.keys(STORAGE_TABLES).forEach(table => {
+          const store = database.objectStoreNames.contains(table)
+            ? request.transaction.objectStore(table)
+            : database.createObjectStore(table, { keyPath: 'id' })
+
+          // Stores from older versions may lack indexes added since
+          ;(STORE_INDEXES[table] || []).forEach(field => {
+            if (!store.indexNames.contains(field)) {
+              store.createIndex(field, field, { unique: false })
+            }
+          })
+        })
+      }
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+      .then(database => this.migrateFromLocalStorage(database))
+      .catch(error => {
+        // Let the next call try again instead of failing until a reload
+        this.dbPromise = null
+        throw error
+      })
+
+    return this.dbPromise
+  }
+
+  // Run a single request against a store and resolve with its result
+  async request(table, mode, operation) {
+    const database = await this.open()
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(table, mode)
+      const result = operation(transaction.objectStore(table))
+      transaction.oncomplete = () => resolve(result?.result)
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error)
+    })
+  }
+
+  async getAll(table) {
+    try {
+      return (await this.request(table, 'readonly', store => store.getAll())) || []
+    } catch (error) {
+      console.error(`Error reading ${table} from IndexedDB:`, error)
+      return []
+    }
+  }
+
+  async get(table, id) {
+    return (await this.request(table, 'readonly', store => store.get(id))) || null
+  }
+
+  async query(table, filters = {}) {
+    const indexes = STORE_INDEXES[table] || []
+    const indexed = Object.entries(filters).find(([key, value]) => {
+      return indexes.includes(key) && (typeof value === 'string' || typeof value === 'number')
+    })
+
+    if (!indexed) {
+      const rows = await this.getAll(table)
+      return rows.filter(row => matchesFilters(row, filters))
+    }
+
+    const [indexName, value] = indexed
+    const rows = await this.request(table, 'readonly', store => {
+      return store.index(indexName).getAll(value)
+    })
+    return (rows || []).filter(row => matchesFilters(row, filters))
+  }
+
+  async put(table, row) {
+    await this.request(table, 'readwrite', store => store.put(row))
+  }
+
+  async putMany(table, rows) {
+    await this.request(table, 'readwrite', store => {
+      rows.filter(row => row && row.id).forEach(row => store.put(row))
+    })
+  }
+
+  async putAll(table, rows) {
+    await this.request(table, 'readwrite', store => {
+      store.clear()
+      rows.filter(row => row && row.id).forEach(row => store.put(row))
+    })
+  }
+
+  async remove(table, id) {
+    await this.request(table, 'readwrite', store => store.delete(id))
+  }
+
+  async clear(table) {
+    await this.request(table, 'readwrite', store => store.clear())
+  }
+
+  /**
+   * One-time migration of the legacy localStorage tables.
+   * The old keys are removed afterwards to free the localStorage quota.
+   */
+  migrateFromLocalStorage(database) {
+    if (localStorage.getItem(MIGRATION_FLAG) === 'true') {
+      return database
+    }
+
+    const tables = Object.entries(STORAGE_TABLES)
+      .map(([table, key]) => {
+        try {
+          const data = localStorage.getItem(key)
+          return { table, key, rows: data ? JSON.parse(data) : [] }
+        } catch (error) {
+          console.error(`Error reading legacy ${table} data:`, error)
+          return { table, key, rows: [] }
+        }
+      })
+      .filter(({ rows }) => Array.isArray(rows) && rows.length > 0)
+
+    if (tables.length === 0) {
+      localStorage.setItem(MIGRATION_FLAG, 'true')
+      return database
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(tables.map(({ table }) => table), 'readwrite')
+
+      tables.forEach(({ table, rows }) => {
+        const store = transaction.objectStore(table)
+        rows.filter(row => row && row.id).forEach(row => store.put(this.toRow(table, row)))
+      })
+
+      transaction.oncomplete = () => {
+        tables.forEach(({ key }) => localStorage.removeItem(key))
+        localStorage.setItem(MIGRATION_FLAG, 'true')
+        console.log('Migrated offline data to IndexedDB:', tables.map(({ table, rows }) => `${table} (${rows.length})`))
+        resolve(database)
+      }
+      transaction.onerror = () => reject(transaction.error)
+      // A full quota aborts the transaction without an error event
+      transaction.onabort = () => reject(transaction.error)
+    })
+  }
+}
+
+/**
+ * Pick the best available storage backend
+ */
+export function createStorageAdapter(options) {
+  if (IndexedDBAdapter.isSupported()) {
+    return new IndexedDBAdapter(options)
+  }
+  return new LocalStorageAdapter()
+}
@@ -1,16 +1,39 @@
 import { db } from './database'
 import { supabase } from '../lib/supabase'
+import { mergeRecords, applyFieldChoices, sideChoices, diffRecord } from './merge'
 
 /**
  * Sync Service
  * Handles offline queue and synchronization between local and remote data
  */
+// Retry backoff for queued operations (doubles per attempt)
+const BASE_RETRY_DELAY = 5000
+const MAX_RETRY_DELAY = 5 * 60 * 1000
+const DEFAULT_MAX_RETRIES = 3
+// Postgres error code for a duplicate key, e.g. a notification's reminder_key
+const UNIQUE_VIOLATION = '23505'
+
+// Tombstones are purged after 90 days (see purge_deleted_records), so older
+// cursors could miss deletions and fall back to a full pull
+const TOMBSTONE_RETENTION = 90 * 24 * 60 * 60 * 1000
+// updated_at is taken when a transaction starts, so rows can commit after
+// newer ones were pulled; each incremental pull reaches back this far
+const CURSOR_OVERLAP = 5 * 60 * 1000
+
 class SyncService {
   constructor() {
     this.offlineQueue = this.loadOfflineQueue()
+    this.deadLetterQueue = this.loadDeadLetterQueue()
+    this.syncCursors = this.loadSyncCursors()
+    this.inFlightOperation = null
+    // queueIds of outbox conflicts the user is being asked about
+    this.openConflicts = new Set()
     this.isOnline = navigator.onLine
     this.syncInProgress = false
     this.setupConnectionListeners()
+    
+    // Receive every write the database layer could not send to Supabase
+    db.setOutbox(this)
   }
 
   setupConnectionListeners() {
@@ -25,13 +48,54 @@ class SyncService {
   }
 
   /**
-   * Queue an operation when offline
+   * Queue an operation for later sync.
+   * Operations on the same record are coalesced, so a record has at most
+   * one pending operation: create+update -> create, update+update -> update,
+   * update+delete -> delete and create+delete -> nothing.
+   * Returns the queued (or merged) item, or null if nothing is left to sync.
    */
   queueOperation(operation) {
+    const normalized = {
+      ...operation,
+      ...(operation.data && { data: db.fromDatabase(operation.table, operation.data) }),
+      ...(operation.updates && { updates: db.fromDatabase(operation.table, operation.updates) })
+    }
+
+    const pendingIndex = this.findPendingIndex(normalized.table, normalized.id)
+    if (pendingIndex !== -1) {
+      const pending = this.offlineQueue[pendingIndex]
+
+      if (normalized.type === 'update' && pending.type === 'create') {
+        pending.data = { ...pending.data, ...normalized.updates }
+        this.saveOfflineQueue()
+        return pending
+      }
+
+      if (normalized.type === 'update' && pending.type === 'update') {
+        pending.updates = { ...pending.updates, ...normalized.updates }
+        this.saveOfflineQueue()
+        return pending
+      }
+
+      if (normalized.type === 'delete') {
+        this.offlineQueue.splice(pendingIndex, 1)
+
+        // The record never reached the server, so there is nothing to delete
+        if (pending.type === 'create') {
+          this.saveOfflineQueue()
+          console.log('Dropped queued create for deleted record:', pending)
+          return null
+        }
+      }
+    }
+
     const queueItem = {
-      id: crypto.randomUUID(),
+      queueId: crypto.randomUUID(),
       timestamp: new Date().toISOString(),
-      ...operation
+      attempts: 0,
+      nextAttemptAt: null,
+      lastError: null,
+      ...normalized
     }
     
     this.offlineQueue.push(queueItem)
@@ -41,41 +105,99 @@ class SyncService {
     return queueItem
   }
 
+  // Find the pending operation for a record, ignoring the one being sent
+  findPendingIndex(table, id) {
+    if (!id) return -1
+    return this.offlineQueue.findIndex(op =>
+      op.table === table &&
+      op.id === id &&
+      op.queueId !== this.inFlightOperation
+    )
+  }
+
+  hasPendingOperations(table, id) {
+    return this.offlineQueue.some(op => op.table === table && op.id === id)
+  }
+
+  getPendingIds(table) {
+    return this.offlineQueue
+      .filter(op => op.table === table && op.id)
+      .map(op => op.id)
+  }
+
   /**
-   * Process all pending operations when back online
+   * Process pending operations in order.
+   * Operations wait while an earlier operation on the same record (or a
+   * record they reference) is still pending, and failures are retried with
+   * exponential backoff until maxRetries moves them to the dead-letter list.
    */
   async processPendingOperations() {
     if (!this.isOnline || this.syncInProgress || this.offlineQueue.length === 0) {
       return
     }
 
+    const isAuth = await db.isAuthenticated()
+    if (!isAuth) return
+
     this.syncInProgress = true
     console.log(`Processing ${this.offlineQueue.length} pending operations...`)
 
     const processedOperations = []
     const failedOperations = []
+    const deadLetteredOperations = []
+    const conflicts = []
+    const blockedIds = new Set(this.deadLetterQueue.map(op => op.id).filter(Boolean))
+    const now = Date.now()
+
+    for (const operation of [...this.offlineQueue]) {
+      // Skip operations removed by coalescing while we were busy
+      if (!this.offlineQueue.includes(operation)) continue
+
+      const isWaiting = operation.nextAttemptAt && new Date(operation.nextAttemptAt).getTime() > now
+      if (isWaiting || this.isBlocked(operation, blockedIds)) {
+        if (operation.id) blockedIds.add(operation.id)
+        continue
+      }
 
-    for (const operation of this.offlineQueue) {
+      this.inFlightOperation = operation.queueId
       try {
         await this.executeOperation(operation)
+        this.offlineQueue = this.offlineQueue.filter(op => op !== operation)
         processedOperations.push(operation)
       } catch (error) {
         console.error('Failed to process operation:', operation, error)
-        failedOperations.push(operation)
+        if (operation.id) blockedIds.add(operation.id)
+
+        // Conflicts the user has not resolved yet are not failures
+        if (error.deferred) {
+          failedOperations.push(operation)
+          if (error.conflict) conflicts.push(error.conflict)
+        } else if (this.recordFailure(operation, error)) {
+          deadLetteredOperations.push(operation)
+        } else {
+          failedOperations.push(operation)
+        }
+      } finally {
+        this.inFlightOperation = null
+        this.saveOfflineQueue()
       }
     }
 
-    // Remove successfully processed operations
-    this.offlineQueue = failedOperations
-    this.saveOfflineQueue()
-
-    console.log(`Processed ${processedOperations.length} operations, ${failedOperations.length} failed`)
+    console.log(
+      `Processed ${processedOperations.length} operations, ${failedOperations.length} failed, ` +
+      `${deadLetteredOperations.length} moved to dead-letter list`
+    )
     this.syncInProgress = false
 
     // Trigger a full sync if there were any operations
     if (processedOperations.length > 0) {
       this.triggerDataRefresh()
     }
+
+    // Asked outside the loop, so an open or unanswered dialog never stalls the queue
+    if (conflicts.length > 0) {
+      this.resolveQueuedConflicts(conflicts)
+    }
     
     // Update last sync time
     localStorage.setItem('lastSyncTime', new Date().toISOString())
@@ -83,7 +205,51 @@ class SyncService {
     return {
       processed: processedOperations.length,
       failed: failedOperations.length,
-      total: processedOperations.length + failedOperations.length
+      deadLettered: deadLetteredOperations.length,
+      total: processedOperations.length + failedOperations.length + deadLetteredOperations.length
+    }
+  }
+
+  // Check whether an operation targets or references a record that is still pending
+  isBlocked(operation, blockedIds) {
+    if (operation.id && blockedIds.has(operation.id)) return true
+
+    const payload = operation.data || operation.updates || {}
+    const references = db.getSchema(operation.table)?.references || {}
+    return Object.keys(references).some(field => {
+      const value = payload[field]
+      return Array.isArray(value)
+        ? value.some(id => blockedIds.has(id))
+        : blockedIds.has(value)
+    })
+  }
+
+  /**
+   * Record a failed attempt. Returns true if the operation was moved to
+   * the dead-letter list because it ran out of retries.
+   */
+  recordFailure(operation, error) {
+    operation.attempts = (operation.attempts || 0) + 1
+    operation.lastError = error?.message || String(error)
+
+    if (operation.attempts > this.getMaxRetries()) {
+      this.offlineQueue = this.offlineQueue.filter(op => op !== operation)
+      this.deadLetterQueue.push({ ...operation, failedAt: new Date().toISOString() })
+      this.saveDeadLetterQueue()
+      return true
+    }
+
+    const delay = Math.min(BASE_RETRY_DELAY * 2 ** (operation.attempts - 1), MAX_RETRY_DELAY)
+    operation.nextAttemptAt = new Date(Date.now() + delay).toISOString()
+    return false
+  }
+
+  getMaxRetries() {
+    try {
+      const settings = JSON.parse(localStorage.getItem('syncSettings') || '{}')
+      return Number.isInteger(settings.maxRetries) ? settings.maxRetries : DEFAULT_MAX_RETRIES
+    } catch {
+      return DEFAULT_MAX_RETRIES
     }
   }
 
@@ -94,53 +260,207 @@ class SyncService {
     const { type, table, data, id, updates } = operation
 
     switch (type) {
-      case 'create':
-        return await db.create(table, data)
+      case 'create': {
+        // Let Supabase assign the id and remember the local one
+        const { id: localId, ...fields } = data
+        let created
+        try {
+          created = await db.createRemote(table, localId ? { ...fields, localId } : fields)
+        } catch (error) {
+          // Another tab or device already sent this reminder; drop the local
+          // copy and its queued changes, the refresh loads the server's row
+          if (table === 'notifications' && error.code === UNIQUE_VIOLATION && fields.reminderKey) {
+            this.offlineQueue = this.offlineQueue.filter(op => op === operation || op.table !== table || op.id !== localId)
+            await db.deleteFromStorage(table, localId)
+            return null
+          }
+          throw error
+        }
+        if (localId && created.id !== localId) {
+          await this.remapId(table, localId, created.id)
+        }
+        return created
+      }
       case 'update':
-        return await db.update(table, id, updates)
+        return await this.executeUpdate(table, id, updates, operation)
       case 'delete':
-        return await db.delete(table, id)
+        return await db.deleteRemote(table, id)
       default:
         throw new Error(`Unknown operation type: ${type}`)
     }
   }
 
+  /**
+   * Replay a queued update with a three-way merge.
+   * If the server row changed since the snapshot the edit was made against,
+   * fields changed on only one side are merged and the user picks between
+   * versions only for fields both sides changed. Until the operation holds
+   * the user's resolution, it is deferred with the conflict attached.
+   */
+  async executeUpdate(table, id, updates, operation = {}) {
+    const base = await db.getSnapshot(table, id)
+    const [remote] = base ? await db.fetchRemote(table, { id }) : []
+
+    // Nobody else touched the record, so the update applies as-is
+    if (!base || !remote || remote.updated_at === base.updated_at) {
+      return await db.updateRemote(table, id, updates)
+    }
+
+    const baseRow = this.normalizeRow(table, base)
+    const local = { ...baseRow, ...this.normalizeRow(table, updates) }
+    const remoteRow = this.normalizeRow(table, remote)
+    const { merged, conflicts: fields } = mergeRecords(baseRow, local, remoteRow)
+
+    let result = merged
+    if (fields.length > 0) {
+      const conflict = { id, table, local, remote: remoteRow, base: baseRow, merged, fields }
+      if (!operation.resolution) {
+        const error = new Error('Waiting for the sync conflict to be resolved')
+        error.deferred = true
+        error.conflict = { ...conflict, queueId: operation.queueId }
+        throw error
+      }
+      result = this.applyResolution(conflict, operation.resolution)
+    }
+
+    const changes = diffRecord(remoteRow, result)
+    if (Object.keys(changes).length === 0) {
+      await db.saveToStorage(table, remote)
+      await db.saveSnapshots(table, [remote])
+      return db.fromDatabase(table, remote)
+    }
+    return await db.updateRemote(table, id, changes)
+  }
+
+  /**
+   * Ask the user about conflicts found while replaying the queue, store the
+   * answers on their operations and replay them. Conflicts already on screen
+   * are not asked again; cancelled ones come back with the next sync.
+   */
+  async resolveQueuedConflicts(conflicts) {
+    const fresh = conflicts.filter(conflict => !this.openConflicts.has(conflict.queueId))
+    if (fresh.length === 0) return
+
+    fresh.forEach(conflict => this.openConflicts.add(conflict.queueId))
+    try {
+      const resolutions = await this.showConflictResolution(fresh)
+      let resolved = false
+      fresh.forEach(conflict => {
+        const operation = this.offlineQueue.find(op => op.queueId === conflict.queueId)
+        if (operation && resolutions[conflict.id]) {
+          operation.resolution = resolutions[conflict.id]
+          resolved = true
+        }
+      })
+
+      if (resolved) {
+        this.saveOfflineQueue()
+        await this.processPendingOperations()
+      }
+    } finally {
+      fresh.forEach(conflict => this.openConflicts.delete(conflict.queueId))
+    }
+  }
+
+  /**
+   * Point queued operations and stored rows at the server id of a record
+   * that was created offline
+   */
+  async remapId(table, localId, serverId) {
+    const remapValue = (value) => {
+      if (Array.isArray(value)) return value.map(v => (v === localId ? serverId : v))
+      return value === localId ? serverId : value
+    }
+
+    const remapOperation = (op) => {
+      if (op.table === table && op.id === localId) {
+        op.id = serverId
+      }
+
+      const references = db.getSchema(op.table)?.references || {}
+      Object.entries(references)
+        .filter(([, target]) => target === table)
+        .forEach(([field]) => {
+          if (op.data && field in op.data) op.data[field] = remapValue(op.data[field])
+          if (op.updates && field in op.updates) op.updates[field] = remapValue(op.updates[field])
+        })
+    }
+
+    this.offlineQueue.forEach(remapOperation)
+    this.deadLetterQueue.forEach(remapOperation)
+    this.saveOfflineQueue()
+    this.saveDeadLetterQueue()
+
+    await db.remapLocalId(table, localId, serverId)
+    console.log(`Remapped ${table} id ${localId} -> ${serverId}`)
+  }
+
   /**
    * Conflict Resolution
+   * Local rows are merged with the server rows against their last synced
+   * snapshot. Rows with queued writes are left to the outbox, which merges
+   * them when it replays the write.
    */
-  async resolveConflicts(localData, remoteData) {
-    // Enhanced conflict resolution with user interaction
-    
+  async resolveConflicts(localData, remoteData, table) {
     const conflicts = []
     const resolved = []
+    const changed = [] // merged rows holding local changes the server lacks
 
-    localData.forEach(localItem => {
+    for (const localItem of localData) {
       const remoteItem = remoteData.find(r => r.id === localItem.id)
-      
-      if (remoteItem) {
-        const localTime = new Date(localItem.updated_at)
-        const remoteTime = new Date(remoteItem.updated_at)
-        
-        if (localTime > remoteTime) {
-          // Local is newer, keep local
+
+      if (this.isPending(table, localItem.id)) {
+        // Still waiting in the outbox
+        resolved.push(localItem)
+        continue
+      }
+
+      if (!remoteItem) {
+        // Rows that were synced before but are gone now were deleted remotely
+        if (await db.getSnapshot(table, localItem.id)) {
+          await db.removeSnapshot(table, localItem.id)
+        } else {
           resolved.push(localItem)
-        } else if (remoteTime > localTime) {
-          // Remote is newer, keep remote
-          resolved.push(remoteItem)
+        }
+        continue
+      }
+
+      const local = this.normalizeRow(table, localItem)
+      const remote = this.normalizeRow(table, remoteItem)
+
+      if (Object.keys(diffRecord(remote, local)).length === 0) {
+        resolved.push(remoteItem)
+        continue
+      }
+
+      const base = await db.getSnapshot(table, localItem.id)
+      if (base) {
+        const baseRow = this.normalizeRow(table, base)
+        const { merged, conflicts: fields } = mergeRecords(baseRow, local, remote)
+
+        if (fields.length > 0) {
+          conflicts.push({ id: localItem.id, table, local, remote, base: baseRow, merged, fields })
         } else {
-          // Same timestamp or significant differences, mark as conflict
-          conflicts.push({ 
-            id: localItem.id,
-            table: 'unknown', // Will be set by caller
-            local: localItem, 
-            remote: remoteItem 
-          })
+          resolved.push(merged)
+          changed.push({ remote: remoteItem, merged })
         }
-      } else {
-        // Only exists locally
+        continue
+      }
+
+      // No snapshot yet (data from before snapshots existed): newer side wins
+      const localTime = new Date(localItem.updated_at)
+      const remoteTime = new Date(remoteItem.updated_at)
+
+      if (localTime > remoteTime) {
         resolved.push(localItem)
+        changed.push({ remote: remoteItem, merged: local })
+      } else if (remoteTime > localTime) {
+        resolved.push(remoteItem)
+      } else {
+        const { merged, conflicts: fields } = mergeRecords(null, local, remote)
+        conflicts.push({ id: localItem.id, table, local, remote, base: null, merged, fields })
       }
-    })
+    }
 
     // Add remote items that don't exist locally
     remoteData.forEach(remoteItem => {
@@ -149,7 +469,30 @@ class SyncService {
       }
     })
 
-    return { resolved, conflicts }
+    return { resolved, conflicts, changed }
+  }
+
+  /**
+   * Apply a resolution from the conflict UI: 'local' or 'remote' for every
+   * plain conflicting field (item fields stay merged), or an object of
+   * per-field choices
+   */
+  applyResolution(conflict, resolution) {
+    const choices = typeof resolution === 'string'
+      ? sideChoices(conflict.fields, resolution)
+      : resolution
+    return applyFieldChoices(conflict.merged, conflict.fields, choices)
+  }
+
+  // Compare rows the way the app sees them (e.g. date-only due dates)
+  normalizeRow(table, row) {
+    return db.toDatabase(table, db.fromDatabase(table, row))
+  }
+
+  // Records with queued or dead-lettered writes
+  isPending(table, id) {
+    return this.hasPendingOperations(table, id) ||
+      this.deadLetterQueue.some(op => op.table === table && op.id === id)
   }
 
   /**
@@ -165,7 +508,8 @@ class SyncService {
   }
 
   /**
-   * Full bidirectional sync
+   * Full bidirectional sync.
+   * Tables with a sync cursor only pull rows changed since the last sync.
    */
   async performFullSync() {
     const isAuth = await db.isAuthenticated()
@@ -174,11 +518,14 @@ class SyncService {
     try {
       console.log('Starting full sync...')
       
-      const tables = ['categories', 'tasks', 'projects', 'activity_log_categories', 'events']
+      const tables = ['categories', 'tasks', 'projects', 'project_activity_logs', 'activity_log_categories', 'events', 'checklist_templates', 'contacts', 'comments', 'notifications']
       
       for (const table of tables) {
         await this.syncTable(table)
       }
+
+      // Push changes merged during the sync
+      await this.processPendingOperations()
       
       console.log('Full sync completed')
       return true
@@ -193,44 +540,154 @@ class SyncService {
    */
   async syncTable(table) {
     try {
-      // Get local data
-      const localData = db.getFromLocalStorage(table)
+      const cursor = this.getSyncCursor(table)
+      const localData = await db.getFromStorage(table)
       
-      // Get remote data
-      const remoteData = await db.read(table)
+      // Get remote data as stored, so it can be compared with offline rows.
+      // With a cursor only changed rows and tombstones are pulled.
+      let remoteData
+      let deletions = []
+      if (cursor) {
+        [remoteData, deletions] = await Promise.all([
+          db.fetchRemoteChanges(table, this.withOverlap(cursor.updatedAt)),
+          db.fetchDeletions(table, this.withOverlap(cursor.deletedAt))
+        ])
+      } else {
+        remoteData = await db.fetchRemote(table)
+      }
+
+      const remoteIds = new Set(remoteData.map(row => row.id))
+      const localRows = cursor ? localData.filter(row => remoteIds.has(row.id)) : localData
       
-      // Resolve conflicts
-      const { resolved, conflicts } = await this.resolveConflicts(localData, remoteData)
+      // Merge local and remote changes
+      const { resolved, conflicts, changed } = await this.resolveConflicts(localRows, remoteData, table)
       
       // If there are conflicts, show resolution UI
       if (conflicts.length > 0) {
         console.log(`Found ${conflicts.length} conflicts in ${table}`)
-        const resolutions = await this.showConflictResolution(
-          conflicts.map(c => ({ ...c, table }))
-        )
+        const resolutions = await this.showConflictResolution(conflicts)
         
-        // Apply user resolutions
-        Object.entries(resolutions).forEach(([conflictId, resolution]) => {
-          const conflict = conflicts.find(c => c.id === conflictId)
-          if (conflict) {
-            if (resolution === 'local') {
-              resolved.push(conflict.local)
-            } else if (resolution === 'remote') {
-              resolved.push(conflict.remote)
-            }
+        // Apply user resolutions; unresolved records keep their local version
+        conflicts.forEach(conflict => {
+          const resolution = resolutions[conflict.id]
+          if (!resolution) {
+            resolved.push(localData.find(l => l.id === conflict.id))
+            return
           }
+
+          const merged = this.applyResolution(conflict, resolution)
+          resolved.push(merged)
+          changed.push({ remote: remoteData.find(r => r.id === conflict.id), merged })
         })
       }
       
-      // Update localStorage with resolved data
-      db.cacheToLocalStorage(table, resolved)
+      // Update offline storage with resolved data
+      if (cursor) {
+        await db.upsertToStorage(table, resolved)
+
+        for (const { record_id: id } of deletions) {
+          if (this.isPending(table, id)) continue
+          await db.deleteFromStorage(table, id)
+          await db.removeSnapshot(table, id)
+        }
+      } else {
+        await db.cacheToStorage(table, resolved)
+      }
+      await db.saveSnapshots(table, remoteData.filter(row => !this.isPending(table, row.id)))
+
+      // Send merged local changes back through the outbox. The server row
+      // becomes the new base, since the changes were merged against it.
+      for (const { remote, merged } of changed) {
+        const updates = diffRecord(this.normalizeRow(table, remote), merged)
+        if (Object.keys(updates).length === 0) continue
+
+        await db.saveSnapshots(table, [remote])
+        this.queueOperation({ type: 'update', table, id: remote.id, updates })
+      }
+
+      this.advanceSyncCursor(table, cursor, remoteData, deletions)
       
-      console.log(`Synced ${table}: ${resolved.length} items resolved`)
+      console.log(
+        `Synced ${table} (${cursor ? 'incremental' : 'full'}): ${remoteData.length} changed, ` +
+        `${deletions.length} deleted, ${changed.length} merged`
+      )
     } catch (error) {
       console.error(`Error syncing ${table}:`, error)
     }
   }
 
+  /**
+   * Sync cursors
+   * Per-table high-water marks: the newest updated_at and deleted_at values
+   * pulled from the server. Both are server timestamps, so device clocks
+   * never matter. Pulls are inclusive and overlap the previous one (see
+   * CURSOR_OVERLAP); re-pulling rows is harmless.
+   */
+  loadSyncCursors() {
+    try {
+      const cursors = localStorage.getItem('todoSyncCursors')
+      return cursors ? JSON.parse(cursors) : {}
+    } catch (error) {
+      console.error('Error loading sync cursors:', error)
+      return {}
+    }
+  }
+
+  saveSyncCursors() {
+    try {
+      localStorage.setItem('todoSyncCursors', JSON.stringify(this.syncCursors))
+    } catch (error) {
+      console.error('Error saving sync cursors:', error)
+    }
+  }
+
+  getSyncCursor(table) {
+    const cursor = this.syncCursors[table]
+    if (!cursor?.updatedAt) return null
+
+    const age = Date.now() - new Date(cursor.pulledAt).getTime()
+    return age > TOMBSTONE_RETENTION ? null : cursor
+  }
+
+  advanceSyncCursor(table, cursor, rows, deletions) {
+    const latest = (values, initial) => values.reduce((max, value) => {
+      return !max || new Date(value) > new Date(max) ? value : max
+    }, initial)
+
+    const updatedAt = latest(rows.map(row => row.updated_at).filter(Boolean), cursor?.updatedAt || null)
+    if (!updatedAt) return
+
+    // After a full pull, deletions before the newest row are already reflected
+    const deletedAt = latest(deletions.map(d => d.deleted_at), cursor?.deletedAt || updatedAt)
+
+    this.syncCursors[table] = { updatedAt, deletedAt, pulledAt: new Date().toISOString() }
+    this.saveSyncCursors()
+  }
+
+  // Force the next sync to pull every table in full
+  withOverlap(timestamp) {
+    return new Date(new Date(timestamp).getTime() - CURSOR_OVERLAP).toISOString()
+  }
+
+  /**
+   * Cursors cover every workspace at once, so rows of a newly joined
+   * workspace predate them. A change in memberships starts over with a
+   * full pull.
+   */
+  setWorkspaceMemberships(workspaceIds) {
+    const memberships = [...workspaceIds].sort().join(',')
+    const previous = localStorage.getItem('todoSyncMemberships')
+    if (previous === memberships) return
+
+    localStorage.setItem('todoSyncMemberships', memberships)
+    this.resetSyncCursors()
+  }
+
+  resetSyncCursors() {
+    this.syncCursors = {}
+    this.saveSyncCursors()
+  }
+
   /**
    * Trigger data refresh in contexts
    */
@@ -247,7 +704,10 @@ class SyncService {
   loadOfflineQueue() {
     try {
       const queue = localStorage.getItem('todoOfflineQueue')
-      return queue ? JSON.parse(queue) : []
+      // Operations queued by older versions have no queueId or retry state
+      return queue
+        ? JSON.parse(queue).map(op => (op.queueId ? op : { queueId: crypto.randomUUID(), attempts: 0, ...op }))
+        : []
     } catch (error) {
       console.error('Error loading offline queue:', error)
       return []
@@ -267,6 +727,49 @@ class SyncService {
     this.saveOfflineQueue()
   }
 
+  /**
+   * Dead-letter management
+   * Operations that ran out of retries wait here until retried or discarded
+   */
+  loadDeadLetterQueue() {
+    try {
+      const queue = localStorage.getItem('todoDeadLetterQueue')
+      return queue ? JSON.parse(queue) : []
+    } catch (error) {
+      console.error('Error loading dead-letter queue:', error)
+      return []
+    }
+  }
+
+  saveDeadLetterQueue() {
+    try {
+      localStorage.setItem('todoDeadLetterQueue', JSON.stringify(this.deadLetterQueue))
+    } catch (error) {
+      console.error('Error saving dead-letter queue:', error)
+    }
+  }
+
+  getDeadLetters() {
+    return this.deadLetterQueue
+  }
+
+  // Move a dead-lettered operation back to the front of the queue
+  retryDeadLetter(queueId) {
+    const operation = this.deadLetterQueue.find(op => op.queueId === queueId)
+    if (!operation) return
+
+    const { failedAt, ...rest } = operation
+    this.deadLetterQueue = this.deadLetterQueue.filter(op => op.queueId !== queueId)
+    this.offlineQueue.unshift({ ...rest, attempts: 0, nextAttemptAt: null })
+    this.saveDeadLetterQueue()
+    this.saveOfflineQueue()
+  }
+
+  discardDeadLetter(queueId) {
+    this.deadLetterQueue = this.deadLetterQueue.filter(op => op.queueId !== queueId)
+    this.saveDeadLetterQueue()
+  }
+
   /**
    * Get sync status
    */
@@ -274,6 +777,7 @@ class SyncService {
     return {
       isOnline: this.isOnline,
       queueLength: this.offlineQueue.length,
+      deadLetterCount: this.deadLetterQueue.length,
       syncInProgress: this.syncInProgress,
       lastSync: localStorage.getItem('lastSyncTime'),
       hasConflicts: this.offlineQueue.some(op => op.hasConflict),
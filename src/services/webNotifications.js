@@ -0,0 +1,123 @@
+/**
+ * Web Notification Service
+ * Shows reminders as desktop notifications through the notification service
+ * worker (public/notification-sw.js). The app decides when a reminder is due;
+ * browsers stop idle service workers, so timers kept there would be lost.
+ * Each notification is shown once per time it becomes due: showing again
+ * after a snooze is a new showing.
+ */
+
+const WORKER_URL = './notification-sw.js'
+const SHOWN_KEY = 'todoDesktopNotificationsShown'
+// Shown-markers are forgotten after this long
+const SHOWN_RETENTION_DAYS = 30
+
+class WebNotificationService {
+  constructor() {
+    this.registration = null
+  }
+
+  isSupported() {
+    return typeof window !== 'undefined' && 'Notification' in window && 'serviceWorker' in navigator
+  }
+
+  // 'default', 'granted', 'denied' or 'unsupported'
+  getPermission() {
+    return this.isSupported() ? Notification.permission : 'unsupported'
+  }
+
+  async register() {
+    if (!this.isSupported()) return null
+    if (!this.registration) {
+      this.registration = await navigator.serviceWorker.register(WORKER_URL)
+    }
+    return this.registration
+  }
+
+  async requestPermission() {
+    if (!this.isSupported()) return 'unsupported'
+    const permission = await Notification.requestPermission()
+    if (permission === 'granted') {
+      await this.register()
+    }
+    return permission
+  }
+
+  /**
+   * Calls handler with { action, data } for clicks on notifications, where
+   * action is 'open' or the id of the button. Returns an unsubscribe function.
+   */
+  listen(handler) {
+    if (!this.isSupported()) return () => {}
+
+    const onMessage = (event) => {
+      if (event.data?.type === 'notificationAction') {
+        handler(event.data)
+      }
+    }
+    navigator.serviceWorker.addEventListener('message', onMessage)
+
+    // Pick up clicks that opened this window
+    navigator.serviceWorker.ready
+      .then(registration => registration.active?.postMessage({ type: 'ready' }))
+      .catch(error => console.error('Notification service worker is not ready:', error))
+
+    return () => navigator.serviceWorker.removeEventListener('message', onMessage)
+  }
+
+  getShown() {
+    try {
+      return JSON.parse(localStorage.getItem(SHOWN_KEY) || '{}')
+    } catch (error) {
+      return {}
+    }
+  }
+
+  saveShown(shown) {
+    const cutoff = Date.now() - SHOWN_RETENTION_DAYS * 24 * 60 * 60 * 1000
+    const kept = Object.fromEntries(Object.entries(shown).filter(([, at]) => new Date(at).getTime() > cutoff))
+    localStorage.setItem(SHOWN_KEY, JSON.stringify(kept))
+  }
+
+  /**
+   * Show the given notifications that have not been shown yet.
+   * Items are { key, title, body, tag, data, actions }; the key identifies
+   * one showing, the tag replaces an older notification about the same thing.
+   */
+  async showPending(items) {
+    if (this.getPermission() !== 'granted' || items.length === 0) return
+
+    const shown = this.getShown()
+    const pending = items.filter(item => !shown[item.key])
+    if (pending.length === 0) return
+
+    // Marked first, so overlapping calls do not show anything twice
+    pending.forEach(item => {
+      shown[item.key] = new Date().toISOString()
+    })
+    this.saveShown(shown)
+
+    const registration = await this.register()
+    for (const item of pending) {
+      await registration.showNotification(item.title, {
+        body: item.body,
+        tag: item.tag,
+        data: item.data,
+        actions: item.actions || []
+      })
+    }
+  }
+
+  async showTest() {
+    if (this.getPermission() !== 'granted') {
+      throw new Error('Desktop notifications are not allowed in this browser')
+    }
+    const registration = await this.register()
+    await registration.showNotification('Desktop notifications are on', {
+      body: 'Reminders for tasks, talks and events will show up like this.',
+      tag: 'test'
+    })
+  }
+}
+
+export const webNotifications = new WebNotificationService()
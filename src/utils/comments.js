@@ -0,0 +1,41 @@
+/**
+ * Comment thread helpers.
+ * Comments are one level deep: replies point at a top-level comment through
+ * parentId. Members are mentioned as "@email" in the body; the mentioned user
+ * ids are stored with the comment so the database can notify them.
+ */
+
+import { stripHtml } from './richText';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Top-level comments, oldest first, each with its replies
+export const buildThreads = (comments = []) => {
+  const ids = new Set(comments.map(comment => comment.id));
+  return comments
+    .filter(comment => !comment.parentId || !ids.has(comment.parentId))
+    .map(comment => ({
+      ...comment,
+      replies: comments.filter(reply => reply.parentId === comment.id)
+    }));
+};
+
+// User ids of the members whose "@email" appears in a comment body
+export const findMentions = (body, members = []) => {
+  const text = stripHtml(body).toLowerCase();
+  return members
+    .filter(member => member.email && text.includes(`@${member.email.toLowerCase()}`))
+    .map(member => member.userId);
+};
+
+// Emphasize "@email" mentions of members in sanitized comment HTML
+export const highlightMentions = (html, members = []) => {
+  return members
+    .filter(member => member.email)
+    .reduce((result, member) => result.replace(
+      new RegExp(`@${escapeRegExp(member.email)}`, 'gi'),
+      match => `<span class="text-blue-600 font-medium">${match}</span>`
+    ), html);
+};
+
+export const isCommentEmpty = (body) => stripHtml(body) === '';
@@ -0,0 +1,61 @@
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Contact directory helpers.
+ * Project and event participants are { id, name, role, contactId? }; the
+ * contactId links a participant to the directory entry it was picked from.
+ */
+
+const normalize = (value) => (value || '').trim().toLowerCase();
+
+// Participants entered before the directory existed are matched by name
+export const isContactParticipant = (contact, participant) => {
+  if (participant.contactId) return participant.contactId === contact.id;
+  return !!participant.name && normalize(participant.name) === normalize(contact.name);
+};
+
+// Projects and events a contact takes part in, with the role they have there
+export const getContactAppearances = (contact, projects = [], events = []) => {
+  const withRole = (items, key) => items.flatMap(item => {
+    const participant = (item.participants || []).find(p => isContactParticipant(contact, p));
+    return participant ? [{ [key]: item, role: participant.role || '' }] : [];
+  });
+
+  return {
+    projects: withRole(projects, 'project'),
+    events: withRole(events, 'event')
+  };
+};
+
+// Participant entry for a contact picked from the directory
+export const participantFromContact = (contact, extra = {}) => ({
+  id: uuidv4(),
+  contactId: contact.id,
+  name: contact.name,
+  role: '',
+  ...extra
+});
+
+// Comma separated tag input to a clean, de-duplicated list
+export const parseTags = (value) => {
+  return [...new Set(value.split(',').map(tag => tag.trim()).filter(Boolean))];
+};
+
+export const matchesContactSearch = (contact, term) => {
+  const search = normalize(term);
+  if (!search) return true;
+  return [contact.name, contact.organization, contact.email, ...(contact.tags || [])]
+    .some(value => normalize(value).includes(search));
+};
+
+// Participant with the current name and contact details of its directory entry
+export const resolveParticipant = (participant, contact) => {
+  if (!contact) return participant;
+  return {
+    ...participant,
+    name: contact.name,
+    organization: contact.organization,
+    email: contact.email || participant.email,
+    phone: contact.phone || participant.phone
+  };
+};
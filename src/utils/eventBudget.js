@@ -0,0 +1,62 @@
+/**
+ * Event budget helpers.
+ * Expenses are { id, category, description, amount, currency, paid, paidAt,
+ * receipt, participantId }. Amounts in different currencies are never
+ * converted, so every total is a { [currency]: amount } map.
+ */
+
+export const EXPENSE_CATEGORIES = [
+  { id: 'registration', label: 'Registration fee' },
+  { id: 'booth', label: 'Booth' },
+  { id: 'hotel', label: 'Hotel' },
+  { id: 'travel', label: 'Travel' },
+  { id: 'meals', label: 'Meals' },
+  { id: 'other', label: 'Other' }
+];
+
+export const CURRENCIES = ['EUR', 'USD', 'GBP', 'CHF'];
+export const DEFAULT_CURRENCY = 'EUR';
+
+export const getExpenseCategoryLabel = (categoryId) =>
+  (EXPENSE_CATEGORIES.find(category => category.id === categoryId) || { label: categoryId }).label;
+
+// Sum of the matching expenses per currency
+export const sumByCurrency = (expenses = [], predicate = () => true) => {
+  return expenses.filter(predicate).reduce((totals, expense) => {
+    const currency = expense.currency || DEFAULT_CURRENCY;
+    totals[currency] = (totals[currency] || 0) + (Number(expense.amount) || 0);
+    return totals;
+  }, {});
+};
+
+export const getExpenseTotals = (expenses = []) => ({
+  total: sumByCurrency(expenses),
+  paid: sumByCurrency(expenses, expense => expense.paid),
+  unpaid: sumByCurrency(expenses, expense => !expense.paid)
+});
+
+// Add several { [currency]: amount } maps together
+export const mergeTotals = (...totalsList) => {
+  return totalsList.reduce((merged, totals) => {
+    Object.entries(totals).forEach(([currency, amount]) => {
+      merged[currency] = (merged[currency] || 0) + amount;
+    });
+    return merged;
+  }, {});
+};
+
+export const formatMoney = (amount, currency = DEFAULT_CURRENCY) => {
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+  } catch {
+    // Unknown currency codes
+    return `${Number(amount).toFixed(2)} ${currency}`;
+  }
+};
+
+// "€1,200.00 + $300.00", or a zero amount in the fallback currency
+export const formatTotals = (totals, fallbackCurrency = DEFAULT_CURRENCY) => {
+  const entries = Object.entries(totals).filter(([, amount]) => amount !== 0);
+  if (entries.length === 0) return formatMoney(0, fallbackCurrency);
+  return entries.map(([currency, amount]) => formatMoney(amount, currency)).join(' + ');
+};
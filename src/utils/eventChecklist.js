@@ -0,0 +1,40 @@
+import { addDays, parseISO, format } from 'date-fns';
+
+/**
+ * Event checklist helpers.
+ * Checklist items are { id, label, completed, dueOffset }, where dueOffset is
+ * the number of days relative to the event start date (negative = before)
+ * and null when the item has no due date.
+ */
+
+// Fresh, uncompleted event checklist from template items
+export const createChecklist = (items = []) => items.map(item => ({
+  id: item.id,
+  label: item.label,
+  dueOffset: item.dueOffset ?? null,
+  completed: false
+}));
+
+// Percentage of completed checklist items, 0 for an empty checklist
+export const getChecklistProgress = (checklist = []) => {
+  if (checklist.length === 0) return 0;
+  const completedItems = checklist.filter(item => item.completed).length;
+  return Math.round((completedItems / checklist.length) * 100);
+};
+
+// 'yyyy-MM-dd' due date of a checklist item, or null
+export const getChecklistItemDueDate = (event, item) => {
+  if (item.dueOffset === null || item.dueOffset === undefined || item.dueOffset === '' || !event.startDate) {
+    return null;
+  }
+  return format(addDays(parseISO(event.startDate), Number(item.dueOffset)), 'yyyy-MM-dd');
+};
+
+// "3 days before start", "on start day", "2 days after start"
+export const describeDueOffset = (dueOffset) => {
+  if (dueOffset === null || dueOffset === undefined || dueOffset === '') return 'No due date';
+  const days = Number(dueOffset);
+  if (days === 0) return 'On start day';
+  const count = Math.abs(days);
+  return `${count} day${count !== 1 ? 's' : ''} ${days < 0 ? 'before' : 'after'} start`;
+};
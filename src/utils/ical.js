@@ -0,0 +1,153 @@
+/**
+ * iCalendar (RFC 5545) Import and Export
+ * Export builds .ics files with the builder the calendar feed uses too
+ * (supabase/functions/_shared/icalendar.js), so both stay identical.
+ *
+ * Imported VEVENTs are reduced to the date-only fields events use.
+ */
+
+import { format, parseISO, addDays, subDays } from 'date-fns';
+
+export { buildCalendar } from '../../supabase/functions/_shared/icalendar.js';
+
+export function downloadCalendar(content, filename) {
+  const blob = new Blob([content], { type: 'text/calendar;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+// Continuation lines start with a space or tab
+const unfoldLines = (text) => text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (
+  char === 'n' || char === 'N' ? '\n' : char
+));
+
+// "DTSTART;TZID=Europe/Berlin:20250301T090000" -> { name, params, value }
+function parseProperty(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...params] = line.slice(0, colon).split(';');
+  return {
+    name: name.toUpperCase(),
+    params: Object.fromEntries(params.map(param => {
+      const [key, ...value] = param.split('=');
+      return [key.toUpperCase(), value.join('=').replace(/^"|"$/g, '')];
+    })),
+    value: line.slice(colon + 1)
+  };
+}
+
+/**
+ * Calendar date of a DATE or DATE-TIME value. UTC times are converted to the
+ * local date; floating and TZID times keep the organizer's wall-clock date,
+ * which is the conference day as announced.
+ */
+function parseDateValue(property) {
+  const match = property?.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (utc) {
+    const date = new Date(Date.UTC(+year, month - 1, +day, +hours, +minutes, +seconds));
+    return {
+      date: format(date, 'yyyy-MM-dd'),
+      allDay: false,
+      midnight: date.getHours() === 0 && date.getMinutes() === 0
+    };
+  }
+
+  return {
+    date: `${year}-${month}-${day}`,
+    allDay: !hours,
+    midnight: !hours || (hours === '00' && minutes === '00' && seconds === '00')
+  };
+}
+
+// Whole days covered by a DURATION such as P3D or P1W
+const durationDays = (value) => {
+  const match = (value || '').match(/^P(?:(\d+)W)?(?:(\d+)D)?/);
+  return match ? (parseInt(match[1] || 0, 10) * 7) + parseInt(match[2] || 0, 10) : 0;
+};
+
+function toImportedEvent(properties) {
+  const start = parseDateValue(properties.DTSTART);
+  if (!start) return null;
+
+  const end = parseDateValue(properties.DTEND);
+  let endDate = start.date;
+  if (end) {
+    // DTEND is exclusive: an all-day event ending on the 4th, or a timed one
+    // ending at midnight, last took place on the 3rd
+    endDate = end.midnight && end.date > start.date
+      ? format(subDays(parseISO(end.date), 1), 'yyyy-MM-dd')
+      : end.date;
+  } else if (properties.DURATION) {
+    const days = durationDays(properties.DURATION.value);
+    endDate = format(addDays(parseISO(start.date), Math.max(0, start.allDay ? days - 1 : days)), 'yyyy-MM-dd');
+  }
+
+  return {
+    uid: properties.UID ? properties.UID.value : null,
+    title: unescapeText(properties.SUMMARY?.value || '').trim() || 'Untitled event',
+    location: unescapeText(properties.LOCATION?.value || '').trim(),
+    description: unescapeText(properties.DESCRIPTION?.value || '').trim(),
+    startDate: start.date,
+    endDate: endDate < start.date ? start.date : endDate
+  };
+}
+
+/**
+ * Parse the VEVENTs of an .ics document into
+ * { uid, title, location, description, startDate, endDate } objects.
+ * Nested components such as VALARM are ignored.
+ */
+export function parseCalendar(text) {
+  const events = [];
+  let properties = null;
+  let nested = 0;
+
+  for (const line of unfoldLines(text)) {
+    if (!line.trim()) continue;
+    const property = parseProperty(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN') {
+      if (property.value.toUpperCase() === 'VEVENT' && !properties) {
+        properties = {};
+      } else if (properties) {
+        nested++;
+      }
+    } else if (property.name === 'END') {
+      if (nested > 0) {
+        nested--;
+      } else if (property.value.toUpperCase() === 'VEVENT' && properties) {
+        const event = toImportedEvent(properties);
+        if (event) events.push(event);
+        properties = null;
+      }
+    } else if (properties && nested === 0 && !properties[property.name]) {
+      properties[property.name] = property;
+    }
+  }
+
+  if (events.length === 0 && !/BEGIN:VCALENDAR/i.test(text)) {
+    throw new Error('This file is not an iCalendar (.ics) file');
+  }
+  return events;
+}
@@ -0,0 +1,55 @@
+import { parseISO, differenceInCalendarDays, format } from 'date-fns';
+import { getProjectTasks } from './projectTimeline';
+
+/**
+ * Project progress derived from linked tasks and the activity log.
+ * Progress is weighted by priority, so finishing an urgent task moves a
+ * project further than finishing a low priority one.
+ */
+
+export const PRIORITY_WEIGHTS = { urgent: 4, high: 3, medium: 2, low: 1 };
+
+// Days without an activity log entry after which an open project is stale
+export const STALE_AFTER_DAYS = 14;
+
+// Statuses where a quiet project is expected
+const QUIET_STATUSES = ['completed', 'on_hold'];
+
+const getWeight = (task) => PRIORITY_WEIGHTS[task.priority] || PRIORITY_WEIGHTS.medium;
+
+export function getProjectMetrics(project, tasks = [], now = new Date()) {
+  const linkedTasks = getProjectTasks(project, tasks);
+  const completedTasks = linkedTasks.filter(task => task.status === 'completed');
+  const today = format(now, 'yyyy-MM-dd');
+
+  const totalWeight = linkedTasks.reduce((sum, task) => sum + getWeight(task), 0);
+  const completedWeight = completedTasks.reduce((sum, task) => sum + getWeight(task), 0);
+
+  const lastActivityAt = project.lastActivityAt || project.createdAt || null;
+  const daysSinceActivity = lastActivityAt
+    ? differenceInCalendarDays(now, parseISO(lastActivityAt))
+    : null;
+
+  return {
+    totalTasks: linkedTasks.length,
+    completedTasks: completedTasks.length,
+    progress: totalWeight > 0 ? Math.round((completedWeight / totalWeight) * 100) : 0,
+    overdueTasks: linkedTasks.filter(task =>
+      task.status === 'open' && task.dueDate && task.dueDate.slice(0, 10) < today
+    ).length,
+    lastActivityAt,
+    daysSinceActivity,
+    stale: !project.archived &&
+      !QUIET_STATUSES.includes(project.status) &&
+      daysSinceActivity !== null &&
+      daysSinceActivity >= STALE_AFTER_DAYS
+  };
+}
+
+// "today", "yesterday", "5 days ago"
+export const describeDaysSince = (days) => {
+  if (days === null || days === undefined) return 'never';
+  if (days <= 0) return 'today';
+  if (days === 1) return 'yesterday';
+  return `${days} days ago`;
+};
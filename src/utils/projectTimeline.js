@@ -0,0 +1,76 @@
+import {
+  parseISO, format, differenceInCalendarDays, startOfMonth, endOfMonth,
+  addMonths, isAfter
+} from 'date-fns';
+
+/**
+ * Project schedule helpers for the timeline.
+ * Projects have optional startDate/targetDate ('yyyy-MM-dd') and
+ * milestones: [{ id, title, dueDate, completed, completedAt }].
+ */
+
+const toDay = (value) => value ? value.slice(0, 10) : null;
+
+// Tasks linked to a project, from either side of the link
+export const getProjectTasks = (project, tasks = []) => {
+  const linkedIds = project.linkedTasks || [];
+  return tasks.filter(task => task.linkedProject === project.id || linkedIds.includes(task.id));
+};
+
+// Milestones ordered by due date, undated ones last
+export const sortMilestones = (milestones = []) => {
+  return [...milestones].sort((a, b) => (a.dueDate || '9999-12-31').localeCompare(b.dueDate || '9999-12-31'));
+};
+
+export const isMilestoneOverdue = (milestone, today = format(new Date(), 'yyyy-MM-dd')) => {
+  return !milestone.completed && !!milestone.dueDate && milestone.dueDate < today;
+};
+
+/**
+ * First and last day a project occupies on the timeline. Without explicit
+ * dates the bar runs from creation to the latest milestone or task due date.
+ */
+export const getProjectSpan = (project, tasks = []) => {
+  const dates = [
+    ...(project.milestones || []).map(milestone => milestone.dueDate),
+    ...getProjectTasks(project, tasks).map(task => toDay(task.dueDate))
+  ].filter(Boolean).sort();
+
+  const start = project.startDate || toDay(project.createdAt) || dates[0] || null;
+  const end = project.targetDate || dates[dates.length - 1] || start;
+  if (!start) return null;
+  return end < start ? { start: end, end: start } : { start, end };
+};
+
+// Whole months covering every span, so the grid starts and ends on month boundaries
+export const getTimelineRange = (spans) => {
+  const days = spans.flatMap(span => [span.start, span.end]).filter(Boolean).sort();
+  const today = new Date();
+  const first = days.length > 0 ? parseISO(days[0]) : today;
+  const last = days.length > 0 ? parseISO(days[days.length - 1]) : today;
+
+  const start = startOfMonth(isAfter(first, today) ? today : first);
+  const end = endOfMonth(last < today ? today : last);
+  return { start, end, days: differenceInCalendarDays(end, start) + 1 };
+};
+
+// Month columns of a range: { label, offset, width } in percent
+export const getTimelineMonths = (range) => {
+  const months = [];
+  for (let month = range.start; month <= range.end; month = addMonths(month, 1)) {
+    const days = differenceInCalendarDays(endOfMonth(month), month) + 1;
+    months.push({
+      key: format(month, 'yyyy-MM'),
+      label: format(month, 'MMM yyyy'),
+      offset: (differenceInCalendarDays(month, range.start) / range.days) * 100,
+      width: (days / range.days) * 100
+    });
+  }
+  return months;
+};
+
+// Horizontal position of a day within the range, in percent
+export const getTimelinePosition = (range, date) => {
+  const day = typeof date === 'string' ? parseISO(date) : date;
+  return (differenceInCalendarDays(day, range.start) / range.days) * 100;
+};
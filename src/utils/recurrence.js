@@ -0,0 +1,116 @@
+/**
+ * Recurrence Helpers
+ * RRULE-style schedules for recurring tasks. A task's `recurrence` holds:
+ *   frequency  - 'daily' | 'weekly' | 'monthly' | 'yearly'
+ *   interval   - every N periods (default 1)
+ *   byWeekday  - weekly only: weekdays to repeat on (0 = Sunday ... 6 = Saturday)
+ *   startDate  - 'yyyy-MM-dd' the series is anchored to
+ *   endDate    - optional 'yyyy-MM-dd' after which no occurrences are created
+ *   count      - optional total number of occurrences
+ * Occurrences share a `seriesId` (the id of the first task) and are numbered
+ * by `occurrence`, starting at 1.
+ */
+
+import {
+  addDays, addWeeks, addMonths, addYears, parseISO, format,
+  differenceInCalendarWeeks, getDay, isAfter
+} from 'date-fns';
+
+export const FREQUENCIES = [
+  { value: 'daily', label: 'Daily', unit: 'day' },
+  { value: 'weekly', label: 'Weekly', unit: 'week' },
+  { value: 'monthly', label: 'Monthly', unit: 'month' },
+  { value: 'yearly', label: 'Yearly', unit: 'year' }
+];
+
+export const WEEKDAYS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 0, label: 'Sun' }
+];
+
+const STEPS = {
+  daily: addDays,
+  weekly: addWeeks,
+  monthly: addMonths,
+  yearly: addYears
+};
+
+// Guard against malformed schedules looping forever
+const MAX_ITERATIONS = 10000;
+
+const getInterval = (recurrence) => Math.max(1, parseInt(recurrence.interval, 10) || 1);
+
+/**
+ * Date of the first occurrence after `afterDate` ('yyyy-MM-dd'), or null.
+ * Dates are computed from the series start rather than the previous
+ * occurrence, so monthly series on the 31st do not drift.
+ */
+export function getNextOccurrence(recurrence, afterDate) {
+  if (!recurrence || !STEPS[recurrence.frequency] || !afterDate) return null;
+
+  const after = parseISO(afterDate);
+  const start = parseISO(recurrence.startDate || afterDate);
+  const interval = getInterval(recurrence);
+  const weekdays = recurrence.byWeekday || [];
+
+  if (recurrence.frequency === 'weekly' && weekdays.length > 0) {
+    for (let i = 1; i <= 7 * interval + 7; i++) {
+      const candidate = addDays(after, i);
+      const weeks = differenceInCalendarWeeks(candidate, start, { weekStartsOn: 1 });
+      if (weeks % interval === 0 && weekdays.includes(getDay(candidate))) {
+        return format(candidate, 'yyyy-MM-dd');
+      }
+    }
+    return null;
+  }
+
+  for (let n = 1; n < MAX_ITERATIONS; n++) {
+    const candidate = STEPS[recurrence.frequency](start, interval * n);
+    if (isAfter(candidate, after)) {
+      return format(candidate, 'yyyy-MM-dd');
+    }
+  }
+  return null;
+}
+
+// Whether occurrence number `occurrence` due on `date` is still part of the series
+export function isWithinSeries(recurrence, date, occurrence) {
+  if (!recurrence || !date) return false;
+  if (recurrence.endDate && date > recurrence.endDate) return false;
+  if (recurrence.count && occurrence > parseInt(recurrence.count, 10)) return false;
+  return true;
+}
+
+/**
+ * Human readable summary, e.g. "Every 2 weeks on Mon, Thu until Dec 31, 2025"
+ */
+export function describeRecurrence(recurrence) {
+  if (!recurrence || !STEPS[recurrence.frequency]) return '';
+
+  const frequency = FREQUENCIES.find(f => f.value === recurrence.frequency);
+  const interval = getInterval(recurrence);
+  let text = interval === 1 ? frequency.label : `Every ${interval} ${frequency.unit}s`;
+
+  const weekdays = recurrence.byWeekday || [];
+  if (recurrence.frequency === 'weekly' && weekdays.length > 0) {
+    const labels = WEEKDAYS.filter(day => weekdays.includes(day.value)).map(day => day.label);
+    text += ` on ${labels.join(', ')}`;
+  }
+
+  if (recurrence.endDate) {
+    text += ` until ${format(parseISO(recurrence.endDate), 'MMM d, yyyy')}`;
+  } else if (recurrence.count) {
+    text += `, ${recurrence.count} times`;
+  }
+  return text;
+}
+
+// Id shared by every occurrence of a task's series
+export function getSeriesId(task) {
+  return task.seriesId || task.id;
+}
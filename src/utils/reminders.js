@@ -0,0 +1,153 @@
+import { differenceInCalendarDays, format, parseISO, subDays, subHours, subMinutes } from 'date-fns';
+import { isAssignedToUser } from './taskAssignees';
+
+/**
+ * Reminder rules and notification inbox helpers.
+ * Reminders are notifications the app creates itself once their time has
+ * come. Each has a reminderKey naming what it is about, so it is created only
+ * once; changing a due or start date makes it due again.
+ */
+
+export const NOTIFICATION_TYPES = {
+  mention: 'Mention',
+  task_due: 'Task due',
+  talk_start: 'Upcoming talk',
+  event_start: 'Upcoming event',
+  invoice_unpaid: 'Unpaid invoice'
+};
+
+export const DEFAULT_REMINDER_RULES = {
+  taskDue: { enabled: true, hoursBefore: 24 },
+  talkStart: { enabled: true, minutesBefore: 30 },
+  eventStart: { enabled: true, daysBefore: 7 },
+  unpaidInvoice: { enabled: true, daysBefore: 14 }
+};
+
+// Where opening a notification about an entity leads
+export const ENTITY_PATHS = {
+  task: '/tasks',
+  project: '/projects',
+  event: '/events'
+};
+
+// Reminders that are also shown as desktop notifications
+export const DESKTOP_NOTIFICATION_TYPES = ['task_due', 'talk_start', 'event_start'];
+
+export const SNOOZE_OPTIONS = [
+  { label: '1 hour', hours: 1 },
+  { label: '4 hours', hours: 4 },
+  { label: '1 day', hours: 24 },
+  { label: '1 week', hours: 24 * 7 }
+];
+
+// Stored rules on top of the defaults, so rules added later get a value
+export const normalizeReminderRules = (rules = {}) => {
+  return Object.fromEntries(Object.entries(DEFAULT_REMINDER_RULES).map(([key, defaults]) => [
+    key,
+    { ...defaults, ...(rules?.[key] || {}) }
+  ]));
+};
+
+// In the inbox: neither dismissed nor snoozed into the future
+export const isNotificationActive = (notification, now = new Date()) => {
+  return !notification.dismissedAt &&
+    (!notification.snoozedUntil || new Date(notification.snoozedUntil) <= now);
+};
+
+export const isNotificationSnoozed = (notification, now = new Date()) => {
+  return !notification.dismissedAt && !!notification.snoozedUntil && new Date(notification.snoozedUntil) > now;
+};
+
+// The invoice payment item of an event checklist, from the standard list or a template
+export const getInvoicePaidItem = (event) => {
+  return (event.checklist || []).find(item =>
+    item.id === 'invoice_paid' || (/invoice/i.test(item.label || '') && /paid/i.test(item.label || ''))
+  ) || null;
+};
+
+// In a workspace, only tasks assigned to you or unassigned tasks you created remind you
+const isMyTask = (task, userId) => {
+  if (!task.workspaceId) return true;
+  if ((task.assignees || []).length > 0) return isAssignedToUser(task, userId);
+  return task.userId === userId;
+};
+
+const formatDay = (date) => format(parseISO(date), 'EEE, MMM d');
+
+/**
+ * Reminders whose time has come, as notification records without an id,
+ * in the workspace of the task or event they are about.
+ * Task due dates count from the start of the day; events stop reminding
+ * once they have ended, talks once they have begun.
+ */
+export const getDueReminders = ({ tasks = [], events = [], rules, userId, now = new Date() }) => {
+  const { taskDue, talkStart, eventStart, unpaidInvoice } = normalizeReminderRules(rules);
+  const reminders = [];
+
+  if (taskDue.enabled) {
+    tasks
+      .filter(task => task.status === 'open' && task.dueDate && isMyTask(task, userId))
+      .filter(task => subHours(parseISO(task.dueDate), Number(taskDue.hoursBefore) || 0) <= now)
+      .forEach(task => {
+        const overdue = differenceInCalendarDays(parseISO(task.dueDate), now) < 0;
+        reminders.push({
+          type: 'task_due',
+          reminderKey: `task_due:${task.id}:${task.dueDate}`,
+          title: task.title,
+          body: `${overdue ? 'Was due' : 'Due'} ${formatDay(task.dueDate)}`,
+          entityType: 'task',
+          entityId: task.id,
+          workspaceId: task.workspaceId || null
+        });
+      });
+  }
+
+  events
+    .filter(event => event.startDate && differenceInCalendarDays(parseISO(event.endDate || event.startDate), now) >= 0)
+    .forEach(event => {
+      const start = parseISO(event.startDate);
+
+      if (eventStart.enabled && subDays(start, Number(eventStart.daysBefore) || 0) <= now) {
+        reminders.push({
+          type: 'event_start',
+          reminderKey: `event_start:${event.id}:${event.startDate}`,
+          title: event.title,
+          body: `Starts ${formatDay(event.startDate)}${event.location ? ` in ${event.location}` : ''}`,
+          entityType: 'event',
+          entityId: event.id,
+          workspaceId: event.workspaceId || null
+        });
+      }
+
+      if (talkStart.enabled && event.talkDate && event.talkTime) {
+        const talkAt = parseISO(`${event.talkDate}T${event.talkTime.substring(0, 5)}`);
+        if (subMinutes(talkAt, Number(talkStart.minutesBefore) || 0) <= now && now < talkAt) {
+          reminders.push({
+            type: 'talk_start',
+            reminderKey: `talk_start:${event.id}:${format(talkAt, "yyyy-MM-dd'T'HH:mm")}`,
+            title: event.talkTitle || event.title,
+            body: `Your talk at ${event.title} starts at ${format(talkAt, 'HH:mm')}`,
+            entityType: 'event',
+            entityId: event.id,
+            workspaceId: event.workspaceId || null
+          });
+        }
+      }
+
+      const invoiceItem = getInvoicePaidItem(event);
+      if (unpaidInvoice.enabled && invoiceItem && !invoiceItem.completed &&
+          subDays(start, Number(unpaidInvoice.daysBefore) || 0) <= now) {
+        reminders.push({
+          type: 'invoice_unpaid',
+          reminderKey: `invoice_unpaid:${event.id}:${event.startDate}`,
+          title: event.title,
+          body: `"${invoiceItem.label}" is still open, the event starts ${formatDay(event.startDate)}`,
+          entityType: 'event',
+          entityId: event.id,
+          workspaceId: event.workspaceId || null
+        });
+      }
+    });
+
+  return reminders;
+};
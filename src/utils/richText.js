@@ -0,0 +1,22 @@
+/**
+ * Shared ReactQuill setup for short rich text: task descriptions, event
+ * notes and comments.
+ */
+
+export const RICH_TEXT_MODULES = {
+  toolbar: [
+    ['bold', 'italic', 'underline', 'strike'],
+    [{ 'list': 'ordered' }, { 'list': 'bullet' }],
+    ['link'],
+    ['clean']
+  ]
+};
+
+export const RICH_TEXT_FORMATS = [
+  'bold', 'italic', 'underline', 'strike', 'list', 'bullet', 'link'
+];
+
+// Plain text of an editor value, for emptiness checks and previews
+export const stripHtml = (html = '') => {
+  return html.replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim();
+};
@@ -0,0 +1,84 @@
+/**
+ * Task assignment helpers.
+ * A task's assignees are { type, id, name } entries: type 'member' points at
+ * a workspace member's user id, type 'contact' at a directory contact. The
+ * name is a snapshot, so removed members and deleted contacts still show up.
+ */
+
+const AVATAR_COLORS = ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#EC4899', '#14B8A6', '#6366F1'];
+
+export const memberAssignee = (member) => ({
+  type: 'member',
+  id: member.userId,
+  name: member.email || 'Member'
+});
+
+export const contactAssignee = (contact) => ({
+  type: 'contact',
+  id: contact.id,
+  name: contact.name
+});
+
+export const getAssigneeKey = (assignee) => `${assignee.type}:${assignee.id}`;
+
+export const isAssignedTo = (task, key) => {
+  return (task.assignees || []).some(assignee => getAssigneeKey(assignee) === key);
+};
+
+export const isAssignedToUser = (task, userId) => {
+  return !!userId && isAssignedTo(task, `member:${userId}`);
+};
+
+// Up to two initials, from "Jane Doe" or the part of an email before the @
+export const getAssigneeInitials = (name = '') => {
+  const words = name.split('@')[0].split(/[\s._-]+/).filter(Boolean);
+  return words.slice(0, 2).map(word => word[0].toUpperCase()).join('') || '?';
+};
+
+// Stable color per assignee, so the same person looks the same on every card
+export const getAssigneeColor = (assignee) => {
+  const key = getAssigneeKey(assignee);
+  const hash = [...key].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) % 1000003, 0);
+  return AVATAR_COLORS[hash % AVATAR_COLORS.length];
+};
+
+export const describeAssignees = (assignees = []) => assignees.map(assignee => assignee.name).join(', ');
+
+// Assignees added and removed between two versions of a task
+export const diffAssignees = (before = [], after = []) => {
+  const beforeKeys = before.map(getAssigneeKey);
+  const afterKeys = after.map(getAssigneeKey);
+  return {
+    added: after.filter(assignee => !beforeKeys.includes(getAssigneeKey(assignee))),
+    removed: before.filter(assignee => !afterKeys.includes(getAssigneeKey(assignee)))
+  };
+};
+
+// Every assignee used on the given tasks, by name
+export const getTaskAssignees = (tasks) => {
+  const assignees = new Map();
+  tasks.forEach(task => (task.assignees || []).forEach(assignee => {
+    assignees.set(getAssigneeKey(assignee), assignee);
+  }));
+  return [...assignees.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Tasks grouped by assignee: the current user first, then everyone else by
+ * name, then unassigned tasks. A task with several assignees is in each group.
+ */
+export const groupTasksByAssignee = (tasks, userId) => {
+  const groups = getTaskAssignees(tasks).map(assignee => ({
+    key: getAssigneeKey(assignee),
+    assignee,
+    isMe: assignee.type === 'member' && assignee.id === userId,
+    tasks: tasks.filter(task => isAssignedTo(task, getAssigneeKey(assignee)))
+  }));
+  const unassigned = tasks.filter(task => (task.assignees || []).length === 0);
+
+  return [
+    ...groups.filter(group => group.isMe),
+    ...groups.filter(group => !group.isMe),
+    ...(unassigned.length > 0 ? [{ key: 'unassigned', assignee: null, isMe: false, tasks: unassigned }] : [])
+  ];
+};
@@ -0,0 +1,66 @@
+/**
+ * Task Dependency Helpers
+ * Tasks form two graphs: a parent/child tree (`parentTask`) and "blocked by"
+ * relationships (`blockedBy`, an array of task ids). Both must stay acyclic.
+ */
+
+const findTask = (tasks, id) => tasks.find(task => task.id === id);
+
+// Whether `targetId` can be reached from `startId` by following `getNext`
+function canReach(tasks, startId, targetId, getNext) {
+  const visited = new Set();
+  const stack = [startId];
+
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (id === targetId) return true;
+    if (visited.has(id)) continue;
+    visited.add(id);
+
+    const task = findTask(tasks, id);
+    if (task) stack.push(...getNext(task));
+  }
+  return false;
+}
+
+/**
+ * Whether making `taskId` blocked by `blockerId` would close a cycle,
+ * i.e. the blocker is (directly or indirectly) blocked by the task already
+ */
+export function wouldCreateBlockCycle(tasks, taskId, blockerId) {
+  if (!taskId || !blockerId) return false;
+  return canReach(tasks, blockerId, taskId, task => task.blockedBy || []);
+}
+
+/**
+ * Whether making `parentId` the parent of `taskId` would close a cycle,
+ * i.e. the parent is the task itself or one of its descendants
+ */
+export function wouldCreateParentCycle(tasks, taskId, parentId) {
+  if (!taskId || !parentId) return false;
+  return canReach(tasks, parentId, taskId, task => (task.parentTask ? [task.parentTask] : []));
+}
+
+export function getSubtasks(tasks, taskId) {
+  return tasks.filter(task => task.parentTask === taskId);
+}
+
+export function getOpenSubtasks(tasks, taskId) {
+  return getSubtasks(tasks, taskId).filter(task => task.status !== 'completed');
+}
+
+// Tasks blocking `task` that are still open
+export function getOpenBlockers(tasks, task) {
+  return (task.blockedBy || [])
+    .map(id => findTask(tasks, id))
+    .filter(blocker => blocker && blocker.status !== 'completed');
+}
+
+export function isBlocked(tasks, task) {
+  return task.status !== 'completed' && getOpenBlockers(tasks, task).length > 0;
+}
+
+// Tasks that list `taskId` as a blocker
+export function getDependents(tasks, taskId) {
+  return tasks.filter(task => (task.blockedBy || []).includes(taskId));
+}
@@ -283,11 +283,11 @@ export class ComprehensiveIntegrationTester {
       offlineOperations.push({ type: 'category', id: offlineCategory.id });
       
       // Test offline read
-      const offlineTasks = db.readOffline('tasks');
-      const offlineCategories = db.readOffline('categories');
+      const offlineTasks = await db.readOffline('tasks');
+      const offlineCategories = await db.readOffline('categories');
       
       // Test offline update
-      const updatedTask = db.updateOffline('tasks', offlineTask.id, { title: 'Updated Offline Task' });
+      const updatedTask = await db.updateOffline('tasks', offlineTask.id, { title: 'Updated Offline Task' });
       
       // Test sync queue
       const queueItem1 = syncService.queueOperation({
@@ -307,15 +307,9 @@ export class ComprehensiveIntegrationTester {
       const syncStatus = syncService.getSyncStatus();
       
       // Cleanup offline data
-      this.cleanup.push(() => {
-        const tasks = db.getFromLocalStorage('tasks');
-        const categories = db.getFromLocalStorage('categories');
-        
-        const filteredTasks = tasks.filter(item => item.id !== offlineTask.id);
-        const filteredCategories = categories.filter(item => item.id !== offlineCategory.id);
-        
-        localStorage.setItem('todoTasks', JSON.stringify(filteredTasks));
-        localStorage.setItem('todoCategories', JSON.stringify(filteredCategories));
+      this.cleanup.push(async () => {
+        await db.deleteFromStorage('tasks', offlineTask.id);
+        await db.deleteFromStorage('categories', offlineCategory.id);
       });
       
       const duration = Date.now() - startTime;
@@ -326,7 +320,7 @@ export class ComprehensiveIntegrationTester {
         offlineUpdate: !!updatedTask,
         queueOperations: 2,
         queueLength: syncStatus.queueLength,
-        localStorageWorking: true,
+        offlineStorage: db.storage.name,
         testTime: `${duration}ms`
       }, null, duration);
       
@@ -0,0 +1,171 @@
+import { format, parseISO } from 'date-fns';
+
+/**
+ * Participant travel helpers.
+ * participant.travel = {
+ *   arrivalDate, departureDate,                       'yyyy-MM-dd'
+ *   hotel: { name, address, confirmation, checkIn, checkOut },
+ *   legs: [{ id, mode, carrier, number, from, to, departure, arrival, reference }],
+ *   rentalCar: { company, confirmation, pickupDate, returnDate, driver }
+ * }
+ * Leg departure/arrival are local 'yyyy-MM-ddTHH:mm' values.
+ */
+
+export const TRAVEL_MODES = [
+  { id: 'flight', label: 'Flight' },
+  { id: 'train', label: 'Train' },
+  { id: 'bus', label: 'Bus' },
+  { id: 'other', label: 'Other' }
+];
+
+export const getTravelModeLabel = (mode) =>
+  (TRAVEL_MODES.find(option => option.id === mode) || { label: mode || 'Travel' }).label;
+
+const formatDay = (date) => format(parseISO(date), 'EEE, MMM d');
+
+const formatDateTime = (value) => value ? format(parseISO(value), 'EEE, MMM d HH:mm') : '';
+
+/**
+ * Problems with a participant's travel plan: arriving after the event starts,
+ * leaving before it ends, missing the talk, or a hotel stay shorter than the trip.
+ */
+export function getTravelWarnings(event, participant) {
+  const travel = participant.travel || {};
+  const { arrivalDate, departureDate } = travel;
+  const hotel = travel.hotel || {};
+  const warnings = [];
+
+  if (arrivalDate && departureDate && departureDate < arrivalDate) {
+    warnings.push('Departure is before arrival');
+    return warnings;
+  }
+  if (arrivalDate && event.startDate && arrivalDate > event.startDate) {
+    warnings.push(`Arrives ${formatDay(arrivalDate)}, after the event starts`);
+  }
+  if (departureDate && event.endDate && departureDate < event.endDate) {
+    warnings.push(`Leaves ${formatDay(departureDate)}, before the event ends`);
+  }
+  if (event.talkDate && (
+    (arrivalDate && arrivalDate > event.talkDate) ||
+    (departureDate && departureDate < event.talkDate)
+  )) {
+    warnings.push(`Not on site for the talk on ${formatDay(event.talkDate)}`);
+  }
+  if (hotel.checkIn && arrivalDate && hotel.checkIn > arrivalDate) {
+    warnings.push('Hotel check-in is after arrival');
+  }
+  if (hotel.checkOut && departureDate && hotel.checkOut < departureDate) {
+    warnings.push('Hotel check-out is before departure');
+  }
+  return warnings;
+}
+
+// True once any travel detail has been entered
+export const hasTravelDetails = (participant) => {
+  const travel = participant.travel || {};
+  return Boolean(
+    travel.arrivalDate || travel.departureDate ||
+    (travel.legs || []).length > 0 ||
+    Object.values(travel.hotel || {}).some(Boolean) ||
+    Object.values(travel.rentalCar || {}).some(Boolean)
+  );
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const row = (label, value) => value
+  ? `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`
+  : '';
+
+// Stand-alone HTML page with one participant's travel plan
+export function buildTravelSheet(event, participant) {
+  const travel = participant.travel || {};
+  const hotel = travel.hotel || {};
+  const rentalCar = travel.rentalCar || {};
+  const legs = [...(travel.legs || [])].sort((a, b) => (a.departure || '').localeCompare(b.departure || ''));
+  const warnings = getTravelWarnings(event, participant);
+
+  const legRows = legs.map(leg => `
+    <tr>
+      <td>${escapeHtml(getTravelModeLabel(leg.mode))} ${escapeHtml([leg.carrier, leg.number].filter(Boolean).join(' '))}</td>
+      <td>${escapeHtml(leg.from)}<br><small>${escapeHtml(formatDateTime(leg.departure))}</small></td>
+      <td>${escapeHtml(leg.to)}<br><small>${escapeHtml(formatDateTime(leg.arrival))}</small></td>
+      <td>${escapeHtml(leg.reference)}</td>
+    </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Travel sheet – ${escapeHtml(participant.name)} – ${escapeHtml(event.title)}</title>
+<style>
+  body { font-family: -apple-system, Segoe UI, Helvetica, Arial, sans-serif; color: #111827; margin: 32px; }
+  h1 { font-size: 22px; margin: 0; }
+  h2 { font-size: 15px; margin: 24px 0 8px; border-bottom: 1px solid #d1d5db; padding-bottom: 4px; }
+  p.meta { color: #4b5563; margin: 4px 0 0; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { text-align: left; vertical-align: top; padding: 4px 8px 4px 0; }
+  th { width: 160px; color: #4b5563; font-weight: 600; }
+  table.legs th { width: auto; border-bottom: 1px solid #e5e7eb; }
+  small { color: #4b5563; }
+  .warning { color: #b91c1c; font-size: 13px; margin: 2px 0; }
+</style>
+</head>
+<body>
+  <h1>${escapeHtml(participant.name)}${participant.role ? ` <small>(${escapeHtml(participant.role)})</small>` : ''}</h1>
+  <p class="meta">${escapeHtml(event.title)}${event.location ? ` · ${escapeHtml(event.location)}` : ''}</p>
+  <p class="meta">Event: ${escapeHtml(formatDay(event.startDate))} – ${escapeHtml(formatDay(event.endDate))}${
+    event.talkDate ? ` · Talk: ${escapeHtml(formatDay(event.talkDate))}${event.talkTime ? ` ${escapeHtml(event.talkTime)}` : ''}` : ''
+  }</p>
+  ${warnings.map(warning => `<p class="warning">⚠ ${escapeHtml(warning)}</p>`).join('')}
+
+  <h2>Stay</h2>
+  <table>
+    ${row('Arrival', travel.arrivalDate && formatDay(travel.arrivalDate))}
+    ${row('Departure', travel.departureDate && formatDay(travel.departureDate))}
+  </table>
+
+  <h2>Journey</h2>
+  ${legs.length > 0 ? `
+  <table class="legs">
+    <tr><th>Connection</th><th>From</th><th>To</th><th>Booking</th></tr>
+    ${legRows}
+  </table>` : '<p><small>No connections booked</small></p>'}
+
+  <h2>Hotel</h2>
+  ${Object.values(hotel).some(Boolean) ? `
+  <table>
+    ${row('Hotel', hotel.name)}
+    ${row('Address', hotel.address)}
+    ${row('Check-in', hotel.checkIn && formatDay(hotel.checkIn))}
+    ${row('Check-out', hotel.checkOut && formatDay(hotel.checkOut))}
+    ${row('Confirmation', hotel.confirmation)}
+  </table>` : '<p><small>No hotel booked</small></p>'}
+
+  <h2>Rental Car</h2>
+  ${Object.values(rentalCar).some(Boolean) ? `
+  <table>
+    ${row('Company', rentalCar.company)}
+    ${row('Pick-up', rentalCar.pickupDate && formatDay(rentalCar.pickupDate))}
+    ${row('Return', rentalCar.returnDate && formatDay(rentalCar.returnDate))}
+    ${row('Confirmation', rentalCar.confirmation)}
+    ${row('Role', rentalCar.driver ? 'Driver' : 'Passenger')}
+  </table>` : '<p><small>No rental car</small></p>'}
+</body>
+</html>`;
+}
+
+export function printTravelSheet(event, participant) {
+  const sheet = window.open('', '_blank');
+  if (!sheet) {
+    throw new Error('The travel sheet was blocked by a pop-up blocker');
+  }
+  sheet.document.write(buildTravelSheet(event, participant));
+  sheet.document.close();
+  sheet.focus();
+  sheet.print();
+}
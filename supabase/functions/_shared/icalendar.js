@@ -0,0 +1,154 @@
+/**
+ * iCalendar (RFC 5545) Builder
+ * Shared by the app's .ics export (src/utils/ical.js) and the calendar-feed
+ * Edge Function, so downloads and subscriptions stay identical:
+ *   - one all-day VEVENT per event spanning startDate..endDate
+ *   - one timed VEVENT per talk (talkDate + talkTime)
+ *   - one VTODO per open task with a due date
+ * Talk times have no time zone in the app, so they are written as floating
+ * local times and show up at the same wall-clock time in every calendar.
+ *
+ * Plain ESM without dependencies, so Deno and Vite can both import it.
+ * Records use the app's field names (camelCase).
+ */
+
+const PRODUCT_ID = '-//NGOG//ToDo Tracker//EN'
+const UID_DOMAIN = 'ngog-todo-tracker'
+const TALK_DURATION_MINUTES = 60
+
+// iCalendar priorities run 1 (highest) to 9 (lowest)
+const TASK_PRIORITIES = {
+  urgent: 1,
+  high: 3,
+  medium: 5,
+  low: 9
+}
+
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n')
+
+// Notes and descriptions are rich text
+const stripHtml = (html) => String(html || '')
+  .replace(/<br\s*\/?>|<\/p>|<\/li>/gi, '\n')
+  .replace(/<[^>]*>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .trim()
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const encoder = new TextEncoder()
+  if (encoder.encode(line).length <= 75) return line
+
+  const parts = []
+  let current = ''
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74
+    if (encoder.encode(current + char).length > limit) {
+      parts.push(current)
+      current = char
+    } else {
+      current += char
+    }
+  }
+  parts.push(current)
+  return parts.join('\r\n ')
+}
+
+// Dates are handled as UTC calendar values, so neither the browser's nor
+// the server's time zone shifts them
+const parseDate = (value) => new Date(`${String(value).slice(0, 10)}T00:00:00Z`)
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000)
+const formatDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '')
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, '')
+
+function buildEvent(event, stamp) {
+  const description = [
+    event.location && `Location: ${event.location}`,
+    stripHtml(event.notes)
+  ].filter(Boolean).join('\n\n')
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:event-${event.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${formatDate(parseDate(event.startDate))}`,
+    // All-day end dates are exclusive
+    `DTEND;VALUE=DATE:${formatDate(addMinutes(parseDate(event.endDate), 24 * 60))}`,
+    `SUMMARY:${escapeText(event.title)}`,
+    event.location && `LOCATION:${escapeText(event.location)}`,
+    description && `DESCRIPTION:${escapeText(description)}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ].filter(Boolean)
+}
+
+function buildTalk(event, stamp) {
+  const [hours, minutes] = event.talkTime.split(':').map(Number)
+  const start = addMinutes(parseDate(event.talkDate), (hours || 0) * 60 + (minutes || 0))
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:talk-${event.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    // Floating local time: no Z suffix
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(addMinutes(start, TALK_DURATION_MINUTES))}`,
+    `SUMMARY:${escapeText(`Talk: ${event.talkTitle || event.title}`)}`,
+    event.location && `LOCATION:${escapeText(event.location)}`,
+    `DESCRIPTION:${escapeText(`Talk at ${event.title}`)}`,
+    'END:VEVENT'
+  ].filter(Boolean)
+}
+
+function buildTodo(task, stamp) {
+  const description = stripHtml(task.description)
+
+  return [
+    'BEGIN:VTODO',
+    `UID:task-${task.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `DUE;VALUE=DATE:${formatDate(parseDate(task.dueDate))}`,
+    `SUMMARY:${escapeText(task.title)}`,
+    description && `DESCRIPTION:${escapeText(description)}`,
+    `PRIORITY:${TASK_PRIORITIES[task.priority] || TASK_PRIORITIES.medium}`,
+    'STATUS:NEEDS-ACTION',
+    'END:VTODO'
+  ].filter(Boolean)
+}
+
+/**
+ * Build an .ics document. Completed tasks and tasks without a due date are
+ * skipped, as are talks without both a date and a time.
+ */
+export function buildCalendar({ events = [], tasks = [], name = 'NGOG ToDo Tracker' } = {}) {
+  const stamp = `${formatDateTime(new Date())}Z`
+
+  const components = [
+    ...events
+      .filter(event => event.startDate && event.endDate)
+      .flatMap(event => buildEvent(event, stamp)),
+    ...events
+      .filter(event => event.talkDate && event.talkTime)
+      .flatMap(event => buildTalk(event, stamp)),
+    ...tasks
+      .filter(task => task.status === 'open' && task.dueDate)
+      .flatMap(task => buildTodo(task, stamp))
+  ]
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...components,
+    'END:VCALENDAR'
+  ].map(foldLine).join('\r\n') + '\r\n'
+}
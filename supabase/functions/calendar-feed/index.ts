@@ -0,0 +1,116 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { buildCalendar } from '../_shared/icalendar.js'
+
+/**
+ * Calendar Feed
+ * Serves a user's events, talk slots and open tasks with due dates as an
+ * iCalendar feed: GET /calendar-feed?token=<calendar_feeds.token>
+ *
+ * Calendar apps cannot send a Supabase JWT, so deploy with
+ * `supabase functions deploy calendar-feed --no-verify-jwt`; the token is
+ * the only credential. The .ics is built by the same builder as the app's
+ * export (../_shared/icalendar.js).
+ */
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const token = new URL(req.url).searchParams.get('token')
+    if (!token) {
+      return new Response(
+        JSON.stringify({ error: 'Missing feed token' }),
+        { status: 401, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    // Create admin client
+    const supabaseAdmin = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+    )
+
+    const { data: feed, error: feedError } = await supabaseAdmin
+      .from('calendar_feeds')
+      .select('user_id')
+      .eq('token', token)
+      .maybeSingle()
+
+    if (feedError || !feed) {
+      return new Response(
+        JSON.stringify({ error: 'Invalid feed token' }),
+        { status: 401, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    const [eventsResult, tasksResult] = await Promise.all([
+      supabaseAdmin
+        .from('events')
+        .select('id, title, location, start_date, end_date, talk_title, talk_date, talk_time, notes')
+        .eq('user_id', feed.user_id),
+      supabaseAdmin
+        .from('tasks')
+        .select('id, title, description, due_date, priority, status')
+        .eq('user_id', feed.user_id)
+        .eq('status', 'open')
+        .not('due_date', 'is', null),
+    ])
+
+    if (eventsResult.error || tasksResult.error) {
+      console.error('Feed query error:', eventsResult.error || tasksResult.error)
+      return new Response(
+        JSON.stringify({ error: 'Failed to load calendar data' }),
+        { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    // The builder takes the app's field names
+    const events = eventsResult.data.map(event => ({
+      id: event.id,
+      title: event.title,
+      location: event.location,
+      notes: event.notes,
+      startDate: event.start_date,
+      endDate: event.end_date,
+      talkTitle: event.talk_title,
+      talkDate: event.talk_date,
+      talkTime: event.talk_time,
+    }))
+    const tasks = tasksResult.data.map(task => ({
+      id: task.id,
+      title: task.title,
+      description: task.description,
+      priority: task.priority,
+      status: task.status,
+      dueDate: task.due_date,
+    }))
+
+    return new Response(buildCalendar({ events, tasks }), {
+      headers: {
+        ...corsHeaders,
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="ngog-todo-tracker.ics"',
+        'Cache-Control': 'private, max-age=300',
+      }
+    })
+
+  } catch (error) {
+    console.error('Calendar feed error:', error)
+    return new Response(
+      JSON.stringify({ error: 'Calendar feed failed', details: error.message }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    )
+  }
+})
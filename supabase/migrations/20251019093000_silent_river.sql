@@ -0,0 +1,92 @@
+/*
+  # Incremental Sync Support
+
+  Lets clients pull only the rows that changed since their last sync.
+
+  ## What this creates:
+  1. deleted_records table
+     - One tombstone per deleted row (table name, record id, deletion time)
+     - Written by triggers, so hard deletes from any client are recorded
+
+  2. Triggers
+     - AFTER DELETE on every synced table
+
+  3. Performance
+     - (user_id, updated_at) indexes for "changed since" queries
+     - (user_id, table_name, deleted_at) index for tombstone queries
+
+  4. Security
+     - Users can only read their own tombstones
+*/
+
+-- =============================================
+-- DELETION LOG
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS deleted_records (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+  table_name TEXT NOT NULL,
+  record_id UUID NOT NULL,
+  deleted_at TIMESTAMPTZ DEFAULT now()
+);
+
+ALTER TABLE deleted_records ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can read their own deleted records" ON deleted_records;
+CREATE POLICY "Users can read their own deleted records" ON deleted_records
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE INDEX IF NOT EXISTS idx_deleted_records_sync ON deleted_records(user_id, table_name, deleted_at);
+
+-- =============================================
+-- TRIGGERS AND FUNCTIONS
+-- =============================================
+
+-- Record a tombstone for every deleted row
+CREATE OR REPLACE FUNCTION log_deleted_record()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO deleted_records (user_id, table_name, record_id)
+  VALUES (OLD.user_id, TG_TABLE_NAME, OLD.id);
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS log_categories_deleted ON categories;
+CREATE TRIGGER log_categories_deleted AFTER DELETE ON categories
+  FOR EACH ROW EXECUTE FUNCTION log_deleted_record();
+
+DROP TRIGGER IF EXISTS log_tasks_deleted ON tasks;
+CREATE TRIGGER log_tasks_deleted AFTER DELETE ON tasks
+  FOR EACH ROW EXECUTE FUNCTION log_deleted_record();
+
+DROP TRIGGER IF EXISTS log_projects_deleted ON projects;
+CREATE TRIGGER log_projects_deleted AFTER DELETE ON projects
+  FOR EACH ROW EXECUTE FUNCTION log_deleted_record();
+
+DROP TRIGGER IF EXISTS log_activity_log_categories_deleted ON activity_log_categories;
+CREATE TRIGGER log_activity_log_categories_deleted AFTER DELETE ON activity_log_categories
+  FOR EACH ROW EXECUTE FUNCTION log_deleted_record();
+
+DROP TRIGGER IF EXISTS log_events_deleted ON events;
+CREATE TRIGGER log_events_deleted AFTER DELETE ON events
+  FOR EACH ROW EXECUTE FUNCTION log_deleted_record();
+
+-- Tombstones are only needed until every device has synced past them
+CREATE OR REPLACE FUNCTION purge_deleted_records(older_than INTERVAL DEFAULT '90 days')
+RETURNS void AS $$
+BEGIN
+  DELETE FROM deleted_records WHERE deleted_at < now() - older_than;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =============================================
+-- PERFORMANCE INDEXES
+-- =============================================
+
+CREATE INDEX IF NOT EXISTS idx_categories_updated_at ON categories(user_id, updated_at);
+CREATE INDEX IF NOT EXISTS idx_tasks_updated_at ON tasks(user_id, updated_at);
+CREATE INDEX IF NOT EXISTS idx_projects_updated_at ON projects(user_id, updated_at);
+CREATE INDEX IF NOT EXISTS idx_activity_log_categories_updated_at ON activity_log_categories(user_id, updated_at);
+CREATE INDEX IF NOT EXISTS idx_events_updated_at ON events(user_id, updated_at);
@@ -0,0 +1,21 @@
+/*
+  # Recurring Tasks
+
+  Adds RRULE-style recurrence to tasks.
+
+  ## What this changes:
+  1. tasks table
+     - recurrence: schedule (frequency, interval, byWeekday, startDate, endDate, count)
+     - series_id: id of the first task of the series, NULL for the first task itself
+       (no foreign key, so the series survives deleting its first task)
+     - occurrence: position of the task within its series, starting at 1
+
+  2. Performance
+     - Index for loading all occurrences of a series
+*/
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence JSONB;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS series_id UUID;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS occurrence INTEGER DEFAULT 1;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_series_id ON tasks(series_id);
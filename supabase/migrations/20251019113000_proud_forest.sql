@@ -0,0 +1,39 @@
+/*
+  # Subtasks and Task Dependencies
+
+  Adds parent/child tasks and "blocked by" relationships.
+
+  ## What this changes:
+  1. tasks table
+     - parent_task: the task this task is a subtask of
+     - blocked_by: ids of tasks that must be completed first
+
+  2. Business Logic
+     - Deleting a parent turns its subtasks into top-level tasks
+     - Deleting a task removes it from every blocked_by list
+     - Cycles are prevented by the client, which checks both graphs
+
+  3. Performance
+     - Indexes for loading subtasks and dependents
+*/
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS parent_task UUID REFERENCES tasks(id) ON DELETE SET NULL;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS blocked_by UUID[] DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_tasks_parent_task ON tasks(parent_task);
+CREATE INDEX IF NOT EXISTS idx_tasks_blocked_by ON tasks USING GIN(blocked_by);
+
+-- Remove deleted tasks from blocked_by lists
+CREATE OR REPLACE FUNCTION remove_deleted_task_dependencies()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE tasks
+  SET blocked_by = array_remove(blocked_by, OLD.id)
+  WHERE OLD.id = ANY(blocked_by);
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS remove_task_dependencies ON tasks;
+CREATE TRIGGER remove_task_dependencies AFTER DELETE ON tasks
+  FOR EACH ROW EXECUTE FUNCTION remove_deleted_task_dependencies();
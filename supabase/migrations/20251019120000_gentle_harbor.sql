@@ -0,0 +1,27 @@
+/*
+  # Calendar Subscription Feeds
+
+  Lets calendar apps subscribe to a user's events and due tasks.
+
+  ## What this creates:
+  1. calendar_feeds table
+     - One secret token per user
+     - The calendar-feed edge function looks tokens up with the service role,
+       so calendar apps can fetch the feed without signing in
+
+  2. Security
+     - Users can only see, create, rotate and revoke their own token
+*/
+
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE UNIQUE NOT NULL,
+  token TEXT UNIQUE NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+ALTER TABLE calendar_feeds ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage their own calendar feed" ON calendar_feeds;
+CREATE POLICY "Users can manage their own calendar feed" ON calendar_feeds
+  FOR ALL USING (auth.uid() = user_id);
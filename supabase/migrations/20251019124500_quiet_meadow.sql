@@ -0,0 +1,61 @@
+/*
+  # Synced Project Activity Logs
+
+  Makes project_activity_logs a regular synced table, so the activity log is
+  stored in the database instead of only in client state.
+
+  ## What this changes:
+  1. project_activity_logs columns
+     - user_id (backfilled from the owning project) for incremental sync and tombstones
+     - created_at / updated_at like every other synced table
+
+  2. Triggers
+     - updated_at maintenance
+     - Tombstones on delete (see deleted_records)
+
+  3. Performance
+     - (project_id, timestamp) index for paginated newest-first reads
+     - (user_id, updated_at) index for "changed since" queries
+*/
+
+-- =============================================
+-- COLUMNS
+-- =============================================
+
+ALTER TABLE project_activity_logs
+  ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE DEFAULT auth.uid();
+
+ALTER TABLE project_activity_logs
+  ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ DEFAULT now();
+
+ALTER TABLE project_activity_logs
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT now();
+
+UPDATE project_activity_logs
+SET user_id = projects.user_id
+FROM projects
+WHERE projects.id = project_activity_logs.project_id
+  AND project_activity_logs.user_id IS NULL;
+
+UPDATE project_activity_logs
+SET created_at = timestamp, updated_at = timestamp
+WHERE timestamp IS NOT NULL;
+
+-- =============================================
+-- TRIGGERS
+-- =============================================
+
+DROP TRIGGER IF EXISTS update_project_activity_logs_updated_at ON project_activity_logs;
+CREATE TRIGGER update_project_activity_logs_updated_at BEFORE UPDATE ON project_activity_logs
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS log_project_activity_logs_deleted ON project_activity_logs;
+CREATE TRIGGER log_project_activity_logs_deleted AFTER DELETE ON project_activity_logs
+  FOR EACH ROW EXECUTE FUNCTION log_deleted_record();
+
+-- =============================================
+-- PERFORMANCE INDEXES
+-- =============================================
+
+CREATE INDEX IF NOT EXISTS idx_project_activity_logs_project_timestamp ON project_activity_logs(project_id, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_project_activity_logs_updated_at ON project_activity_logs(user_id, updated_at);
@@ -0,0 +1,54 @@
+/*
+  # Event Checklist Templates
+
+  Replaces the fixed six-item event checklist with user-defined templates,
+  picked per participation type when an event is created.
+
+  ## What this creates:
+  1. checklist_templates table
+     - name
+     - participation_types: the participation types the template is offered for
+     - items: JSONB array of { id, label, dueOffset }, where dueOffset is the
+       number of days relative to the event start date (negative = before)
+
+  2. Security
+     - Row Level Security: users only access their own templates
+
+  3. Sync
+     - updated_at maintenance and delete tombstones like every other synced table
+*/
+
+CREATE TABLE IF NOT EXISTS checklist_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE DEFAULT auth.uid(),
+  name TEXT NOT NULL,
+  participation_types TEXT[] DEFAULT '{}',
+  items JSONB DEFAULT '[]',
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  local_id TEXT
+);
+
+ALTER TABLE checklist_templates ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage their own checklist templates" ON checklist_templates;
+CREATE POLICY "Users can manage their own checklist templates" ON checklist_templates
+  FOR ALL USING (auth.uid() = user_id);
+
+-- =============================================
+-- TRIGGERS
+-- =============================================
+
+DROP TRIGGER IF EXISTS update_checklist_templates_updated_at ON checklist_templates;
+CREATE TRIGGER update_checklist_templates_updated_at BEFORE UPDATE ON checklist_templates
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS log_checklist_templates_deleted ON checklist_templates;
+CREATE TRIGGER log_checklist_templates_deleted AFTER DELETE ON checklist_templates
+  FOR EACH ROW EXECUTE FUNCTION log_deleted_record();
+
+-- =============================================
+-- PERFORMANCE INDEXES
+-- =============================================
+
+CREATE INDEX IF NOT EXISTS idx_checklist_templates_updated_at ON checklist_templates(user_id, updated_at);
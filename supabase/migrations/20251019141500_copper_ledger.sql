@@ -0,0 +1,22 @@
+/*
+  # Event Budgets and Expenses
+
+  Tracks what attending an event costs, instead of only the
+  "Invoice received" / "Invoice paid" checklist items.
+
+  ## What this changes:
+  1. events columns
+     - budget: planned spend, in the event currency
+     - currency: ISO 4217 code of the budget and the default for new expenses
+     - expenses: JSONB array of line items
+       { id, category, description, amount, currency, paid, paidAt, receipt, participantId }
+*/
+
+ALTER TABLE events
+  ADD COLUMN IF NOT EXISTS budget NUMERIC(12,2);
+
+ALTER TABLE events
+  ADD COLUMN IF NOT EXISTS currency TEXT DEFAULT 'EUR';
+
+ALTER TABLE events
+  ADD COLUMN IF NOT EXISTS expenses JSONB DEFAULT '[]';
@@ -0,0 +1,29 @@
+/*
+  # Tasks from Event Milestones
+
+  Turns event checklist items (hotel booking, invoice payment, ...) into
+  regular tasks, so they show up in the task list with a due date.
+
+  ## What this changes:
+  1. tasks table
+     - linked_event: the event a generated task belongs to
+     - linked_checklist_item: id of the event checklist item it mirrors;
+       completing either one completes the other
+
+  2. events table
+     - auto_tasks: keep generating tasks for new checklist items and move
+       their due dates when the event start date changes
+
+  3. Business Logic
+     - Deleting an event keeps its tasks, but unlinks them
+
+  4. Performance
+     - Index for loading the tasks of an event
+*/
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS linked_event UUID REFERENCES events(id) ON DELETE SET NULL;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS linked_checklist_item TEXT;
+
+ALTER TABLE events ADD COLUMN IF NOT EXISTS auto_tasks BOOLEAN DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_linked_event ON tasks(linked_event);
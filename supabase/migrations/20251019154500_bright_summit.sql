@@ -0,0 +1,15 @@
+/*
+  # Project Dates and Milestones
+
+  Gives projects a schedule, so they can be plotted on the project timeline.
+
+  ## What this changes:
+  1. projects table
+     - start_date / target_date: planned start and completion
+     - milestones: JSONB array of { id, title, dueDate, completed, completedAt };
+       reaching a milestone adds a "milestone" entry to the activity log
+*/
+
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS start_date DATE;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS target_date DATE;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS milestones JSONB DEFAULT '[]';
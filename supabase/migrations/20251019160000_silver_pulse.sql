@@ -0,0 +1,48 @@
+/*
+  # Project Last Activity
+
+  Project cards show how long a project has been quiet without loading its
+  whole activity log.
+
+  ## What this changes:
+  1. projects columns
+     - last_activity_at: timestamp of the newest activity log entry, backfilled
+
+  2. Triggers
+     - Kept up to date when activity log entries are added or deleted
+*/
+
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS last_activity_at TIMESTAMPTZ;
+
+UPDATE projects
+SET last_activity_at = latest.timestamp
+FROM (
+  SELECT project_id, MAX(timestamp) AS timestamp
+  FROM project_activity_logs
+  GROUP BY project_id
+) latest
+WHERE latest.project_id = projects.id;
+
+CREATE OR REPLACE FUNCTION update_project_last_activity()
+RETURNS TRIGGER AS $$
+DECLARE
+  target_project UUID;
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    target_project := OLD.project_id;
+  ELSE
+    target_project := NEW.project_id;
+  END IF;
+
+  UPDATE projects
+  SET last_activity_at = (
+    SELECT MAX(timestamp) FROM project_activity_logs WHERE project_id = target_project
+  )
+  WHERE id = target_project;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_project_last_activity ON project_activity_logs;
+CREATE TRIGGER update_project_last_activity AFTER INSERT OR DELETE ON project_activity_logs
+  FOR EACH ROW EXECUTE FUNCTION update_project_last_activity();
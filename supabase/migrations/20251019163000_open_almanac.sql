@@ -0,0 +1,61 @@
+/*
+  # Contacts Directory
+
+  One shared list of people and organizations, so project and event
+  participants are picked from the directory instead of being typed
+  into every project and event again.
+
+  ## What this creates:
+  1. contacts table
+     - name, organization, email, phone, notes
+     - tags: free-form labels for filtering (e.g. "press", "partner")
+
+  2. Participants
+     - Project and event participants keep their { id, name, role } shape and
+       gain an optional contactId pointing at the contact they were picked from
+
+  3. Security
+     - Row Level Security: users only access their own contacts
+
+  4. Sync
+     - updated_at maintenance and delete tombstones like every other synced table
+*/
+
+CREATE TABLE IF NOT EXISTS contacts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE DEFAULT auth.uid(),
+  name TEXT NOT NULL,
+  organization TEXT DEFAULT '',
+  email TEXT DEFAULT '',
+  phone TEXT DEFAULT '',
+  notes TEXT DEFAULT '',
+  tags TEXT[] DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  local_id TEXT
+);
+
+ALTER TABLE contacts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage their own contacts" ON contacts;
+CREATE POLICY "Users can manage their own contacts" ON contacts
+  FOR ALL USING (auth.uid() = user_id);
+
+-- =============================================
+-- TRIGGERS
+-- =============================================
+
+DROP TRIGGER IF EXISTS update_contacts_updated_at ON contacts;
+CREATE TRIGGER update_contacts_updated_at BEFORE UPDATE ON contacts
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS log_contacts_deleted ON contacts;
+CREATE TRIGGER log_contacts_deleted AFTER DELETE ON contacts
+  FOR EACH ROW EXECUTE FUNCTION log_deleted_record();
+
+-- =============================================
+-- PERFORMANCE INDEXES
+-- =============================================
+
+CREATE INDEX IF NOT EXISTS idx_contacts_updated_at ON contacts(user_id, updated_at);
+CREATE INDEX IF NOT EXISTS idx_contacts_tags ON contacts USING GIN(tags);
@@ -0,0 +1,263 @@
+/*
+  # Team Workspaces
+
+  Lets a team share tasks, projects, events and their checklists. Rows belong
+  either to a workspace, visible to all of its members, or to nobody but their
+  creator (workspace_id NULL, the private personal space).
+
+  ## What this creates:
+  1. workspaces table
+     - name and owner_id
+
+  2. workspace_members table
+     - One row per member with a role:
+       owner  - manages the workspace and its members, edits everything
+       editor - edits everything in the workspace
+       viewer - read-only access
+     - email is copied from auth.users so members can be listed
+     - The creator of a workspace becomes its owner automatically
+
+  3. workspace_id columns
+     - On every synced table: categories, tasks, projects, project_activity_logs,
+       activity_log_categories, events, checklist_templates, contacts
+     - Existing rows stay NULL, so they remain in the personal space
+
+  4. Security
+     - Every policy keyed on user_id is replaced by policies keyed on membership:
+       personal rows are only accessible to their creator, workspace rows are
+       readable by members and writable by owners and editors
+     - Members are added through invite_workspace_member(), which resolves the
+       invitee by email and is restricted to workspace owners
+     - Tombstones carry the workspace, so deletions reach every member
+*/
+
+-- =============================================
+-- WORKSPACES
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS workspaces (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id UUID REFERENCES auth.users(id) ON DELETE CASCADE DEFAULT auth.uid(),
+  name TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  local_id TEXT
+);
+
+CREATE TABLE IF NOT EXISTS workspace_members (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  email TEXT DEFAULT '',
+  role TEXT NOT NULL DEFAULT 'editor' CHECK (role IN ('owner', 'editor', 'viewer')),
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (workspace_id, user_id)
+);
+
+ALTER TABLE workspaces ENABLE ROW LEVEL SECURITY;
+ALTER TABLE workspace_members ENABLE ROW LEVEL SECURITY;
+
+-- =============================================
+-- MEMBERSHIP FUNCTIONS
+-- SECURITY DEFINER, so policies on workspace_members can use them
+-- without recursing into their own policy.
+-- =============================================
+
+-- Role of the current user in a workspace, NULL for non-members
+CREATE OR REPLACE FUNCTION workspace_role(target_workspace UUID)
+RETURNS TEXT AS $$
+  SELECT role FROM workspace_members
+  WHERE workspace_id = target_workspace AND user_id = auth.uid();
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION can_read_workspace_row(target_workspace UUID, owner UUID)
+RETURNS BOOLEAN AS $$
+  SELECT CASE
+    WHEN target_workspace IS NULL THEN owner = auth.uid()
+    ELSE workspace_role(target_workspace) IS NOT NULL
+  END;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION can_write_workspace_row(target_workspace UUID, owner UUID)
+RETURNS BOOLEAN AS $$
+  SELECT CASE
+    WHEN target_workspace IS NULL THEN owner = auth.uid()
+    ELSE COALESCE(workspace_role(target_workspace) IN ('owner', 'editor'), false)
+  END;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- The creator of a workspace becomes its owner
+CREATE OR REPLACE FUNCTION add_workspace_owner()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO workspace_members (workspace_id, user_id, email, role)
+  SELECT NEW.id, NEW.owner_id, users.email, 'owner'
+  FROM auth.users users
+  WHERE users.id = NEW.owner_id
+  ON CONFLICT (workspace_id, user_id) DO NOTHING;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS add_workspaces_owner ON workspaces;
+CREATE TRIGGER add_workspaces_owner AFTER INSERT ON workspaces
+  FOR EACH ROW EXECUTE FUNCTION add_workspace_owner();
+
+-- Add a registered user to a workspace by email (owners only)
+CREATE OR REPLACE FUNCTION invite_workspace_member(target_workspace UUID, member_email TEXT, member_role TEXT DEFAULT 'editor')
+RETURNS workspace_members AS $$
+DECLARE
+  invitee auth.users%ROWTYPE;
+  member workspace_members%ROWTYPE;
+BEGIN
+  IF workspace_role(target_workspace) IS DISTINCT FROM 'owner' THEN
+    RAISE EXCEPTION 'Only workspace owners can invite members';
+  END IF;
+
+  IF member_role NOT IN ('editor', 'viewer') THEN
+    RAISE EXCEPTION 'Invalid role: %', member_role;
+  END IF;
+
+  SELECT * INTO invitee FROM auth.users WHERE lower(email) = lower(trim(member_email));
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No user is registered with %', member_email;
+  END IF;
+
+  INSERT INTO workspace_members (workspace_id, user_id, email, role)
+  VALUES (target_workspace, invitee.id, invitee.email, member_role)
+  ON CONFLICT (workspace_id, user_id) DO UPDATE SET role = EXCLUDED.role
+  RETURNING * INTO member;
+
+  RETURN member;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- =============================================
+-- WORKSPACE POLICIES
+-- =============================================
+
+-- Owners also match directly: insert().select() checks the new row before
+-- the AFTER INSERT trigger has added the owner membership
+DROP POLICY IF EXISTS "Members can view their workspaces" ON workspaces;
+CREATE POLICY "Members can view their workspaces" ON workspaces
+  FOR SELECT USING (workspace_role(id) IS NOT NULL OR owner_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users can create workspaces" ON workspaces;
+CREATE POLICY "Users can create workspaces" ON workspaces
+  FOR INSERT WITH CHECK (auth.uid() = owner_id);
+
+DROP POLICY IF EXISTS "Owners can update their workspaces" ON workspaces;
+CREATE POLICY "Owners can update their workspaces" ON workspaces
+  FOR UPDATE USING (workspace_role(id) = 'owner');
+
+DROP POLICY IF EXISTS "Owners can delete their workspaces" ON workspaces;
+CREATE POLICY "Owners can delete their workspaces" ON workspaces
+  FOR DELETE USING (workspace_role(id) = 'owner');
+
+DROP POLICY IF EXISTS "Members can view fellow members" ON workspace_members;
+CREATE POLICY "Members can view fellow members" ON workspace_members
+  FOR SELECT USING (workspace_role(workspace_id) IS NOT NULL);
+
+-- Owners cannot change or remove themselves, so a workspace always keeps an owner
+DROP POLICY IF EXISTS "Owners can change member roles" ON workspace_members;
+CREATE POLICY "Owners can change member roles" ON workspace_members
+  FOR UPDATE USING (workspace_role(workspace_id) = 'owner' AND user_id <> auth.uid())
+  WITH CHECK (role IN ('editor', 'viewer'));
+
+DROP POLICY IF EXISTS "Owners can remove members and members can leave" ON workspace_members;
+CREATE POLICY "Owners can remove members and members can leave" ON workspace_members
+  FOR DELETE USING (
+    (workspace_role(workspace_id) = 'owner' AND user_id <> auth.uid())
+    OR (user_id = auth.uid() AND role <> 'owner')
+  );
+
+-- =============================================
+-- SHARED TABLES
+-- =============================================
+
+DO $$
+DECLARE
+  shared_table TEXT;
+  existing_policy RECORD;
+BEGIN
+  FOREACH shared_table IN ARRAY ARRAY[
+    'categories', 'tasks', 'projects', 'project_activity_logs',
+    'activity_log_categories', 'events', 'checklist_templates', 'contacts'
+  ] LOOP
+    EXECUTE format(
+      'ALTER TABLE %I ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE',
+      shared_table
+    );
+    EXECUTE format(
+      'CREATE INDEX IF NOT EXISTS %I ON %I(workspace_id, updated_at)',
+      'idx_' || shared_table || '_workspace', shared_table
+    );
+
+    -- Replace the per-user policies of earlier migrations, whatever their names
+    FOR existing_policy IN
+      SELECT policyname FROM pg_policies WHERE schemaname = 'public' AND tablename = shared_table
+    LOOP
+      EXECUTE format('DROP POLICY %I ON %I', existing_policy.policyname, shared_table);
+    END LOOP;
+
+    EXECUTE format(
+      'CREATE POLICY "Members can view shared rows" ON %I FOR SELECT USING (can_read_workspace_row(workspace_id, user_id))',
+      shared_table
+    );
+    EXECUTE format(
+      'CREATE POLICY "Editors can create shared rows" ON %I FOR INSERT WITH CHECK (auth.uid() = user_id AND can_write_workspace_row(workspace_id, user_id))',
+      shared_table
+    );
+    EXECUTE format(
+      'CREATE POLICY "Editors can update shared rows" ON %I FOR UPDATE USING (can_write_workspace_row(workspace_id, user_id)) WITH CHECK (can_write_workspace_row(workspace_id, user_id))',
+      shared_table
+    );
+    EXECUTE format(
+      'CREATE POLICY "Editors can delete shared rows" ON %I FOR DELETE USING (can_write_workspace_row(workspace_id, user_id))',
+      shared_table
+    );
+  END LOOP;
+END $$;
+
+-- =============================================
+-- TOMBSTONES
+-- =============================================
+
+ALTER TABLE deleted_records ADD COLUMN IF NOT EXISTS workspace_id UUID;
+
+CREATE OR REPLACE FUNCTION log_deleted_record()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO deleted_records (user_id, workspace_id, table_name, record_id)
+  VALUES (OLD.user_id, (to_jsonb(OLD) ->> 'workspace_id')::UUID, TG_TABLE_NAME, OLD.id);
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP POLICY IF EXISTS "Users can read their own deleted records" ON deleted_records;
+DROP POLICY IF EXISTS "Members can read deleted records" ON deleted_records;
+CREATE POLICY "Members can read deleted records" ON deleted_records
+  FOR SELECT USING (
+    auth.uid() = user_id
+    OR (workspace_id IS NOT NULL AND workspace_role(workspace_id) IS NOT NULL)
+  );
+
+-- =============================================
+-- TRIGGERS
+-- =============================================
+
+DROP TRIGGER IF EXISTS update_workspaces_updated_at ON workspaces;
+CREATE TRIGGER update_workspaces_updated_at BEFORE UPDATE ON workspaces
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_workspace_members_updated_at ON workspace_members;
+CREATE TRIGGER update_workspace_members_updated_at BEFORE UPDATE ON workspace_members
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- =============================================
+-- PERFORMANCE INDEXES
+-- =============================================
+
+CREATE INDEX IF NOT EXISTS idx_workspace_members_user ON workspace_members(user_id, workspace_id);
+CREATE INDEX IF NOT EXISTS idx_deleted_records_workspace ON deleted_records(workspace_id, table_name, deleted_at);
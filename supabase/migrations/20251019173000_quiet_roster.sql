@@ -0,0 +1,19 @@
+/*
+  # Task Assignees
+
+  Tasks can be assigned to one or more workspace members or contacts, instead
+  of only belonging to the user who created them.
+
+  ## What this changes:
+  1. tasks columns
+     - assignees: JSONB array of { type, id, name } entries, where type is
+       'member' (id is the member's user id) or 'contact' (id is a contacts row)
+       and name is kept for display after a member leaves
+
+  2. Performance
+     - GIN index for finding the tasks assigned to someone
+*/
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS assignees JSONB DEFAULT '[]'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_assignees ON tasks USING GIN(assignees jsonb_path_ops);
@@ -0,0 +1,181 @@
+/*
+  # Comments and Mentions
+
+  Threaded discussions on tasks, projects and events, with @mentions that
+  notify workspace members in the app.
+
+  ## What this creates:
+  1. comments table
+     - entity_type and entity_id: the task, project or event commented on
+     - parent_id: the comment replied to, NULL for top-level comments
+     - body: rich text (HTML), emptied when the comment is deleted
+     - mentions: user ids of the members mentioned in the body
+     - history: earlier versions as { body, editedAt } entries, so edits
+       and deletions stay visible
+     - author_email is copied so members can see who wrote a comment
+     - Comments belong to the workspace of what they are about, with the
+       same access rules; only authors change their own comments
+     - Comments go away with their task, project or event
+
+  2. notifications table
+     - One row per recipient (user_id), private to them
+     - type 'mention' for now, with the entity, comment and actor it is about
+     - read_at is set once the recipient has seen it
+     - Mention notifications are created by a trigger when a comment adds a
+       mention of another member of its workspace
+*/
+
+-- =============================================
+-- COMMENTS
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS comments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE DEFAULT auth.uid(),
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+  entity_type TEXT NOT NULL CHECK (entity_type IN ('task', 'project', 'event')),
+  entity_id UUID NOT NULL,
+  parent_id UUID REFERENCES comments(id) ON DELETE CASCADE,
+  body TEXT DEFAULT '',
+  author_email TEXT DEFAULT '',
+  mentions UUID[] DEFAULT '{}',
+  history JSONB DEFAULT '[]'::jsonb,
+  edited_at TIMESTAMPTZ,
+  deleted_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  local_id TEXT
+);
+
+ALTER TABLE comments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Members can view comments" ON comments;
+CREATE POLICY "Members can view comments" ON comments
+  FOR SELECT USING (can_read_workspace_row(workspace_id, user_id));
+
+DROP POLICY IF EXISTS "Editors can comment" ON comments;
+CREATE POLICY "Editors can comment" ON comments
+  FOR INSERT WITH CHECK (auth.uid() = user_id AND can_write_workspace_row(workspace_id, user_id));
+
+DROP POLICY IF EXISTS "Authors can edit their comments" ON comments;
+CREATE POLICY "Authors can edit their comments" ON comments
+  FOR UPDATE USING (auth.uid() = user_id AND can_write_workspace_row(workspace_id, user_id))
+  WITH CHECK (auth.uid() = user_id AND can_write_workspace_row(workspace_id, user_id));
+
+DROP POLICY IF EXISTS "Authors can delete their comments" ON comments;
+CREATE POLICY "Authors can delete their comments" ON comments
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- Comments have no foreign key to their entity, so remove them explicitly
+CREATE OR REPLACE FUNCTION delete_entity_comments()
+RETURNS TRIGGER AS $$
+BEGIN
+  DELETE FROM comments WHERE entity_id = OLD.id;
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS delete_tasks_comments ON tasks;
+CREATE TRIGGER delete_tasks_comments AFTER DELETE ON tasks
+  FOR EACH ROW EXECUTE FUNCTION delete_entity_comments();
+
+DROP TRIGGER IF EXISTS delete_projects_comments ON projects;
+CREATE TRIGGER delete_projects_comments AFTER DELETE ON projects
+  FOR EACH ROW EXECUTE FUNCTION delete_entity_comments();
+
+DROP TRIGGER IF EXISTS delete_events_comments ON events;
+CREATE TRIGGER delete_events_comments AFTER DELETE ON events
+  FOR EACH ROW EXECUTE FUNCTION delete_entity_comments();
+
+-- =============================================
+-- NOTIFICATIONS
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE DEFAULT auth.uid(),
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+  type TEXT NOT NULL DEFAULT 'mention',
+  title TEXT DEFAULT '',
+  body TEXT DEFAULT '',
+  entity_type TEXT,
+  entity_id UUID,
+  comment_id UUID REFERENCES comments(id) ON DELETE CASCADE,
+  actor_id UUID,
+  actor_email TEXT DEFAULT '',
+  read_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  local_id TEXT
+);
+
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage their own notifications" ON notifications;
+CREATE POLICY "Users can manage their own notifications" ON notifications
+  FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+-- Notify members newly mentioned in a comment, but never its author
+CREATE OR REPLACE FUNCTION notify_comment_mentions()
+RETURNS TRIGGER AS $$
+DECLARE
+  entity_title TEXT;
+BEGIN
+  IF NEW.workspace_id IS NULL OR NEW.deleted_at IS NOT NULL THEN
+    RETURN NEW;
+  END IF;
+
+  entity_title := CASE NEW.entity_type
+    WHEN 'task' THEN (SELECT title FROM tasks WHERE id = NEW.entity_id)
+    WHEN 'project' THEN (SELECT title FROM projects WHERE id = NEW.entity_id)
+    WHEN 'event' THEN (SELECT title FROM events WHERE id = NEW.entity_id)
+  END;
+
+  INSERT INTO notifications (
+    user_id, workspace_id, type, title, body,
+    entity_type, entity_id, comment_id, actor_id, actor_email
+  )
+  SELECT
+    members.user_id, NEW.workspace_id, 'mention', COALESCE(entity_title, 'Untitled'), NEW.body,
+    NEW.entity_type, NEW.entity_id, NEW.id, NEW.user_id, NEW.author_email
+  FROM workspace_members members
+  WHERE members.workspace_id = NEW.workspace_id
+    AND members.user_id = ANY(NEW.mentions)
+    AND members.user_id <> NEW.user_id
+    AND (TG_OP = 'INSERT' OR NOT members.user_id = ANY(COALESCE(OLD.mentions, '{}')));
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS notify_comments_mentions ON comments;
+CREATE TRIGGER notify_comments_mentions AFTER INSERT OR UPDATE OF mentions ON comments
+  FOR EACH ROW EXECUTE FUNCTION notify_comment_mentions();
+
+-- =============================================
+-- TRIGGERS
+-- =============================================
+
+DROP TRIGGER IF EXISTS update_comments_updated_at ON comments;
+CREATE TRIGGER update_comments_updated_at BEFORE UPDATE ON comments
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_notifications_updated_at ON notifications;
+CREATE TRIGGER update_notifications_updated_at BEFORE UPDATE ON notifications
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS log_comments_deleted ON comments;
+CREATE TRIGGER log_comments_deleted AFTER DELETE ON comments
+  FOR EACH ROW EXECUTE FUNCTION log_deleted_record();
+
+DROP TRIGGER IF EXISTS log_notifications_deleted ON notifications;
+CREATE TRIGGER log_notifications_deleted AFTER DELETE ON notifications
+  FOR EACH ROW EXECUTE FUNCTION log_deleted_record();
+
+-- =============================================
+-- PERFORMANCE INDEXES
+-- =============================================
+
+CREATE INDEX IF NOT EXISTS idx_comments_entity ON comments(entity_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_comments_workspace ON comments(workspace_id, updated_at);
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, read_at, created_at);
@@ -0,0 +1,33 @@
+/*
+  # Reminders and Notification History
+
+  Turns notifications into a persistent inbox: besides mentions it holds
+  reminders about due tasks, upcoming events and unpaid invoices, which can
+  be snoozed or dismissed and stay available as history.
+
+  ## What this changes:
+  1. notifications columns
+     - reminder_key: identifies the reminder a row was created for, e.g.
+       'task_due:<task id>:<due date>'; unique per user, so every reminder
+       is sent once even when several tabs or devices create it
+     - snoozed_until: hidden from the inbox until then
+     - dismissed_at: removed from the inbox, kept in the history
+
+  2. user_settings columns
+     - reminder_rules: JSONB with the user's reminder settings
+       { taskDue: { enabled, hoursBefore }, eventStart: { enabled, daysBefore },
+         unpaidInvoice: { enabled, daysBefore } }; missing rules use the
+       app defaults
+
+  3. Performance
+     - Unique index for looking up reminders by key
+*/
+
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS reminder_key TEXT;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS snoozed_until TIMESTAMPTZ;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS dismissed_at TIMESTAMPTZ;
+
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS reminder_rules JSONB DEFAULT '{}'::jsonb;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notifications_reminder ON notifications(user_id, reminder_key)
+  WHERE reminder_key IS NOT NULL;